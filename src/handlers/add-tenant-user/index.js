@@ -0,0 +1,86 @@
+/**
+ * addTenantUserHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * POST /v1/users
+ *
+ * Gives a user one of the calling tenant's seats.
+ *
+ * Body:
+ *   { "email": "dev@acme.com", "name": "Dana" }
+ *
+ * Blocked with 409 once every seat is taken — active users have reached the
+ * subscription's `quantity` or the plan's `maxUsers` (shared/seats).  The
+ * check and the INSERT run in one transaction with the tenant row locked,
+ * so concurrent requests cannot overshoot the limit.
+ *
+ * The seat is recorded before the user's Cognito account is provisioned
+ * (with `custom:tenant_id` set) — a login without a seat has nothing to
+ * sign in to.
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { withTenantTransaction } = require("../../shared/db");
+const { incrementCounter } = require("../../shared/metrics");
+const {
+  assertSeatAvailable,
+  formatTenantUser,
+} = require("../../shared/seats");
+
+async function addTenantUserHandler(
+  event,
+  context,
+  { tenant, body, logger, requestId },
+) {
+  const { tenantId } = tenant;
+  const email = body.email.trim().toLowerCase();
+
+  logger.info("Adding tenant user", { tenantId, email });
+
+  const { user, seats } = await withTenantTransaction(
+    tenantId,
+    async (client) => {
+      const usage = await assertSeatAvailable(client, tenantId);
+
+      const inserted = await client.query(
+        `INSERT INTO tenant_users (tenant_id, email, name, added_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT DO NOTHING
+         RETURNING *`,
+        [tenantId, email, body.name || null, tenant.userId],
+      );
+
+      if (inserted.rows.length === 0) {
+        throw new AppError(409, `${email} already has a seat`);
+      }
+
+      return {
+        user: inserted.rows[0],
+        seats: {
+          ...usage,
+          used: usage.used + 1,
+          available: usage.available == null ? null : usage.available - 1,
+        },
+      };
+    },
+  );
+
+  logger.info("Tenant user added", { userId: user.id, ...seats });
+
+  incrementCounter("tenant_user_count", 1, { Operation: "add" });
+
+  return jsonResponse(201, {
+    message: "User added",
+    user: formatTenantUser(user),
+    seats,
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(addTenantUserHandler, {
+  schemaName: "add-tenant-user",
+  requireBody: true,
+});
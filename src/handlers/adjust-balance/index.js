@@ -0,0 +1,100 @@
+/**
+ * adjustBalanceHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * POST /v1/tenants/{id}/balance  (ADMIN only)
+ *
+ * Records a manual entry in a tenant's customer balance
+ * (shared/customer-balance).  `amount` is the change to the balance:
+ *
+ *   { "amount": 500.00, "reason": "prepayment",
+ *     "description": "Prepaid by bank transfer BANK-TX-90211" }
+ *   { "amount": -20.00, "reason": "refund", "currency": "eur" }
+ *   { "amount": 5.00, "reason": "adjustment", "description": "..." }
+ *
+ *   prepayment  money received ahead of invoices — amount > 0
+ *   refund      balance paid back outside the platform — amount < 0
+ *   adjustment  correction either way
+ *
+ * `currency` defaults to the tenant's (settings.currency, else USD).  A
+ * debit beyond the balance is a 409.  generate-invoice draws the balance
+ * down on the tenant's next invoices in that currency.  The entry is
+ * journaled against cash, or revenue for an adjustment (shared/journal).
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { withSystemTransaction } = require("../../shared/db");
+const { normalizeCurrency } = require("../../shared/currency");
+const { incrementCounter } = require("../../shared/metrics");
+const { getTenantCurrency } = require("../../shared/tenants");
+const {
+  recordBalanceTransaction,
+  formatBalanceTransaction,
+} = require("../../shared/customer-balance");
+const { journalBalanceAdjustment } = require("../../shared/journal");
+
+async function adjustBalanceHandler(
+  event,
+  context,
+  { tenant, body, pathParams, logger, requestId },
+) {
+  const tenantId = pathParams.id;
+  const { amount, reason } = body;
+
+  if (reason === "prepayment" && !(amount > 0)) {
+    throw new AppError(400, "A prepayment must have a positive amount");
+  }
+  if (reason === "refund" && !(amount < 0)) {
+    throw new AppError(400, "A refund must have a negative amount");
+  }
+
+  // ADMIN acts on any tenant — system transaction, no RLS
+  const transaction = await withSystemTransaction(async (client) => {
+    const existing = await client.query(
+      `SELECT settings FROM tenants WHERE id = $1 AND status != 'deleted'`,
+      [tenantId],
+    );
+    if (existing.rows.length === 0) {
+      throw new AppError(404, "Tenant not found");
+    }
+
+    const recorded = await recordBalanceTransaction(client, {
+      tenantId,
+      currency: body.currency
+        ? normalizeCurrency(body.currency)
+        : getTenantCurrency(existing.rows[0].settings),
+      amount,
+      reason,
+      description: body.description,
+      createdBy: tenant.userId,
+    });
+    await journalBalanceAdjustment(client, recorded);
+    return recorded;
+  });
+
+  logger.info("Customer balance adjusted", {
+    tenantId,
+    transactionId: transaction.id,
+    reason,
+    amount,
+    currency: transaction.currency,
+    balanceAfter: transaction.balance_after,
+  });
+
+  incrementCounter("balance_adjustment_count", 1, { Reason: reason });
+
+  return jsonResponse(201, {
+    message: "Customer balance updated",
+    transaction: formatBalanceTransaction(transaction),
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(adjustBalanceHandler, {
+  schemaName: "adjust-balance",
+  requireBody: true,
+  requireAdmin: true,
+});
@@ -0,0 +1,59 @@
+/**
+ * archiveCouponHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * POST /v1/coupons/{id}/archive  (ADMIN only)
+ *
+ * Ends a promotion early: the code can no longer be redeemed.  Subscriptions
+ * that already redeemed it keep their discount for the coupon's duration —
+ * the customer was promised it.
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { querySystem } = require("../../shared/db");
+const { formatCoupon } = require("../../shared/coupons");
+
+async function archiveCouponHandler(
+  event,
+  context,
+  { pathParams, logger, requestId },
+) {
+  const couponId = pathParams.id;
+
+  const result = await querySystem(
+    `UPDATE coupons
+     SET status = 'archived', archived_at = NOW()
+     WHERE id = $1 AND status = 'active'
+     RETURNING *`,
+    [couponId],
+  );
+
+  if (result.rows.length === 0) {
+    const existing = await querySystem(
+      `SELECT status, archived_at FROM coupons WHERE id = $1`,
+      [couponId],
+    );
+    if (existing.rows.length === 0) {
+      throw new AppError(404, "Coupon not found");
+    }
+    throw new AppError(409, "Coupon is already archived", {
+      archivedAt: existing.rows[0].archived_at,
+    });
+  }
+
+  logger.info("Coupon archived", { couponId, code: result.rows[0].code });
+
+  return jsonResponse(200, {
+    message: "Coupon archived",
+    coupon: formatCoupon(result.rows[0]),
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(archiveCouponHandler, {
+  requireBody: false,
+  requireAdmin: true,
+});
@@ -0,0 +1,75 @@
+/**
+ * archivePlanHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * POST /v1/plans/{id}/archive  (ADMIN only)
+ *
+ * Retires a plan.  Archiving is soft and one-way:
+ *   • No NEW subscriptions, and no switches TO the plan (shared/plans
+ *     rejects archived plans unless a caller opts in).
+ *   • Existing subscribers keep renewing on their version; they can still
+ *     change cycle, or switch to another plan.
+ *   • Rows are never deleted — subscriptions and invoices reference them.
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { querySystem } = require("../../shared/db");
+const { getPlan, invalidatePlan } = require("../../shared/plans");
+
+async function archivePlanHandler(
+  event,
+  context,
+  { pathParams, logger, requestId },
+) {
+  const planId = pathParams.id;
+
+  logger.info("Archiving plan", { planId });
+
+  const result = await querySystem(
+    `UPDATE plans
+     SET status = 'archived', archived_at = NOW()
+     WHERE id = $1 AND status = 'active'
+     RETURNING id`,
+    [planId],
+  );
+
+  invalidatePlan(planId);
+
+  if (result.rows.length === 0) {
+    // Distinguish "no such plan" from "already archived"
+    const plan = await getPlan(planId, { includeArchived: true }).catch(() => null);
+    if (!plan) throw new AppError(404, "Plan not found");
+    throw new AppError(409, "Plan is already archived", {
+      archivedAt: plan.archivedAt,
+    });
+  }
+
+  // Subscribers who keep the plan until they change it
+  const subscribers = await querySystem(
+    `SELECT COUNT(*)::int AS count FROM subscriptions
+     WHERE plan_id = $1 AND status IN ('active', 'trialing', 'past_due')`,
+    [planId],
+  );
+
+  const plan = await getPlan(planId, { includeArchived: true });
+
+  logger.info("Plan archived", {
+    planId,
+    remainingSubscribers: subscribers.rows[0].count,
+  });
+
+  return jsonResponse(200, {
+    message: "Plan archived",
+    plan,
+    remainingSubscribers: subscribers.rows[0].count,
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(archivePlanHandler, {
+  requireBody: false,
+  requireAdmin: true,
+});
@@ -1,11 +1,12 @@
 /**
  * audit-log — SQS Consumer
  * ────────────────────────────────────────────────────────────────────────────
- * Triggered when a subscription is created.  Writes a tamper-evident audit
- * trail entry to the `audit_logs` table.
+ * Triggered by every event on the topic (no filter policy).  Writes a
+ * tamper-evident audit trail entry to the `audit_logs` table.
  *
  * Flow:
- *   1. Receives "subscription.created" event from SQS (via SNS fan-out).
+ *   1. Receives an event (e.g. "subscription.created", "subscription.canceled")
+ *      from SQS (via SNS fan-out).
  *   2. Idempotency middleware prevents duplicate audit entries.
  *   3. Inserts a structured audit record with the full event payload.
  *   4. Reports success/failure.
@@ -14,6 +15,9 @@
  *   • APPEND-ONLY TABLE: Audit logs are INSERT-only.  No UPDATE or DELETE
  *     operations are permitted (enforced by a DO INSTEAD NOTHING rule on
  *     UPDATE/DELETE in the migration, or by application convention).
+ *   • ENTITY FROM EVENT TYPE: The prefix of `eventType` names the entity
+ *     ("subscription.canceled" → subscription) and `{entity}Id` in the body
+ *     identifies it, so new event families need no changes here.
  *   • FULL EVENT SNAPSHOT: The entire event payload is stored in a JSONB
  *     column.  This preserves the exact data at the time of the event,
  *     even if the subscription is later modified.
@@ -28,17 +32,24 @@ const { v4: uuidv4 } = require("uuid");
 const { querySystem } = require("../../shared/db");
 const { withSqsConsumer } = require("../../shared/sqs-consumer");
 
+/**
+ * Derive the audited entity from the event type: "subscription.canceled"
+ * → entity_type "subscription", entity_id body.subscriptionId;
+ * "credit_note.created" → "credit_note", body.creditNoteId.
+ */
+function resolveEntity(eventType, body) {
+  const entityType = eventType.split(".")[0];
+  const idKey = `${entityType.replace(/_(\w)/g, (_, c) => c.toUpperCase())}Id`;
+  return {
+    entityType,
+    entityId: body[idKey] || body.subscriptionId || null,
+  };
+}
+
 async function processAuditLog(body, { messageId, logger }) {
-  const {
-    eventType,
-    tenantId,
-    subscriptionId,
-    userId,
-    planId,
-    billingCycle,
-    amount,
-    timestamp,
-  } = body;
+  const { tenantId, subscriptionId, userId, timestamp } = body;
+  const eventType = body.eventType || "subscription.created";
+  const { entityType, entityId } = resolveEntity(eventType, body);
 
   logger.info("Writing audit log entry", {
     eventType,
@@ -56,9 +67,9 @@ async function processAuditLog(body, { messageId, logger }) {
     [
       auditId,
       tenantId,
-      eventType || "subscription.created",
-      "subscription",
-      subscriptionId,
+      eventType,
+      entityType,
+      entityId,
       userId || null,
       JSON.stringify(body),
       messageId,
@@ -68,9 +79,9 @@ async function processAuditLog(body, { messageId, logger }) {
 
   logger.info("Audit log entry written", {
     auditId,
-    eventType: eventType || "subscription.created",
-    entityType: "subscription",
-    entityId: subscriptionId,
+    eventType,
+    entityType,
+    entityId,
   });
 }
 
@@ -0,0 +1,117 @@
+/**
+ * cancelPendingChangeHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * DELETE /v1/subscriptions/{id}/pending-change
+ *
+ * Withdraws the change scheduled for the end of the current period
+ * (shared/scheduled-changes).  The subscription renews on its current plan,
+ * cycle and seats.
+ *
+ * Publishes "subscription.scheduled_change_canceled" — send-notification
+ * emails the tenant and audit-log records it.
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { withTenantTransaction } = require("../../shared/db");
+const { incrementCounter } = require("../../shared/metrics");
+const { publishEvent } = require("../../shared/events");
+const {
+  formatSubscription,
+  formatPendingChange,
+} = require("../../shared/subscriptions");
+
+async function cancelPendingChangeHandler(
+  event,
+  context,
+  { tenant, pathParams, logger, requestId },
+) {
+  const { tenantId } = tenant;
+  const subscriptionId = pathParams.id;
+
+  const { before, after, tenantName } = await withTenantTransaction(
+    tenantId,
+    async (client) => {
+      const existing = await client.query(
+        `SELECT * FROM subscriptions
+         WHERE id = $1 AND tenant_id = $2
+         FOR UPDATE`,
+        [subscriptionId, tenantId],
+      );
+
+      if (existing.rows.length === 0) {
+        throw new AppError(404, "Subscription not found");
+      }
+
+      const sub = existing.rows[0];
+      if (sub.pending_change == null) {
+        throw new AppError(404, "No change is scheduled for this subscription");
+      }
+
+      const updated = await client.query(
+        `UPDATE subscriptions
+         SET pending_change = NULL
+         WHERE id = $1 AND tenant_id = $2
+         RETURNING *`,
+        [subscriptionId, tenantId],
+      );
+
+      const tenantResult = await client.query(
+        `SELECT name FROM tenants WHERE id = $1`,
+        [tenantId],
+      );
+
+      return {
+        before: sub,
+        after: updated.rows[0],
+        tenantName: tenantResult.rows[0].name,
+      };
+    },
+  );
+
+  const canceledChange = formatPendingChange(before);
+
+  logger.info("Pending change canceled", {
+    subscriptionId,
+    pendingPlanId: canceledChange.planId,
+  });
+
+  incrementCounter("subscription_change_scheduled_count", 1, {
+    PlanId: canceledChange.planId,
+    Operation: "cancel",
+  });
+
+  await publishEvent(
+    "subscription.scheduled_change_canceled",
+    {
+      tenantId,
+      tenantName,
+      tenantEmail: tenant.email,
+      userId: tenant.userId,
+      subscriptionId,
+      planId: after.plan_id,
+      planVersion: after.plan_version,
+      billingCycle: after.billing_cycle,
+      quantity: after.quantity,
+      amount: parseFloat(after.amount),
+      currency: after.currency,
+      currentPeriodEnd: after.current_period_end,
+      canceledChange,
+    },
+    logger,
+  );
+
+  return jsonResponse(200, {
+    message: "Scheduled change canceled",
+    subscription: formatSubscription(after),
+    canceledChange,
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(cancelPendingChangeHandler, {
+  requireBody: false,
+});
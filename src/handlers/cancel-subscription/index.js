@@ -0,0 +1,214 @@
+/**
+ * cancelSubscriptionHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * POST /v1/subscriptions/{id}/cancel
+ *
+ * Ends a subscription for the calling tenant.  Two modes are supported:
+ *
+ *   • at_period_end (default) — the subscription stays `active` until
+ *     `current_period_end`, then ends.  `cancel_at_period_end` is set so the
+ *     renewal process knows not to roll the period forward.  No credit.
+ *
+ *   • immediate — the subscription moves to `canceled` right away and the
+ *     period is cut short at the cancellation time.  The unused part of the
+ *     prepaid period is credited back (prorated to the millisecond).  A
+ *     paused subscription is credited for the time it had left when paused.
+ *
+ * Flow:
+ *   1. Middleware extracts tenant context from JWT, validates body.
+ *   2. Locks the subscription row (SELECT ... FOR UPDATE) so two concurrent
+ *      cancel requests can't both succeed.
+ *   3. Validates the current status allows cancellation.
+ *   4. Updates `canceled_at`, `status`/`cancel_at_period_end`, reason, and
+ *      discards any change scheduled for period end — there is no renewal
+ *      left to apply it to.
+ *   5. Publishes "subscription.canceled" — generate-invoice issues the credit
+ *      invoice, send-notification emails the tenant, audit-log records it.
+ *
+ * Tenant isolation:
+ *   • The subscription is looked up with `tenant_id = $2` AND under RLS, so
+ *     a guessed ID from another tenant returns 404, not 403 (no existence
+ *     leak).
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { withTenantTransaction } = require("../../shared/db");
+const { incrementCounter } = require("../../shared/metrics");
+const { publishEvent } = require("../../shared/events");
+const { unusedPeriodAmount } = require("../../shared/billing-period");
+const { formatSubscription } = require("../../shared/subscriptions");
+const { getPeriodDiscount } = require("../../shared/coupons");
+
+const CANCEL_MODES = new Set(["immediate", "at_period_end"]);
+const CANCELABLE_STATUSES = new Set(["active", "trialing", "past_due", "paused"]);
+
+async function cancelSubscriptionHandler(
+  event,
+  context,
+  { tenant, body, pathParams, logger, requestId },
+) {
+  const { tenantId } = tenant;
+  const subscriptionId = pathParams.id;
+  const mode = body.mode || "at_period_end";
+  const reason = body.reason || null;
+
+  if (!CANCEL_MODES.has(mode)) {
+    throw new AppError(400, `Invalid cancellation mode: ${mode}`, {
+      validModes: [...CANCEL_MODES],
+    });
+  }
+
+  logger.info("Canceling subscription", { tenantId, subscriptionId, mode });
+
+  const now = new Date();
+
+  const { before, after, prorationCredit, tenantName } =
+    await withTenantTransaction(tenantId, async (client) => {
+      // ── Lock the subscription row ────────────────────────────────────── //
+      const existing = await client.query(
+        `SELECT * FROM subscriptions
+         WHERE id = $1 AND tenant_id = $2
+         FOR UPDATE`,
+        [subscriptionId, tenantId],
+      );
+
+      if (existing.rows.length === 0) {
+        throw new AppError(404, "Subscription not found");
+      }
+
+      const sub = existing.rows[0];
+
+      if (!CANCELABLE_STATUSES.has(sub.status)) {
+        throw new AppError(409, `Subscription is already ${sub.status}`, {
+          currentStatus: sub.status,
+        });
+      }
+
+      if (mode === "at_period_end" && sub.cancel_at_period_end) {
+        throw new AppError(
+          409,
+          "Subscription is already scheduled to cancel at period end",
+          { currentPeriodEnd: sub.current_period_end },
+        );
+      }
+
+      // ── Apply the cancellation ───────────────────────────────────────── //
+      let updated;
+      let credit = 0;
+
+      if (mode === "immediate") {
+        // Only a paid, active period has unused value to give back — at the
+        // price actually paid for it, after any coupon discount.  A paused
+        // period stopped running at `paused_at`.
+        if (sub.status === "active" || sub.status === "paused") {
+          const discount = await getPeriodDiscount(
+            client,
+            sub.id,
+            sub.current_period_start,
+          );
+          credit = unusedPeriodAmount(
+            sub.amount - discount,
+            sub,
+            sub.status === "paused" ? sub.paused_at : now,
+          );
+        }
+
+        updated = await client.query(
+          `UPDATE subscriptions
+           SET status = 'canceled',
+               canceled_at = $3,
+               cancel_at_period_end = FALSE,
+               cancellation_reason = $4,
+               resume_at = NULL,
+               pending_change = NULL,
+               current_period_end = LEAST(current_period_end, $3)
+           WHERE id = $1 AND tenant_id = $2
+           RETURNING *`,
+          [subscriptionId, tenantId, now.toISOString(), reason],
+        );
+      } else {
+        updated = await client.query(
+          `UPDATE subscriptions
+           SET cancel_at_period_end = TRUE,
+               canceled_at = $3,
+               cancellation_reason = $4,
+               pending_change = NULL
+           WHERE id = $1 AND tenant_id = $2
+           RETURNING *`,
+          [subscriptionId, tenantId, now.toISOString(), reason],
+        );
+      }
+
+      const tenantResult = await client.query(
+        `SELECT name FROM tenants WHERE id = $1`,
+        [tenantId],
+      );
+
+      return {
+        before: sub,
+        after: updated.rows[0],
+        prorationCredit: credit,
+        tenantName: tenantResult.rows[0].name,
+      };
+    });
+
+  const effectiveAt =
+    mode === "immediate" ? now.toISOString() : after.current_period_end;
+
+  logger.info("Subscription canceled", {
+    subscriptionId,
+    mode,
+    effectiveAt,
+    prorationCredit,
+  });
+
+  incrementCounter("subscription_cancellation_count", 1, {
+    PlanId: before.plan_id,
+    Mode: mode,
+  });
+
+  // ── Publish event to SNS for downstream consumers ────────────────────── //
+  await publishEvent(
+    "subscription.canceled",
+    {
+      tenantId,
+      tenantName,
+      tenantEmail: tenant.email,
+      userId: tenant.userId,
+      subscriptionId,
+      planId: before.plan_id,
+      billingCycle: before.billing_cycle,
+      amount: parseFloat(before.amount),
+      currency: before.currency,
+      previousStatus: before.status,
+      mode,
+      reason,
+      canceledAt: now.toISOString(),
+      effectiveAt,
+      // The period that was paid for — credit covers [canceledAt, this end)
+      currentPeriodStart: before.current_period_start,
+      currentPeriodEnd: before.current_period_end,
+      prorationCredit,
+    },
+    logger,
+  );
+
+  return jsonResponse(200, {
+    message:
+      mode === "immediate"
+        ? "Subscription canceled"
+        : "Subscription will be canceled at the end of the current period",
+    subscription: formatSubscription(after),
+    prorationCredit,
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(cancelSubscriptionHandler, {
+  schemaName: "cancel-subscription",
+  requireBody: true,
+});
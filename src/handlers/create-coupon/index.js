@@ -0,0 +1,125 @@
+/**
+ * createCouponHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * POST /v1/coupons  (ADMIN only)
+ *
+ * Creates a coupon that customers redeem by code in POST /v1/subscriptions.
+ *
+ * Body:
+ *   {
+ *     "code": "LAUNCH20",                 // case-insensitive, stored uppercase
+ *     "name": "Launch promotion",
+ *     "percent_off": 20,                  // OR amount_off + currency
+ *     "duration": "repeating",            // once | repeating | forever
+ *     "duration_in_cycles": 3,            // required for repeating
+ *     "max_redemptions": 500,             // optional — subscriptions, not invoices
+ *     "expires_at": "2026-12-31T23:59:59Z",
+ *     "applies_to_plans": ["starter", "professional"]
+ *   }
+ *
+ * The schema checks field types; the rules between fields (exactly one of
+ * percent_off / amount_off, duration_in_cycles only for repeating) are
+ * checked here and again by CHECK constraints (migrations/010_coupons.sql).
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { querySystem } = require("../../shared/db");
+const { normalizeCurrency, roundMoney } = require("../../shared/currency");
+const { getPlan } = require("../../shared/plans");
+const { normalizeCode, formatCoupon } = require("../../shared/coupons");
+
+function validateCouponTerms(body) {
+  const hasPercent = body.percent_off != null;
+  const hasAmount = body.amount_off != null;
+
+  if (hasPercent === hasAmount) {
+    throw new AppError(400, "Specify exactly one of percent_off or amount_off");
+  }
+  if (hasAmount && !body.currency) {
+    throw new AppError(400, "amount_off requires a currency");
+  }
+  if (hasPercent && body.currency) {
+    throw new AppError(400, "currency only applies to amount_off coupons");
+  }
+  if ((body.duration === "repeating") !== (body.duration_in_cycles != null)) {
+    throw new AppError(
+      400,
+      "duration_in_cycles is required for, and only allowed with, duration \"repeating\"",
+    );
+  }
+  if (body.expires_at && new Date(body.expires_at) <= new Date()) {
+    throw new AppError(400, "expires_at must be in the future");
+  }
+}
+
+async function createCouponHandler(
+  event,
+  context,
+  { tenant, body, logger, requestId },
+) {
+  const code = normalizeCode(body.code);
+  validateCouponTerms(body);
+
+  const currency = body.amount_off != null ? normalizeCurrency(body.currency) : null;
+  if (currency && roundMoney(body.amount_off, currency) !== body.amount_off) {
+    throw new AppError(
+      400,
+      `amount_off has more decimals than ${currency.toUpperCase()} allows`,
+    );
+  }
+
+  // Plan restrictions must name real plans (archived ones are pointless)
+  const plans = body.applies_to_plans ? [...new Set(body.applies_to_plans)] : null;
+  for (const planId of plans || []) {
+    await getPlan(planId);
+  }
+
+  logger.info("Creating coupon", { code });
+
+  const result = await querySystem(
+    `INSERT INTO coupons
+       (code, name, percent_off, amount_off, currency, duration,
+        duration_in_cycles, max_redemptions, expires_at, applies_to_plans,
+        created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     ON CONFLICT (code) DO NOTHING
+     RETURNING *`,
+    [
+      code,
+      body.name,
+      body.percent_off ?? null,
+      body.amount_off ?? null,
+      currency,
+      body.duration,
+      body.duration_in_cycles ?? null,
+      body.max_redemptions ?? null,
+      body.expires_at || null,
+      plans,
+      tenant.userId,
+    ],
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError(409, `Coupon code already exists: ${code}`);
+  }
+
+  const coupon = formatCoupon(result.rows[0]);
+
+  logger.info("Coupon created", { couponId: coupon.id, code });
+
+  return jsonResponse(201, {
+    message: "Coupon created",
+    coupon,
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(createCouponHandler, {
+  schemaName: "create-coupon",
+  requireBody: true,
+  requireAdmin: true,
+});
@@ -0,0 +1,122 @@
+/**
+ * createCreditNoteHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * POST /v1/invoices/{id}/credit-notes  (ADMIN only)
+ *
+ * Corrects an issued, overdue, uncollectible or paid invoice with a credit
+ * note (shared/credit-notes) — the invoice itself stays unchanged.
+ *
+ * Body:
+ *   {
+ *     "reason": "billing_error",          // see CREDIT_NOTE_REASONS
+ *     "memo": "Seats billed twice",       // optional
+ *     "amount": 25.00,                    // partial credit, tax included
+ *     "lines": [                          // OR line-level credit
+ *       { "line": 0, "quantity": 2 },     //   by quantity,
+ *       { "line": 1, "amount": 5.00 },    //   by amount,
+ *       { "line": 2 }                     //   or the whole line
+ *     ],
+ *     "refund": false                     // refund the excess instead of
+ *   }                                     // crediting the balance
+ *
+ * Neither `amount` nor `lines` credits everything not credited yet.
+ *
+ * The credit first reduces the invoice's amount due; an issued or overdue
+ * invoice credited down to zero becomes `paid` (and "invoice.paid" is
+ * published).  The rest — all of it for a paid invoice — is refunded or
+ * credited to the tenant's balance (shared/customer-balance), which
+ * generate-invoice draws down on the next invoices.
+ *
+ * Publishes "credit_note.created".
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { withSystemTransaction } = require("../../shared/db");
+const { incrementCounter } = require("../../shared/metrics");
+const { publishEvent } = require("../../shared/events");
+const { formatInvoice } = require("../../shared/invoices");
+const { invoiceEventPayload } = require("../../shared/invoice-lifecycle");
+const {
+  createCreditNote,
+  formatCreditNote,
+  creditNoteEventPayload,
+} = require("../../shared/credit-notes");
+
+async function createCreditNoteHandler(
+  event,
+  context,
+  { tenant, body, pathParams, logger, requestId },
+) {
+  const invoiceId = pathParams.id;
+
+  if (body.amount !== undefined && body.lines !== undefined) {
+    throw new AppError(400, "Specify either amount or lines, not both");
+  }
+
+  logger.info("Creating credit note", {
+    invoiceId,
+    reason: body.reason,
+    amount: body.amount,
+    lines: body.lines ? body.lines.length : undefined,
+  });
+
+  // ADMIN acts on any tenant's invoice — system transaction, no RLS
+  const { creditNote, invoice, settled, tenantRow } =
+    await withSystemTransaction(async (client) => {
+      const result = await createCreditNote(client, invoiceId, {
+        reason: body.reason,
+        memo: body.memo,
+        amount: body.amount,
+        lines: body.lines,
+        refund: Boolean(body.refund),
+        createdBy: tenant.userId,
+      });
+      const tenantResult = await client.query(
+        `SELECT name, email FROM tenants WHERE id = $1`,
+        [result.creditNote.tenant_id],
+      );
+      return { ...result, tenantRow: tenantResult.rows[0] };
+    });
+
+  logger.info("Credit note created", {
+    invoiceId,
+    tenantId: creditNote.tenant_id,
+    creditNoteId: creditNote.id,
+    creditNoteNumber: creditNote.credit_note_number,
+    amount: creditNote.amount,
+    invoiceSettled: Boolean(settled),
+  });
+
+  incrementCounter("credit_note_count", 1, { Reason: creditNote.reason });
+
+  await publishEvent(
+    "credit_note.created",
+    creditNoteEventPayload(creditNote, invoice, tenantRow),
+    logger,
+  );
+
+  if (settled) {
+    await publishEvent(
+      settled.eventType,
+      invoiceEventPayload(settled.before, settled.after, tenantRow),
+      logger,
+    );
+  }
+
+  return jsonResponse(201, {
+    message: "Credit note created",
+    creditNote: formatCreditNote(creditNote),
+    invoice: formatInvoice(invoice),
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(createCreditNoteHandler, {
+  schemaName: "create-credit-note",
+  requireBody: true,
+  requireAdmin: true,
+});
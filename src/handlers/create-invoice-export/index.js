@@ -0,0 +1,72 @@
+/**
+ * createInvoiceExportHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * POST /v1/invoice-exports
+ *
+ * Requests an export of the calling tenant's invoices that is too large
+ * for GET /v1/invoices/export.  The export is queued and written in the
+ * background by the process-invoice-exports job (shared/invoice-export).
+ *
+ * Body (filters as GET /v1/invoices):
+ *   {
+ *     "format": "csv",                 // csv (default) | jsonl
+ *     "status": "paid",                // optional
+ *     "currency": "eur",               // optional
+ *     "from": "2026-01-01T00:00:00Z",  // optional
+ *     "to": "2026-12-31T23:59:59Z"     // optional
+ *   }
+ *
+ * Responds 202 with the export (`status: "pending"`).  Poll
+ * GET /v1/invoice-exports/{id} until `status` is `completed`, then download
+ * each of its `parts`.
+ *
+ * Entitlements: invoiceExport — required; tenants without it get 403.
+ */
+
+const { withMiddleware, jsonResponse } = require("../../shared/middleware");
+const { withTenantTransaction } = require("../../shared/db");
+const { incrementCounter } = require("../../shared/metrics");
+const { parseInvoiceFilters } = require("../../shared/invoices");
+const {
+  parseExportFormat,
+  createInvoiceExport,
+  formatInvoiceExport,
+} = require("../../shared/invoice-export");
+
+async function createInvoiceExportHandler(
+  event,
+  context,
+  { tenant, body, logger, requestId },
+) {
+  const { tenantId } = tenant;
+  const format = parseExportFormat(body.format);
+  const filters = parseInvoiceFilters(body);
+
+  const row = await withTenantTransaction(tenantId, (client) =>
+    createInvoiceExport(client, tenantId, {
+      format,
+      filters,
+      requestedBy: tenant.userId,
+    }),
+  );
+
+  logger.info("Invoice export queued", {
+    exportId: row.id,
+    format,
+    ...filters,
+  });
+
+  incrementCounter("invoice_export_requested", 1, { Format: format });
+
+  return jsonResponse(202, {
+    message: "Invoice export queued",
+    export: formatInvoiceExport(row),
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(createInvoiceExportHandler, {
+  schemaName: "create-invoice-export",
+  requireBody: true,
+  requireFeature: "invoiceExport",
+});
@@ -0,0 +1,112 @@
+/**
+ * createPaymentHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * POST /v1/invoices/{id}/payments  (ADMIN only)
+ *
+ * Records a payment received outside the platform — bank transfer, cheque,
+ * cash — against an `issued`, `overdue` or `uncollectible` invoice
+ * (shared/payments):
+ *
+ *   {
+ *     "amount": 40.00,                        // in the invoice's currency
+ *     "currency": "eur",                      // optional; must match
+ *     "method": "bank_transfer",              // default: other
+ *     "reference": "BANK-TX-88231",
+ *     "paid_at": "2026-10-01T09:30:00Z"       // default: now; not in the future
+ *   }
+ *
+ * A partial payment lowers the invoice's `amountDue` and leaves it open.
+ * The payment that covers the rest settles it (`paid`) and publishes
+ * "invoice.paid" — process-dunning then closes an open dunning case.  An
+ * amount beyond what is due is accepted and recorded as the payment's
+ * `overpaymentAmount`.
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { withSystemTransaction } = require("../../shared/db");
+const { incrementCounter } = require("../../shared/metrics");
+const { publishEvent } = require("../../shared/events");
+const { formatInvoice } = require("../../shared/invoices");
+const { invoiceEventPayload } = require("../../shared/invoice-lifecycle");
+const { recordPayment, formatPayment } = require("../../shared/payments");
+
+async function createPaymentHandler(
+  event,
+  context,
+  { tenant, body, pathParams, logger, requestId },
+) {
+  const invoiceId = pathParams.id;
+  const now = new Date();
+  const paidAt = body.paid_at ? new Date(body.paid_at) : now;
+
+  if (Number.isNaN(paidAt.getTime()) || paidAt > now) {
+    throw new AppError(
+      400,
+      "paid_at must be a date-time that is not in the future",
+      { paidAt: body.paid_at },
+    );
+  }
+
+  logger.info("Recording payment", {
+    invoiceId,
+    amount: body.amount,
+    method: body.method,
+  });
+
+  // ADMIN acts on any tenant's invoice — system transaction, no RLS
+  const { payment, invoice, settled, tenantRow } = await withSystemTransaction(
+    async (client) => {
+      const result = await recordPayment(client, invoiceId, {
+        amount: body.amount,
+        currency: body.currency,
+        method: body.method,
+        reference: body.reference,
+        paidAt,
+        recordedBy: tenant.userId,
+      });
+      const tenantResult = await client.query(
+        `SELECT name, email FROM tenants WHERE id = $1`,
+        [result.invoice.tenant_id],
+      );
+      return { ...result, tenantRow: tenantResult.rows[0] };
+    },
+  );
+
+  logger.info("Payment recorded", {
+    invoiceId,
+    tenantId: invoice.tenant_id,
+    paymentId: payment.id,
+    amount: payment.amount,
+    overpayment: payment.overpayment_amount,
+    invoiceSettled: Boolean(settled),
+  });
+
+  incrementCounter("payment_count", 1, { Method: payment.method });
+
+  if (settled) {
+    incrementCounter("invoice_transition_count", 1, { Action: "mark_paid" });
+
+    await publishEvent(
+      settled.eventType,
+      invoiceEventPayload(settled.before, settled.after, tenantRow),
+      logger,
+    );
+  }
+
+  return jsonResponse(201, {
+    message: settled ? "Payment recorded — invoice paid" : "Payment recorded",
+    payment: formatPayment(payment),
+    invoice: formatInvoice(invoice),
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(createPaymentHandler, {
+  schemaName: "create-payment",
+  requireBody: true,
+  requireAdmin: true,
+});
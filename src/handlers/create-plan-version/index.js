@@ -0,0 +1,128 @@
+/**
+ * createPlanVersionHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * POST /v1/plans/{id}/versions  (ADMIN only)
+ *
+ * Changes a plan by publishing a new version; existing versions are never
+ * edited.  The new version becomes the plan's `current_version`:
+ *
+ *   • New subscriptions (and switches TO this plan) get the new version.
+ *   • Existing subscribers keep the version they are on — their price,
+ *     limits and features do not change under them (grandfathering).
+ *
+ * Body (all optional, at least one): trial_days, limits, features, prices,
+ * usage_rates, tax_behavior.  A field that is omitted is copied from the current version;
+ * a field that is given REPLACES it (limits/features/prices/usage_rates are
+ * not merged).
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { withSystemTransaction } = require("../../shared/db");
+const {
+  getPlan,
+  invalidatePlan,
+  insertPlanVersion,
+} = require("../../shared/plans");
+
+async function createPlanVersionHandler(
+  event,
+  context,
+  { tenant, body, pathParams, logger, requestId },
+) {
+  const planId = pathParams.id;
+
+  logger.info("Creating plan version", { planId });
+
+  const version = await withSystemTransaction(async (client) => {
+    // Lock the plan row so concurrent publishes get distinct versions
+    const existing = await client.query(
+      `SELECT id, status, current_version FROM plans WHERE id = $1 FOR UPDATE`,
+      [planId],
+    );
+
+    if (existing.rows.length === 0) {
+      throw new AppError(404, "Plan not found");
+    }
+
+    const plan = existing.rows[0];
+    if (plan.status === "archived") {
+      throw new AppError(409, "Cannot version an archived plan", { planId });
+    }
+
+    const current = await client.query(
+      `SELECT v.trial_days, v.limits, v.features, v.tax_behavior,
+              COALESCE(
+                json_agg(
+                  json_build_object(
+                    'billing_cycle', pp.billing_cycle,
+                    'currency', pp.currency,
+                    'amount', pp.amount
+                  )
+                ) FILTER (WHERE pp.billing_cycle IS NOT NULL),
+                '[]'
+              ) AS prices,
+              (SELECT COALESCE(
+                        json_agg(
+                          json_build_object(
+                            'event_type', r.event_type,
+                            'currency', r.currency,
+                            'included_quantity', r.included_quantity,
+                            'unit_amount', r.unit_amount
+                          )
+                        ),
+                        '[]'
+                      )
+               FROM plan_usage_rates r
+               WHERE r.plan_id = v.plan_id AND r.version = v.version
+              ) AS usage_rates
+       FROM plan_versions v
+       LEFT JOIN plan_prices pp
+         ON pp.plan_id = v.plan_id AND pp.version = v.version
+       WHERE v.plan_id = $1 AND v.version = $2
+       GROUP BY v.plan_id, v.version`,
+      [planId, plan.current_version],
+    );
+    const previous = current.rows[0];
+    const nextVersion = plan.current_version + 1;
+
+    await insertPlanVersion(client, {
+      planId,
+      version: nextVersion,
+      trialDays: body.trial_days ?? previous.trial_days,
+      limits: body.limits ?? previous.limits,
+      features: body.features ?? previous.features,
+      prices: body.prices ?? previous.prices,
+      usageRates: body.usage_rates ?? previous.usage_rates,
+      taxBehavior: body.tax_behavior ?? previous.tax_behavior,
+      createdBy: tenant.userId,
+    });
+
+    await client.query(
+      `UPDATE plans SET current_version = $2 WHERE id = $1`,
+      [planId, nextVersion],
+    );
+
+    return nextVersion;
+  });
+
+  invalidatePlan(planId);
+  const plan = await getPlan(planId, { version });
+
+  logger.info("Plan version created", { planId, version });
+
+  return jsonResponse(201, {
+    message: "Plan version created",
+    plan,
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(createPlanVersionHandler, {
+  schemaName: "create-plan-version",
+  requireBody: true,
+  requireAdmin: true,
+});
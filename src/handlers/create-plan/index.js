@@ -0,0 +1,93 @@
+/**
+ * createPlanHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * POST /v1/plans  (ADMIN only)
+ *
+ * Adds a plan to the catalog as version 1.
+ *
+ * Body:
+ *   {
+ *     "id": "team",                      // plan key, used as subscriptions.plan_id
+ *     "name": "Team",
+ *     "trial_days": 14,
+ *     "limits":   { "maxUsers": 25, "maxEventsPerMonth": 50000 },
+ *     "features": { "invoiceExport": true, "webhooks": true },
+ *     "tax_behavior": "exclusive",       // or "inclusive" — prices contain tax
+ *     "prices": [
+ *       { "billing_cycle": "monthly", "amount": 59 },
+ *       { "billing_cycle": "annual",  "amount": 566.4, "currency": "usd" }
+ *     ],
+ *     "usage_rates": [                   // optional — metered usage (shared/usage)
+ *       { "event_type": "api_call", "included_quantity": 100000, "unit_amount": 0.0005 }
+ *     ]
+ *   }
+ *
+ * The plan, its first version and prices are written in one transaction.
+ * New subscriptions can use it immediately; other Lambdas see it within the
+ * plan cache TTL (shared/plans).
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { withSystemTransaction } = require("../../shared/db");
+const {
+  getPlan,
+  invalidatePlan,
+  insertPlanVersion,
+} = require("../../shared/plans");
+
+async function createPlanHandler(
+  event,
+  context,
+  { tenant, body, logger, requestId },
+) {
+  logger.info("Creating plan", { planId: body.id });
+
+  await withSystemTransaction(async (client) => {
+    const inserted = await client.query(
+      `INSERT INTO plans (id, name, status, current_version)
+       VALUES ($1, $2, 'active', 1)
+       ON CONFLICT (id) DO NOTHING
+       RETURNING id`,
+      [body.id, body.name],
+    );
+
+    if (inserted.rows.length === 0) {
+      throw new AppError(409, `Plan already exists: ${body.id}`, {
+        hint: `Use POST /v1/plans/${body.id}/versions to change it`,
+      });
+    }
+
+    await insertPlanVersion(client, {
+      planId: body.id,
+      version: 1,
+      trialDays: body.trial_days ?? 0,
+      limits: body.limits || {},
+      features: body.features || {},
+      prices: body.prices,
+      usageRates: body.usage_rates || [],
+      taxBehavior: body.tax_behavior,
+      createdBy: tenant.userId,
+    });
+  });
+
+  invalidatePlan(body.id);
+  const plan = await getPlan(body.id);
+
+  logger.info("Plan created", { planId: plan.id, prices: plan.prices.length });
+
+  return jsonResponse(201, {
+    message: "Plan created",
+    plan,
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(createPlanHandler, {
+  schemaName: "create-plan",
+  requireBody: true,
+  requireAdmin: true,
+});
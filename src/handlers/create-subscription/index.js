@@ -9,8 +9,10 @@
  * Flow:
  *   1. Middleware extracts tenant context from JWT, validates body.
  *   2. Handler validates the plan exists and is active.
- *   3. Checks for existing active subscription (one active sub per tenant).
- *   4. Inserts into `subscriptions` table with tenant-scoped query.
+ *   3. Locks the tenant row, then checks for an existing subscription that is
+ *      still running — active, trialing, past_due (in dunning) or paused —
+ *      so two concurrent requests cannot both subscribe.
+ *   4. Inserts into `subscriptions` table in the same transaction.
  *   5. Returns created subscription with status 201.
  *
  * Tenant isolation:
@@ -21,57 +23,82 @@
  *
  * Billing cycle:
  *   • Supported values: monthly, quarterly, annual.
- *   • `current_period_start` and `current_period_end` are calculated based
- *     on the cycle at creation time.
+ *   • Periods end on the billing anchor day (shared/billing-period),
+ *     clamped to short months.  The anchor defaults to the day billing
+ *     starts (today, or the day the trial ends).
+ *   • `billing_anchor_day` sets it explicitly, e.g. 1 to bill on the 1st.
+ *     The first period then runs only to the next anchor date and is
+ *     charged pro rata (`proratedPeriod` in the event); full cycles follow.
+ *     With a trial, the stub starts when the trial ends (process-trials).
+ *
+ * Pricing:
+ *   • The plan's CURRENT version is used (shared/plans, DB catalog) and
+ *     recorded in `plan_version` — later catalog changes do not reprice the
+ *     subscription.
+ *   • Currency: `currency` in the body, else the tenant default
+ *     (`tenants.settings.currency`), else USD.  The plan must have a price in
+ *     that currency.  It is fixed for the life of the subscription — every
+ *     invoice, including proration after a plan change, uses it.
+ *
+ * Seats:
+ *   • `quantity` (default 1) is the number of seats.  Plan prices are per
+ *     seat: `unit_amount` is the plan price and `amount` = unit × quantity.
+ *     The plan's `maxUsers` limit caps the quantity, and it cannot be lower
+ *     than the tenant's current users (shared/seats).
+ *
+ * Coupons:
+ *   • `coupon_code` redeems a coupon (shared/coupons): it is validated
+ *     against plan, currency, expiry and redemption limit, reserved, and
+ *     attached to the subscription in the same transaction as the INSERT.
+ *     generate-invoice applies the discount to each invoice it covers.
+ *
+ * Trials:
+ *   • Each plan version has a default trial length (`trial_days`);
+ *     `trial_days` in the body overrides it (0 = no trial).
+ *   • A trial starts the subscription in `trialing` status with the trial
+ *     as its first period (current_period_end = trial_end).  No invoice is
+ *     issued until the process-trials job converts it to `active`.
  */
 
 const { v4: uuidv4 } = require("uuid");
-const { SNSClient, PublishCommand } = require("@aws-sdk/client-sns");
 const {
   withMiddleware,
   jsonResponse,
   AppError,
 } = require("../../shared/middleware");
-const { queryWithTenant, transactionWithTenant } = require("../../shared/db");
+const { queryWithTenant, withTenantTransaction } = require("../../shared/db");
 const {
   incrementCounter,
   recordBusinessMetric,
   startTimer,
 } = require("../../shared/metrics");
+const { publishEvent } = require("../../shared/events");
+const { formatSubscription } = require("../../shared/subscriptions");
+const { normalizeCurrency, roundMoney } = require("../../shared/currency");
+const { getTenantCurrency } = require("../../shared/tenants");
+const { redeemCoupon, formatCoupon } = require("../../shared/coupons");
+const {
+  validateQuantity,
+  lockSeats,
+  countActiveUsers,
+} = require("../../shared/seats");
+const {
+  getPlan,
+  getPlanPrice,
+} = require("../../shared/plans");
+const {
+  validateAnchorDay,
+  anchorDayOf,
+  firstBillingPeriod,
+  periodAmount,
+} = require("../../shared/billing-period");
 
-const sns = new SNSClient({});
-const SNS_TOPIC_ARN = process.env.SNS_TOPIC_ARN;
-
-// ── Billing cycle helpers ──────────────────────────────────────────────── //
-
-const BILLING_CYCLES = {
-  monthly: { months: 1 },
-  quarterly: { months: 3 },
-  annual: { months: 12 },
-};
-
-function calculatePeriodEnd(startDate, cycle) {
-  const config = BILLING_CYCLES[cycle];
-  if (!config) {
-    throw new AppError(400, `Invalid billing cycle: ${cycle}`, {
-      validCycles: Object.keys(BILLING_CYCLES),
-    });
-  }
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-  const end = new Date(startDate);
-  end.setMonth(end.getMonth() + config.months);
-  return end;
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
 }
 
-// ── Plan catalog (in production, this would come from a DB table) ──────── //
-
-const PLANS = {
-  free: { name: "Free", priceMonthly: 0, maxEvents: 1000 },
-  starter: { name: "Starter", priceMonthly: 29, maxEvents: 10000 },
-  pro: { name: "Professional", priceMonthly: 99, maxEvents: 100000 },
-  enterprise: { name: "Enterprise", priceMonthly: 499, maxEvents: -1 }, // unlimited
-};
-
 // ── Handler ────────────────────────────────────────────────────────────── //
 
 async function createSubscriptionHandler(
@@ -80,96 +107,159 @@ async function createSubscriptionHandler(
   { tenant, body, logger, requestId },
 ) {
   const { tenantId } = tenant;
-  const { plan_id, billing_cycle, metadata } = body;
+  const { plan_id, billing_cycle, trial_days, coupon_code, metadata } = body;
+  const quantity = body.quantity ?? 1;
+  const requestedAnchorDay =
+    body.billing_anchor_day != null
+      ? validateAnchorDay(body.billing_anchor_day)
+      : null;
+  const requestedCurrency = body.currency && normalizeCurrency(body.currency);
 
   logger.info("Creating subscription", {
     tenantId,
     planId: plan_id,
     billingCycle: billing_cycle,
+    quantity,
   });
 
-  // ── Validate plan ────────────────────────────────────────────────────── //
-  const plan = PLANS[plan_id];
-  if (!plan) {
-    throw new AppError(400, `Unknown plan: ${plan_id}`, {
-      validPlans: Object.keys(PLANS),
-    });
-  }
+  // ── Validate plan (catalog: active plans, current version) ──────────── //
+  const plan = await getPlan(plan_id);
+
+  // ── Calculate billing period (the trial, if there is one) ────────────── //
+  const now = new Date();
+  const trialDays = trial_days ?? plan.trialDays;
+  const trialEnd = trialDays > 0 ? addDays(now, trialDays) : null;
+  const status = trialEnd ? "trialing" : "active";
+
+  const firstPeriod = trialEnd
+    ? null
+    : firstBillingPeriod(now, billing_cycle, requestedAnchorDay);
+  const anchorDay =
+    requestedAnchorDay ?? firstPeriod?.anchorDay ?? anchorDayOf(trialEnd);
+
+  const periodStart = now;
+  const periodEnd = trialEnd || firstPeriod.periodEnd;
 
-  // ── Check for existing active subscription ───────────────────────────── //
-  const existingSub = await queryWithTenant(
+  // ── Currency: request, else tenant default ───────────────────────────── //
+  const tenantRow = await queryWithTenant(
     tenantId,
-    `SELECT id, plan_id, status FROM subscriptions
-     WHERE tenant_id = $1 AND status IN ('active', 'trialing')
-     LIMIT 1`,
+    `SELECT settings FROM tenants WHERE id = $1`,
     [tenantId],
   );
+  const tenantSettings = tenantRow.rows[0]?.settings;
+  const currency = requestedCurrency || getTenantCurrency(tenantSettings);
 
-  if (existingSub.rows.length > 0) {
-    const sub = existingSub.rows[0];
-    throw new AppError(409, "Tenant already has an active subscription", {
-      existingSubscriptionId: sub.id,
-      currentPlan: sub.plan_id,
-      currentStatus: sub.status,
-    });
-  }
+  // ── Seats, priced per seat from the plan version's price list ────────── //
+  validateQuantity(plan, quantity, tenantSettings);
+  const unitAmount = getPlanPrice(plan, billing_cycle, currency);
+  const amount = roundMoney(unitAmount * quantity, currency);
 
-  // ── Calculate billing period ─────────────────────────────────────────── //
-  const now = new Date();
-  const periodStart = now;
-  const periodEnd = calculatePeriodEnd(now, billing_cycle);
-
-  // ── Calculate pricing ─────────────────────────────────────────────────── //
-  let amount;
-  switch (billing_cycle) {
-    case "monthly":
-      amount = plan.priceMonthly;
-      break;
-    case "quarterly":
-      amount = plan.priceMonthly * 3 * 0.9;
-      break; // 10% discount
-    case "annual":
-      amount = plan.priceMonthly * 12 * 0.8;
-      break; // 20% discount
-    default:
-      amount = plan.priceMonthly;
+  // A stub first period is charged pro rata, per seat
+  let proratedPeriod = null;
+  if (firstPeriod?.stub) {
+    const stubUnitAmount = periodAmount(
+      unitAmount,
+      firstPeriod,
+      billing_cycle,
+      currency,
+    );
+    proratedPeriod = {
+      unitAmount: stubUnitAmount,
+      amount: roundMoney(stubUnitAmount * quantity, currency),
+    };
   }
 
-  // ── Insert subscription within a transaction ─────────────────────────── //
+  // ── Insert subscription (and redeem the coupon) in one transaction ──── //
   const subscriptionId = uuidv4();
   const nowIso = now.toISOString();
 
-  const [insertResult] = await transactionWithTenant(tenantId, [
-    {
-      text: `INSERT INTO subscriptions
-               (id, tenant_id, plan_id, status, billing_cycle, amount, currency,
-                current_period_start, current_period_end, metadata, created_at, updated_at)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-             RETURNING *`,
-      params: [
-        subscriptionId,
-        tenantId,
-        plan_id,
-        "active",
-        billing_cycle,
-        amount,
-        "usd",
-        periodStart.toISOString(),
-        periodEnd.toISOString(),
-        JSON.stringify(metadata || {}),
-        nowIso,
-        nowIso,
-      ],
-    },
-  ]);
+  const { subscription, coupon } = await withTenantTransaction(
+    tenantId,
+    async (client) => {
+      // The tenant row lock serializes sign-ups, so the check below holds
+      // until this transaction commits
+      await lockSeats(client, tenantId);
+
+      // ── Check for an existing subscription ─────────────────────────── //
+      const existingSub = await client.query(
+        `SELECT id, plan_id, status FROM subscriptions
+         WHERE tenant_id = $1
+           AND status IN ('active', 'trialing', 'past_due', 'paused')
+         LIMIT 1`,
+        [tenantId],
+      );
+
+      if (existingSub.rows.length > 0) {
+        const sub = existingSub.rows[0];
+        throw new AppError(409, "Tenant already has an active subscription", {
+          existingSubscriptionId: sub.id,
+          currentPlan: sub.plan_id,
+          currentStatus: sub.status,
+          hint: `Use PATCH /v1/subscriptions/${sub.id} to change plans`,
+        });
+      }
+
+      const used = await countActiveUsers(client, tenantId);
+      if (quantity < used) {
+        throw new AppError(
+          400,
+          `Tenant has ${used} users — subscribe to at least ${used} seats`,
+          { quantity, usersInSeats: used },
+        );
+      }
 
-  const subscription = insertResult.rows[0];
+      const redeemed = coupon_code
+        ? await redeemCoupon(client, {
+            code: coupon_code,
+            planId: plan_id,
+            currency,
+          })
+        : null;
+
+      const inserted = await client.query(
+        `INSERT INTO subscriptions
+           (id, tenant_id, plan_id, plan_version, status, billing_cycle,
+            billing_anchor_day, quantity, unit_amount, amount, currency,
+            current_period_start, current_period_end, trial_start, trial_end,
+            coupon_id, metadata, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+         RETURNING *`,
+        [
+          subscriptionId,
+          tenantId,
+          plan_id,
+          plan.version,
+          status,
+          billing_cycle,
+          anchorDay,
+          quantity,
+          unitAmount,
+          amount,
+          currency,
+          periodStart.toISOString(),
+          periodEnd.toISOString(),
+          trialEnd ? nowIso : null,
+          trialEnd ? trialEnd.toISOString() : null,
+          redeemed ? redeemed.id : null,
+          JSON.stringify(metadata || {}),
+          nowIso,
+          nowIso,
+        ],
+      );
+
+      return { subscription: inserted.rows[0], coupon: redeemed };
+    },
+  );
 
   logger.info("Subscription created successfully", {
     subscriptionId,
     planId: plan_id,
     billingCycle: billing_cycle,
+    status,
+    quantity,
     amount,
+    currency,
+    couponCode: coupon?.code,
     periodEnd: periodEnd.toISOString(),
   });
 
@@ -178,72 +268,50 @@ async function createSubscriptionHandler(
     PlanId: plan_id,
     BillingCycle: billing_cycle,
   });
-  recordBusinessMetric("subscription_revenue", amount, "Count", {
-    PlanId: plan_id,
-    Currency: "usd",
-  });
+  // Trials earn nothing until they convert (counted by process-trials)
+  if (status === "active") {
+    recordBusinessMetric(
+      "subscription_revenue",
+      proratedPeriod?.amount ?? amount,
+      "Count",
+      { PlanId: plan_id, Currency: currency },
+    );
+  }
 
   // ── Publish event to SNS for downstream consumers ────────────────────── //
-  if (SNS_TOPIC_ARN) {
-    const eventPayload = {
-      eventType: "subscription.created",
+  await publishEvent(
+    "subscription.created",
+    {
       tenantId,
       tenantName: tenant.email, // Tenant name from JWT claims
       tenantEmail: tenant.email,
       userId: tenant.userId,
       subscriptionId,
       planId: plan_id,
+      planVersion: plan.version,
       billingCycle: billing_cycle,
+      status,
+      quantity,
+      unitAmount,
       amount,
-      currency: "usd",
+      currency,
       currentPeriodStart: periodStart.toISOString(),
       currentPeriodEnd: periodEnd.toISOString(),
+      billingAnchorDay: anchorDay,
+      proratedPeriod,
+      trialStart: subscription.trial_start,
+      trialEnd: subscription.trial_end,
+      couponId: coupon?.id || null,
+      couponCode: coupon?.code || null,
       metadata: metadata || {},
-      timestamp: new Date().toISOString(),
-    };
-
-    await sns.send(
-      new PublishCommand({
-        TopicArn: SNS_TOPIC_ARN,
-        Message: JSON.stringify(eventPayload),
-        MessageAttributes: {
-          eventType: {
-            DataType: "String",
-            StringValue: "subscription.created",
-          },
-          tenantId: {
-            DataType: "String",
-            StringValue: tenantId,
-          },
-        },
-      }),
-    );
-
-    logger.info("Event published to SNS", {
-      topicArn: SNS_TOPIC_ARN,
-      eventType: "subscription.created",
-      subscriptionId,
-    });
-  }
+    },
+    logger,
+  );
 
   return jsonResponse(201, {
     message: "Subscription created successfully",
-    subscription: {
-      id: subscription.id,
-      tenantId: subscription.tenant_id,
-      planId: subscription.plan_id,
-      status: subscription.status,
-      billingCycle: subscription.billing_cycle,
-      amount: parseFloat(subscription.amount),
-      currency: subscription.currency,
-      currentPeriodStart: subscription.current_period_start,
-      currentPeriodEnd: subscription.current_period_end,
-      metadata:
-        typeof subscription.metadata === "string"
-          ? JSON.parse(subscription.metadata)
-          : subscription.metadata,
-      createdAt: subscription.created_at,
-    },
+    subscription: formatSubscription(subscription),
+    ...(coupon && { coupon: formatCoupon(coupon) }),
     requestId,
   });
 }
@@ -28,6 +28,26 @@ const {
   AppError,
 } = require("../../shared/middleware");
 const { querySystem } = require("../../shared/db");
+const { getPlan } = require("../../shared/plans");
+const { normalizeCurrency } = require("../../shared/currency");
+const { validateNumberingConfig } = require("../../shared/numbering");
+const { normalizePaymentTerms } = require("../../shared/payment-terms");
+
+/**
+ * Request body numbering block → tenants.settings shape (shared/numbering).
+ */
+function numberingSettings(value, field) {
+  const config = {
+    prefix: value.prefix,
+    format: value.format,
+    yearlyReset: value.yearly_reset,
+  };
+  Object.keys(config).forEach((key) => {
+    if (config[key] === undefined) delete config[key];
+  });
+  validateNumberingConfig(config, field);
+  return config;
+}
 
 async function createTenantHandler(
   event,
@@ -53,6 +73,32 @@ async function createTenantHandler(
     });
   }
 
+  // ── Plan must be in the catalog and not archived (throws 400) ───────── //
+  const plan = await getPlan(body.plan || "free");
+
+  // ── Default currency for the tenant's subscriptions (settings.currency) ─ //
+  const settings = { ...(body.settings || {}) };
+  if (body.currency) settings.currency = normalizeCurrency(body.currency);
+
+  // ── Invoice / credit note number formats (400 if invalid) ────────────── //
+  if (body.invoice_numbering) {
+    settings.invoiceNumbering = numberingSettings(
+      body.invoice_numbering,
+      "invoice_numbering",
+    );
+  }
+  if (body.credit_note_numbering) {
+    settings.creditNoteNumbering = numberingSettings(
+      body.credit_note_numbering,
+      "credit_note_numbering",
+    );
+  }
+
+  // ── Payment terms of the tenant's invoices (400 if invalid) ──────────── //
+  if (body.payment_terms) {
+    settings.paymentTerms = normalizePaymentTerms(body.payment_terms);
+  }
+
   // ── Create the tenant ────────────────────────────────────────────────── //
   const tenantId = uuidv4();
   const now = new Date().toISOString();
@@ -65,9 +111,9 @@ async function createTenantHandler(
       tenantId,
       body.name,
       body.email,
-      body.plan || "free",
+      plan.id,
       "active",
-      JSON.stringify(body.settings || {}),
+      JSON.stringify(settings),
       tenant.userId,
       now,
       now,
@@ -0,0 +1,86 @@
+/**
+ * downloadInvoiceExportHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * GET /v1/invoice-exports/{id}/download?part=N
+ *
+ * Downloads one part (default 1) of a completed export.  Each part is at
+ * most PART_MAX_BYTES so it fits in one Lambda response; the parts
+ * concatenated in order are the complete file — the CSV header is only in
+ * part 1, and no row spans two parts.
+ *
+ * Errors:
+ *   • 404 — unknown or expired export, or no such part
+ *   • 409 — the export is not completed yet (or failed)
+ *
+ * Entitlements: invoiceExport — required; tenants without it get 403.
+ */
+
+const {
+  withMiddleware,
+  binaryResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { queryWithTenant } = require("../../shared/db");
+const { incrementCounter } = require("../../shared/metrics");
+const {
+  EXPORT_FORMATS,
+  getInvoiceExport,
+  exportFilename,
+} = require("../../shared/invoice-export");
+
+async function downloadInvoiceExportHandler(
+  event,
+  context,
+  { tenant, pathParams, queryParams, logger },
+) {
+  const { tenantId } = tenant;
+  const part = queryParams.part === undefined ? 1 : Number(queryParams.part);
+  if (!Number.isInteger(part) || part < 1) {
+    throw new AppError(400, "Invalid part — use a part number from 1");
+  }
+
+  const row = await getInvoiceExport(tenantId, pathParams.id);
+  if (row.status !== "completed") {
+    throw new AppError(409, `Invoice export is ${row.status}`, {
+      status: row.status,
+      error: row.error || undefined,
+    });
+  }
+
+  const result = await queryWithTenant(
+    tenantId,
+    `SELECT content FROM invoice_export_parts
+     WHERE export_id = $1 AND tenant_id = $2 AND part_number = $3`,
+    [row.id, tenantId, part],
+  );
+  if (result.rows.length === 0) {
+    throw new AppError(404, "Invoice export part not found", {
+      parts: row.part_count,
+    });
+  }
+
+  const content = Buffer.from(result.rows[0].content, "utf-8");
+
+  logger.info("Invoice export downloaded", {
+    exportId: row.id,
+    part,
+    parts: row.part_count,
+    bytes: content.length,
+  });
+
+  incrementCounter("invoice_export_download", 1, { Format: row.format });
+
+  return binaryResponse(200, content, {
+    contentType: EXPORT_FORMATS[row.format].contentType,
+    filename: exportFilename(
+      row.format,
+      row.created_at,
+      row.part_count > 1 ? part : null,
+    ),
+  });
+}
+
+module.exports.handler = withMiddleware(downloadInvoiceExportHandler, {
+  requireBody: false,
+  requireFeature: "invoiceExport",
+});
@@ -0,0 +1,112 @@
+/**
+ * exportInvoicesHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * GET /v1/invoices/export
+ *
+ * Downloads the calling tenant's invoices as one file (shared/invoice
+ * -export), oldest first:
+ *
+ *   • format=csv   (default) one row per invoice line, invoice columns
+ *                  repeated on every line
+ *   • format=jsonl one invoice per line, as GET /v1/invoices returns it
+ *
+ * Filters — the same as GET /v1/invoices: status, currency, from, to.
+ *
+ * Invoices are read in batches and serialized as they arrive, never loaded
+ * all at once.  The file still has to fit in one Lambda response, so an
+ * export of more than SYNC_MAX_INVOICES invoices (or SYNC_MAX_BYTES) is
+ * refused with 422 — request it as an async export instead
+ * (POST /v1/invoice-exports).
+ *
+ * Entitlements: invoiceExport — required; tenants without it get 403.
+ */
+
+const {
+  withMiddleware,
+  binaryResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { withTenantTransaction } = require("../../shared/db");
+const { incrementCounter } = require("../../shared/metrics");
+const { parseInvoiceFilters } = require("../../shared/invoices");
+const {
+  EXPORT_FORMATS,
+  SYNC_MAX_INVOICES,
+  SYNC_MAX_BYTES,
+  parseExportFormat,
+  countExportInvoices,
+  writeInvoiceExport,
+  exportFilename,
+} = require("../../shared/invoice-export");
+
+// Check the size limit every 256 KB of output
+const SYNC_CHUNK_BYTES = 256 * 1024;
+
+function tooLarge(details) {
+  return new AppError(422, "Export too large for a direct download", {
+    ...details,
+    hint: "Request it as an async export: POST /v1/invoice-exports",
+  });
+}
+
+async function exportInvoicesHandler(
+  event,
+  context,
+  { tenant, queryParams, logger },
+) {
+  const { tenantId } = tenant;
+  const format = parseExportFormat(queryParams.format);
+  const filters = parseInvoiceFilters(queryParams);
+
+  logger.info("Exporting invoices", { tenantId, format, ...filters });
+
+  const { chunks, totals } = await withTenantTransaction(
+    tenantId,
+    async (client) => {
+      const matching = await countExportInvoices(client, tenantId, filters);
+      if (matching > SYNC_MAX_INVOICES) {
+        throw tooLarge({
+          matchingInvoices: matching,
+          maxInvoices: SYNC_MAX_INVOICES,
+        });
+      }
+
+      const output = [];
+      let bytes = 0;
+      const written = await writeInvoiceExport(
+        client,
+        tenantId,
+        { format, filters, chunkBytes: SYNC_CHUNK_BYTES },
+        async (chunk) => {
+          const buffer = Buffer.from(chunk, "utf-8");
+          bytes += buffer.length;
+          if (bytes > SYNC_MAX_BYTES) {
+            throw tooLarge({ maxBytes: SYNC_MAX_BYTES });
+          }
+          output.push(buffer);
+        },
+      );
+
+      return { chunks: output, totals: written };
+    },
+  );
+
+  logger.info("Invoices exported", {
+    format,
+    invoices: totals.invoiceCount,
+    rows: totals.rowCount,
+    bytes: totals.byteSize,
+  });
+
+  incrementCounter("invoice_export_count", 1, { Format: format });
+
+  return binaryResponse(200, Buffer.concat(chunks), {
+    contentType: EXPORT_FORMATS[format].contentType,
+    filename: exportFilename(format),
+  });
+}
+
+module.exports.handler = withMiddleware(exportInvoicesHandler, {
+  requireBody: false,
+  requireFeature: "invoiceExport",
+});
@@ -0,0 +1,71 @@
+/**
+ * finalizeInvoiceHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * POST /v1/invoices/{id}/finalize  (ADMIN only)
+ *
+ * Issues a `draft` invoice: `draft → issued` (shared/invoice-lifecycle).
+ * From then on its line items and totals are immutable.  A charge without a
+ * due date is due under the subscription's or tenant's payment terms
+ * (shared/payment-terms), which the invoice records; credits get none.
+ * The issue is journaled in the same transaction (shared/journal).
+ *
+ * Publishes "invoice.finalized" — send-notification emails the tenant and
+ * audit-log records it.  409 for any other status.
+ */
+
+const { withMiddleware, jsonResponse } = require("../../shared/middleware");
+const { withSystemTransaction } = require("../../shared/db");
+const { incrementCounter } = require("../../shared/metrics");
+const { publishEvent } = require("../../shared/events");
+const { formatInvoice } = require("../../shared/invoices");
+const {
+  transitionInvoice,
+  invoiceEventPayload,
+} = require("../../shared/invoice-lifecycle");
+
+async function finalizeInvoiceHandler(
+  event,
+  context,
+  { pathParams, logger, requestId },
+) {
+  const invoiceId = pathParams.id;
+
+  logger.info("Finalizing invoice", { invoiceId });
+
+  // ADMIN acts on any tenant's invoice — system transaction, no RLS
+  const { before, after, eventType, tenantRow } = await withSystemTransaction(
+    async (client) => {
+      const result = await transitionInvoice(client, invoiceId, "finalize");
+      const tenantResult = await client.query(
+        `SELECT name, email FROM tenants WHERE id = $1`,
+        [result.after.tenant_id],
+      );
+      return { ...result, tenantRow: tenantResult.rows[0] };
+    },
+  );
+
+  logger.info("Invoice finalized", {
+    invoiceId,
+    tenantId: after.tenant_id,
+    dueDate: after.due_date,
+  });
+
+  incrementCounter("invoice_transition_count", 1, { Action: "finalize" });
+
+  await publishEvent(
+    eventType,
+    invoiceEventPayload(before, after, tenantRow),
+    logger,
+  );
+
+  return jsonResponse(200, {
+    message: "Invoice finalized",
+    invoice: formatInvoice(after),
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(finalizeInvoiceHandler, {
+  requireBody: false,
+  requireAdmin: true,
+});
@@ -1,21 +1,95 @@
 /**
  * generate-invoice — SQS Consumer
  * ────────────────────────────────────────────────────────────────────────────
- * Triggered when a subscription is created.  Generates a draft invoice for
- * the first billing period.
+ * Triggered by subscription lifecycle events.  Dispatches on `eventType`:
+ *
+ *   • subscription.created  — invoice for the first billing period.  Skipped
+ *     for trials: nothing is owed until the trial converts.
+ *   • subscription.trial_converted — the deferred first invoice, for the
+ *     first paid period after the trial (emitted by process-trials).
+ *   • subscription.renewed  — invoice for the next period (emitted by
+ *     renew-subscriptions), plus usage for the period just ended.
+ *   • subscription.canceled — credit invoice (negative amount) for the unused
+ *     part of the period when a subscription is canceled immediately, net of
+ *     usage up to the cancellation.
+ *   • subscription.ended    — usage invoice for the final period of a
+ *     subscription canceled at period end (only if there is usage to charge).
+ *   • subscription.updated  — proration invoice for a plan/cycle or seat
+ *     change: a credit line for the old terms and a debit line for the new.  The
+ *     invoice amount is the net, which is negative for most downgrades.  A
+ *     cycle change starts a new period, discounted by the subscription's
+ *     coupon like a renewal.
  *
  * Flow:
- *   1. Receives "subscription.created" event from SQS (via SNS fan-out).
+ *   1. Receives the event from SQS (via SNS fan-out).
  *   2. Idempotency middleware checks processed_events table.
- *   3. Generates invoice number: INV-{YYYYMMDD}-{short-uuid}.
- *   4. Calculates line items from subscription amount and billing cycle.
- *   5. Inserts invoice with status "issued" and due date 30 days out.
+ *   3. Takes the next invoice number of the tenant's gapless series
+ *      (shared/numbering) — INV-000001 by default, or the tenant's format.
+ *   4. Calculates line items from the event payload.
+ *   5. Inserts invoice with status "issued" (charges are due under the
+ *      subscription's or tenant's payment terms, net 30 by default; credits
+ *      go to the customer balance).  Issued invoices are immutable
+ *      (migrations/016_invoice_lifecycle.sql) — later status changes go
+ *      through the invoice action routes.
  *   6. Reports success/failure back to SQS via batchItemFailures.
  *
+ * Billing anchor:
+ *   A first period that runs only to the subscription's billing anchor date
+ *   carries `proratedPeriod` ({ unitAmount, amount }) in the event; the
+ *   first invoice bills that instead of the full cycle price.
+ *
+ * Seats:
+ *   Plan invoices bill the subscription's seats as one line item with
+ *   `quantity` seats at `unitPrice` each.  Events published before seat
+ *   pricing carry no quantity and are billed as a single unit.  Proration
+ *   lines are time-based amounts (quantity 1) whose description names the
+ *   seat counts.
+ *
+ * Metered usage:
+ *   Usage is billed in arrears (shared/usage): one "usage" line per event
+ *   type the plan rates, for the window since the last usage billed.  The
+ *   invoice records the window (`usage_window_start`/`_end`) and each line
+ *   its event count, and the subscription's `usage_billed_through` advances
+ *   in the same transaction.  Rates are those of the plan version in force
+ *   at the end of the window — before a scheduled change applied at renewal.
+ *
+ * Coupons:
+ *   Plan invoices (first invoice, renewals, the new period of a cycle change)
+ *   of a subscription with a coupon get a "discount" line item while the coupon's duration allows
+ *   (shared/coupons).  The discount applies to the plan amount, not usage.  The invoice and its `coupon_redemptions` row are
+ *   written in one transaction, so a retried message cannot use up a
+ *   redemption without an invoice, or vice versa.
+ *
+ * Tax:
+ *   Every invoice is taxed in the customer's jurisdiction (shared/tax) — a
+ *   "tax" line item, and `subtotal`, `tax_amount` and `amount` (the total)
+ *   stored separately.  Plan prices are tax-exclusive or tax-inclusive per
+ *   plan version (`tax_behavior`); exempt and reverse-charge customers get
+ *   a 0% tax line.  Proration and credit invoices are taxed the same way,
+ *   so a credit carries negative tax.
+ *
+ * Customer balance:
+ *   The tenant's balance in the invoice's currency (shared/customer-balance
+ *   — credit note leftovers, overpayments, prepayments) is drawn down by
+ *   every charge, in the invoice's transaction.  It reduces the amount due
+ *   (`balance_applied`, the "applied balance" line of the invoice), not
+ *   the taxed total; an invoice covered in full is inserted as `paid`.  A
+ *   credit invoice (negative total) is credited to the balance in full and
+ *   inserted as `paid` — there is nothing left to settle on it.
+ *
+ * Currency:
+ *   Every invoice is in its subscription's currency, taken from the event
+ *   (amounts were already rounded to that currency's minor unit upstream).
+ *   migrations/009_multi_currency.sql rejects a mismatch.
+ *
  * Idempotency:
  *   The `withSqsConsumer` middleware prevents double-processing.  Even if
  *   SQS delivers the same message twice, only one invoice is created.
  *   The UNIQUE constraint on (tenant_id, invoice_number) is a final safety net.
+ *   Renewal invoices are additionally unique per (subscription_id,
+ *   period_start) — a re-published renewal event is skipped, never billed
+ *   twice, and the invoice number it took is given back (savepoint), so
+ *   the series stays gapless.
  *
  * Failure handling:
  *   - Transient failures (DB timeout): Message stays in SQS, retried up to
@@ -25,98 +99,779 @@
  */
 
 const { v4: uuidv4 } = require("uuid");
-const { queryWithTenant } = require("../../shared/db");
+const { withTenantTransaction } = require("../../shared/db");
 const { withSqsConsumer } = require("../../shared/sqs-consumer");
 const { startTimer, recordBusinessMetric } = require("../../shared/metrics");
+const { DEFAULT_CURRENCY } = require("../../shared/currency");
+const {
+  applyCoupon,
+  describeCoupon,
+  recordRedemption,
+} = require("../../shared/coupons");
+const { getPlan } = require("../../shared/plans");
+const { rateUsage, markUsageBilled } = require("../../shared/usage");
+const { taxInvoice } = require("../../shared/tax");
+const {
+  takeBalance,
+  recordBalanceTransaction,
+} = require("../../shared/customer-balance");
+const { nextDocumentNumber } = require("../../shared/numbering");
+const { resolvePaymentTerms } = require("../../shared/payment-terms");
+const { journalInvoiceIssued } = require("../../shared/journal");
+
+/**
+ * Seat count suffix for line item descriptions, e.g. " (12 seats)".
+ */
+function seatLabel(quantity) {
+  return quantity > 1 ? ` (${quantity} seats)` : "";
+}
+
+/**
+ * The plan version a subscriptions row is on (usage rates at window end).
+ */
+function subscriptionPlan(sub, client) {
+  return getPlan(sub.plan_id, {
+    version: sub.plan_version,
+    includeArchived: true,
+    client,
+  });
+}
+
+/**
+ * Insert an invoice row (tenant-scoped via RLS) and return it.  Taxes the
+ * line items (shared/tax): a tax line is appended and the invoice stores
+ * subtotal, tax and total (`amount`).  The tenant's balance in the same
+ * currency is applied to a charge (`balance_applied`); an invoice it covers
+ * in full is inserted `paid`.  A charge (total > 0) records the payment
+ * terms in force and is due under them (shared/payment-terms).  A credit
+ * (total < 0) is added to the balance and inserted `paid`.  The invoice is
+ * journaled in the same transaction (shared/journal).
+ *
+ * Returns null when a renewal invoice for the same subscription period
+ * already exists (idx_invoices_cycle_period).
+ */
+async function insertInvoice(
+  client,
+  tenantId,
+  {
+    subscriptionId,
+    billingReason,
+    currency,
+    lineItems,
+    periodStart,
+    periodEnd,
+    usageWindow,
+  },
+) {
+  const invoiceCurrency = currency || DEFAULT_CURRENCY;
+  const taxed = await taxInvoice(client, {
+    tenantId,
+    subscriptionId,
+    lineItems,
+    currency: invoiceCurrency,
+  });
+
+  const balanceApplied = await takeBalance(client, {
+    tenantId,
+    currency: invoiceCurrency,
+    amount: taxed.total,
+  });
+  // Nothing left to collect: covered by the balance, or a credit for it
+  const settled =
+    (balanceApplied > 0 && balanceApplied === taxed.total) || taxed.total < 0;
+
+  // Only a charge has something to collect — it is due under the
+  // subscription's or tenant's payment terms (shared/payment-terms)
+  const terms =
+    taxed.total > 0
+      ? await resolvePaymentTerms(client, tenantId, subscriptionId)
+      : null;
+
+  // A duplicate renewal inserts nothing — roll its number back with it
+  await client.query("SAVEPOINT invoice_number");
+  const invoiceNumber = await nextDocumentNumber(client, tenantId, "invoice");
+
+  const invoiceId = uuidv4();
+  const result = await client.query(
+    `INSERT INTO invoices
+       (id, tenant_id, subscription_id, invoice_number, status, amount,
+        subtotal, tax_amount, tax_details, currency, line_items, due_date,
+        billing_reason, period_start, period_end, usage_window_start,
+        usage_window_end, usage_aggregated_at, balance_applied, paid_at,
+        payment_terms, finalized_at, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15,
+             $16, $17, $18, $19, $20, $21, NOW(), NOW(), NOW())
+     ON CONFLICT (subscription_id, period_start)
+       WHERE billing_reason = 'subscription_cycle'
+       DO NOTHING
+     RETURNING id, tenant_id, invoice_number, status, amount, subtotal,
+               tax_amount, currency, balance_applied, due_date,
+               payment_terms`,
+    [
+      invoiceId,
+      tenantId,
+      subscriptionId,
+      invoiceNumber,
+      settled ? "paid" : "issued",
+      taxed.total,
+      taxed.subtotal,
+      taxed.taxAmount,
+      JSON.stringify(taxed.details),
+      invoiceCurrency,
+      JSON.stringify(taxed.lineItems),
+      terms ? terms.dueDate.toISOString() : null,
+      billingReason,
+      periodStart || null,
+      periodEnd || null,
+      usageWindow ? usageWindow.start.toISOString() : null,
+      usageWindow ? usageWindow.end.toISOString() : null,
+      usageWindow ? usageWindow.aggregatedAt.toISOString() : null,
+      balanceApplied,
+      settled ? new Date().toISOString() : null,
+      terms ? JSON.stringify(terms.paymentTerms) : null,
+    ],
+  );
+
+  const invoice = result.rows[0] || null;
+  if (!invoice) {
+    await client.query("ROLLBACK TO SAVEPOINT invoice_number");
+    return null;
+  }
+
+  if (balanceApplied > 0) {
+    await recordBalanceTransaction(client, {
+      tenantId,
+      currency: invoiceCurrency,
+      amount: -balanceApplied,
+      reason: "applied_to_invoice",
+      description: `Applied to invoice ${invoiceNumber}`,
+      invoiceId,
+    });
+  } else if (taxed.total < 0) {
+    await recordBalanceTransaction(client, {
+      tenantId,
+      currency: invoiceCurrency,
+      amount: -taxed.total,
+      reason: "proration_credit",
+      description: `Credit invoice ${invoiceNumber}`,
+      invoiceId,
+    });
+  }
+
+  await journalInvoiceIssued(client, invoice, { creditToBalance: true });
+
+  return invoice;
+}
+
+/**
+ * Insert an invoice for one plan period — the plan line (`quantity` seats
+ * at `unitAmount`), usage lines when `usage` is given, and, while the
+ * subscription's coupon applies, a discount line — and record the coupon
+ * redemption and the billed usage window in the same transaction.
+ *
+ * @param {Object} [params.usage] - `{ windowEnd, resolvePlan }` for
+ *   shared/usage rateUsage
+ * @returns {Promise<{invoice: Object|null, discount: number,
+ *   usageAmount: number}>} invoice is null for a duplicate renewal period
+ *   (see insertInvoice)
+ */
+async function insertPlanInvoice(
+  tenantId,
+  {
+    subscriptionId,
+    billingReason,
+    description,
+    quantity = 1,
+    unitAmount,
+    amount,
+    currency,
+    periodStart,
+    periodEnd,
+    usage,
+  },
+) {
+  return withTenantTransaction(tenantId, async (client) => {
+    const lineItems = [
+      {
+        description,
+        quantity,
+        unitPrice: unitAmount ?? amount,
+        amount,
+        periodStart,
+        periodEnd,
+      },
+    ];
+
+    const rated = usage
+      ? await rateUsage(client, {
+          tenantId,
+          subscriptionId,
+          currency,
+          ...usage,
+        })
+      : null;
+    const usageAmount = rated ? rated.amount : 0;
+    if (rated) lineItems.push(...rated.lineItems);
+
+    const applied = await applyCoupon(client, {
+      subscriptionId,
+      amount,
+      currency,
+    });
+    if (applied) {
+      lineItems.push({
+        type: "discount",
+        description: `Coupon ${describeCoupon(applied.coupon)}`,
+        quantity: 1,
+        unitPrice: -applied.discount,
+        amount: -applied.discount,
+        couponId: applied.coupon.id,
+        periodStart,
+        periodEnd,
+      });
+    }
+    const discount = applied ? applied.discount : 0;
+
+    const invoice = await insertInvoice(client, tenantId, {
+      subscriptionId,
+      billingReason,
+      currency,
+      lineItems,
+      periodStart,
+      periodEnd,
+      usageWindow: rated?.lineItems.length ? rated.window : null,
+    });
+
+    if (invoice && rated) {
+      await markUsageBilled(client, subscriptionId, rated.window.end);
+    }
 
-async function processSubscriptionCreated(body, { logger }) {
+    if (invoice && applied) {
+      await recordRedemption(client, {
+        tenantId,
+        couponId: applied.coupon.id,
+        subscriptionId,
+        invoiceId: invoice.id,
+        amount: discount,
+        currency,
+        periodStart,
+        periodEnd,
+      });
+    }
+
+    return { invoice, discount, usageAmount };
+  });
+}
+
+// ── First invoice (new subscription, or trial conversion) ───────────────── //
+
+async function issueFirstInvoice(body, { logger }) {
   const {
     tenantId,
     subscriptionId,
     planId,
     billingCycle,
+    quantity,
+    unitAmount,
     amount,
     currency,
     currentPeriodStart,
     currentPeriodEnd,
+    proratedPeriod,
   } = body;
 
+  // A first period shorter than a cycle (billing anchor day) is charged
+  // pro rata — prices were already prorated upstream
+  const charged = proratedPeriod || { unitAmount, amount };
+
   const stopTimer = startTimer("invoice_generation", {
     TenantId: tenantId,
     PlanId: planId,
   });
 
-  logger.info("Generating invoice for new subscription", {
+  logger.info("Generating first invoice for subscription", {
     tenantId,
     subscriptionId,
     planId,
+    amount: charged.amount,
+    prorated: Boolean(proratedPeriod),
+  });
+
+  // ── Insert invoice + coupon discount (tenant-scoped via RLS) ────────── //
+  const { invoice, discount } = await insertPlanInvoice(tenantId, {
+    subscriptionId,
+    billingReason: "subscription_create",
+    description:
+      `${planId} plan — ${billingCycle} subscription${seatLabel(quantity)}` +
+      (proratedPeriod ? `, prorated to ${currentPeriodEnd.slice(0, 10)}` : ""),
+    quantity,
+    unitAmount: charged.unitAmount,
+    amount: charged.amount,
+    currency,
+    periodStart: currentPeriodStart,
+    periodEnd: currentPeriodEnd,
+  });
+
+  const durationMs = stopTimer();
+
+  // Emit business metrics via EMF
+  recordBusinessMetric("invoice_amount", parseFloat(invoice.amount), "Count", {
+    TenantId: tenantId,
+    PlanId: planId,
+    Currency: currency,
+  });
+
+  logger.info("Invoice generated successfully", {
+    invoiceId: invoice.id,
+    invoiceNumber: invoice.invoice_number,
+    amount: invoice.amount,
+    discount,
+    balanceApplied: invoice.balance_applied,
+    dueDate: invoice.due_date,
+    generationTimeMs: Math.round(durationMs),
+  });
+}
+
+async function processSubscriptionCreated(body, context) {
+  if (body.status === "trialing") {
+    context.logger.info("Subscription is trialing — first invoice deferred", {
+      subscriptionId: body.subscriptionId,
+      trialEnd: body.trialEnd,
+    });
+    return;
+  }
+
+  await issueFirstInvoice(body, context);
+}
+
+async function processTrialConverted(body, context) {
+  await issueFirstInvoice(body, context);
+}
+
+// ── subscription.renewed — invoice for the next period ─────────────────── //
+
+async function processSubscriptionRenewed(body, { logger }) {
+  const {
+    tenantId,
+    subscriptionId,
+    planId,
+    billingCycle,
+    quantity,
+    unitAmount,
     amount,
+    currency,
+    currentPeriodStart,
+    currentPeriodEnd,
+    appliedChange,
+  } = body;
+
+  const stopTimer = startTimer("invoice_generation", {
+    TenantId: tenantId,
+    PlanId: planId,
   });
 
-  // ── Generate invoice number ────────────────────────────────────────── //
-  const now = new Date();
-  const dateStr = now.toISOString().slice(0, 10).replace(/-/g, "");
-  const shortId = uuidv4().slice(0, 8).toUpperCase();
-  const invoiceNumber = `INV-${dateStr}-${shortId}`;
+  logger.info("Generating renewal invoice", {
+    tenantId,
+    subscriptionId,
+    planId,
+    amount,
+    periodStart: currentPeriodStart,
+  });
 
-  // ── Build line items ───────────────────────────────────────────────── //
-  const lineItems = [
-    {
-      description: `${planId} plan — ${billingCycle} subscription`,
-      quantity: 1,
-      unitPrice: amount,
-      amount: amount,
-      periodStart: currentPeriodStart,
-      periodEnd: currentPeriodEnd,
+  const { invoice, discount, usageAmount } = await insertPlanInvoice(tenantId, {
+    subscriptionId,
+    billingReason: "subscription_cycle",
+    description: `${planId} plan — ${billingCycle} renewal${seatLabel(quantity)}`,
+    quantity,
+    unitAmount,
+    amount,
+    currency,
+    periodStart: currentPeriodStart,
+    periodEnd: currentPeriodEnd,
+    usage: {
+      // The period just ended, at the terms it ran on
+      windowEnd: currentPeriodStart,
+      resolvePlan: (sub, client) =>
+        appliedChange
+          ? getPlan(appliedChange.previousPlanId, {
+              version: appliedChange.previousPlanVersion,
+              includeArchived: true,
+              client,
+            })
+          : subscriptionPlan(sub, client),
     },
-  ];
+  });
 
-  // ── Calculate due date (30 days from creation) ─────────────────────── //
-  const dueDate = new Date(now);
-  dueDate.setDate(dueDate.getDate() + 30);
+  const durationMs = stopTimer();
 
-  // ── Insert invoice (tenant-scoped via RLS) ─────────────────────────── //
-  const invoiceId = uuidv4();
-  const result = await queryWithTenant(
-    tenantId,
-    `INSERT INTO invoices
-       (id, tenant_id, subscription_id, invoice_number, status, amount,
-        currency, line_items, due_date, created_at, updated_at)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
-     RETURNING id, invoice_number, status, amount`,
-    [
-      invoiceId,
+  if (!invoice) {
+    logger.warn("Period already invoiced — skipping duplicate renewal", {
+      subscriptionId,
+      periodStart: currentPeriodStart,
+    });
+    return;
+  }
+
+  recordBusinessMetric("invoice_amount", parseFloat(invoice.amount), "Count", {
+    TenantId: tenantId,
+    PlanId: planId,
+    Currency: currency,
+  });
+
+  if (usageAmount > 0) {
+    recordBusinessMetric("invoice_usage_amount", usageAmount, "Count", {
+      TenantId: tenantId,
+      PlanId: planId,
+      Currency: currency,
+    });
+  }
+
+  logger.info("Renewal invoice generated successfully", {
+    invoiceId: invoice.id,
+    invoiceNumber: invoice.invoice_number,
+    amount: invoice.amount,
+    discount,
+    usageAmount,
+    balanceApplied: invoice.balance_applied,
+    dueDate: invoice.due_date,
+    generationTimeMs: Math.round(durationMs),
+  });
+}
+
+/**
+ * Insert the invoice that closes a subscription's last usage window — usage
+ * lines plus any `creditLines` (unused time after an immediate
+ * cancellation).  Written only if there is a credit or a usage charge; the
+ * window is marked billed either way.  The service period defaults to the
+ * usage window.
+ *
+ * @returns {Promise<{invoice: Object|null, usageAmount: number}>}
+ */
+async function insertFinalInvoice(
+  tenantId,
+  {
+    subscriptionId,
+    billingReason,
+    currency,
+    windowEnd,
+    creditLines = [],
+    periodStart,
+    periodEnd,
+  },
+) {
+  return withTenantTransaction(tenantId, async (client) => {
+    const rated = await rateUsage(client, {
       tenantId,
       subscriptionId,
-      invoiceNumber,
-      "issued",
-      amount,
-      currency || "usd",
-      JSON.stringify(lineItems),
-      dueDate.toISOString(),
-    ],
-  );
+      currency,
+      windowEnd,
+      resolvePlan: subscriptionPlan,
+    });
+    const usageAmount = rated ? rated.amount : 0;
+
+    let invoice = null;
+    if (creditLines.length > 0 || usageAmount > 0) {
+      const lineItems = [...creditLines, ...(rated ? rated.lineItems : [])];
 
-  const invoice = result.rows[0];
+      invoice = await insertInvoice(client, tenantId, {
+        subscriptionId,
+        billingReason,
+        currency,
+        lineItems,
+        periodStart: periodStart || rated.window.start.toISOString(),
+        periodEnd: periodEnd || rated.window.end.toISOString(),
+        usageWindow: rated?.lineItems.length ? rated.window : null,
+      });
+    }
+
+    if (rated) {
+      await markUsageBilled(client, subscriptionId, rated.window.end);
+    }
+
+    return { invoice, usageAmount };
+  });
+}
+
+// ── subscription.canceled — prorated credit for immediate cancellation ── //
+
+async function processSubscriptionCanceled(body, { logger }) {
+  const {
+    tenantId,
+    subscriptionId,
+    planId,
+    currency,
+    mode,
+    canceledAt,
+    currentPeriodEnd,
+    prorationCredit,
+  } = body;
+
+  // At-period-end cancellations run out the paid period — nothing to credit,
+  // and the final usage is billed when the subscription ends
+  if (mode === "at_period_end") {
+    logger.info("Cancellation at period end — nothing to invoice yet", {
+      subscriptionId,
+    });
+    return;
+  }
+
+  const stopTimer = startTimer("invoice_generation", {
+    TenantId: tenantId,
+    PlanId: planId,
+  });
+
+  const credited = prorationCredit > 0;
+  const creditLines = credited
+    ? [
+        {
+          description: `Unused time on ${planId} plan after cancellation`,
+          quantity: 1,
+          unitPrice: -prorationCredit,
+          amount: -prorationCredit,
+          periodStart: canceledAt,
+          periodEnd: currentPeriodEnd,
+        },
+      ]
+    : [];
+
+  const { invoice, usageAmount } = await insertFinalInvoice(tenantId, {
+    subscriptionId,
+    billingReason: "subscription_cancel",
+    currency,
+    windowEnd: canceledAt,
+    creditLines,
+    periodStart: credited ? canceledAt : null,
+    periodEnd: credited ? currentPeriodEnd : null,
+  });
 
   const durationMs = stopTimer();
 
-  // Emit business metrics via EMF
-  recordBusinessMetric("invoice_amount", amount, "Count", {
+  if (!invoice) {
+    logger.info("No credit or usage due for cancellation — skipping invoice", {
+      subscriptionId,
+      mode,
+      prorationCredit,
+    });
+    return;
+  }
+
+  if (credited) {
+    recordBusinessMetric("invoice_credit_amount", prorationCredit, "Count", {
+      TenantId: tenantId,
+      PlanId: planId,
+      Currency: currency,
+    });
+  }
+  if (usageAmount > 0) {
+    recordBusinessMetric("invoice_usage_amount", usageAmount, "Count", {
+      TenantId: tenantId,
+      PlanId: planId,
+      Currency: currency,
+    });
+  }
+
+  logger.info("Cancellation invoice generated successfully", {
+    invoiceId: invoice.id,
+    invoiceNumber: invoice.invoice_number,
+    amount: invoice.amount,
+    usageAmount,
+    generationTimeMs: Math.round(durationMs),
+  });
+}
+
+// ── subscription.ended — usage for the final period ────────────────────── //
+
+async function processSubscriptionEnded(body, { logger }) {
+  const { tenantId, subscriptionId, planId, currency, endedAt } = body;
+
+  const stopTimer = startTimer("invoice_generation", {
     TenantId: tenantId,
     PlanId: planId,
   });
 
-  logger.info("Invoice generated successfully", {
+  const { invoice, usageAmount } = await insertFinalInvoice(tenantId, {
+    subscriptionId,
+    billingReason: "subscription_usage",
+    currency,
+    windowEnd: endedAt,
+  });
+
+  const durationMs = stopTimer();
+
+  if (!invoice) {
+    logger.info("No usage due for the final period — skipping invoice", {
+      subscriptionId,
+    });
+    return;
+  }
+
+  recordBusinessMetric("invoice_usage_amount", usageAmount, "Count", {
+    TenantId: tenantId,
+    PlanId: planId,
+    Currency: currency,
+  });
+
+  logger.info("Final usage invoice generated successfully", {
+    invoiceId: invoice.id,
+    invoiceNumber: invoice.invoice_number,
+    amount: invoice.amount,
+    generationTimeMs: Math.round(durationMs),
+  });
+}
+
+// ── subscription.updated — proration invoice for a plan/cycle change ──── //
+
+async function processSubscriptionUpdated(body, { logger }) {
+  const {
+    tenantId,
+    subscriptionId,
+    previousPlanId,
+    previousBillingCycle,
+    previousQuantity,
+    previousPeriodEnd,
+    planId,
+    billingCycle,
+    quantity,
+    currency,
+    currentPeriodEnd,
+    proration,
+  } = body;
+  const { credit, charge, discount, couponId, net, prorationDate } =
+    proration || {};
+
+  if (!(credit > 0) && !(charge > 0)) {
+    logger.info("Nothing to prorate for plan change — skipping invoice", {
+      subscriptionId,
+    });
+    return;
+  }
+
+  const stopTimer = startTimer("invoice_generation", {
+    TenantId: tenantId,
+    PlanId: planId,
+  });
+
+  logger.info("Generating proration invoice", {
+    tenantId,
+    subscriptionId,
+    previousPlanId,
+    planId,
+    credit,
+    charge,
+    net,
+  });
+
+  // ── Build line items: credit for the old plan, debit for the new one ─ //
+  const lineItems = [];
+  if (credit > 0) {
+    lineItems.push({
+      type: "proration_credit",
+      description: `Unused time on ${previousPlanId} plan (${previousBillingCycle})${seatLabel(previousQuantity)}`,
+      quantity: 1,
+      unitPrice: -credit,
+      amount: -credit,
+      periodStart: prorationDate,
+      periodEnd: previousPeriodEnd,
+    });
+  }
+  if (charge > 0) {
+    lineItems.push({
+      type: "proration_debit",
+      description: `Remaining time on ${planId} plan (${billingCycle})${seatLabel(quantity)}`,
+      quantity: 1,
+      unitPrice: charge,
+      amount: charge,
+      periodStart: prorationDate,
+      periodEnd: currentPeriodEnd,
+    });
+  }
+
+  const invoice = await withTenantTransaction(tenantId, async (client) => {
+    // The coupon discount update-subscription applied to the new period
+    if (discount > 0) {
+      const coupon = await client.query(`SELECT * FROM coupons WHERE id = $1`, [
+        couponId,
+      ]);
+      lineItems.push({
+        type: "discount",
+        description: `Coupon ${describeCoupon(coupon.rows[0])}`,
+        quantity: 1,
+        unitPrice: -discount,
+        amount: -discount,
+        couponId,
+        periodStart: prorationDate,
+        periodEnd: currentPeriodEnd,
+      });
+    }
+
+    const inserted = await insertInvoice(client, tenantId, {
+      subscriptionId,
+      billingReason: "subscription_update",
+      currency,
+      lineItems,
+      periodStart: prorationDate,
+      periodEnd: currentPeriodEnd,
+    });
+
+    if (discount > 0) {
+      await recordRedemption(client, {
+        tenantId,
+        couponId,
+        subscriptionId,
+        invoiceId: inserted.id,
+        amount: discount,
+        currency,
+        periodStart: prorationDate,
+        periodEnd: currentPeriodEnd,
+      });
+    }
+
+    return inserted;
+  });
+
+  const durationMs = stopTimer();
+
+  recordBusinessMetric("invoice_amount", net, "Count", {
+    TenantId: tenantId,
+    PlanId: planId,
+    Currency: currency,
+  });
+
+  logger.info("Proration invoice generated successfully", {
     invoiceId: invoice.id,
     invoiceNumber: invoice.invoice_number,
     amount: invoice.amount,
-    dueDate: dueDate.toISOString(),
     generationTimeMs: Math.round(durationMs),
   });
 }
 
+// ── Dispatch ───────────────────────────────────────────────────────────── //
+
+const EVENT_PROCESSORS = {
+  "subscription.created": processSubscriptionCreated,
+  "subscription.canceled": processSubscriptionCanceled,
+  "subscription.updated": processSubscriptionUpdated,
+  "subscription.trial_converted": processTrialConverted,
+  "subscription.renewed": processSubscriptionRenewed,
+  "subscription.ended": processSubscriptionEnded,
+};
+
+async function processInvoiceEvent(body, context) {
+  // Messages published before eventType routing existed carry no type
+  const eventType = body.eventType || "subscription.created";
+  const processor = EVENT_PROCESSORS[eventType];
+
+  if (!processor) {
+    // The SNS filter policy should prevent this — acknowledge and move on
+    // rather than retrying a message we will never be able to handle.
+    context.logger.warn("Unsupported event type — skipping", { eventType });
+    return;
+  }
+
+  await processor(body, context);
+}
+
 module.exports.handler = withSqsConsumer(
   "generate-invoice",
-  processSubscriptionCreated,
+  processInvoiceEvent,
 );
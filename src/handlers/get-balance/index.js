@@ -0,0 +1,121 @@
+/**
+ * getBalanceHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * GET /v1/balance
+ *
+ * The calling tenant's customer balance (shared/customer-balance): the
+ * current balance per currency and the ledger behind it, newest first.
+ *
+ *   {
+ *     "balances": [{ "currency": "usd", "balance": 35.00, ... }],
+ *     "transactions": [
+ *       {
+ *         "amount": -15.00,                 // + credit, − debit
+ *         "balanceAfter": 35.00,
+ *         "reason": "applied_to_invoice",
+ *         "description": "Applied to invoice INV-000042",
+ *         "invoiceId": "...", "creditNoteId": null, "paymentId": null,
+ *         "createdAt": "..."
+ *       }
+ *     ],
+ *     "pagination": { ... }
+ *   }
+ *
+ * Pagination: keyset cursor (shared/pagination), as GET /v1/invoices.
+ * Query parameters: currency, reason, from, to, limit, cursor.
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { queryWithTenant } = require("../../shared/db");
+const { normalizeCurrency } = require("../../shared/currency");
+const {
+  BALANCE_REASONS,
+  formatBalance,
+  formatBalanceTransaction,
+  listBalances,
+} = require("../../shared/customer-balance");
+const {
+  parseListParams,
+  cursorCondition,
+  paginate,
+} = require("../../shared/pagination");
+
+async function getBalanceHandler(
+  event,
+  context,
+  { tenant, queryParams, logger, requestId },
+) {
+  const { tenantId } = tenant;
+  const { limit, cursor, from, to } = parseListParams(queryParams);
+
+  if (queryParams.reason && !BALANCE_REASONS.includes(queryParams.reason)) {
+    throw new AppError(400, `Invalid reason: ${queryParams.reason}`, {
+      validReasons: BALANCE_REASONS,
+    });
+  }
+
+  // ── Build query dynamically ─────────────────────────────────────────── //
+  const conditions = ["tenant_id = $1"];
+  const params = [tenantId];
+  let paramIndex = 2;
+
+  if (queryParams.currency) {
+    conditions.push(`currency = $${paramIndex++}`);
+    params.push(normalizeCurrency(queryParams.currency));
+  }
+
+  if (queryParams.reason) {
+    conditions.push(`reason = $${paramIndex++}`);
+    params.push(queryParams.reason);
+  }
+
+  if (from) {
+    conditions.push(`created_at >= $${paramIndex++}`);
+    params.push(new Date(from).toISOString());
+  }
+
+  if (to) {
+    conditions.push(`created_at <= $${paramIndex++}`);
+    params.push(new Date(to).toISOString());
+  }
+
+  if (cursor) {
+    conditions.push(cursorCondition(cursor, params, paramIndex));
+    paramIndex += 2;
+  }
+
+  const query = `
+    SELECT *
+    FROM balance_transactions
+    WHERE ${conditions.join(" AND ")}
+    ORDER BY created_at DESC, id DESC
+    LIMIT $${paramIndex}
+  `;
+  params.push(limit + 1);
+
+  const result = await queryWithTenant(tenantId, query, params);
+  const balances = await listBalances(tenantId);
+  const { rows, pagination } = paginate(result.rows, limit);
+  const transactions = rows.map(formatBalanceTransaction);
+
+  logger.info("Customer balance retrieved", {
+    currencies: balances.length,
+    count: transactions.length,
+    hasMore: pagination.hasMore,
+  });
+
+  return jsonResponse(200, {
+    balances: balances.map(formatBalance),
+    transactions,
+    pagination,
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(getBalanceHandler, {
+  requireBody: false,
+});
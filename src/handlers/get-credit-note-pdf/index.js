@@ -0,0 +1,72 @@
+/**
+ * getCreditNotePdfHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * GET /v1/credit-notes/{id}/pdf
+ *
+ * Downloads one of the calling tenant's credit notes as a PDF document
+ * (shared/invoice-pdf → renderCreditNotePdf), in the same layout as the
+ * invoice PDF: credited lines, tax, total credit and where it went.
+ *
+ * Entitlements (JWT `features` claim), as GET /v1/invoices/{id}/pdf:
+ *   • invoiceExport — required; tenants without it get 403.
+ *   • customBranding — the document uses the tenant's branding.
+ */
+
+const {
+  withMiddleware,
+  binaryResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { querySystem } = require("../../shared/db");
+const { incrementCounter } = require("../../shared/metrics");
+const {
+  formatCreditNote,
+  getCreditNote,
+} = require("../../shared/credit-notes");
+const { renderCreditNotePdf } = require("../../shared/invoice-pdf");
+const { getBillingDetails, getBranding } = require("../../shared/tenants");
+
+async function getCreditNotePdfHandler(
+  event,
+  context,
+  { tenant, pathParams, logger },
+) {
+  const { tenantId } = tenant;
+  const creditNote = formatCreditNote(
+    await getCreditNote(tenantId, pathParams.id),
+  );
+
+  // tenants has no RLS — system query, scoped by the caller's own tenant ID
+  const tenantResult = await querySystem(
+    `SELECT name, email, settings FROM tenants WHERE id = $1`,
+    [tenantId],
+  );
+  if (tenantResult.rows.length === 0) {
+    throw new AppError(404, "Tenant not found");
+  }
+  const tenantRow = tenantResult.rows[0];
+
+  const branded = Boolean(tenant.features.customBranding);
+  const pdf = renderCreditNotePdf(creditNote, {
+    billingDetails: getBillingDetails(tenantRow),
+    branding: branded ? getBranding(tenantRow.settings) : null,
+  });
+
+  logger.info("Credit note PDF rendered", {
+    creditNoteId: creditNote.id,
+    bytes: pdf.length,
+    branded,
+  });
+
+  incrementCounter("invoice_export_count", 1, { Format: "credit_note_pdf" });
+
+  return binaryResponse(200, pdf, {
+    contentType: "application/pdf",
+    filename: `${creditNote.creditNoteNumber}.pdf`,
+  });
+}
+
+module.exports.handler = withMiddleware(getCreditNotePdfHandler, {
+  requireBody: false,
+  requireFeature: "invoiceExport",
+});
@@ -0,0 +1,43 @@
+/**
+ * getCreditNoteHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * GET /v1/credit-notes/{id}
+ *
+ * Returns one of the calling tenant's credit notes in full: the credited
+ * invoice, reason, lines, totals and where the credit went (the invoice, a
+ * refund, or the tenant's balance).  A credit note of another
+ * tenant is a 404 — RLS (`queryWithTenant()`) hides it.
+ *
+ * The same credit note as a document: GET /v1/credit-notes/{id}/pdf
+ * (plans with `invoiceExport`).
+ */
+
+const { withMiddleware, jsonResponse } = require("../../shared/middleware");
+const {
+  formatCreditNote,
+  getCreditNote,
+} = require("../../shared/credit-notes");
+
+async function getCreditNoteHandler(
+  event,
+  context,
+  { tenant, pathParams, logger, requestId },
+) {
+  const creditNote = formatCreditNote(
+    await getCreditNote(tenant.tenantId, pathParams.id),
+  );
+
+  logger.info("Credit note retrieved", {
+    creditNoteId: creditNote.id,
+    invoiceId: creditNote.invoiceId,
+  });
+
+  return jsonResponse(200, {
+    creditNote,
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(getCreditNoteHandler, {
+  requireBody: false,
+});
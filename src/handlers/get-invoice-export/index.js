@@ -0,0 +1,50 @@
+/**
+ * getInvoiceExportHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * GET /v1/invoice-exports/{id}
+ *
+ * Polls an export requested with POST /v1/invoice-exports:
+ *
+ *   pending    queued, not started yet
+ *   running    being written by process-invoice-exports
+ *   completed  ready — `parts` lists the download URL of each part
+ *              (GET /v1/invoice-exports/{id}/download?part=N); the parts
+ *              concatenated in order are the complete file
+ *   failed     `error` says why; request the export again
+ *
+ * Exports are kept until `expiresAt`, then deleted (404).  An export of
+ * another tenant is a 404 — RLS (`queryWithTenant()`) hides it.
+ *
+ * Entitlements: invoiceExport — required; tenants without it get 403.
+ */
+
+const { withMiddleware, jsonResponse } = require("../../shared/middleware");
+const {
+  formatInvoiceExport,
+  getInvoiceExport,
+} = require("../../shared/invoice-export");
+
+async function getInvoiceExportHandler(
+  event,
+  context,
+  { tenant, pathParams, logger, requestId },
+) {
+  const invoiceExport = formatInvoiceExport(
+    await getInvoiceExport(tenant.tenantId, pathParams.id),
+  );
+
+  logger.info("Invoice export retrieved", {
+    exportId: invoiceExport.id,
+    status: invoiceExport.status,
+  });
+
+  return jsonResponse(200, {
+    export: invoiceExport,
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(getInvoiceExportHandler, {
+  requireBody: false,
+  requireFeature: "invoiceExport",
+});
@@ -0,0 +1,73 @@
+/**
+ * getInvoicePdfHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * GET /v1/invoices/{id}/pdf
+ *
+ * Downloads one of the calling tenant's invoices as a PDF document
+ * (shared/invoice-pdf), rendered on request from the invoice, its
+ * `line_items` and the tenant's billing details (tenants.settings
+ * .billingDetails, falling back to the tenant name and email).
+ *
+ * Entitlements (JWT `features` claim, set by pre-token-generation):
+ *   • invoiceExport — required; tenants without it get 403.
+ *   • customBranding — the document uses the tenant's branding
+ *     (tenants.settings.branding: display name, colour, footer) instead of
+ *     the platform's.
+ *
+ * The response body is base64-encoded (`isBase64Encoded`); API Gateway
+ * returns the raw bytes with `Content-Type: application/pdf`.
+ */
+
+const {
+  withMiddleware,
+  binaryResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { querySystem } = require("../../shared/db");
+const { incrementCounter } = require("../../shared/metrics");
+const { formatInvoice, getInvoice } = require("../../shared/invoices");
+const { renderInvoicePdf } = require("../../shared/invoice-pdf");
+const { getBillingDetails, getBranding } = require("../../shared/tenants");
+
+async function getInvoicePdfHandler(
+  event,
+  context,
+  { tenant, pathParams, logger },
+) {
+  const { tenantId } = tenant;
+  const invoice = formatInvoice(await getInvoice(tenantId, pathParams.id));
+
+  // tenants has no RLS — system query, scoped by the caller's own tenant ID
+  const tenantResult = await querySystem(
+    `SELECT name, email, settings FROM tenants WHERE id = $1`,
+    [tenantId],
+  );
+  if (tenantResult.rows.length === 0) {
+    throw new AppError(404, "Tenant not found");
+  }
+  const tenantRow = tenantResult.rows[0];
+
+  const branded = Boolean(tenant.features.customBranding);
+  const pdf = renderInvoicePdf(invoice, {
+    billingDetails: getBillingDetails(tenantRow),
+    branding: branded ? getBranding(tenantRow.settings) : null,
+  });
+
+  logger.info("Invoice PDF rendered", {
+    invoiceId: invoice.id,
+    bytes: pdf.length,
+    branded,
+  });
+
+  incrementCounter("invoice_export_count", 1, { Format: "pdf" });
+
+  return binaryResponse(200, pdf, {
+    contentType: "application/pdf",
+    filename: `${invoice.invoiceNumber}.pdf`,
+  });
+}
+
+module.exports.handler = withMiddleware(getInvoicePdfHandler, {
+  requireBody: false,
+  requireFeature: "invoiceExport",
+});
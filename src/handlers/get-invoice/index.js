@@ -0,0 +1,52 @@
+/**
+ * getInvoiceHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * GET /v1/invoices/{id}
+ *
+ * Returns one of the calling tenant's invoices in full: status, billing
+ * reason, service period and every line item, plus the credit notes issued
+ * against it and the payments received for it.  An invoice of another tenant is a 404, never a 403 — RLS
+ * (`queryWithTenant()`) hides it.
+ *
+ * The same invoice as a document: GET /v1/invoices/{id}/pdf
+ * (plans with `invoiceExport`).
+ */
+
+const { withMiddleware, jsonResponse } = require("../../shared/middleware");
+const { formatInvoice, getInvoice } = require("../../shared/invoices");
+const {
+  formatCreditNote,
+  listInvoiceCreditNotes,
+} = require("../../shared/credit-notes");
+const {
+  formatPayment,
+  listInvoicePayments,
+} = require("../../shared/payments");
+
+async function getInvoiceHandler(
+  event,
+  context,
+  { tenant, pathParams, logger, requestId },
+) {
+  const invoice = formatInvoice(await getInvoice(tenant.tenantId, pathParams.id));
+  const creditNotes = await listInvoiceCreditNotes(tenant.tenantId, invoice.id);
+  const payments = await listInvoicePayments(tenant.tenantId, invoice.id);
+
+  logger.info("Invoice retrieved", {
+    invoiceId: invoice.id,
+    status: invoice.status,
+  });
+
+  return jsonResponse(200, {
+    invoice: {
+      ...invoice,
+      creditNotes: creditNotes.map(formatCreditNote),
+      payments: payments.map(formatPayment),
+    },
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(getInvoiceHandler, {
+  requireBody: false,
+});
@@ -0,0 +1,65 @@
+/**
+ * getPendingChangeHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * GET /v1/subscriptions/{id}/pending-change
+ *
+ * Returns the plan, cycle and/or seat change scheduled for the end of the
+ * subscription's current period (shared/scheduled-changes), priced as it
+ * will be invoiced at renewal:
+ *
+ *   {
+ *     "pendingChange": {
+ *       "planId": "starter", "planVersion": 3, "billingCycle": "monthly",
+ *       "quantity": 5, "unitAmount": 29, "amount": 145, "currency": "usd",
+ *       "effectiveAt": "<current period end>", "scheduledAt": "...", ...
+ *     }
+ *   }
+ *
+ * 404 when nothing is scheduled (or the subscription is not the tenant's).
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { queryWithTenant } = require("../../shared/db");
+const { formatPendingChange } = require("../../shared/subscriptions");
+
+async function getPendingChangeHandler(
+  event,
+  context,
+  { tenant, pathParams, logger, requestId },
+) {
+  const { tenantId } = tenant;
+  const subscriptionId = pathParams.id;
+
+  const result = await queryWithTenant(
+    tenantId,
+    `SELECT * FROM subscriptions WHERE id = $1 AND tenant_id = $2`,
+    [subscriptionId, tenantId],
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError(404, "Subscription not found");
+  }
+
+  const pendingChange = formatPendingChange(result.rows[0]);
+  if (!pendingChange) {
+    throw new AppError(404, "No change is scheduled for this subscription");
+  }
+
+  logger.info("Pending change retrieved", {
+    subscriptionId,
+    effectiveAt: pendingChange.effectiveAt,
+  });
+
+  return jsonResponse(200, {
+    pendingChange,
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(getPendingChangeHandler, {
+  requireBody: false,
+});
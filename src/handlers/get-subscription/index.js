@@ -0,0 +1,50 @@
+/**
+ * getSubscriptionHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * GET /v1/subscriptions/{id}
+ *
+ * Returns one of the calling tenant's subscriptions.  A subscription of
+ * another tenant is a 404, never a 403 — RLS (`queryWithTenant()`) hides it,
+ * so its existence is not revealed.
+ *
+ * The change log is served separately, paginated:
+ * GET /v1/subscriptions/{id}/history.
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { queryWithTenant } = require("../../shared/db");
+const { formatSubscription } = require("../../shared/subscriptions");
+
+async function getSubscriptionHandler(
+  event,
+  context,
+  { tenant, pathParams, logger, requestId },
+) {
+  const { tenantId } = tenant;
+  const subscriptionId = pathParams.id;
+
+  const result = await queryWithTenant(
+    tenantId,
+    `SELECT * FROM subscriptions WHERE id = $1 AND tenant_id = $2`,
+    [subscriptionId, tenantId],
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError(404, "Subscription not found");
+  }
+
+  logger.info("Subscription retrieved", { subscriptionId });
+
+  return jsonResponse(200, {
+    subscription: formatSubscription(result.rows[0]),
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(getSubscriptionHandler, {
+  requireBody: false,
+});
@@ -0,0 +1,89 @@
+/**
+ * getTrialBalanceHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * GET /v1/reports/trial-balance  (ADMIN only)
+ *
+ * Debit and credit totals per account of the double-entry journal
+ * (shared/journal), one report per currency — entries never mix
+ * currencies:
+ *
+ *   {
+ *     "asOf": "2026-10-31T23:59:59.999Z",
+ *     "trialBalance": [
+ *       {
+ *         "currency": "usd",
+ *         "accounts": [
+ *           { "account": "accounts_receivable", "type": "asset",
+ *             "debit": 1290.00, "credit": 870.00, "balance": 420.00 },
+ *           { "account": "revenue", "type": "revenue",
+ *             "debit": 50.00, "credit": 1150.00, "balance": 1100.00 },
+ *           ...
+ *         ],
+ *         "totalDebit": 2610.00,
+ *         "totalCredit": 2610.00,
+ *         "balanced": true
+ *       }
+ *     ]
+ *   }
+ *
+ * `balance` is on the account's normal side (debit for assets, credit for
+ * liabilities, revenue and equity).  Every entry balances (enforced by the
+ * database), so `balanced` is false only if the journal was tampered with.
+ *
+ * Query parameters:
+ *   as_of      entries posted up to this date-time (default now)
+ *   tenant_id  one tenant's journal (default all tenants)
+ *   currency   one currency
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { normalizeCurrency } = require("../../shared/currency");
+const { trialBalance } = require("../../shared/journal");
+
+async function getTrialBalanceHandler(
+  event,
+  context,
+  { queryParams, logger, requestId },
+) {
+  if (queryParams.as_of && isNaN(Date.parse(queryParams.as_of))) {
+    throw new AppError(400, 'Invalid "as_of" date — use ISO 8601 format');
+  }
+
+  const asOf = queryParams.as_of ? new Date(queryParams.as_of) : new Date();
+  const reports = await trialBalance({
+    asOf,
+    tenantId: queryParams.tenant_id,
+    currency: queryParams.currency
+      ? normalizeCurrency(queryParams.currency)
+      : undefined,
+  });
+
+  const unbalanced = reports.filter((report) => !report.balanced);
+  if (unbalanced.length > 0) {
+    logger.error("Trial balance does not balance", {
+      currencies: unbalanced.map((report) => report.currency),
+    });
+  }
+
+  logger.info("Trial balance generated", {
+    asOf: asOf.toISOString(),
+    tenantId: queryParams.tenant_id,
+    currencies: reports.length,
+  });
+
+  return jsonResponse(200, {
+    asOf: asOf.toISOString(),
+    tenantId: queryParams.tenant_id || null,
+    trialBalance: reports,
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(getTrialBalanceHandler, {
+  requireBody: false,
+  requireAdmin: true,
+});
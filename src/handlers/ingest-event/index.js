@@ -4,8 +4,8 @@
  * POST /v1/events
  *
  * Ingests usage events for metered billing.  Events are stored in the
- * `billing_events` table and can be aggregated to calculate usage-based
- * charges during invoice generation.
+ * `billing_events` table and aggregated into usage charges by
+ * generate-invoice (shared/usage).
  *
  * Event types:
  *   • api_call       — Track API request counts for metered billing
@@ -18,6 +18,18 @@
  *   • The handler checks for duplicates before inserting.
  *   • This prevents double-counting if the client retries a failed request.
  *
+ * Late events:
+ *   An event timestamped before the subscription's `usage_billed_through`
+ *   belongs to a window that has already been invoiced — 409, nothing is
+ *   stored.
+ *
+ * Paused subscriptions:
+ *   Usage sent while the tenant's subscription is paused is handled per
+ *   PAUSED_USAGE_POLICY:
+ *     • reject (default) — 409, nothing is stored.
+ *     • flag             — stored with `during_pause = true` for the record;
+ *                          flagged usage is never billed.
+ *
  * Performance:
  *   • High-throughput endpoint (burst: 500 requests/sec in dev).
  *   • Minimal processing — validate and insert, return quickly.
@@ -32,13 +44,18 @@ const {
   AppError,
 } = require("../../shared/middleware");
 const { queryWithTenant } = require("../../shared/db");
+const { USAGE_EVENT_TYPES } = require("../../shared/usage");
+
+const PAUSED_USAGE_POLICIES = new Set(["reject", "flag"]);
+const PAUSED_USAGE_POLICY = process.env.PAUSED_USAGE_POLICY || "reject";
+
+if (!PAUSED_USAGE_POLICIES.has(PAUSED_USAGE_POLICY)) {
+  throw new Error(
+    `Invalid PAUSED_USAGE_POLICY "${PAUSED_USAGE_POLICY}" — expected reject or flag`,
+  );
+}
 
-const VALID_EVENT_TYPES = new Set([
-  "api_call",
-  "storage_used",
-  "compute_time",
-  "custom",
-]);
+const VALID_EVENT_TYPES = new Set(USAGE_EVENT_TYPES);
 
 async function ingestEventHandler(
   event,
@@ -95,17 +112,48 @@ async function ingestEventHandler(
     }
   }
 
+  const now = new Date().toISOString();
+  const occurredAt = eventTimestamp ? new Date(eventTimestamp).toISOString() : now;
+
+  // ── Live subscription: paused, or window already invoiced ────────────── //
+  const current = await queryWithTenant(
+    tenantId,
+    `SELECT id, status, usage_billed_through FROM subscriptions
+     WHERE tenant_id = $1
+       AND status IN ('active', 'trialing', 'past_due', 'paused')
+     LIMIT 1`,
+    [tenantId],
+  );
+  const subscription = current.rows[0];
+  const duringPause = subscription?.status === "paused";
+
+  if (duringPause && PAUSED_USAGE_POLICY === "reject") {
+    throw new AppError(409, "Subscription is paused — usage is not accepted", {
+      subscriptionId: subscription.id,
+      hint: `POST /v1/subscriptions/${subscription.id}/resume to resume billing`,
+    });
+  }
+
+  if (
+    subscription?.usage_billed_through &&
+    new Date(occurredAt) < new Date(subscription.usage_billed_through)
+  ) {
+    throw new AppError(409, "Usage for this time has already been invoiced", {
+      timestamp: occurredAt,
+      billedThrough: subscription.usage_billed_through,
+    });
+  }
+
   // ── Insert the event ─────────────────────────────────────────────────── //
   const eventId = uuidv4();
-  const now = new Date().toISOString();
 
   const result = await queryWithTenant(
     tenantId,
     `INSERT INTO billing_events
        (id, tenant_id, event_type, payload, quantity, idempotency_key,
-        event_timestamp, created_at)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-     RETURNING id, event_type, quantity, event_timestamp, created_at`,
+        event_timestamp, during_pause, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id, event_type, quantity, event_timestamp, during_pause, created_at`,
     [
       eventId,
       tenantId,
@@ -113,7 +161,8 @@ async function ingestEventHandler(
       JSON.stringify(payload),
       payload.quantity || 1,
       idempotency_key || null,
-      eventTimestamp ? new Date(eventTimestamp).toISOString() : now,
+      occurredAt,
+      duringPause,
       now,
     ],
   );
@@ -124,6 +173,7 @@ async function ingestEventHandler(
     eventId,
     eventType: event_type,
     quantity: created.quantity,
+    duringPause,
   });
 
   return jsonResponse(201, {
@@ -133,6 +183,7 @@ async function ingestEventHandler(
       eventType: created.event_type,
       quantity: parseFloat(created.quantity),
       eventTimestamp: created.event_timestamp,
+      duringPause: created.during_pause,
       createdAt: created.created_at,
     },
     requestId,
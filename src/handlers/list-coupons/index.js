@@ -0,0 +1,53 @@
+/**
+ * listCouponsHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * GET /v1/coupons  (ADMIN only)
+ *
+ * Lists coupons, newest first, with their redemption counts.  Coupon codes
+ * are not public — customers learn them from the promotion itself.
+ *
+ * Query parameters:
+ *   • status: active | archived (default: all)
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { querySystem } = require("../../shared/db");
+const { formatCoupon } = require("../../shared/coupons");
+
+const VALID_STATUSES = new Set(["active", "archived"]);
+
+async function listCouponsHandler(
+  event,
+  context,
+  { queryParams, logger, requestId },
+) {
+  const status = queryParams.status;
+
+  if (status && !VALID_STATUSES.has(status)) {
+    throw new AppError(400, `Invalid status filter: ${status}`, {
+      validStatuses: [...VALID_STATUSES],
+    });
+  }
+
+  const result = status
+    ? await querySystem(
+        `SELECT * FROM coupons WHERE status = $1 ORDER BY created_at DESC`,
+        [status],
+      )
+    : await querySystem(`SELECT * FROM coupons ORDER BY created_at DESC`);
+
+  logger.info("Coupons listed", { count: result.rows.length, status });
+
+  return jsonResponse(200, {
+    coupons: result.rows.map(formatCoupon),
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(listCouponsHandler, {
+  requireAdmin: true,
+});
@@ -13,55 +13,36 @@
  *   • The handler also adds `tenant_id = $1` in the WHERE clause (belt +
  *     suspenders — defense in depth).
  *
- * Pagination:
+ * Pagination (shared/pagination):
  *   • Cursor-based using `created_at` + `id` (no OFFSET — stays fast for
  *     large result sets).
  *   • Response includes `nextCursor` for the client to pass as `?cursor=`.
  *
  * Query parameters:
- *   • status:  filter by invoice status (draft, issued, paid, overdue, void)
+ *   • status:  filter by invoice status (draft, issued, paid, overdue, void,
+ *              uncollectible — see shared/invoice-lifecycle)
+ *   • currency: filter by ISO 4217 currency code (e.g. eur)
  *   • from:    start date (ISO 8601)
  *   • to:      end date (ISO 8601)
  *   • limit:   page size (default: 20, max: 100)
  *   • cursor:  opaque cursor for pagination
+ *
+ * The same invoices as a file: GET /v1/invoices/export (CSV or JSONL,
+ * plans with `invoiceExport`).
  */
 
-const {
-  withMiddleware,
-  jsonResponse,
-  AppError,
-} = require("../../shared/middleware");
+const { withMiddleware, jsonResponse } = require("../../shared/middleware");
 const { queryWithTenant } = require("../../shared/db");
-
-const VALID_STATUSES = new Set(["draft", "issued", "paid", "overdue", "void"]);
-const DEFAULT_LIMIT = 20;
-const MAX_LIMIT = 100;
-
-/**
- * Decode an opaque Base64 cursor into { createdAt, id }.
- */
-function decodeCursor(cursor) {
-  try {
-    const decoded = Buffer.from(cursor, "base64url").toString("utf-8");
-    const parsed = JSON.parse(decoded);
-    if (!parsed.createdAt || !parsed.id) throw new Error("Invalid cursor");
-    return parsed;
-  } catch {
-    throw new AppError(400, "Invalid pagination cursor");
-  }
-}
-
-/**
- * Encode { createdAt, id } into an opaque Base64 cursor.
- */
-function encodeCursor(row) {
-  return Buffer.from(
-    JSON.stringify({
-      createdAt: row.created_at,
-      id: row.id,
-    }),
-  ).toString("base64url");
-}
+const {
+  formatInvoice,
+  parseInvoiceFilters,
+  invoiceFilterConditions,
+} = require("../../shared/invoices");
+const {
+  parseListParams,
+  cursorCondition,
+  paginate,
+} = require("../../shared/pagination");
 
 async function generateInvoiceHandler(
   event,
@@ -71,62 +52,23 @@ async function generateInvoiceHandler(
   const { tenantId } = tenant;
 
   // ── Parse query parameters ──────────────────────────────────────────── //
-  let limit = parseInt(queryParams.limit, 10) || DEFAULT_LIMIT;
-  limit = Math.min(Math.max(limit, 1), MAX_LIMIT);
-
-  const status = queryParams.status;
-  const from = queryParams.from;
-  const to = queryParams.to;
-  const cursor = queryParams.cursor;
-
-  // Validate status filter
-  if (status && !VALID_STATUSES.has(status)) {
-    throw new AppError(400, `Invalid status filter: ${status}`, {
-      validStatuses: [...VALID_STATUSES],
-    });
-  }
-
-  // Validate date filters
-  if (from && isNaN(Date.parse(from))) {
-    throw new AppError(400, 'Invalid "from" date — use ISO 8601 format');
-  }
-  if (to && isNaN(Date.parse(to))) {
-    throw new AppError(400, 'Invalid "to" date — use ISO 8601 format');
-  }
+  const { limit, cursor } = parseListParams(queryParams);
+  const filters = parseInvoiceFilters(queryParams);
 
   logger.info("Listing invoices", {
     tenantId,
-    status,
-    from,
-    to,
+    ...filters,
     limit,
     hasCursor: !!cursor,
   });
 
   // ── Build query dynamically ─────────────────────────────────────────── //
-  const conditions = ["tenant_id = $1"];
-  const params = [tenantId];
-  let paramIndex = 2;
-
-  if (status) {
-    conditions.push(`status = $${paramIndex++}`);
-    params.push(status);
-  }
-
-  if (from) {
-    conditions.push(`created_at >= $${paramIndex++}`);
-    params.push(new Date(from).toISOString());
-  }
-
-  if (to) {
-    conditions.push(`created_at <= $${paramIndex++}`);
-    params.push(new Date(to).toISOString());
-  }
+  // Same filters as the invoice export (shared/invoices)
+  const { conditions, params } = invoiceFilterConditions(tenantId, filters);
+  let paramIndex = params.length + 1;
 
   if (cursor) {
-    const decoded = decodeCursor(cursor);
-    conditions.push(`(created_at, id) < ($${paramIndex}, $${paramIndex + 1})`);
-    params.push(decoded.createdAt, decoded.id);
+    conditions.push(cursorCondition(cursor, params, paramIndex));
     paramIndex += 2;
   }
 
@@ -135,7 +77,13 @@ async function generateInvoiceHandler(
   // Fetch one extra row to determine if there are more pages
   const query = `
     SELECT id, tenant_id, subscription_id, invoice_number, status,
-           amount, currency, line_items, due_date, paid_at, created_at, updated_at
+           billing_reason, amount, subtotal, tax_amount, tax_details,
+           credited_amount, balance_applied, amount_paid,
+           currency, line_items, period_start,
+           period_end, due_date, payment_terms, finalized_at, paid_at,
+           payment_reference, voided_at, void_reason, marked_uncollectible_at,
+           usage_window_start, usage_window_end, usage_aggregated_at,
+           created_at, updated_at
     FROM invoices
     WHERE ${whereClause}
     ORDER BY created_at DESC, id DESC
@@ -146,41 +94,19 @@ async function generateInvoiceHandler(
   const result = await queryWithTenant(tenantId, query, params);
 
   // ── Determine pagination ────────────────────────────────────────────── //
-  const hasMore = result.rows.length > limit;
-  const rows = hasMore ? result.rows.slice(0, limit) : result.rows;
-  const nextCursor = hasMore ? encodeCursor(rows[rows.length - 1]) : null;
+  const { rows, pagination } = paginate(result.rows, limit);
 
   // ── Format response ─────────────────────────────────────────────────── //
-  const invoices = rows.map((row) => ({
-    id: row.id,
-    subscriptionId: row.subscription_id,
-    invoiceNumber: row.invoice_number,
-    status: row.status,
-    amount: parseFloat(row.amount),
-    currency: row.currency,
-    lineItems:
-      typeof row.line_items === "string"
-        ? JSON.parse(row.line_items)
-        : row.line_items || [],
-    dueDate: row.due_date,
-    paidAt: row.paid_at,
-    createdAt: row.created_at,
-    updatedAt: row.updated_at,
-  }));
+  const invoices = rows.map(formatInvoice);
 
   logger.info("Invoices retrieved", {
     count: invoices.length,
-    hasMore,
+    hasMore: pagination.hasMore,
   });
 
   return jsonResponse(200, {
     invoices,
-    pagination: {
-      limit,
-      count: invoices.length,
-      hasMore,
-      ...(nextCursor && { nextCursor }),
-    },
+    pagination,
     requestId,
   });
 }
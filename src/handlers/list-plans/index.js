@@ -0,0 +1,46 @@
+/**
+ * listPlansHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * GET /v1/plans
+ *
+ * Lists the plan catalog at each plan's current version: prices per billing
+ * cycle and currency, trial length, limits and feature flags.  Any
+ * authenticated user can read the catalog (it drives the pricing page and
+ * the plan picker).
+ *
+ * Query parameters:
+ *   • include_archived: "true" to include archived plans (ADMIN only)
+ *
+ * The catalog is global, so it is read with `querySystem()` (no RLS), via
+ * shared/plans.
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { listPlans } = require("../../shared/plans");
+
+async function listPlansHandler(
+  event,
+  context,
+  { tenant, queryParams, logger, requestId },
+) {
+  const includeArchived = queryParams.include_archived === "true";
+
+  if (includeArchived && !tenant.isAdmin) {
+    throw new AppError(403, "Listing archived plans requires ADMIN role");
+  }
+
+  const plans = await listPlans({ includeArchived });
+
+  logger.info("Plans listed", { count: plans.length, includeArchived });
+
+  return jsonResponse(200, {
+    plans,
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(listPlansHandler);
@@ -0,0 +1,105 @@
+/**
+ * listSubscriptionHistoryHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * GET /v1/subscriptions/{id}/history
+ *
+ * Every plan, status, seat, price and period change over a subscription's
+ * life, newest first.  Entries are recorded by a database trigger
+ * (migrations/013_subscription_history.sql), so changes made by scheduled
+ * jobs — trial conversion, renewal, dunning, auto-resume — appear alongside
+ * API changes.
+ *
+ * Each entry:
+ *   {
+ *     "changeType": "updated",              // created | updated | backfilled
+ *     "changedFields": ["amount", "plan_id", "plan_version"],
+ *     "previous": { "plan_id": "starter", ... },   // changed fields only
+ *     "state": { "plan_id": "professional", "status": "active", ... },
+ *     "createdAt": "..."
+ *   }
+ *
+ * Pagination: keyset cursor (shared/pagination), as GET /v1/invoices.
+ * Query parameters: from, to, limit, cursor.
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { queryWithTenant } = require("../../shared/db");
+const { formatSubscriptionHistory } = require("../../shared/subscriptions");
+const {
+  parseListParams,
+  cursorCondition,
+  paginate,
+} = require("../../shared/pagination");
+
+async function listSubscriptionHistoryHandler(
+  event,
+  context,
+  { tenant, pathParams, queryParams, logger, requestId },
+) {
+  const { tenantId } = tenant;
+  const subscriptionId = pathParams.id;
+  const { limit, cursor, from, to } = parseListParams(queryParams);
+
+  // 404 for unknown (or other tenants') subscriptions, not an empty page
+  const existing = await queryWithTenant(
+    tenantId,
+    `SELECT id FROM subscriptions WHERE id = $1 AND tenant_id = $2`,
+    [subscriptionId, tenantId],
+  );
+  if (existing.rows.length === 0) {
+    throw new AppError(404, "Subscription not found");
+  }
+
+  // ── Build query dynamically ─────────────────────────────────────────── //
+  const conditions = ["tenant_id = $1", "subscription_id = $2"];
+  const params = [tenantId, subscriptionId];
+  let paramIndex = 3;
+
+  if (from) {
+    conditions.push(`created_at >= $${paramIndex++}`);
+    params.push(new Date(from).toISOString());
+  }
+
+  if (to) {
+    conditions.push(`created_at <= $${paramIndex++}`);
+    params.push(new Date(to).toISOString());
+  }
+
+  if (cursor) {
+    conditions.push(cursorCondition(cursor, params, paramIndex));
+    paramIndex += 2;
+  }
+
+  const query = `
+    SELECT *
+    FROM subscription_history
+    WHERE ${conditions.join(" AND ")}
+    ORDER BY created_at DESC, id DESC
+    LIMIT $${paramIndex}
+  `;
+  params.push(limit + 1);
+
+  const result = await queryWithTenant(tenantId, query, params);
+  const { rows, pagination } = paginate(result.rows, limit);
+  const history = rows.map(formatSubscriptionHistory);
+
+  logger.info("Subscription history retrieved", {
+    subscriptionId,
+    count: history.length,
+    hasMore: pagination.hasMore,
+  });
+
+  return jsonResponse(200, {
+    history,
+    pagination,
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(listSubscriptionHistoryHandler, {
+  requireBody: false,
+});
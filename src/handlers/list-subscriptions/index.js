@@ -0,0 +1,143 @@
+/**
+ * listSubscriptionsHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * GET /v1/subscriptions
+ *
+ * Lists subscriptions for the calling tenant, newest first — current and
+ * past (canceled, expired) alike.
+ *
+ * Tenant isolation:
+ *   • `queryWithTenant()` sets `app.tenant_id`; RLS filters the rows.
+ *   • The handler also adds `tenant_id = $1` in the WHERE clause.
+ *
+ * Pagination: keyset cursor on `created_at` + `id` (shared/pagination), the
+ * same as GET /v1/invoices.
+ *
+ * Query parameters:
+ *   • status:   filter by subscription status (active, trialing, past_due,
+ *               paused, canceled, expired)
+ *   • plan_id:  filter by plan
+ *   • currency: filter by ISO 4217 currency code (e.g. eur)
+ *   • from:     created on or after (ISO 8601)
+ *   • to:       created on or before (ISO 8601)
+ *   • limit:    page size (default: 20, max: 100)
+ *   • cursor:   opaque cursor for pagination
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { queryWithTenant } = require("../../shared/db");
+const { normalizeCurrency } = require("../../shared/currency");
+const { formatSubscription } = require("../../shared/subscriptions");
+const {
+  parseListParams,
+  cursorCondition,
+  paginate,
+} = require("../../shared/pagination");
+
+const VALID_STATUSES = new Set([
+  "active",
+  "trialing",
+  "past_due",
+  "paused",
+  "canceled",
+  "expired",
+]);
+
+async function listSubscriptionsHandler(
+  event,
+  context,
+  { tenant, queryParams, logger, requestId },
+) {
+  const { tenantId } = tenant;
+
+  // ── Parse query parameters ──────────────────────────────────────────── //
+  const { limit, cursor, from, to } = parseListParams(queryParams);
+  const status = queryParams.status;
+  const planId = queryParams.plan_id;
+  const currency = queryParams.currency && normalizeCurrency(queryParams.currency);
+
+  if (status && !VALID_STATUSES.has(status)) {
+    throw new AppError(400, `Invalid status filter: ${status}`, {
+      validStatuses: [...VALID_STATUSES],
+    });
+  }
+
+  logger.info("Listing subscriptions", {
+    tenantId,
+    status,
+    planId,
+    currency,
+    from,
+    to,
+    limit,
+    hasCursor: !!cursor,
+  });
+
+  // ── Build query dynamically ─────────────────────────────────────────── //
+  const conditions = ["tenant_id = $1"];
+  const params = [tenantId];
+  let paramIndex = 2;
+
+  if (status) {
+    conditions.push(`status = $${paramIndex++}`);
+    params.push(status);
+  }
+
+  if (planId) {
+    conditions.push(`plan_id = $${paramIndex++}`);
+    params.push(planId);
+  }
+
+  if (currency) {
+    conditions.push(`currency = $${paramIndex++}`);
+    params.push(currency);
+  }
+
+  if (from) {
+    conditions.push(`created_at >= $${paramIndex++}`);
+    params.push(new Date(from).toISOString());
+  }
+
+  if (to) {
+    conditions.push(`created_at <= $${paramIndex++}`);
+    params.push(new Date(to).toISOString());
+  }
+
+  if (cursor) {
+    conditions.push(cursorCondition(cursor, params, paramIndex));
+    paramIndex += 2;
+  }
+
+  // Fetch one extra row to determine if there are more pages
+  const query = `
+    SELECT *
+    FROM subscriptions
+    WHERE ${conditions.join(" AND ")}
+    ORDER BY created_at DESC, id DESC
+    LIMIT $${paramIndex}
+  `;
+  params.push(limit + 1);
+
+  const result = await queryWithTenant(tenantId, query, params);
+  const { rows, pagination } = paginate(result.rows, limit);
+  const subscriptions = rows.map(formatSubscription);
+
+  logger.info("Subscriptions retrieved", {
+    count: subscriptions.length,
+    hasMore: pagination.hasMore,
+  });
+
+  return jsonResponse(200, {
+    subscriptions,
+    pagination,
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(listSubscriptionsHandler, {
+  requireBody: false,
+});
@@ -0,0 +1,103 @@
+/**
+ * markInvoicePaidHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * POST /v1/invoices/{id}/mark-paid  (ADMIN only)
+ *
+ * Records that an invoice has been paid outside the platform (bank
+ * transfer, cheque, a late payment after a write-off):
+ * `issued | overdue | uncollectible → paid` (shared/invoice-lifecycle).
+ * Sets `paid_at`, and records a payment of the whole amount still due
+ * (shared/payments) — use POST /v1/invoices/{id}/payments for part of it.
+ *
+ * Body (all optional):
+ *   {
+ *     "paid_at": "2026-10-01T09:30:00Z",      // default: now; not in the future
+ *     "payment_reference": "BANK-TX-88231",
+ *     "method": "bank_transfer"               // default: other
+ *   }
+ *
+ * Publishes "invoice.paid".  process-dunning closes an open dunning case
+ * for the invoice on its next run — the subscription returns to `active`
+ * and a suspended tenant is reactivated.
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { withSystemTransaction } = require("../../shared/db");
+const { incrementCounter } = require("../../shared/metrics");
+const { publishEvent } = require("../../shared/events");
+const { formatInvoice } = require("../../shared/invoices");
+const { invoiceEventPayload } = require("../../shared/invoice-lifecycle");
+const { recordPayment, formatPayment } = require("../../shared/payments");
+
+async function markInvoicePaidHandler(
+  event,
+  context,
+  { tenant, body, pathParams, logger, requestId },
+) {
+  const invoiceId = pathParams.id;
+  const now = new Date();
+  const paidAt = body.paid_at ? new Date(body.paid_at) : now;
+
+  if (Number.isNaN(paidAt.getTime()) || paidAt > now) {
+    throw new AppError(
+      400,
+      "paid_at must be a date-time that is not in the future",
+      { paidAt: body.paid_at },
+    );
+  }
+
+  logger.info("Marking invoice paid", {
+    invoiceId,
+    paidAt: paidAt.toISOString(),
+  });
+
+  // ADMIN acts on any tenant's invoice — system transaction, no RLS
+  const { payment, settled, tenantRow } = await withSystemTransaction(
+    async (client) => {
+      const result = await recordPayment(client, invoiceId, {
+        method: body.method,
+        reference: body.payment_reference,
+        paidAt,
+        recordedBy: tenant.userId,
+      });
+      const tenantResult = await client.query(
+        `SELECT name, email FROM tenants WHERE id = $1`,
+        [result.invoice.tenant_id],
+      );
+      return { ...result, tenantRow: tenantResult.rows[0] };
+    },
+  );
+  // The whole amount due always settles the invoice
+  const { before, after, eventType } = settled;
+
+  logger.info("Invoice marked paid", {
+    invoiceId,
+    tenantId: after.tenant_id,
+    previousStatus: before.status,
+  });
+
+  incrementCounter("invoice_transition_count", 1, { Action: "mark_paid" });
+
+  await publishEvent(
+    eventType,
+    invoiceEventPayload(before, after, tenantRow),
+    logger,
+  );
+
+  return jsonResponse(200, {
+    message: "Invoice marked as paid",
+    invoice: formatInvoice(after),
+    payment: payment ? formatPayment(payment) : null,
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(markInvoicePaidHandler, {
+  schemaName: "mark-invoice-paid",
+  requireBody: true,
+  requireAdmin: true,
+});
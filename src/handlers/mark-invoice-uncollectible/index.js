@@ -0,0 +1,80 @@
+/**
+ * markInvoiceUncollectibleHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * POST /v1/invoices/{id}/mark-uncollectible  (ADMIN only)
+ *
+ * Writes off an invoice that will not be paid:
+ * `issued | overdue → uncollectible` (shared/invoice-lifecycle).  The debt
+ * stays on record — if the money arrives after all, mark-paid still
+ * applies.
+ *
+ * Dunning stops retrying collection for a written-off invoice, but its
+ * final action (cancel or suspend) still happens when the grace period
+ * ends.
+ *
+ * Publishes "invoice.marked_uncollectible" (audit-log records it; the
+ * tenant is not emailed).
+ */
+
+const { withMiddleware, jsonResponse } = require("../../shared/middleware");
+const { withSystemTransaction } = require("../../shared/db");
+const { incrementCounter } = require("../../shared/metrics");
+const { publishEvent } = require("../../shared/events");
+const { formatInvoice } = require("../../shared/invoices");
+const {
+  transitionInvoice,
+  invoiceEventPayload,
+} = require("../../shared/invoice-lifecycle");
+
+async function markInvoiceUncollectibleHandler(
+  event,
+  context,
+  { pathParams, logger, requestId },
+) {
+  const invoiceId = pathParams.id;
+
+  logger.info("Marking invoice uncollectible", { invoiceId });
+
+  // ADMIN acts on any tenant's invoice — system transaction, no RLS
+  const { before, after, eventType, tenantRow } = await withSystemTransaction(
+    async (client) => {
+      const result = await transitionInvoice(
+        client,
+        invoiceId,
+        "mark_uncollectible",
+      );
+      const tenantResult = await client.query(
+        `SELECT name, email FROM tenants WHERE id = $1`,
+        [result.after.tenant_id],
+      );
+      return { ...result, tenantRow: tenantResult.rows[0] };
+    },
+  );
+
+  logger.info("Invoice marked uncollectible", {
+    invoiceId,
+    tenantId: after.tenant_id,
+    previousStatus: before.status,
+  });
+
+  incrementCounter("invoice_transition_count", 1, {
+    Action: "mark_uncollectible",
+  });
+
+  await publishEvent(
+    eventType,
+    invoiceEventPayload(before, after, tenantRow),
+    logger,
+  );
+
+  return jsonResponse(200, {
+    message: "Invoice marked as uncollectible",
+    invoice: formatInvoice(after),
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(markInvoiceUncollectibleHandler, {
+  requireBody: false,
+  requireAdmin: true,
+});
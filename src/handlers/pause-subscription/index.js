@@ -0,0 +1,154 @@
+/**
+ * pauseSubscriptionHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * POST /v1/subscriptions/{id}/pause
+ *
+ * Pauses billing for an `active` subscription without canceling it — for
+ * seasonal customers.
+ *
+ * Body (optional fields):
+ *   {
+ *     "resume_at": "2026-04-01T00:00:00Z",   // auto-resume (renew-subscriptions)
+ *     "reason": "Off season"
+ *   }
+ *
+ * While paused:
+ *   • The period is frozen: renew-subscriptions only rolls `active` rows, so
+ *     no renewal and no invoice is issued.
+ *   • Usage ingestion is rejected or flagged (ingest-event,
+ *     PAUSED_USAGE_POLICY).
+ *   • Plan changes are refused; cancellation is still allowed.
+ *
+ * On resume (POST /v1/subscriptions/{id}/resume, or automatically at
+ * `resume_at`) the period end moves forward by the paused duration.
+ *
+ * Publishes "subscription.paused" (audit-log, send-notification).
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { withTenantTransaction } = require("../../shared/db");
+const { incrementCounter } = require("../../shared/metrics");
+const { publishEvent } = require("../../shared/events");
+const { formatSubscription } = require("../../shared/subscriptions");
+
+async function pauseSubscriptionHandler(
+  event,
+  context,
+  { tenant, body, pathParams, logger, requestId },
+) {
+  const { tenantId } = tenant;
+  const subscriptionId = pathParams.id;
+  const reason = body.reason || null;
+  const now = new Date();
+
+  const resumeAt = body.resume_at ? new Date(body.resume_at) : null;
+  if (resumeAt && resumeAt <= now) {
+    throw new AppError(400, "resume_at must be in the future");
+  }
+
+  logger.info("Pausing subscription", {
+    tenantId,
+    subscriptionId,
+    resumeAt: resumeAt?.toISOString(),
+  });
+
+  const { before, after, tenantName } = await withTenantTransaction(
+    tenantId,
+    async (client) => {
+      // ── Lock the subscription row ────────────────────────────────────── //
+      const existing = await client.query(
+        `SELECT * FROM subscriptions
+         WHERE id = $1 AND tenant_id = $2
+         FOR UPDATE`,
+        [subscriptionId, tenantId],
+      );
+
+      if (existing.rows.length === 0) {
+        throw new AppError(404, "Subscription not found");
+      }
+
+      const sub = existing.rows[0];
+
+      if (sub.status === "paused") {
+        throw new AppError(409, "Subscription is already paused", {
+          pausedAt: sub.paused_at,
+          resumeAt: sub.resume_at,
+        });
+      }
+      if (sub.status !== "active") {
+        throw new AppError(
+          409,
+          `Cannot pause a ${sub.status} subscription`,
+          { currentStatus: sub.status },
+        );
+      }
+
+      const updated = await client.query(
+        `UPDATE subscriptions
+         SET status = 'paused',
+             paused_at = $3,
+             resume_at = $4
+         WHERE id = $1 AND tenant_id = $2
+         RETURNING *`,
+        [
+          subscriptionId,
+          tenantId,
+          now.toISOString(),
+          resumeAt ? resumeAt.toISOString() : null,
+        ],
+      );
+
+      const tenantResult = await client.query(
+        `SELECT name FROM tenants WHERE id = $1`,
+        [tenantId],
+      );
+
+      return {
+        before: sub,
+        after: updated.rows[0],
+        tenantName: tenantResult.rows[0].name,
+      };
+    },
+  );
+
+  logger.info("Subscription paused", { subscriptionId });
+
+  incrementCounter("subscription_pause_count", 1, { PlanId: before.plan_id });
+
+  // ── Publish event to SNS for downstream consumers ────────────────────── //
+  await publishEvent(
+    "subscription.paused",
+    {
+      tenantId,
+      tenantName,
+      tenantEmail: tenant.email,
+      userId: tenant.userId,
+      subscriptionId,
+      planId: before.plan_id,
+      billingCycle: before.billing_cycle,
+      amount: parseFloat(before.amount),
+      currency: before.currency,
+      status: "paused",
+      reason,
+      pausedAt: now.toISOString(),
+      resumeAt: resumeAt ? resumeAt.toISOString() : null,
+      currentPeriodEnd: before.current_period_end,
+    },
+    logger,
+  );
+
+  return jsonResponse(200, {
+    message: "Subscription paused",
+    subscription: formatSubscription(after),
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(pauseSubscriptionHandler, {
+  schemaName: "pause-subscription",
+  requireBody: true,
+});
@@ -10,26 +10,40 @@
  *     professional/enterprise).  API Gateway routes and Lambda handlers use
  *     this to enforce feature gates and rate limits.
  *
- *   • custom:features   — JSON-encoded feature flags derived from the plan.
- *     Enables progressive feature rollout without redeployment.
+ *   • custom:features   — JSON-encoded feature flags and limits from the plan
+ *     catalog (shared/plans, `plan_versions`).  A subscriber gets the
+ *     features of the plan VERSION they subscribed to.  Enables progressive
+ *     feature rollout without redeployment.  The middleware parses it into
+ *     `tenant.features`; routes gate on it with `requireFeature` (e.g.
+ *     GET /v1/invoices/{id}/pdf requires `invoiceExport`).  A change scheduled for period
+ *     end (`pending_change`, shared/scheduled-changes) is deliberately
+ *     ignored: the current plan's features are granted until the renewal
+ *     job switches `plan_id`/`plan_version`, and the next token picks up
+ *     the new plan.
  *
  *   • custom:tenant_status — active/suspended/trial.  Suspended tenants get
  *     403 on write endpoints but can still read (graceful degradation).
  *
  * Design decisions:
  *
- *   • SINGLE DB QUERY: Fetch tenant + active subscription in one query using
+ *   • SINGLE DB QUERY: Fetch tenant + current subscription in one query using
  *     a LEFT JOIN.  This adds ~5-20ms to token generation (acceptable given
  *     tokens are issued infrequently — login + refresh every 60 min).
+ *     "Current" includes `trialing` and `past_due`: a tenant keeps its plan's
+ *     features during a trial and while dunning chases an unpaid invoice —
+ *     losing access is dunning's final action, expressed through
+ *     `tenant_status`.
  *
  *   • GRACEFUL FALLBACK: If the DB query fails or returns no results, the
  *     handler returns DEFAULT claims (plan = "free", no features) instead of
  *     blocking authentication.  A user who can't get a fancy token is better
  *     than a user who can't log in at all.
  *
- *   • NO CACHING: Each token generation hits the DB.  At ~1 token per user
- *     per hour, the DB load is negligible.  Caching would introduce staleness
- *     issues when a tenant upgrades their plan.
+ *   • NO CACHING: Each token generation hits the DB for the tenant and its
+ *     subscription.  At ~1 token per user per hour, the DB load is
+ *     negligible.  Caching would introduce staleness issues when a tenant
+ *     upgrades their plan.  (Only the plan catalog itself is cached, for
+ *     60s, by shared/plans.)
  *
  *   • claimsToAddOrOverride: Cognito merges these into the issued token.
  *     The prefix "custom:" is NOT needed here — Cognito adds it automatically
@@ -46,61 +60,21 @@
 
 const { getPool, querySystem } = require("../../shared/db");
 const { createLogger } = require("../../shared/logger");
+const { getPlan, getPlanFeatures } = require("../../shared/plans");
 
 const logger = createLogger();
 
-/**
- * Feature flags per plan tier.
- * These are injected into the JWT so the frontend and API can feature-gate
- * without additional API calls.
- */
-const PLAN_FEATURES = {
-  free: {
-    maxUsers: 3,
-    maxEventsPerMonth: 1000,
-    invoiceExport: false,
-    apiAccess: false,
-    customBranding: false,
-    prioritySupport: false,
-    auditLog: false,
-    webhooks: false,
-  },
-  starter: {
-    maxUsers: 10,
-    maxEventsPerMonth: 10000,
-    invoiceExport: true,
-    apiAccess: true,
-    customBranding: false,
-    prioritySupport: false,
-    auditLog: false,
-    webhooks: false,
-  },
-  professional: {
-    maxUsers: 50,
-    maxEventsPerMonth: 100000,
-    invoiceExport: true,
-    apiAccess: true,
-    customBranding: true,
-    prioritySupport: true,
-    auditLog: true,
-    webhooks: true,
-  },
-  enterprise: {
-    maxUsers: -1, // Unlimited
-    maxEventsPerMonth: -1,
-    invoiceExport: true,
-    apiAccess: true,
-    customBranding: true,
-    prioritySupport: true,
-    auditLog: true,
-    webhooks: true,
-  },
-};
+// Features when the catalog cannot be read (DB error): none.  The plan
+// tier still defaults to "free".
+const NO_FEATURES = {};
 
 const DEFAULT_PLAN = "free";
 
+// Subscription statuses that grant the subscription's plan
+const ENTITLED_STATUSES = ["active", "trialing", "past_due"];
+
 /**
- * Fetch tenant details and active subscription from the database.
+ * Fetch tenant details and current subscription from the database.
  * Uses a LEFT JOIN so we always get the tenant row even if no subscription exists.
  */
 async function getTenantDetails(tenantId) {
@@ -111,16 +85,17 @@ async function getTenantDetails(tenantId) {
        t.status        AS tenant_status,
        t.settings      AS tenant_settings,
        s.plan_id       AS subscription_plan,
+       s.plan_version  AS subscription_plan_version,
        s.status        AS subscription_status,
        s.billing_cycle AS subscription_billing_cycle
      FROM tenants t
      LEFT JOIN subscriptions s
        ON s.tenant_id = t.id
-       AND s.status = 'active'
+       AND s.status = ANY($2)
      WHERE t.id = $1
      ORDER BY s.created_at DESC
      LIMIT 1`,
-    [tenantId],
+    [tenantId, ENTITLED_STATUSES],
   );
 
   return result.rows.length > 0 ? result.rows[0] : null;
@@ -128,15 +103,15 @@ async function getTenantDetails(tenantId) {
 
 /**
  * Determine the effective plan tier.
- * Priority: active subscription plan > tenant-level plan > default (free).
+ * Priority: current subscription plan > tenant-level plan > default (free).
  */
 function resolveEffectivePlan(tenantDetails) {
   if (!tenantDetails) return DEFAULT_PLAN;
 
-  // Active subscription takes precedence over tenant-level plan
+  // Current subscription takes precedence over tenant-level plan
   if (
     tenantDetails.subscription_plan &&
-    tenantDetails.subscription_status === "active"
+    ENTITLED_STATUSES.includes(tenantDetails.subscription_status)
   ) {
     return tenantDetails.subscription_plan;
   }
@@ -148,8 +123,16 @@ function resolveEffectivePlan(tenantDetails) {
  * Build the feature flags object for the resolved plan.
  * Merges plan-level features with any tenant-specific overrides from settings.
  */
-function resolveFeatures(plan, tenantDetails) {
-  const baseFeatures = PLAN_FEATURES[plan] || PLAN_FEATURES[DEFAULT_PLAN];
+async function resolveFeatures(plan, tenantDetails) {
+  // The subscription's own version when the plan came from it; otherwise
+  // the plan's current version.  Archived plans still serve existing users.
+  const version =
+    tenantDetails?.subscription_plan === plan
+      ? tenantDetails.subscription_plan_version
+      : null;
+  const baseFeatures = getPlanFeatures(
+    await getPlan(plan, { version, includeArchived: true }),
+  );
 
   // Allow per-tenant feature overrides stored in tenants.settings
   if (tenantDetails?.tenant_settings) {
@@ -166,6 +149,18 @@ function resolveFeatures(plan, tenantDetails) {
   return baseFeatures;
 }
 
+/**
+ * Features of the default plan, for users without a (known) tenant.
+ */
+async function defaultFeatures(requestLogger) {
+  try {
+    return getPlanFeatures(await getPlan(DEFAULT_PLAN, { includeArchived: true }));
+  } catch (error) {
+    requestLogger.error("Failed to load default plan features", { error });
+    return NO_FEATURES;
+  }
+}
+
 exports.handler = async (event, context) => {
   // Initialize logger with request context
   const requestLogger = logger.child({
@@ -192,7 +187,7 @@ exports.handler = async (event, context) => {
       claimsToAddOrOverride: {
         plan_tier: DEFAULT_PLAN,
         tenant_status: "unknown",
-        features: JSON.stringify(PLAN_FEATURES[DEFAULT_PLAN]),
+        features: JSON.stringify(await defaultFeatures(requestLogger)),
       },
     };
 
@@ -214,7 +209,7 @@ exports.handler = async (event, context) => {
         claimsToAddOrOverride: {
           plan_tier: DEFAULT_PLAN,
           tenant_status: "not_found",
-          features: JSON.stringify(PLAN_FEATURES[DEFAULT_PLAN]),
+          features: JSON.stringify(await defaultFeatures(requestLogger)),
         },
       };
 
@@ -223,7 +218,7 @@ exports.handler = async (event, context) => {
 
     // Resolve effective plan and features
     const effectivePlan = resolveEffectivePlan(tenantDetails);
-    const features = resolveFeatures(effectivePlan, tenantDetails);
+    const features = await resolveFeatures(effectivePlan, tenantDetails);
 
     requestLogger.info("Enriching token with tenant claims", {
       tenantId,
@@ -255,7 +250,7 @@ exports.handler = async (event, context) => {
       claimsToAddOrOverride: {
         plan_tier: DEFAULT_PLAN,
         tenant_status: "error",
-        features: JSON.stringify(PLAN_FEATURES[DEFAULT_PLAN]),
+        features: JSON.stringify(NO_FEATURES),
       },
     };
 
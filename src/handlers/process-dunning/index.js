@@ -0,0 +1,500 @@
+/**
+ * process-dunning — Scheduled Job (EventBridge, hourly)
+ * ────────────────────────────────────────────────────────────────────────────
+ * Chases unpaid invoices.  One `dunning_cases` row per overdue invoice moves
+ * through a small state machine (see migrations/007_dunning.sql).  Each run:
+ *
+ *   1. OPEN — `overdue` invoices (charges only, marked by
+ *      process-overdue-invoices) without a case get one, and the
+ *      subscription becomes `past_due`.  Emits "invoice.payment_failed" and
+ *      "subscription.past_due".
+ *
+ *   2. RECOVER — cases whose invoice has since been marked `paid` (or
+ *      `void`, see shared/invoice-lifecycle) are closed as `recovered`.  The
+ *      subscription returns to `active` and a tenant suspended by dunning is
+ *      reactivated.  Emits "subscription.recovered" / "tenant.reactivated".
+ *
+ *   3. RETRY — open cases whose `next_attempt_at` has passed record another
+ *      collection attempt and emit "invoice.payment_retry".  Invoices marked
+ *      `uncollectible` (written off) get no further retries.  Charging the
+ *      payment method is the payment provider integration's job: it
+ *      consumes this event and, on success, marks the invoice paid — which
+ *      step 2 picks up on the next run.
+ *
+ *   4. FINAL ACTION — open cases with every retry made and the grace period
+ *      over:
+ *        • cancel  → subscription `canceled`, "subscription.canceled"
+ *                    (mode "unpaid")
+ *        • suspend → tenant `suspended`, "tenant.suspended".  The tenant
+ *                    keeps read access (middleware blocks writes for the
+ *                    `tenant_status` claim) and is reactivated by step 2
+ *                    once the invoice is paid.
+ *
+ *   5. FLUSH — publishes the outbox (see shared/outbox.js).
+ *
+ * Configuration (environment, all days relative to when the case opened):
+ *   • DUNNING_RETRY_DAYS   — retry schedule, e.g. "1,3,5"
+ *   • DUNNING_GRACE_DAYS   — final action after this many days, e.g. "7";
+ *                            must not be earlier than the last retry
+ *   • DUNNING_FINAL_ACTION — "cancel" or "suspend"
+ *
+ * Renewals:
+ *   renew-subscriptions only rolls `active` subscriptions, so a `past_due`
+ *   subscription is not renewed.  Once recovered, the renewal job catches it
+ *   up period by period.
+ */
+
+const { withSystemTransaction } = require("../../shared/db");
+const { withScheduledJob } = require("../../shared/scheduled-job");
+const { enqueueEvent, flushOutbox } = require("../../shared/outbox");
+const { incrementCounter } = require("../../shared/metrics");
+const { hasPaymentMethod } = require("../../shared/tenants");
+
+const BATCH_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FINAL_ACTIONS = new Set(["cancel", "suspend"]);
+
+/**
+ * Parse and validate the dunning configuration.  Invalid configuration
+ * throws at cold start, so every run fails loudly (Errors alarm) rather than
+ * silently chasing customers on the wrong schedule.
+ */
+function loadDunningConfig(env = process.env) {
+  const retryDays = (env.DUNNING_RETRY_DAYS || "1,3,5")
+    .split(",")
+    .map((d) => parseInt(d.trim(), 10));
+  const graceDays = parseInt(env.DUNNING_GRACE_DAYS || "7", 10);
+  const finalAction = env.DUNNING_FINAL_ACTION || "suspend";
+
+  if (retryDays.some((d, i) => !(d >= 0) || (i > 0 && d <= retryDays[i - 1]))) {
+    throw new Error(
+      `DUNNING_RETRY_DAYS must be increasing non-negative integers: ${env.DUNNING_RETRY_DAYS}`,
+    );
+  }
+  if (!(graceDays >= retryDays[retryDays.length - 1])) {
+    throw new Error(
+      `DUNNING_GRACE_DAYS (${graceDays}) must not be earlier than the last retry (${retryDays[retryDays.length - 1]})`,
+    );
+  }
+  if (!FINAL_ACTIONS.has(finalAction)) {
+    throw new Error(`DUNNING_FINAL_ACTION must be cancel or suspend: ${finalAction}`);
+  }
+
+  return { retryDays, graceDays, finalAction };
+}
+
+const CONFIG = loadDunningConfig();
+
+function addDays(date, days) {
+  return new Date(new Date(date).getTime() + days * DAY_MS);
+}
+
+/**
+ * Common event fields for a case row joined with its invoice, subscription
+ * and tenant.
+ */
+function caseEventPayload(row) {
+  return {
+    tenantId: row.tenant_id,
+    tenantName: row.tenant_name,
+    tenantEmail: row.tenant_email,
+    subscriptionId: row.subscription_id,
+    planId: row.plan_id,
+    invoiceId: row.invoice_id,
+    invoiceNumber: row.invoice_number,
+    amount: parseFloat(row.invoice_amount),
+    currency: row.currency,
+    dueDate: row.due_date,
+    dunningCaseId: row.case_id,
+  };
+}
+
+const CASE_SELECT = `
+  SELECT d.id AS case_id, d.status AS case_status, d.attempt_count,
+         d.next_attempt_at, d.grace_ends_at, d.opened_at,
+         d.tenant_id, d.subscription_id, d.invoice_id,
+         i.invoice_number,
+         i.amount - i.credited_amount - i.balance_applied - i.amount_paid
+           AS invoice_amount,
+         i.currency,
+         i.due_date, i.status AS invoice_status,
+         s.plan_id, s.status AS subscription_status,
+         t.name AS tenant_name, t.email AS tenant_email,
+         t.status AS tenant_status, t.settings AS tenant_settings
+  FROM dunning_cases d
+  JOIN invoices i ON i.id = d.invoice_id
+  JOIN subscriptions s ON s.id = d.subscription_id
+  JOIN tenants t ON t.id = d.tenant_id`;
+
+// ── 1. Open cases for newly overdue invoices ───────────────────────────── //
+
+async function openCases(logger) {
+  return withSystemTransaction(async (client) => {
+    const overdue = await client.query(
+      `SELECT i.id AS invoice_id, i.invoice_number,
+              i.amount - i.credited_amount - i.balance_applied
+                - i.amount_paid AS invoice_amount,
+              i.currency, i.due_date, i.tenant_id, i.subscription_id,
+              s.plan_id, s.status AS subscription_status,
+              t.name AS tenant_name, t.email AS tenant_email
+       FROM invoices i
+       JOIN subscriptions s ON s.id = i.subscription_id
+       JOIN tenants t ON t.id = i.tenant_id
+       WHERE i.status = 'overdue'
+         AND i.amount > 0
+         AND s.status IN ('active', 'past_due')
+         AND NOT EXISTS (
+           SELECT 1 FROM dunning_cases d WHERE d.invoice_id = i.id
+         )
+       ORDER BY i.due_date
+       LIMIT $1
+       FOR UPDATE OF i, s SKIP LOCKED`,
+      [BATCH_SIZE],
+    );
+
+    let opened = 0;
+    const now = new Date();
+
+    for (const row of overdue.rows) {
+      const inserted = await client.query(
+        `INSERT INTO dunning_cases
+           (tenant_id, subscription_id, invoice_id, next_attempt_at, grace_ends_at, opened_at)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (invoice_id) DO NOTHING
+         RETURNING id`,
+        [
+          row.tenant_id,
+          row.subscription_id,
+          row.invoice_id,
+          addDays(now, CONFIG.retryDays[0]).toISOString(),
+          addDays(now, CONFIG.graceDays).toISOString(),
+          now.toISOString(),
+        ],
+      );
+
+      if (inserted.rows.length === 0) continue; // case already exists
+
+      const caseId = inserted.rows[0].id;
+      const payload = caseEventPayload({ ...row, case_id: caseId });
+
+      if (row.subscription_status === "active") {
+        await client.query(
+          `UPDATE subscriptions SET status = 'past_due' WHERE id = $1`,
+          [row.subscription_id],
+        );
+
+        await enqueueEvent(
+          client,
+          "subscription.past_due",
+          { ...payload, previousStatus: "active", status: "past_due" },
+          { dedupeKey: `subscription.past_due:${caseId}` },
+        );
+      }
+
+      await enqueueEvent(
+        client,
+        "invoice.payment_failed",
+        {
+          ...payload,
+          nextAttemptAt: addDays(now, CONFIG.retryDays[0]).toISOString(),
+          graceEndsAt: addDays(now, CONFIG.graceDays).toISOString(),
+          finalAction: CONFIG.finalAction,
+        },
+        { dedupeKey: `invoice.payment_failed:${row.invoice_id}` },
+      );
+
+      opened++;
+      logger.info("Dunning case opened", {
+        tenantId: row.tenant_id,
+        subscriptionId: row.subscription_id,
+        invoiceId: row.invoice_id,
+        dunningCaseId: caseId,
+      });
+    }
+
+    return { claimed: overdue.rows.length, opened };
+  });
+}
+
+// ── 2. Close cases whose invoice has been settled ──────────────────────── //
+
+async function recoverCases(logger) {
+  return withSystemTransaction(async (client) => {
+    const settled = await client.query(
+      `${CASE_SELECT}
+       WHERE d.status IN ('open', 'suspended')
+         AND i.status IN ('paid', 'void')
+       LIMIT $1
+       FOR UPDATE OF d, s, t SKIP LOCKED`,
+      [BATCH_SIZE],
+    );
+
+    let recovered = 0;
+
+    for (const row of settled.rows) {
+      const payload = caseEventPayload(row);
+
+      await client.query(
+        `UPDATE dunning_cases SET status = 'recovered', closed_at = NOW()
+         WHERE id = $1`,
+        [row.case_id],
+      );
+
+      // Back to active unless another unpaid invoice is still being chased
+      const reactivated = await client.query(
+        `UPDATE subscriptions SET status = 'active'
+         WHERE id = $1 AND status = 'past_due'
+           AND NOT EXISTS (
+             SELECT 1 FROM dunning_cases
+             WHERE subscription_id = $1 AND status = 'open'
+           )`,
+        [row.subscription_id],
+      );
+
+      if (reactivated.rowCount > 0) {
+        await enqueueEvent(
+          client,
+          "subscription.recovered",
+          { ...payload, status: "active", invoiceStatus: row.invoice_status },
+          { dedupeKey: `subscription.recovered:${row.case_id}` },
+        );
+      }
+
+      // Lift a suspension only when no other case is holding it
+      if (row.case_status === "suspended") {
+        const unsuspended = await client.query(
+          `UPDATE tenants SET status = 'active'
+           WHERE id = $1 AND status = 'suspended'
+             AND NOT EXISTS (
+               SELECT 1 FROM dunning_cases
+               WHERE tenant_id = $1 AND status = 'suspended'
+             )`,
+          [row.tenant_id],
+        );
+
+        if (unsuspended.rowCount > 0) {
+          await enqueueEvent(
+            client,
+            "tenant.reactivated",
+            { ...payload, status: "active" },
+            { dedupeKey: `tenant.reactivated:${row.case_id}` },
+          );
+        }
+      }
+
+      recovered++;
+      logger.info("Dunning case recovered", {
+        tenantId: row.tenant_id,
+        invoiceId: row.invoice_id,
+        dunningCaseId: row.case_id,
+      });
+    }
+
+    return { claimed: settled.rows.length, recovered };
+  });
+}
+
+// ── 3. Collection retries ──────────────────────────────────────────────── //
+
+async function retryCases(logger) {
+  return withSystemTransaction(async (client) => {
+    const due = await client.query(
+      `${CASE_SELECT}
+       WHERE d.status = 'open'
+         AND d.next_attempt_at <= NOW()
+       ORDER BY d.next_attempt_at
+       LIMIT $1
+       FOR UPDATE OF d SKIP LOCKED`,
+      [BATCH_SIZE],
+    );
+
+    let retried = 0;
+    const now = new Date();
+
+    for (const row of due.rows) {
+      // A written-off invoice is not chased any further: the retry schedule
+      // ends here and the final action follows at the end of the grace period
+      if (row.invoice_status === "uncollectible") {
+        await client.query(
+          `UPDATE dunning_cases SET next_attempt_at = NULL WHERE id = $1`,
+          [row.case_id],
+        );
+        logger.info("Dunning retries stopped — invoice uncollectible", {
+          tenantId: row.tenant_id,
+          invoiceId: row.invoice_id,
+          dunningCaseId: row.case_id,
+        });
+        continue;
+      }
+
+      const attempt = row.attempt_count + 1;
+
+      // Next scheduled retry still in the future.  Retries missed while the
+      // job was not running are skipped rather than fired back to back.
+      const nextAttemptAt =
+        CONFIG.retryDays
+          .slice(attempt)
+          .map((day) => addDays(row.opened_at, day))
+          .find((at) => at > now) || null;
+
+      await client.query(
+        `UPDATE dunning_cases
+         SET attempt_count = $2, next_attempt_at = $3
+         WHERE id = $1`,
+        [row.case_id, attempt, nextAttemptAt ? nextAttemptAt.toISOString() : null],
+      );
+
+      await enqueueEvent(
+        client,
+        "invoice.payment_retry",
+        {
+          ...caseEventPayload(row),
+          attempt,
+          maxAttempts: CONFIG.retryDays.length,
+          nextAttemptAt: nextAttemptAt ? nextAttemptAt.toISOString() : null,
+          graceEndsAt: new Date(row.grace_ends_at).toISOString(),
+          finalAction: CONFIG.finalAction,
+          hasPaymentMethod: hasPaymentMethod(row.tenant_settings),
+        },
+        { dedupeKey: `invoice.payment_retry:${row.case_id}:${attempt}` },
+      );
+
+      retried++;
+      logger.info("Dunning retry recorded", {
+        tenantId: row.tenant_id,
+        invoiceId: row.invoice_id,
+        dunningCaseId: row.case_id,
+        attempt,
+      });
+    }
+
+    return { claimed: due.rows.length, retried };
+  });
+}
+
+// ── 4. Final action ────────────────────────────────────────────────────── //
+
+async function finalizeCases(logger) {
+  return withSystemTransaction(async (client) => {
+    const exhausted = await client.query(
+      `${CASE_SELECT}
+       WHERE d.status = 'open'
+         AND d.next_attempt_at IS NULL
+         AND d.grace_ends_at <= NOW()
+       ORDER BY d.grace_ends_at
+       LIMIT $1
+       FOR UPDATE OF d, s, t SKIP LOCKED`,
+      [BATCH_SIZE],
+    );
+
+    let canceled = 0;
+    let suspended = 0;
+
+    for (const row of exhausted.rows) {
+      const payload = caseEventPayload(row);
+
+      if (CONFIG.finalAction === "cancel") {
+        const result = await client.query(
+          `UPDATE subscriptions
+           SET status = 'canceled',
+               canceled_at = NOW(),
+               cancel_at_period_end = FALSE,
+               cancellation_reason = 'unpaid'
+           WHERE id = $1 AND status = 'past_due'
+           RETURNING canceled_at`,
+          [row.subscription_id],
+        );
+
+        if (result.rows.length > 0) {
+          const canceledAt = new Date(result.rows[0].canceled_at).toISOString();
+          await enqueueEvent(
+            client,
+            "subscription.canceled",
+            {
+              ...payload,
+              previousStatus: "past_due",
+              mode: "unpaid",
+              reason: "unpaid",
+              canceledAt,
+              effectiveAt: canceledAt,
+              prorationCredit: 0,
+            },
+            { dedupeKey: `subscription.canceled:${row.case_id}` },
+          );
+        }
+
+        await client.query(
+          `UPDATE dunning_cases SET status = 'canceled', closed_at = NOW()
+           WHERE id = $1`,
+          [row.case_id],
+        );
+        canceled++;
+      } else {
+        const result = await client.query(
+          `UPDATE tenants SET status = 'suspended'
+           WHERE id = $1 AND status = 'active'`,
+          [row.tenant_id],
+        );
+
+        if (result.rowCount > 0) {
+          await enqueueEvent(
+            client,
+            "tenant.suspended",
+            { ...payload, previousStatus: "active", status: "suspended" },
+            { dedupeKey: `tenant.suspended:${row.case_id}` },
+          );
+        }
+
+        // Stays unresolved (no closed_at) — recovered once the invoice is paid
+        await client.query(
+          `UPDATE dunning_cases SET status = 'suspended' WHERE id = $1`,
+          [row.case_id],
+        );
+        suspended++;
+      }
+
+      logger.info("Dunning final action taken", {
+        tenantId: row.tenant_id,
+        invoiceId: row.invoice_id,
+        dunningCaseId: row.case_id,
+        finalAction: CONFIG.finalAction,
+      });
+    }
+
+    return { claimed: exhausted.rows.length, canceled, suspended };
+  });
+}
+
+/**
+ * Run one step in batches until it runs dry or the deadline approaches.
+ */
+async function drain(step, logger, hasTimeLeft, totals) {
+  while (hasTimeLeft()) {
+    const { claimed, ...counts } = await step(logger);
+    for (const [key, value] of Object.entries(counts)) {
+      totals[key] = (totals[key] || 0) + value;
+    }
+    if (claimed < BATCH_SIZE) break;
+  }
+}
+
+async function processDunning(event, { logger, hasTimeLeft }) {
+  const totals = {};
+
+  // Recover first so a payment recorded since the last run is never
+  // followed by another retry or a suspension
+  await drain(recoverCases, logger, hasTimeLeft, totals);
+  await drain(openCases, logger, hasTimeLeft, totals);
+  await drain(retryCases, logger, hasTimeLeft, totals);
+  await drain(finalizeCases, logger, hasTimeLeft, totals);
+
+  for (const [key, value] of Object.entries(totals)) {
+    if (value > 0) incrementCounter(`dunning_${key}_count`, value);
+  }
+
+  const outbox = await flushOutbox(logger);
+
+  return { ...totals, published: outbox.published };
+}
+
+module.exports.handler = withScheduledJob("process-dunning", processDunning);
@@ -0,0 +1,205 @@
+/**
+ * process-invoice-exports — Scheduled Job (EventBridge, every minute)
+ * ────────────────────────────────────────────────────────────────────────────
+ * Writes the exports requested with POST /v1/invoice-exports.  Each run:
+ *
+ *   1. PURGE — deletes exports past `expires_at` (their parts cascade).
+ *
+ *   2. EXPORT — claims the oldest pending export, marks it `running` and
+ *      writes it with shared/invoice-export in one tenant-scoped
+ *      transaction: the parts (`invoice_export_parts`, PART_MAX_BYTES each)
+ *      and the `completed` status commit together.  Repeats while time is
+ *      left.
+ *
+ * Crash safety & retries:
+ *   • Exports are claimed with FOR UPDATE SKIP LOCKED, so overlapping runs
+ *     never write the same export.
+ *   • A run that dies mid-export (timeout, crash) rolls back its parts and
+ *     leaves the export `running`; it is claimed again once `started_at` is
+ *     RUNNING_TIMEOUT_MINUTES old.  A failed attempt goes back to `pending`.
+ *     After MAX_ATTEMPTS the export is `failed` and the caller is told to
+ *     request it again.
+ */
+
+const {
+  withSystemTransaction,
+  withTenantTransaction,
+} = require("../../shared/db");
+const { withScheduledJob } = require("../../shared/scheduled-job");
+const { incrementCounter } = require("../../shared/metrics");
+const { parseJsonColumn } = require("../../shared/subscriptions");
+const { writeInvoiceExport } = require("../../shared/invoice-export");
+
+// Longer than the Lambda timeout (15 min): a `running` export this old has
+// no live run any more
+const RUNNING_TIMEOUT_MINUTES = 20;
+const MAX_ATTEMPTS = 3;
+const FAILED_MESSAGE = "Export failed — please request it again";
+
+// ── 1. Purge expired exports ───────────────────────────────────────────── //
+
+async function purgeExpired() {
+  return withSystemTransaction(async (client) => {
+    const result = await client.query(
+      `DELETE FROM invoice_exports WHERE expires_at <= NOW()`,
+    );
+    return result.rowCount;
+  });
+}
+
+// ── 2. Claim and write exports ─────────────────────────────────────────── //
+
+/**
+ * Claim the oldest export to write, or null when there is none.  An export
+ * out of attempts is marked failed instead and not returned.
+ */
+async function claimExport(logger) {
+  return withSystemTransaction(async (client) => {
+    const result = await client.query(
+      `SELECT * FROM invoice_exports
+       WHERE expires_at > NOW()
+         AND (status = 'pending'
+              OR (status = 'running'
+                  AND started_at < NOW() - make_interval(mins => $1)))
+       ORDER BY created_at
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED`,
+      [RUNNING_TIMEOUT_MINUTES],
+    );
+    if (result.rows.length === 0) return null;
+
+    const row = result.rows[0];
+    if (row.attempts >= MAX_ATTEMPTS) {
+      await client.query(
+        `UPDATE invoice_exports
+         SET status = 'failed', error = $2, completed_at = NOW()
+         WHERE id = $1`,
+        [row.id, FAILED_MESSAGE],
+      );
+      logger.warn("Invoice export out of attempts", {
+        exportId: row.id,
+        tenantId: row.tenant_id,
+        attempts: row.attempts,
+      });
+      return { row, exhausted: true };
+    }
+
+    const claimed = await client.query(
+      `UPDATE invoice_exports
+       SET status = 'running', attempts = attempts + 1, started_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [row.id],
+    );
+    return { row: claimed.rows[0], exhausted: false };
+  });
+}
+
+/**
+ * Write a claimed export and mark it completed.
+ */
+async function runExport(row) {
+  return withTenantTransaction(row.tenant_id, async (client) => {
+    const totals = await writeInvoiceExport(
+      client,
+      row.tenant_id,
+      { format: row.format, filters: parseJsonColumn(row.filters, {}) },
+      (content, partNumber) =>
+        client.query(
+          `INSERT INTO invoice_export_parts
+             (export_id, tenant_id, part_number, content, byte_size)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [
+            row.id,
+            row.tenant_id,
+            partNumber,
+            content,
+            Buffer.byteLength(content),
+          ],
+        ),
+    );
+
+    await client.query(
+      `UPDATE invoice_exports
+       SET status = 'completed', invoice_count = $2, row_count = $3,
+           part_count = $4, byte_size = $5, error = NULL,
+           completed_at = NOW()
+       WHERE id = $1`,
+      [
+        row.id,
+        totals.invoiceCount,
+        totals.rowCount,
+        totals.chunkCount,
+        totals.byteSize,
+      ],
+    );
+
+    return totals;
+  });
+}
+
+/**
+ * A failed attempt: back to pending for the next run, or failed for good.
+ */
+async function releaseExport(row) {
+  return withSystemTransaction((client) =>
+    client.query(
+      `UPDATE invoice_exports
+       SET status = CASE WHEN attempts >= $2 THEN 'failed' ELSE 'pending' END,
+           error = CASE WHEN attempts >= $2 THEN $3 ELSE NULL END,
+           completed_at = CASE WHEN attempts >= $2 THEN NOW() END
+       WHERE id = $1 AND status = 'running'`,
+      [row.id, MAX_ATTEMPTS, FAILED_MESSAGE],
+    ),
+  );
+}
+
+async function processInvoiceExports(event, { logger, hasTimeLeft }) {
+  const purged = await purgeExpired();
+  let completed = 0;
+  let failed = 0;
+
+  while (hasTimeLeft()) {
+    const claim = await claimExport(logger);
+    if (!claim) break;
+    if (claim.exhausted) {
+      failed++;
+      continue;
+    }
+
+    const { row } = claim;
+    try {
+      const totals = await runExport(row);
+      completed++;
+
+      logger.info("Invoice export completed", {
+        exportId: row.id,
+        tenantId: row.tenant_id,
+        format: row.format,
+        invoices: totals.invoiceCount,
+        rows: totals.rowCount,
+        parts: totals.chunkCount,
+        bytes: totals.byteSize,
+      });
+      incrementCounter("invoice_export_count", 1, { Format: row.format });
+    } catch (err) {
+      failed++;
+      logger.error("Invoice export failed", {
+        exportId: row.id,
+        tenantId: row.tenant_id,
+        attempt: row.attempts,
+        error: err,
+      });
+      await releaseExport(row);
+    }
+  }
+
+  if (failed > 0) incrementCounter("invoice_export_failure", failed);
+
+  return { purged, completed, failed };
+}
+
+module.exports.handler = withScheduledJob(
+  "process-invoice-exports",
+  processInvoiceExports,
+);
@@ -0,0 +1,249 @@
+/**
+ * process-overdue-invoices — Scheduled Job (EventBridge, hourly)
+ * ────────────────────────────────────────────────────────────────────────────
+ * Keeps unpaid invoices' status current and reminds customers to pay.  Each
+ * run:
+ *
+ *   1. REMIND — invoices still open (`issued` or `overdue`, something left
+ *      to pay) get an "invoice.payment_reminder" on each day of
+ *      INVOICE_REMINDER_DAYS, counted in calendar days (UTC) from the due
+ *      date: by default 3 days before, on the due date and 7 days after.
+ *      A reminder is sent by the first run of its day — one missed for a
+ *      whole day (job outage) is skipped rather than sent late.  Reminders
+ *      run before the sweep, so the "due today" reminder normally goes out
+ *      while the invoice is still `issued`.  Invoices are claimed in
+ *      batches (FOR UPDATE SKIP LOCKED, keyset on id); one locked by a
+ *      concurrent change is reminded by the next run that day.
+ *
+ *   2. SWEEP — `issued` invoices past their `due_date` (charges only)
+ *      become `overdue` and emit "invoice.overdue".  This job is the only
+ *      place that sets `overdue`; process-dunning opens its cases for
+ *      invoices this job marked.
+ *
+ *   3. FLUSH — publishes the outbox (see shared/outbox.js).
+ *
+ * Sent once:
+ *   Every event is enqueued with an outbox dedupe key — the invoice, the
+ *   reminder day and the due date for reminders — so a reminder is emailed
+ *   once per invoice however often the job runs, and again only if the due
+ *   date changes.
+ *
+ * Configuration (environment):
+ *   • INVOICE_REMINDER_DAYS — reminder days relative to the due date,
+ *     e.g. "-3,0,7"; empty disables reminders
+ */
+
+const { withSystemTransaction } = require("../../shared/db");
+const { withScheduledJob } = require("../../shared/scheduled-job");
+const { enqueueEvent, flushOutbox } = require("../../shared/outbox");
+const { incrementCounter } = require("../../shared/metrics");
+const { roundMoney } = require("../../shared/currency");
+const { invoiceEventPayload } = require("../../shared/invoice-lifecycle");
+
+const BATCH_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse and validate the reminder days.  Invalid configuration throws at
+ * cold start, so every run fails loudly (Errors alarm).
+ */
+function loadReminderDays(env = process.env) {
+  const raw = env.INVOICE_REMINDER_DAYS ?? "-3,0,7";
+  if (raw.trim() === "") return [];
+
+  const days = raw.split(",").map((d) => Number(d.trim()));
+  if (days.some((d, i) => !Number.isInteger(d) || (i > 0 && d <= days[i - 1]))) {
+    throw new Error(
+      `INVOICE_REMINDER_DAYS must be increasing integers: ${env.INVOICE_REMINDER_DAYS}`,
+    );
+  }
+  return days;
+}
+
+const REMINDER_DAYS = loadReminderDays();
+
+/**
+ * "upcoming" before the due date, "due" on it, "overdue" after it.
+ */
+function reminderKind(daysFromDue) {
+  if (daysFromDue < 0) return "upcoming";
+  if (daysFromDue === 0) return "due";
+  return "overdue";
+}
+
+/**
+ * Start (UTC midnight) of the day an invoice must be due on for today to be
+ * its reminder day `daysFromDue`.
+ */
+function dueDay(daysFromDue, now = new Date()) {
+  return new Date(
+    Date.UTC(
+      now.getUTCFullYear(),
+      now.getUTCMonth(),
+      now.getUTCDate() - daysFromDue,
+    ),
+  );
+}
+
+const OPEN_INVOICE_SELECT = `
+  SELECT i.*,
+         i.amount - i.credited_amount - i.balance_applied - i.amount_paid
+           AS amount_due,
+         t.name AS tenant_name, t.email AS tenant_email
+  FROM invoices i
+  JOIN tenants t ON t.id = i.tenant_id`;
+
+/**
+ * Invoice event fields plus what is still to be paid.
+ */
+function reminderPayload(before, after) {
+  return {
+    ...invoiceEventPayload(before, after, {
+      name: before.tenant_name,
+      email: before.tenant_email,
+    }),
+    amountDue: roundMoney(parseFloat(before.amount_due), before.currency),
+    dueDate: new Date(before.due_date).toISOString(),
+  };
+}
+
+// ── 1. Payment reminders ───────────────────────────────────────────────── //
+
+/**
+ * Enqueue reminder `daysFromDue` for the next batch of open invoices after
+ * `afterId`.  Reminding changes no invoice, so the batches advance on id.
+ */
+async function remindBatch(logger, daysFromDue, afterId) {
+  return withSystemTransaction(async (client) => {
+    // Today is the reminder day: the invoice is due on (today − days),
+    // UTC — any time on that day
+    const due = await client.query(
+      `${OPEN_INVOICE_SELECT}
+       WHERE i.status IN ('issued', 'overdue')
+         AND i.amount - i.credited_amount - i.balance_applied
+             - i.amount_paid > 0
+         AND i.due_date >= $1::timestamptz
+         AND i.due_date < $1::timestamptz + INTERVAL '1 day'
+         AND ($2::uuid IS NULL OR i.id > $2::uuid)
+       ORDER BY i.id
+       LIMIT $3
+       FOR UPDATE OF i SKIP LOCKED`,
+      [dueDay(daysFromDue).toISOString(), afterId, BATCH_SIZE],
+    );
+
+    let enqueued = 0;
+    for (const row of due.rows) {
+      const payload = {
+        ...reminderPayload(row, row),
+        reminder: reminderKind(daysFromDue),
+        daysFromDue,
+      };
+
+      const isNew = await enqueueEvent(
+        client,
+        "invoice.payment_reminder",
+        payload,
+        {
+          dedupeKey: `invoice.payment_reminder:${row.id}:${daysFromDue}:${payload.dueDate}`,
+        },
+      );
+      if (isNew) enqueued++;
+    }
+
+    if (enqueued > 0) {
+      logger.info("Invoice payment reminders enqueued", {
+        daysFromDue,
+        enqueued,
+      });
+    }
+
+    return {
+      claimed: due.rows.length,
+      enqueued,
+      lastId: due.rows.length > 0 ? due.rows[due.rows.length - 1].id : afterId,
+    };
+  });
+}
+
+async function sendReminders(logger, hasTimeLeft) {
+  let sent = 0;
+
+  for (const daysFromDue of REMINDER_DAYS) {
+    let afterId = null;
+    while (hasTimeLeft()) {
+      const batch = await remindBatch(logger, daysFromDue, afterId);
+      sent += batch.enqueued;
+      afterId = batch.lastId;
+      if (batch.claimed < BATCH_SIZE) break;
+    }
+  }
+
+  return sent;
+}
+
+// ── 2. Mark invoices past their due date overdue ───────────────────────── //
+
+async function markOverdueBatch(logger) {
+  return withSystemTransaction(async (client) => {
+    const pastDue = await client.query(
+      `${OPEN_INVOICE_SELECT}
+       WHERE i.status = 'issued'
+         AND i.amount > 0
+         AND i.due_date <= NOW()
+       ORDER BY i.due_date
+       LIMIT $1
+       FOR UPDATE OF i SKIP LOCKED`,
+      [BATCH_SIZE],
+    );
+
+    for (const row of pastDue.rows) {
+      const updated = await client.query(
+        `UPDATE invoices SET status = 'overdue' WHERE id = $1 RETURNING *`,
+        [row.id],
+      );
+
+      await enqueueEvent(
+        client,
+        "invoice.overdue",
+        {
+          ...reminderPayload(row, updated.rows[0]),
+          daysOverdue: Math.floor(
+            (Date.now() - new Date(row.due_date).getTime()) / DAY_MS,
+          ),
+        },
+        { dedupeKey: `invoice.overdue:${row.id}` },
+      );
+
+      logger.info("Invoice marked overdue", {
+        tenantId: row.tenant_id,
+        invoiceId: row.id,
+        dueDate: row.due_date,
+      });
+    }
+
+    return pastDue.rows.length;
+  });
+}
+
+async function processOverdueInvoices(event, { logger, hasTimeLeft }) {
+  const reminded = await sendReminders(logger, hasTimeLeft);
+
+  let overdue = 0;
+  while (hasTimeLeft()) {
+    const marked = await markOverdueBatch(logger);
+    overdue += marked;
+    if (marked < BATCH_SIZE) break;
+  }
+
+  if (reminded > 0) incrementCounter("invoice_reminder_count", reminded);
+  if (overdue > 0) incrementCounter("invoice_overdue_count", overdue);
+
+  const outbox = await flushOutbox(logger);
+
+  return { reminded, overdue, published: outbox.published };
+}
+
+module.exports.handler = withScheduledJob(
+  "process-overdue-invoices",
+  processOverdueInvoices,
+);
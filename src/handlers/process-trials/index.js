@@ -0,0 +1,263 @@
+/**
+ * process-trials — Scheduled Job (EventBridge, hourly)
+ * ────────────────────────────────────────────────────────────────────────────
+ * Moves trialing subscriptions forward.  Each run:
+ *
+ *   1. WARN — trials ending within TRIAL_WILL_END_DAYS get a
+ *      "subscription.trial_will_end" event (emailed by send-notification).
+ *      The outbox dedupe key includes `trial_end`, so the warning is sent
+ *      once per trial even though the job runs every hour.
+ *
+ *   2. END — trials whose `trial_end` has passed:
+ *        • canceled during the trial (`cancel_at_period_end`) → `canceled`,
+ *          "subscription.ended".  Never invoiced.
+ *        • payment method on file (`tenants.settings.paymentMethod`) →
+ *          `active`, first paid period from trial_end to the next billing
+ *          anchor date (shared/billing-period: a full cycle, or a stub
+ *          charged pro rata when an explicit anchor day was chosen),
+ *          "subscription.trial_converted" (generate-invoice issues the
+ *          deferred first invoice).
+ *        • no payment method → `expired`, "subscription.trial_expired".
+ *
+ *   3. FLUSH — publishes the outbox (see shared/outbox.js).
+ *
+ * Concurrency & crash safety:
+ *   • Ending trials are claimed in batches with FOR UPDATE SKIP LOCKED, so
+ *     an overlapping run (or a manual invoke) never converts a trial twice.
+ *   • The status change and its event are written in the same transaction.
+ *     A crash before the flush leaves the event in the outbox for the next
+ *     run — a converted trial never misses its first invoice.
+ *   • The period starts at `trial_end`, not "now", so a late run does not
+ *     shift the customer's billing dates.
+ */
+
+const { withSystemTransaction } = require("../../shared/db");
+const { withScheduledJob } = require("../../shared/scheduled-job");
+const { enqueueEvent, flushOutbox } = require("../../shared/outbox");
+const {
+  incrementCounter,
+  recordBusinessMetric,
+} = require("../../shared/metrics");
+const { hasPaymentMethod } = require("../../shared/tenants");
+const { roundMoney } = require("../../shared/currency");
+const {
+  firstBillingPeriod,
+  periodAmount,
+} = require("../../shared/billing-period");
+
+const TRIAL_WILL_END_DAYS = parseInt(process.env.TRIAL_WILL_END_DAYS || "3", 10);
+const BATCH_SIZE = 100;
+
+/**
+ * Common event fields for a trialing subscription row joined with its tenant.
+ */
+function trialEventPayload(row) {
+  return {
+    tenantId: row.tenant_id,
+    tenantName: row.tenant_name,
+    tenantEmail: row.tenant_email,
+    subscriptionId: row.id,
+    planId: row.plan_id,
+    billingCycle: row.billing_cycle,
+    quantity: row.quantity,
+    unitAmount: parseFloat(row.unit_amount),
+    amount: parseFloat(row.amount),
+    currency: row.currency,
+    trialStart: new Date(row.trial_start).toISOString(),
+    trialEnd: new Date(row.trial_end).toISOString(),
+  };
+}
+
+// ── 1. Warn about trials ending soon ───────────────────────────────────── //
+
+async function warnEndingTrials(logger) {
+  return withSystemTransaction(async (client) => {
+    const ending = await client.query(
+      `SELECT s.*, t.name AS tenant_name, t.email AS tenant_email,
+              t.settings AS tenant_settings
+       FROM subscriptions s
+       JOIN tenants t ON t.id = s.tenant_id
+       WHERE s.status = 'trialing'
+         AND s.trial_end > NOW()
+         AND s.trial_end <= NOW() + make_interval(days => $1)`,
+      [TRIAL_WILL_END_DAYS],
+    );
+
+    let warned = 0;
+    for (const row of ending.rows) {
+      const payload = {
+        ...trialEventPayload(row),
+        hasPaymentMethod: hasPaymentMethod(row.tenant_settings),
+      };
+
+      const enqueued = await enqueueEvent(
+        client,
+        "subscription.trial_will_end",
+        payload,
+        {
+          dedupeKey: `subscription.trial_will_end:${row.id}:${payload.trialEnd}`,
+        },
+      );
+      if (enqueued) warned++;
+    }
+
+    if (warned > 0) {
+      logger.info("Trial ending warnings enqueued", { warned });
+    }
+    return warned;
+  });
+}
+
+// ── 2. Convert or expire trials that have ended ────────────────────────── //
+
+async function endTrialsBatch(logger) {
+  return withSystemTransaction(async (client) => {
+    const due = await client.query(
+      `SELECT s.*, t.name AS tenant_name, t.email AS tenant_email,
+              t.settings AS tenant_settings
+       FROM subscriptions s
+       JOIN tenants t ON t.id = s.tenant_id
+       WHERE s.status = 'trialing'
+         AND s.trial_end <= NOW()
+       ORDER BY s.trial_end
+       LIMIT $1
+       FOR UPDATE OF s SKIP LOCKED`,
+      [BATCH_SIZE],
+    );
+
+    let converted = 0;
+    let expired = 0;
+    let ended = 0;
+
+    for (const row of due.rows) {
+      const payload = trialEventPayload(row);
+      let outcome;
+
+      if (row.cancel_at_period_end) {
+        await client.query(
+          `UPDATE subscriptions SET status = 'canceled' WHERE id = $1`,
+          [row.id],
+        );
+
+        await enqueueEvent(
+          client,
+          "subscription.ended",
+          {
+            ...payload,
+            status: "canceled",
+            canceledAt: row.canceled_at,
+            reason: row.cancellation_reason,
+            endedAt: payload.trialEnd,
+          },
+          { dedupeKey: `subscription.ended:${row.id}` },
+        );
+        ended++;
+        outcome = "canceled";
+      } else if (hasPaymentMethod(row.tenant_settings)) {
+        const period = firstBillingPeriod(
+          row.trial_end,
+          row.billing_cycle,
+          row.billing_anchor_day,
+        );
+        const { periodStart, periodEnd } = period;
+
+        // A stub first period is charged pro rata, per seat
+        let proratedPeriod = null;
+        if (period.stub) {
+          const unitAmount = periodAmount(
+            payload.unitAmount,
+            period,
+            row.billing_cycle,
+            row.currency,
+          );
+          proratedPeriod = {
+            unitAmount,
+            amount: roundMoney(unitAmount * row.quantity, row.currency),
+          };
+        }
+
+        await client.query(
+          `UPDATE subscriptions
+           SET status = 'active',
+               current_period_start = $2,
+               current_period_end = $3,
+               updated_at = NOW()
+           WHERE id = $1`,
+          [row.id, periodStart.toISOString(), periodEnd.toISOString()],
+        );
+
+        await enqueueEvent(
+          client,
+          "subscription.trial_converted",
+          {
+            ...payload,
+            status: "active",
+            currentPeriodStart: periodStart.toISOString(),
+            currentPeriodEnd: periodEnd.toISOString(),
+            proratedPeriod,
+          },
+          { dedupeKey: `subscription.trial_converted:${row.id}` },
+        );
+
+        const revenue = proratedPeriod?.amount ?? payload.amount;
+        recordBusinessMetric("subscription_revenue", revenue, "Count", {
+          PlanId: row.plan_id,
+          Currency: row.currency,
+        });
+        converted++;
+        outcome = "converted";
+      } else {
+        await client.query(
+          `UPDATE subscriptions
+           SET status = 'expired',
+               updated_at = NOW()
+           WHERE id = $1`,
+          [row.id],
+        );
+
+        await enqueueEvent(
+          client,
+          "subscription.trial_expired",
+          { ...payload, status: "expired" },
+          { dedupeKey: `subscription.trial_expired:${row.id}` },
+        );
+        expired++;
+        outcome = "expired";
+      }
+
+      logger.info("Trial ended", {
+        tenantId: row.tenant_id,
+        subscriptionId: row.id,
+        outcome,
+      });
+    }
+
+    return { claimed: due.rows.length, converted, expired, ended };
+  });
+}
+
+async function processTrials(event, { logger, hasTimeLeft }) {
+  const warned = await warnEndingTrials(logger);
+
+  let converted = 0;
+  let expired = 0;
+  let ended = 0;
+
+  while (hasTimeLeft()) {
+    const batch = await endTrialsBatch(logger);
+    converted += batch.converted;
+    expired += batch.expired;
+    ended += batch.ended;
+    if (batch.claimed < BATCH_SIZE) break;
+  }
+
+  if (converted > 0) incrementCounter("trial_conversion_count", converted);
+  if (expired > 0) incrementCounter("trial_expiration_count", expired);
+  if (ended > 0) incrementCounter("subscription_end_count", ended);
+
+  const outbox = await flushOutbox(logger);
+
+  return { warned, converted, expired, ended, published: outbox.published };
+}
+
+module.exports.handler = withScheduledJob("process-trials", processTrials);
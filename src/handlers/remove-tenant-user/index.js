@@ -0,0 +1,67 @@
+/**
+ * removeTenantUserHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * DELETE /v1/users/{id}
+ *
+ * Frees the seat held by one of the calling tenant's users.  The row is kept
+ * as `removed` for the record; the same email can be added again later.
+ * Seats themselves stay paid for until reduced with
+ * PATCH /v1/subscriptions/{id}/seats.
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { withTenantTransaction } = require("../../shared/db");
+const { incrementCounter } = require("../../shared/metrics");
+const { formatTenantUser } = require("../../shared/seats");
+
+async function removeTenantUserHandler(
+  event,
+  context,
+  { tenant, pathParams, logger, requestId },
+) {
+  const { tenantId } = tenant;
+  const userId = pathParams.id;
+
+  const user = await withTenantTransaction(tenantId, async (client) => {
+    const updated = await client.query(
+      `UPDATE tenant_users
+       SET status = 'removed', removed_at = NOW()
+       WHERE id = $1 AND tenant_id = $2 AND status = 'active'
+       RETURNING *`,
+      [userId, tenantId],
+    );
+
+    if (updated.rows.length === 0) {
+      const existing = await client.query(
+        `SELECT removed_at FROM tenant_users WHERE id = $1 AND tenant_id = $2`,
+        [userId, tenantId],
+      );
+      if (existing.rows.length === 0) {
+        throw new AppError(404, "User not found");
+      }
+      throw new AppError(409, "User has already been removed", {
+        removedAt: existing.rows[0].removed_at,
+      });
+    }
+
+    return updated.rows[0];
+  });
+
+  logger.info("Tenant user removed", { tenantId, userId });
+
+  incrementCounter("tenant_user_count", 1, { Operation: "remove" });
+
+  return jsonResponse(200, {
+    message: "User removed",
+    user: formatTenantUser(user),
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(removeTenantUserHandler, {
+  requireBody: false,
+});
@@ -0,0 +1,316 @@
+/**
+ * renew-subscriptions — Scheduled Job (EventBridge, every 15 minutes)
+ * ────────────────────────────────────────────────────────────────────────────
+ * Rolls every due subscription into its next billing period.  A subscription
+ * is due when it is `active` and `current_period_end <= NOW()`
+ * (idx_subscriptions_period_end).  For each one:
+ *
+ *   • cancel_at_period_end → `canceled`, "subscription.ended".  The paid
+ *     period has run out; nothing is invoiced.
+ *   • otherwise → period becomes [old end, old end + cycle), ending on the
+ *     subscription's billing anchor day (shared/billing-period — the same
+ *     period math as create-subscription), and
+ *     "subscription.renewed" is emitted — generate-invoice issues the
+ *     renewal invoice for the new period.
+ *
+ * Scheduled changes:
+ *   A change scheduled for period end (`pending_change`,
+ *   shared/scheduled-changes) is applied by the same UPDATE that rolls the
+ *   period: the new period is already on the new plan version, cycle and
+ *   seats, keeps the billing anchor day, and is invoiced at the new amount.
+ *   The renewal event carries the previous terms as `appliedChange`.
+ *
+ * Never double-billing a period — three layers:
+ *   1. CLAIM: due rows are locked with FOR UPDATE SKIP LOCKED, so concurrent
+ *      runs (overlapping ticks, a manual invoke) work on disjoint rows.
+ *   2. COMPARE-AND-SET: the UPDATE only applies while `current_period_end`
+ *      still equals the value that was read.  A row already rolled by
+ *      another run updates 0 rows and is skipped.
+ *   3. UNIQUE PERIOD: the period roll and its event commit together via the
+ *      outbox.  If the event is published twice (crash after SNS accepted
+ *      it), generate-invoice's INSERT hits idx_invoices_cycle_period and the
+ *      duplicate is dropped.
+ *
+ * Auto-resume:
+ *   Before renewing, paused subscriptions whose `resume_at` has passed are
+ *   resumed (shared/subscriptions → resumeSubscription) and
+ *   "subscription.resumed" is emitted.  The pause is taken to have ended AT
+ *   `resume_at`, not when the job noticed, so a late run does not give away
+ *   extra time.  A resumed subscription whose shifted period has already
+ *   ended is renewed in the same run.
+ *
+ * Catch-up:
+ *   The new period starts at the OLD end, not "now".  A subscription that
+ *   missed several periods (job disabled, outage) is rolled one period per
+ *   batch, and the run keeps claiming batches while any renewed period has
+ *   already ended — it is current by the end of the run (time permitting),
+ *   and every missed period is invoiced once.
+ */
+
+const { withSystemTransaction } = require("../../shared/db");
+const { withScheduledJob } = require("../../shared/scheduled-job");
+const { enqueueEvent, flushOutbox } = require("../../shared/outbox");
+const {
+  incrementCounter,
+  recordBusinessMetric,
+} = require("../../shared/metrics");
+const { calculatePeriodEnd } = require("../../shared/billing-period");
+const { roundMoney } = require("../../shared/currency");
+const { resumeSubscription } = require("../../shared/subscriptions");
+const { renewalTerms } = require("../../shared/scheduled-changes");
+
+const BATCH_SIZE = 100;
+
+function renewalEventPayload(row) {
+  return {
+    tenantId: row.tenant_id,
+    tenantName: row.tenant_name,
+    tenantEmail: row.tenant_email,
+    subscriptionId: row.id,
+    planId: row.plan_id,
+    billingCycle: row.billing_cycle,
+    quantity: row.quantity,
+    unitAmount: parseFloat(row.unit_amount),
+    amount: parseFloat(row.amount),
+    currency: row.currency,
+  };
+}
+
+async function resumeDueBatch(logger) {
+  return withSystemTransaction(async (client) => {
+    const due = await client.query(
+      `SELECT s.*, t.name AS tenant_name, t.email AS tenant_email
+       FROM subscriptions s
+       JOIN tenants t ON t.id = s.tenant_id
+       WHERE s.status = 'paused'
+         AND s.resume_at <= NOW()
+       ORDER BY s.resume_at
+       LIMIT $1
+       FOR UPDATE OF s SKIP LOCKED`,
+      [BATCH_SIZE],
+    );
+
+    let resumed = 0;
+    for (const row of due.rows) {
+      const pausedAt = new Date(row.paused_at).toISOString();
+      const result = await resumeSubscription(client, row, new Date(row.resume_at));
+      if (!result) continue;
+
+      await enqueueEvent(
+        client,
+        "subscription.resumed",
+        {
+          ...renewalEventPayload(row),
+          status: "active",
+          trigger: "scheduled",
+          pausedAt,
+          resumedAt: new Date(row.resume_at).toISOString(),
+          previousPeriodEnd: new Date(row.current_period_end).toISOString(),
+          currentPeriodEnd: new Date(result.row.current_period_end).toISOString(),
+        },
+        { dedupeKey: `subscription.resumed:${row.id}:${pausedAt}` },
+      );
+
+      resumed++;
+      logger.info("Subscription auto-resumed", {
+        tenantId: row.tenant_id,
+        subscriptionId: row.id,
+        pausedMs: result.pausedMs,
+      });
+    }
+
+    return { claimed: due.rows.length, resumed };
+  });
+}
+
+async function renewBatch(logger) {
+  return withSystemTransaction(async (client) => {
+    const due = await client.query(
+      `SELECT s.*, t.name AS tenant_name, t.email AS tenant_email
+       FROM subscriptions s
+       JOIN tenants t ON t.id = s.tenant_id
+       WHERE s.status = 'active'
+         AND s.current_period_end <= NOW()
+       ORDER BY s.current_period_end
+       LIMIT $1
+       FOR UPDATE OF s SKIP LOCKED`,
+      [BATCH_SIZE],
+    );
+
+    const counts = {
+      claimed: due.rows.length,
+      renewed: 0,
+      ended: 0,
+      behind: 0,
+      revenue: {},
+    };
+
+    for (const row of due.rows) {
+      const previousEnd = new Date(row.current_period_end);
+      const payload = renewalEventPayload(row);
+
+      // ── Scheduled cancellation: the period ran out, end it ────────────── //
+      if (row.cancel_at_period_end) {
+        const ended = await client.query(
+          `UPDATE subscriptions
+           SET status = 'canceled'
+           WHERE id = $1 AND status = 'active' AND current_period_end = $2`,
+          [row.id, previousEnd.toISOString()],
+        );
+        if (ended.rowCount === 0) continue;
+
+        await enqueueEvent(
+          client,
+          "subscription.ended",
+          {
+            ...payload,
+            status: "canceled",
+            canceledAt: row.canceled_at,
+            reason: row.cancellation_reason,
+            endedAt: previousEnd.toISOString(),
+          },
+          { dedupeKey: `subscription.ended:${row.id}` },
+        );
+
+        counts.ended++;
+        logger.info("Subscription ended at period end", {
+          tenantId: row.tenant_id,
+          subscriptionId: row.id,
+        });
+        continue;
+      }
+
+      // ── Roll the period forward (applying a scheduled change) ────────── //
+      const terms = renewalTerms(row);
+      const periodStart = previousEnd;
+      const periodEnd = calculatePeriodEnd(
+        periodStart,
+        terms.billingCycle,
+        row.billing_anchor_day,
+      );
+
+      const renewed = await client.query(
+        `UPDATE subscriptions
+         SET current_period_start = $3,
+             current_period_end = $4,
+             plan_id = $5,
+             plan_version = $6,
+             billing_cycle = $7,
+             quantity = $8,
+             unit_amount = $9,
+             amount = $10,
+             pending_change = NULL
+         WHERE id = $1 AND status = 'active' AND current_period_end = $2`,
+        [
+          row.id,
+          previousEnd.toISOString(),
+          periodStart.toISOString(),
+          periodEnd.toISOString(),
+          terms.planId,
+          terms.planVersion,
+          terms.billingCycle,
+          terms.quantity,
+          terms.unitAmount,
+          terms.amount,
+        ],
+      );
+      if (renewed.rowCount === 0) continue;
+
+      await enqueueEvent(
+        client,
+        "subscription.renewed",
+        {
+          ...payload,
+          status: "active",
+          planId: terms.planId,
+          planVersion: terms.planVersion,
+          billingCycle: terms.billingCycle,
+          quantity: terms.quantity,
+          unitAmount: terms.unitAmount,
+          amount: terms.amount,
+          currentPeriodStart: periodStart.toISOString(),
+          currentPeriodEnd: periodEnd.toISOString(),
+          ...(terms.changed && {
+            appliedChange: {
+              previousPlanId: row.plan_id,
+              previousPlanVersion: row.plan_version,
+              previousBillingCycle: row.billing_cycle,
+              previousQuantity: row.quantity,
+              previousAmount: parseFloat(row.amount),
+            },
+          }),
+        },
+        {
+          dedupeKey: `subscription.renewed:${row.id}:${periodStart.toISOString()}`,
+        },
+      );
+
+      counts.renewed++;
+      // Still behind — the next batch claims it again for the next period
+      if (periodEnd <= new Date()) counts.behind++;
+      counts.revenue[row.currency] =
+        (counts.revenue[row.currency] || 0) + terms.amount;
+      logger.debug("Subscription renewed", {
+        tenantId: row.tenant_id,
+        subscriptionId: row.id,
+        scheduledChangeApplied: terms.changed,
+        periodStart: periodStart.toISOString(),
+        periodEnd: periodEnd.toISOString(),
+      });
+    }
+
+    return counts;
+  });
+}
+
+async function renewSubscriptions(event, { logger, hasTimeLeft }) {
+  let resumed = 0;
+  while (hasTimeLeft()) {
+    const batch = await resumeDueBatch(logger);
+    resumed += batch.resumed;
+    if (batch.claimed < BATCH_SIZE) break;
+  }
+  if (resumed > 0) {
+    incrementCounter("subscription_resume_count", resumed, {
+      Trigger: "scheduled",
+    });
+  }
+
+  let renewed = 0;
+  let ended = 0;
+  const revenue = {}; // per currency — amounts in different currencies never add up
+
+  while (hasTimeLeft()) {
+    const batch = await renewBatch(logger);
+    renewed += batch.renewed;
+    ended += batch.ended;
+    for (const [currency, amount] of Object.entries(batch.revenue)) {
+      revenue[currency] = (revenue[currency] || 0) + amount;
+    }
+
+    // Flush per batch so invoices start generating while the sweep continues
+    await flushOutbox(logger);
+
+    if (batch.claimed < BATCH_SIZE && batch.behind === 0) break;
+  }
+
+  if (renewed > 0) {
+    incrementCounter("subscription_renewal_count", renewed);
+    for (const [currency, amount] of Object.entries(revenue)) {
+      recordBusinessMetric(
+        "renewal_revenue",
+        roundMoney(amount, currency),
+        "Count",
+        { Currency: currency },
+      );
+    }
+  }
+  if (ended > 0) incrementCounter("subscription_end_count", ended);
+
+  return { resumed, renewed, ended };
+}
+
+module.exports.handler = withScheduledJob(
+  "renew-subscriptions",
+  renewSubscriptions,
+);
@@ -0,0 +1,117 @@
+/**
+ * resumeSubscriptionHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * POST /v1/subscriptions/{id}/resume
+ *
+ * Resumes a paused subscription before its auto-resume date (or one paused
+ * without a date).  The subscription returns to `active` and its period end
+ * moves forward by the paused duration — the prepaid time left at the pause
+ * is kept, not lost (shared/subscriptions → resumeSubscription).
+ *
+ * If the shifted period end has already passed, renew-subscriptions rolls
+ * the subscription into its next period on its next run.
+ *
+ * Publishes "subscription.resumed" (audit-log, send-notification).
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { withTenantTransaction } = require("../../shared/db");
+const { incrementCounter } = require("../../shared/metrics");
+const { publishEvent } = require("../../shared/events");
+const {
+  formatSubscription,
+  resumeSubscription,
+} = require("../../shared/subscriptions");
+
+async function resumeSubscriptionHandler(
+  event,
+  context,
+  { tenant, pathParams, logger, requestId },
+) {
+  const { tenantId } = tenant;
+  const subscriptionId = pathParams.id;
+  const now = new Date();
+
+  logger.info("Resuming subscription", { tenantId, subscriptionId });
+
+  const { before, after, pausedMs, tenantName } = await withTenantTransaction(
+    tenantId,
+    async (client) => {
+      const existing = await client.query(
+        `SELECT * FROM subscriptions
+         WHERE id = $1 AND tenant_id = $2
+         FOR UPDATE`,
+        [subscriptionId, tenantId],
+      );
+
+      if (existing.rows.length === 0) {
+        throw new AppError(404, "Subscription not found");
+      }
+
+      const sub = existing.rows[0];
+      if (sub.status !== "paused") {
+        throw new AppError(409, "Subscription is not paused", {
+          currentStatus: sub.status,
+        });
+      }
+
+      const resumed = await resumeSubscription(client, sub, now);
+      const tenantResult = await client.query(
+        `SELECT name FROM tenants WHERE id = $1`,
+        [tenantId],
+      );
+
+      return {
+        before: sub,
+        after: resumed.row,
+        pausedMs: resumed.pausedMs,
+        tenantName: tenantResult.rows[0].name,
+      };
+    },
+  );
+
+  logger.info("Subscription resumed", {
+    subscriptionId,
+    pausedMs,
+    currentPeriodEnd: after.current_period_end,
+  });
+
+  incrementCounter("subscription_resume_count", 1, { Trigger: "manual" });
+
+  // ── Publish event to SNS for downstream consumers ────────────────────── //
+  await publishEvent(
+    "subscription.resumed",
+    {
+      tenantId,
+      tenantName,
+      tenantEmail: tenant.email,
+      userId: tenant.userId,
+      subscriptionId,
+      planId: after.plan_id,
+      billingCycle: after.billing_cycle,
+      amount: parseFloat(after.amount),
+      currency: after.currency,
+      status: "active",
+      trigger: "manual",
+      pausedAt: before.paused_at,
+      resumedAt: now.toISOString(),
+      previousPeriodEnd: before.current_period_end,
+      currentPeriodEnd: after.current_period_end,
+    },
+    logger,
+  );
+
+  return jsonResponse(200, {
+    message: "Subscription resumed",
+    subscription: formatSubscription(after),
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(resumeSubscriptionHandler, {
+  requireBody: false,
+});
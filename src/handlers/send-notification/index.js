@@ -1,13 +1,17 @@
 /**
  * send-notification — SQS Consumer
  * ────────────────────────────────────────────────────────────────────────────
- * Triggered when a subscription is created.  Sends a confirmation email
- * to the tenant's contact email address.
+ * Triggered by subscription, invoice, credit note and tenant lifecycle events
+ * (the "subscription.", "invoice.", "credit_note." and "tenant." prefixes).
+ * Sends an email to the
+ * tenant's contact email address using the template for the event type
+ * (see TEMPLATES below).  Event types without a template are acknowledged
+ * and skipped — e.g. "invoice.marked_uncollectible", an internal write-off.
  *
  * Flow:
- *   1. Receives "subscription.created" event from SQS (via SNS fan-out).
+ *   1. Receives an event from SQS (via SNS fan-out).
  *   2. Idempotency middleware checks for duplicate processing.
- *   3. Constructs a welcome/confirmation email.
+ *   3. Renders the event's email template (text + HTML).
  *   4. Sends via AWS SES (or logs in dev — SES requires verified addresses).
  *   5. Reports success/failure.
  *
@@ -24,61 +28,510 @@
  */
 
 const { withSqsConsumer } = require("../../shared/sqs-consumer");
+const { formatAmount } = require("../../shared/currency");
 
 // In production, use: const { SESv2Client, SendEmailCommand } = require("@aws-sdk/client-sesv2");
 
-async function processNotification(body, { logger }) {
-  const {
-    tenantId,
-    tenantName,
-    tenantEmail,
-    subscriptionId,
-    planId,
-    billingCycle,
-    amount,
-    currency,
-    currentPeriodEnd,
-  } = body;
+// ── Email templates (one per event type) ───────────────────────────────── //
+// Each template returns { subject, heading, intro, rows, footer }.  `rows`
+// are label/value pairs rendered as a table (HTML) or "Label: value" lines.
+// Amounts are formatted in the event's currency (shared/currency), e.g.
+// "€78.30" or "¥3,000".
 
-  logger.info("Sending subscription confirmation email", {
-    tenantId,
-    tenantEmail,
-    subscriptionId,
-    planId,
-  });
+const TEMPLATES = {
+  "subscription.created": (body) => {
+    if (body.status === "trialing") {
+      return {
+        subject: `Your free trial has started — ${body.planId} plan`,
+        heading: "Free Trial Started",
+        intro: `Your <strong>${body.planId}</strong> trial is active.  You won't be charged until it ends.`,
+        rows: [
+          ["Plan", body.planId],
+          ["Billing cycle", body.billingCycle],
+          ["Amount after trial", formatAmount(body.amount, body.currency)],
+          ["Trial ends", body.trialEnd],
+        ],
+        footer:
+          "Add a payment method before the trial ends to keep your subscription.",
+      };
+    }
+
+    return {
+      subject: `Subscription confirmed — ${body.planId} plan`,
+      heading: "Subscription Confirmed",
+      intro: `Your <strong>${body.planId}</strong> subscription has been activated.`,
+      rows: [
+        ["Plan", body.planId],
+        ["Billing cycle", body.billingCycle],
+        ["Amount", formatAmount(body.amount, body.currency)],
+        ["Next billing date", body.currentPeriodEnd],
+      ],
+      footer:
+        "You can view your invoices at any time through the billing dashboard.",
+    };
+  },
+
+  "subscription.trial_will_end": (body) => ({
+    subject: `Your trial ends soon — ${body.planId} plan`,
+    heading: "Trial Ending Soon",
+    intro: `Your <strong>${body.planId}</strong> trial ends on ${body.trialEnd}.`,
+    rows: [
+      ["Plan", body.planId],
+      ["Trial ends", body.trialEnd],
+      ["Amount after trial", formatAmount(body.amount, body.currency)],
+      ["Payment method on file", body.hasPaymentMethod ? "Yes" : "No"],
+    ],
+    footer: body.hasPaymentMethod
+      ? "Your subscription will continue automatically when the trial ends."
+      : "Add a payment method before the trial ends, or your subscription will expire.",
+  }),
+
+  "subscription.trial_converted": (body) => ({
+    subject: `Trial converted — ${body.planId} plan`,
+    heading: "Subscription Activated",
+    intro: `Your <strong>${body.planId}</strong> trial has ended and your paid subscription is now active.`,
+    rows: [
+      ["Plan", body.planId],
+      ["Billing cycle", body.billingCycle],
+      ["Amount", formatAmount(body.amount, body.currency)],
+      ["Next billing date", body.currentPeriodEnd],
+    ],
+    footer:
+      "Your first invoice is available in the billing dashboard.",
+  }),
+
+  "subscription.trial_expired": (body) => ({
+    subject: `Your trial has expired — ${body.planId} plan`,
+    heading: "Trial Expired",
+    intro: `Your <strong>${body.planId}</strong> trial ended without a payment method on file, so the subscription has expired.`,
+    rows: [
+      ["Plan", body.planId],
+      ["Trial ended", body.trialEnd],
+    ],
+    footer:
+      "You can start a new subscription at any time from the billing dashboard.",
+  }),
+
+  "subscription.renewed": (body) => {
+    const rows = [
+      ["Plan", body.planId],
+      ["Amount", formatAmount(body.amount, body.currency)],
+      ["Period", `${body.currentPeriodStart} — ${body.currentPeriodEnd}`],
+      ["Next billing date", body.currentPeriodEnd],
+    ];
+    const applied = body.appliedChange;
+    if (applied) {
+      rows.splice(1, 0, ["Seats", body.quantity]);
+      rows.splice(2, 0, [
+        "Previous terms",
+        `${applied.previousPlanId} (${applied.previousBillingCycle}), ${applied.previousQuantity} seats`,
+      ]);
+    }
+
+    return {
+      subject: `Subscription renewed — ${body.planId} plan`,
+      heading: "Subscription Renewed",
+      intro: applied
+        ? `Your subscription has renewed, and your scheduled change to the <strong>${body.planId}</strong> plan (${body.billingCycle}) now applies.`
+        : `Your <strong>${body.planId}</strong> subscription has renewed for another ${body.billingCycle} period.`,
+      rows,
+      footer: "The invoice for this period is available in the billing dashboard.",
+    };
+  },
+
+  "subscription.change_scheduled": (body) => {
+    const next = body.pendingChange;
+    return {
+      subject: `Change scheduled — ${next.planId} plan from ${next.effectiveAt}`,
+      heading: "Subscription Change Scheduled",
+      intro: `Your subscription will switch to the terms below at the end of the current period. Until then, your current plan and seats stay in effect.`,
+      rows: [
+        ["Current plan", `${body.planId} (${body.billingCycle}), ${body.quantity} seats`],
+        ["New plan", `${next.planId} (${next.billingCycle}), ${next.quantity} seats`],
+        ["New amount", formatAmount(next.amount, next.currency)],
+        ["Effective", next.effectiveAt],
+      ],
+      footer:
+        "You can withdraw this change from the billing dashboard before it takes effect.",
+    };
+  },
+
+  "subscription.scheduled_change_canceled": (body) => ({
+    subject: `Scheduled change withdrawn — staying on ${body.planId} plan`,
+    heading: "Scheduled Change Withdrawn",
+    intro: `The change scheduled for the end of your current period has been withdrawn. Your <strong>${body.planId}</strong> subscription will renew on its current terms.`,
+    rows: [
+      ["Plan", `${body.planId} (${body.billingCycle}), ${body.quantity} seats`],
+      ["Withdrawn change", `${body.canceledChange.planId} (${body.canceledChange.billingCycle}), ${body.canceledChange.quantity} seats`],
+      ["Amount", formatAmount(body.amount, body.currency)],
+      ["Next billing date", body.currentPeriodEnd],
+    ],
+    footer: "No invoice is issued for this change.",
+  }),
+
+  "subscription.ended": (body) => ({
+    subject: `Subscription ended — ${body.planId} plan`,
+    heading: "Subscription Ended",
+    intro: `Your <strong>${body.planId}</strong> subscription has ended as scheduled.`,
+    rows: [
+      ["Plan", body.planId],
+      ["Canceled on", body.canceledAt],
+      ["Ended on", body.endedAt],
+    ],
+    footer:
+      "You can start a new subscription at any time from the billing dashboard.",
+  }),
+
+  "subscription.canceled": (body) => {
+    if (body.mode === "unpaid") {
+      return {
+        subject: `Subscription canceled for non-payment — ${body.planId} plan`,
+        heading: "Subscription Canceled",
+        intro: `Your <strong>${body.planId}</strong> subscription has been canceled because invoice ${body.invoiceNumber} remained unpaid.`,
+        rows: [
+          ["Plan", body.planId],
+          ["Unpaid invoice", body.invoiceNumber],
+          ["Amount due", formatAmount(body.amount, body.currency)],
+          ["Canceled on", body.canceledAt],
+        ],
+        footer:
+          "The invoice remains payable.  You can start a new subscription at any time from the billing dashboard.",
+      };
+    }
+
+    const immediate = body.mode === "immediate";
+    const rows = [
+      ["Plan", body.planId],
+      ["Canceled on", body.canceledAt],
+      [immediate ? "Access ended" : "Access until", body.effectiveAt],
+    ];
+    if (body.prorationCredit > 0) {
+      rows.push([
+        "Credit for unused time",
+        formatAmount(body.prorationCredit, body.currency),
+      ]);
+    }
+
+    return {
+      subject: `Subscription canceled — ${body.planId} plan`,
+      heading: "Subscription Canceled",
+      intro: immediate
+        ? `Your <strong>${body.planId}</strong> subscription has been canceled effective immediately.`
+        : `Your <strong>${body.planId}</strong> subscription will end at the close of the current billing period.  You keep full access until then.`,
+      rows,
+      footer: immediate
+        ? "Any credit for unused time will appear on your invoices in the billing dashboard."
+        : "Changed your mind? Contact support before the period ends.",
+    };
+  },
+
+  "subscription.recovered": (body) => ({
+    subject: `Payment received — ${body.planId} plan`,
+    heading: "Subscription Back in Good Standing",
+    intro: `Thank you — invoice ${body.invoiceNumber} is settled and your <strong>${body.planId}</strong> subscription is active again.`,
+    rows: [
+      ["Plan", body.planId],
+      ["Invoice", body.invoiceNumber],
+      ["Amount", formatAmount(body.amount, body.currency)],
+    ],
+    footer: "No further action is needed.",
+  }),
+
+  "subscription.paused": (body) => ({
+    subject: `Subscription paused — ${body.planId} plan`,
+    heading: "Subscription Paused",
+    intro: `Billing for your <strong>${body.planId}</strong> subscription is paused.  You won't be invoiced while it is paused.`,
+    rows: [
+      ["Plan", `${body.planId} (${body.billingCycle})`],
+      ["Paused on", body.pausedAt],
+      ["Resumes", body.resumeAt || "When you resume it"],
+    ],
+    footer:
+      "The time left in your current billing period is kept and added back when the subscription resumes.",
+  }),
+
+  "subscription.resumed": (body) => ({
+    subject: `Subscription resumed — ${body.planId} plan`,
+    heading: "Subscription Resumed",
+    intro: `Your <strong>${body.planId}</strong> subscription is active again.`,
+    rows: [
+      ["Plan", `${body.planId} (${body.billingCycle})`],
+      ["Amount", formatAmount(body.amount, body.currency)],
+      ["Next billing date", body.currentPeriodEnd],
+    ],
+    footer: "Your billing period was extended by the time the subscription was paused.",
+  }),
+
+  "invoice.finalized": (body) => ({
+    subject: `New invoice ${body.invoiceNumber}`,
+    heading: "New Invoice",
+    intro: `Invoice <strong>${body.invoiceNumber}</strong> has been issued.`,
+    rows: [
+      ["Invoice", body.invoiceNumber],
+      ["Amount due", formatAmount(body.amount, body.currency)],
+      ["Due date", body.dueDate || "—"],
+    ],
+    footer: "You can download the invoice from the billing dashboard.",
+  }),
+
+  "invoice.paid": (body) => ({
+    subject: `Payment received — invoice ${body.invoiceNumber}`,
+    heading: "Payment Received",
+    intro: `Thank you — we received payment for invoice <strong>${body.invoiceNumber}</strong>.`,
+    rows: [
+      ["Invoice", body.invoiceNumber],
+      ["Amount", formatAmount(body.amount, body.currency)],
+      ["Paid on", body.paidAt],
+      ...(body.paymentReference ? [["Reference", body.paymentReference]] : []),
+    ],
+    footer: "No further action is needed.",
+  }),
+
+  "invoice.voided": (body) => ({
+    subject: `Invoice ${body.invoiceNumber} voided`,
+    heading: "Invoice Voided",
+    intro: `Invoice <strong>${body.invoiceNumber}</strong> has been voided and no longer needs to be paid.`,
+    rows: [
+      ["Invoice", body.invoiceNumber],
+      ["Amount", formatAmount(body.amount, body.currency)],
+      ...(body.voidReason ? [["Reason", body.voidReason]] : []),
+    ],
+    footer: "If a corrected invoice is due, it will be sent separately.",
+  }),
+
+  "credit_note.created": (body) => ({
+    subject: `Credit note ${body.creditNoteNumber} for invoice ${body.invoiceNumber}`,
+    heading: "Credit Note Issued",
+    intro: `We have issued credit note <strong>${body.creditNoteNumber}</strong> against invoice <strong>${body.invoiceNumber}</strong>.`,
+    rows: [
+      ["Credit note", body.creditNoteNumber],
+      ["Invoice", body.invoiceNumber],
+      ["Total credit", formatAmount(body.amount, body.currency)],
+      ...(body.creditedToInvoice > 0
+        ? [["Credited to the invoice", formatAmount(body.creditedToInvoice, body.currency)]]
+        : []),
+      ...(body.refunded > 0
+        ? [["Refunded", formatAmount(body.refunded, body.currency)]]
+        : []),
+      ...(body.carryover > 0
+        ? [["Credit for future invoices", formatAmount(body.carryover, body.currency)]]
+        : []),
+    ],
+    footer: "You can download the credit note from the billing dashboard.",
+  }),
+
+  "invoice.payment_reminder": (body) => {
+    const rows = [
+      ["Invoice", body.invoiceNumber],
+      ["Amount due", formatAmount(body.amountDue, body.currency)],
+      ["Due date", body.dueDate.slice(0, 10)],
+    ];
+
+    if (body.reminder === "upcoming") {
+      return {
+        subject: `Invoice ${body.invoiceNumber} is due in ${-body.daysFromDue} days`,
+        heading: "Payment Reminder",
+        intro: `A friendly reminder that invoice <strong>${body.invoiceNumber}</strong> is due on ${body.dueDate.slice(0, 10)}.`,
+        rows,
+        footer: "If you have already paid, please ignore this reminder.",
+      };
+    }
+    if (body.reminder === "due") {
+      return {
+        subject: `Invoice ${body.invoiceNumber} is due today`,
+        heading: "Payment Due Today",
+        intro: `Invoice <strong>${body.invoiceNumber}</strong> is due today.`,
+        rows,
+        footer: "If you have already paid, please ignore this reminder.",
+      };
+    }
+    return {
+      subject: `Reminder: invoice ${body.invoiceNumber} is ${body.daysFromDue} days overdue`,
+      heading: "Payment Overdue",
+      intro: `Invoice <strong>${body.invoiceNumber}</strong> was due on ${body.dueDate.slice(0, 10)} and is still unpaid.`,
+      rows,
+      footer: "Please pay the invoice as soon as possible to avoid any interruption of service.",
+    };
+  },
+
+  "invoice.overdue": (body) => ({
+    subject: `Invoice ${body.invoiceNumber} is overdue`,
+    heading: "Invoice Overdue",
+    intro: `Invoice <strong>${body.invoiceNumber}</strong> was due on ${body.dueDate.slice(0, 10)} and has not been paid.`,
+    rows: [
+      ["Invoice", body.invoiceNumber],
+      ["Amount due", formatAmount(body.amountDue, body.currency)],
+      ["Due date", body.dueDate.slice(0, 10)],
+    ],
+    footer: "If you have already paid, please ignore this notice.",
+  }),
+
+  "invoice.payment_failed": (body) => ({
+    subject: `Payment overdue — invoice ${body.invoiceNumber}`,
+    heading: "Payment Overdue",
+    intro: `We haven't received payment for invoice <strong>${body.invoiceNumber}</strong>, which was due on ${body.dueDate}.`,
+    rows: [
+      ["Invoice", body.invoiceNumber],
+      ["Amount due", formatAmount(body.amount, body.currency)],
+      ["Next collection attempt", body.nextAttemptAt],
+      ["Pay by", body.graceEndsAt],
+    ],
+    footer:
+      body.finalAction === "cancel"
+        ? "If the invoice is still unpaid by then, your subscription will be canceled."
+        : "If the invoice is still unpaid by then, your account will be suspended (read-only).",
+  }),
+
+  "invoice.payment_retry": (body) => ({
+    subject: `Payment still overdue — invoice ${body.invoiceNumber}`,
+    heading: "Payment Still Overdue",
+    intro: `We attempted to collect payment for invoice <strong>${body.invoiceNumber}</strong> (attempt ${body.attempt} of ${body.maxAttempts}).`,
+    rows: [
+      ["Invoice", body.invoiceNumber],
+      ["Amount due", formatAmount(body.amount, body.currency)],
+      ["Payment method on file", body.hasPaymentMethod ? "Yes" : "No"],
+      ["Next collection attempt", body.nextAttemptAt || "None — final notice"],
+      ["Pay by", body.graceEndsAt],
+    ],
+    footer: body.hasPaymentMethod
+      ? "Please make sure your payment method is valid and has sufficient funds."
+      : "Please add a payment method in the billing dashboard.",
+  }),
+
+  "tenant.suspended": (body) => ({
+    subject: `Account suspended — invoice ${body.invoiceNumber} unpaid`,
+    heading: "Account Suspended",
+    intro: `Your account has been suspended because invoice <strong>${body.invoiceNumber}</strong> remained unpaid.  You can still view your data, but changes are disabled.`,
+    rows: [
+      ["Invoice", body.invoiceNumber],
+      ["Amount due", formatAmount(body.amount, body.currency)],
+    ],
+    footer: "Full access is restored automatically once the invoice is paid.",
+  }),
+
+  "tenant.reactivated": (body) => ({
+    subject: "Account reactivated",
+    heading: "Account Reactivated",
+    intro: `Thank you — invoice ${body.invoiceNumber} is settled and full access to your account has been restored.`,
+    rows: [
+      ["Invoice", body.invoiceNumber],
+      ["Amount", formatAmount(body.amount, body.currency)],
+    ],
+    footer: "You may need to sign in again for the change to take effect.",
+  }),
+
+  "subscription.updated": (body) => {
+    const { credit = 0, charge = 0, net = 0 } = body.proration || {};
+    const seatsChanged = body.change === "seats";
+    const rows = seatsChanged
+      ? [
+          ["Plan", `${body.planId} (${body.billingCycle})`],
+          ["Previous seats", body.previousQuantity],
+          ["New seats", body.quantity],
+          ["Price per seat", formatAmount(body.unitAmount, body.currency)],
+        ]
+      : [
+          ["Previous plan", `${body.previousPlanId} (${body.previousBillingCycle})`],
+          ["New plan", `${body.planId} (${body.billingCycle})`],
+        ];
+    rows.push(["New amount", formatAmount(body.amount, body.currency)]);
+    rows.push(["Next billing date", body.currentPeriodEnd]);
+    if (credit > 0 || charge > 0) {
+      rows.push(["Credit for unused time", formatAmount(credit, body.currency)]);
+      rows.push(["Charge for remaining time", formatAmount(charge, body.currency)]);
+      rows.push([net < 0 ? "Net credit" : "Net due", formatAmount(Math.abs(net), body.currency)]);
+    }
+
+    if (seatsChanged) {
+      return {
+        subject: `Seats changed — ${body.quantity} seats`,
+        heading: "Seats Changed",
+        intro: `Your subscription now has <strong>${body.quantity}</strong> seats, effective immediately.`,
+        rows,
+        footer:
+          "A proration invoice with the details of this change is available in the billing dashboard.",
+      };
+    }
+
+    return {
+      subject: `Plan changed — ${body.planId} plan`,
+      heading: "Plan Changed",
+      intro: `Your subscription has been switched to the <strong>${body.planId}</strong> plan, effective immediately.`,
+      rows,
+      footer:
+        "A proration invoice with the details of this change is available in the billing dashboard.",
+    };
+  },
+};
+
+/**
+ * Render a template into plain-text and HTML bodies.
+ */
+function renderEmail(template, { tenantName, subscriptionId }) {
+  const greeting = `Hello ${tenantName || "there"},`;
+  const introText = template.intro.replace(/<\/?strong>/g, "");
 
-  // ── Build email content ────────────────────────────────────────────── //
-  const subject = `Subscription confirmed — ${planId} plan`;
   const textBody = [
-    `Hello ${tenantName || "there"},`,
+    greeting,
     "",
-    `Your ${planId} subscription has been activated.`,
+    introText,
     "",
-    `Plan: ${planId}`,
-    `Billing cycle: ${billingCycle}`,
-    `Amount: ${currency?.toUpperCase() || "USD"} ${amount}`,
-    `Next billing date: ${currentPeriodEnd}`,
+    ...template.rows.map(([label, value]) => `${label}: ${value}`),
     `Subscription ID: ${subscriptionId}`,
     "",
-    "You can view your invoices at any time through the billing dashboard.",
+    template.footer,
     "",
     "— The Billing Platform Team",
   ].join("\n");
 
+  const htmlRows = template.rows
+    .map(
+      ([label, value]) =>
+        `<tr><td style="padding: 4px 12px; font-weight: bold;">${label}</td><td style="padding: 4px 12px;">${value}</td></tr>`,
+    )
+    .join("\n      ");
+
   const htmlBody = `
-    <h2>Subscription Confirmed</h2>
-    <p>Hello ${tenantName || "there"},</p>
-    <p>Your <strong>${planId}</strong> subscription has been activated.</p>
+    <h2>${template.heading}</h2>
+    <p>${greeting}</p>
+    <p>${template.intro}</p>
     <table style="border-collapse: collapse; margin: 16px 0;">
-      <tr><td style="padding: 4px 12px; font-weight: bold;">Plan</td><td style="padding: 4px 12px;">${planId}</td></tr>
-      <tr><td style="padding: 4px 12px; font-weight: bold;">Billing cycle</td><td style="padding: 4px 12px;">${billingCycle}</td></tr>
-      <tr><td style="padding: 4px 12px; font-weight: bold;">Amount</td><td style="padding: 4px 12px;">${currency?.toUpperCase() || "USD"} ${amount}</td></tr>
-      <tr><td style="padding: 4px 12px; font-weight: bold;">Next billing date</td><td style="padding: 4px 12px;">${currentPeriodEnd}</td></tr>
+      ${htmlRows}
     </table>
-    <p>You can view your invoices at any time through the billing dashboard.</p>
+    <p>${template.footer}</p>
     <p style="color: #666; font-size: 12px;">Subscription ID: ${subscriptionId}</p>
   `;
 
+  return { textBody, htmlBody };
+}
+
+async function processNotification(body, { logger }) {
+  const { tenantId, tenantName, tenantEmail, subscriptionId, planId } = body;
+  const eventType = body.eventType || "subscription.created";
+
+  const buildTemplate = TEMPLATES[eventType];
+  if (!buildTemplate) {
+    // Not every subscription.* event is customer-facing — acknowledge it
+    logger.info("No email template for event type — skipping", { eventType });
+    return;
+  }
+
+  logger.info("Sending subscription notification email", {
+    tenantId,
+    tenantEmail,
+    subscriptionId,
+    planId,
+    eventType,
+  });
+
+  // ── Build email content ────────────────────────────────────────────── //
+  const template = buildTemplate(body);
+  const subject = template.subject;
+  const { textBody, htmlBody } = renderEmail(template, {
+    tenantName,
+    subscriptionId,
+  });
+
   // ── Send email ─────────────────────────────────────────────────────── //
   if (process.env.ENVIRONMENT === "prod") {
     // Production: send via SES
@@ -109,6 +562,7 @@ async function processNotification(body, { logger }) {
   logger.info("Notification processed successfully", {
     tenantId,
     subscriptionId,
+    eventType,
     channel: "email",
   });
 }
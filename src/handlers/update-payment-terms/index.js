@@ -0,0 +1,76 @@
+/**
+ * updatePaymentTermsHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * PATCH /v1/subscriptions/{id}/payment-terms  (ADMIN only)
+ *
+ * Overrides the tenant's payment terms for one subscription
+ * (shared/payment-terms):
+ *
+ *   { "payment_terms": { "type": "net", "days": 60 } }
+ *   { "payment_terms": { "type": "end_of_month", "days": 10 } }
+ *   { "payment_terms": null }          back to the tenant's terms
+ *
+ * Applies to invoices issued from now on; issued invoices keep the terms
+ * and due date they were issued under.  The change is recorded in the
+ * subscription's history (GET /v1/subscriptions/{id}/history).
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { querySystem } = require("../../shared/db");
+const { formatSubscription } = require("../../shared/subscriptions");
+const { normalizePaymentTerms } = require("../../shared/payment-terms");
+
+async function updatePaymentTermsHandler(
+  event,
+  context,
+  { body, pathParams, logger, requestId },
+) {
+  const subscriptionId = pathParams.id;
+
+  if (body.payment_terms === undefined) {
+    throw new AppError(400, "Provide payment_terms, or null to clear them");
+  }
+  const paymentTerms =
+    body.payment_terms === null
+      ? null
+      : normalizePaymentTerms(body.payment_terms);
+
+  // ADMIN acts on any tenant's subscription — system query, no RLS
+  const result = await querySystem(
+    `UPDATE subscriptions
+     SET payment_terms = $2, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [subscriptionId, paymentTerms ? JSON.stringify(paymentTerms) : null],
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError(404, "Subscription not found");
+  }
+
+  const subscription = result.rows[0];
+
+  logger.info("Subscription payment terms updated", {
+    subscriptionId,
+    tenantId: subscription.tenant_id,
+    paymentTerms,
+  });
+
+  return jsonResponse(200, {
+    message: paymentTerms
+      ? "Payment terms updated"
+      : "Payment terms cleared — the tenant's terms apply",
+    subscription: formatSubscription(subscription),
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(updatePaymentTermsHandler, {
+  schemaName: "update-payment-terms",
+  requireBody: true,
+  requireAdmin: true,
+});
@@ -0,0 +1,317 @@
+/**
+ * updateSeatsHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * PATCH /v1/subscriptions/{id}/seats
+ *
+ * Changes the number of seats a subscription pays for.  Takes effect
+ * immediately and is prorated like a same-cycle plan change
+ * (update-subscription):
+ *
+ *   • credit — unused share of what was paid for the current period
+ *     (old quantity, after coupons)
+ *   • charge — the new amount (unit_amount × new quantity) for the same
+ *     remaining share
+ *
+ * Body:
+ *   { "quantity": 12 }
+ *   { "quantity": 8, "effective": "period_end" }
+ *
+ * With `"effective": "period_end"` the new seat count is scheduled for the
+ * end of the current period instead (shared/scheduled-changes) — nothing is
+ * prorated, the renewal applies it, and "subscription.change_scheduled" is
+ * published.  From then on new users must fit the smaller of the two seat
+ * counts.  An immediate change discards any change scheduled for period end.
+ *
+ * Limits (shared/seats):
+ *   • The plan version's `maxUsers` caps the quantity.
+ *   • Seats cannot drop below the tenant's active users — remove users first
+ *     (DELETE /v1/users/{id}).
+ *
+ * The tenant row is locked before the subscription row, the same order as
+ * POST /v1/users, so a seat reduction and a new user cannot both succeed
+ * against the last seat.
+ *
+ * Publishes "subscription.updated" with `change: "seats"` — generate-invoice
+ * issues the proration invoice.  Trialing subscriptions change seats with
+ * zero credit and zero charge; the trial converts at the new quantity.
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { withTenantTransaction } = require("../../shared/db");
+const { incrementCounter } = require("../../shared/metrics");
+const { publishEvent } = require("../../shared/events");
+const { unusedPeriodAmount } = require("../../shared/billing-period");
+const { roundMoney } = require("../../shared/currency");
+const {
+  formatSubscription,
+  formatPendingChange,
+} = require("../../shared/subscriptions");
+const { getPeriodDiscount } = require("../../shared/coupons");
+const { getPlan } = require("../../shared/plans");
+const {
+  lockSeats,
+  validateQuantity,
+  countActiveUsers,
+} = require("../../shared/seats");
+const {
+  EFFECTIVE_PERIOD_END,
+  schedulePendingChange,
+} = require("../../shared/scheduled-changes");
+
+const CHANGEABLE_STATUSES = new Set(["active", "trialing"]);
+
+async function updateSeatsHandler(
+  event,
+  context,
+  { tenant, body, pathParams, logger, requestId },
+) {
+  const { tenantId } = tenant;
+  const subscriptionId = pathParams.id;
+  const { quantity } = body;
+
+  logger.info("Updating seats", {
+    tenantId,
+    subscriptionId,
+    quantity,
+    effective: body.effective,
+  });
+
+  const now = new Date();
+
+  if (body.effective === EFFECTIVE_PERIOD_END) {
+    return scheduleSeatChange(tenant, subscriptionId, quantity, {
+      now,
+      logger,
+      requestId,
+    });
+  }
+
+  const { before, after, proration, tenantName } = await withTenantTransaction(
+    tenantId,
+    async (client) => {
+      const tenantRow = await lockSeats(client, tenantId);
+
+      // ── Lock the subscription row ────────────────────────────────────── //
+      const existing = await client.query(
+        `SELECT * FROM subscriptions
+         WHERE id = $1 AND tenant_id = $2
+         FOR UPDATE`,
+        [subscriptionId, tenantId],
+      );
+
+      if (existing.rows.length === 0) {
+        throw new AppError(404, "Subscription not found");
+      }
+
+      const sub = existing.rows[0];
+
+      if (!CHANGEABLE_STATUSES.has(sub.status)) {
+        throw new AppError(
+          409,
+          `Cannot change seats of a ${sub.status} subscription`,
+          { currentStatus: sub.status },
+        );
+      }
+      if (quantity === sub.quantity) {
+        throw new AppError(400, `Subscription already has ${quantity} seats`);
+      }
+
+      // ── Seat limits ──────────────────────────────────────────────────── //
+      const plan = await getPlan(sub.plan_id, {
+        version: sub.plan_version,
+        includeArchived: true,
+        client,
+      });
+      validateQuantity(plan, quantity, tenantRow.settings);
+
+      const used = await countActiveUsers(client, tenantId);
+      if (quantity < used) {
+        throw new AppError(
+          409,
+          `${used} users occupy seats — remove users before reducing to ${quantity}`,
+          { quantity, usersInSeats: used },
+        );
+      }
+
+      const amount = roundMoney(sub.unit_amount * quantity, sub.currency);
+
+      // ── Proration (same period, same remaining share) ────────────────── //
+      let credit = 0;
+      let charge = 0;
+
+      if (sub.status === "active") {
+        const discount = await getPeriodDiscount(
+          client,
+          sub.id,
+          sub.current_period_start,
+        );
+        credit = unusedPeriodAmount(sub.amount - discount, sub, now);
+        charge = unusedPeriodAmount(amount, sub, now);
+      }
+
+      const updated = await client.query(
+        `UPDATE subscriptions
+         SET quantity = $3,
+             amount = $4,
+             pending_change = NULL
+         WHERE id = $1 AND tenant_id = $2
+         RETURNING *`,
+        [subscriptionId, tenantId, quantity, amount],
+      );
+
+      return {
+        before: sub,
+        after: updated.rows[0],
+        proration: {
+          credit,
+          charge,
+          net: roundMoney(charge - credit, sub.currency),
+          prorationDate: now.toISOString(),
+        },
+        tenantName: tenantRow.name,
+      };
+    },
+  );
+
+  const direction = after.quantity > before.quantity ? "upgrade" : "downgrade";
+
+  logger.info("Seats updated", {
+    subscriptionId,
+    previousQuantity: before.quantity,
+    quantity: after.quantity,
+    ...proration,
+  });
+
+  incrementCounter("subscription_seat_change_count", 1, {
+    PlanId: after.plan_id,
+    Direction: direction,
+  });
+
+  // ── Publish event to SNS for downstream consumers ────────────────────── //
+  await publishEvent(
+    "subscription.updated",
+    {
+      tenantId,
+      tenantName,
+      tenantEmail: tenant.email,
+      userId: tenant.userId,
+      subscriptionId,
+      change: "seats",
+      previousPlanId: before.plan_id,
+      previousBillingCycle: before.billing_cycle,
+      previousQuantity: before.quantity,
+      previousAmount: parseFloat(before.amount),
+      previousPeriodEnd: before.current_period_end,
+      planId: after.plan_id,
+      planVersion: after.plan_version,
+      billingCycle: after.billing_cycle,
+      quantity: after.quantity,
+      unitAmount: parseFloat(after.unit_amount),
+      amount: parseFloat(after.amount),
+      currency: after.currency,
+      currentPeriodStart: after.current_period_start,
+      currentPeriodEnd: after.current_period_end,
+      direction,
+      proration,
+    },
+    logger,
+  );
+
+  return jsonResponse(200, {
+    message: "Seats updated",
+    subscription: formatSubscription(after),
+    proration,
+    requestId,
+  });
+}
+
+/**
+ * `"effective": "period_end"` — store the new seat count on the subscription
+ * for the renewal job to apply.  Same lock order as an immediate change.
+ */
+async function scheduleSeatChange(
+  tenant,
+  subscriptionId,
+  quantity,
+  { now, logger, requestId },
+) {
+  const { tenantId } = tenant;
+
+  const { after, tenantName } = await withTenantTransaction(
+    tenantId,
+    async (client) => {
+      const tenantRow = await lockSeats(client, tenantId);
+
+      const existing = await client.query(
+        `SELECT * FROM subscriptions
+         WHERE id = $1 AND tenant_id = $2
+         FOR UPDATE`,
+        [subscriptionId, tenantId],
+      );
+
+      if (existing.rows.length === 0) {
+        throw new AppError(404, "Subscription not found");
+      }
+
+      const scheduled = await schedulePendingChange(
+        client,
+        existing.rows[0],
+        { quantity },
+        { tenantSettings: tenantRow.settings, userId: tenant.userId, now },
+      );
+
+      return { after: scheduled, tenantName: tenantRow.name };
+    },
+  );
+
+  const pendingChange = formatPendingChange(after);
+
+  logger.info("Seat change scheduled", {
+    subscriptionId,
+    quantity: after.quantity,
+    pendingQuantity: pendingChange.quantity,
+    effectiveAt: pendingChange.effectiveAt,
+  });
+
+  incrementCounter("subscription_change_scheduled_count", 1, {
+    PlanId: pendingChange.planId,
+    Operation: "schedule",
+  });
+
+  await publishEvent(
+    "subscription.change_scheduled",
+    {
+      tenantId,
+      tenantName,
+      tenantEmail: tenant.email,
+      userId: tenant.userId,
+      subscriptionId,
+      change: "seats",
+      planId: after.plan_id,
+      planVersion: after.plan_version,
+      billingCycle: after.billing_cycle,
+      quantity: after.quantity,
+      amount: parseFloat(after.amount),
+      currency: after.currency,
+      currentPeriodEnd: after.current_period_end,
+      pendingChange,
+    },
+    logger,
+  );
+
+  return jsonResponse(200, {
+    message: "Seat change scheduled",
+    subscription: formatSubscription(after),
+    pendingChange,
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(updateSeatsHandler, {
+  schemaName: "update-seats",
+  requireBody: true,
+});
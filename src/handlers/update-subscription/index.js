@@ -0,0 +1,394 @@
+/**
+ * updateSubscriptionHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * PATCH /v1/subscriptions/{id}
+ *
+ * Switches a subscription's `plan_id` and/or `billing_cycle` mid-period.
+ * By default upgrades and downgrades both take effect immediately and are
+ * prorated.  With `"effective": "period_end"` the change is scheduled for
+ * the end of the current period instead (shared/scheduled-changes) —
+ * nothing is prorated, the renewal applies it, and
+ * "subscription.change_scheduled" is published.
+ *
+ * Proration (see shared/proration.js, shared/billing-period.js):
+ *   • credit — unused share of what was paid for the current period:
+ *       oldAmount × (periodEnd − now) / (periodEnd − periodStart)
+ *     where periodStart is the nominal start, one cycle before periodEnd
+ *   • charge — depends on whether the cycle changes:
+ *       – same cycle: the period is kept, and the new plan is charged for
+ *         the same remaining share:  newAmount × remaining fraction
+ *       – new cycle: a fresh period starts now, and the new amount is
+ *         charged in full; the billing anchor moves to today's day.  The
+ *         subscription's coupon discounts the new period as it would a
+ *         renewal, while its duration allows (shared/coupons)
+ *   • net = charge − discount − credit.  Negative for most downgrades.
+ *
+ * Flow:
+ *   1. Middleware extracts tenant context from JWT, validates body.
+ *   2. Locks the subscription row (SELECT ... FOR UPDATE).
+ *   3. Validates the target plan/cycle and that something actually changes.
+ *   4. Computes credit/charge, updates plan, cycle, amount and period.
+ *   5. Publishes "subscription.updated" — generate-invoice issues a proration
+ *      invoice with separate credit and debit line items.
+ *
+ * Prices are per seat: the new amount is the target plan's price × the
+ * subscription's `quantity`, and the target plan's `maxUsers` must allow
+ * that many seats — reduce seats first (PATCH /v1/subscriptions/{id}/seats)
+ * to move to a smaller plan.
+ *
+ * An immediate change discards any change scheduled for period end.
+ *
+ * Trialing subscriptions have paid nothing yet, so they switch plans with
+ * zero credit and zero charge, and keep their trial as the current period
+ * even when the cycle changes.
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { withTenantTransaction } = require("../../shared/db");
+const { incrementCounter } = require("../../shared/metrics");
+const { publishEvent } = require("../../shared/events");
+const {
+  calculatePeriodEnd,
+  anchorDayOf,
+  unusedPeriodAmount,
+} = require("../../shared/billing-period");
+const { roundMoney } = require("../../shared/currency");
+const {
+  formatSubscription,
+  formatPendingChange,
+} = require("../../shared/subscriptions");
+const { applyCoupon, getPeriodDiscount } = require("../../shared/coupons");
+const { validateQuantity } = require("../../shared/seats");
+const {
+  EFFECTIVE_PERIOD_END,
+  schedulePendingChange,
+} = require("../../shared/scheduled-changes");
+const {
+  getPlan,
+  getPlanPrice,
+  getBillingCycle,
+} = require("../../shared/plans");
+
+const CHANGEABLE_STATUSES = new Set(["active", "trialing"]);
+
+async function updateSubscriptionHandler(
+  event,
+  context,
+  { tenant, body, pathParams, logger, requestId },
+) {
+  const { tenantId } = tenant;
+  const subscriptionId = pathParams.id;
+
+  if (!body.plan_id && !body.billing_cycle) {
+    throw new AppError(400, "Provide plan_id and/or billing_cycle to change");
+  }
+
+  logger.info("Updating subscription", {
+    tenantId,
+    subscriptionId,
+    planId: body.plan_id,
+    billingCycle: body.billing_cycle,
+    effective: body.effective,
+  });
+
+  const now = new Date();
+
+  if (body.effective === EFFECTIVE_PERIOD_END) {
+    return schedulePlanChange(tenant, subscriptionId, body, {
+      now,
+      logger,
+      requestId,
+    });
+  }
+
+  const { before, after, proration, tenantName } =
+    await withTenantTransaction(tenantId, async (client) => {
+      // ── Lock the subscription row ────────────────────────────────────── //
+      const existing = await client.query(
+        `SELECT * FROM subscriptions
+         WHERE id = $1 AND tenant_id = $2
+         FOR UPDATE`,
+        [subscriptionId, tenantId],
+      );
+
+      if (existing.rows.length === 0) {
+        throw new AppError(404, "Subscription not found");
+      }
+
+      const sub = existing.rows[0];
+
+      if (!CHANGEABLE_STATUSES.has(sub.status)) {
+        throw new AppError(
+          409,
+          `Cannot change plan of a ${sub.status} subscription`,
+          { currentStatus: sub.status },
+        );
+      }
+
+      // ── Resolve target plan and cycle ────────────────────────────────── //
+      // A cycle-only change stays on the subscriber's plan version (even if
+      // the plan has since been archived); a plan switch takes the target
+      // plan's current version.
+      const planId = body.plan_id || sub.plan_id;
+      const billingCycle = body.billing_cycle || sub.billing_cycle;
+      const samePlan = planId === sub.plan_id;
+      const plan = await getPlan(
+        planId,
+        samePlan
+          ? { version: sub.plan_version, includeArchived: true, client }
+          : { client },
+      );
+      getBillingCycle(billingCycle);
+
+      if (samePlan && billingCycle === sub.billing_cycle) {
+        throw new AppError(400, "Subscription is already on this plan", {
+          planId,
+          billingCycle,
+        });
+      }
+
+      const tenantRow = await client.query(
+        `SELECT name, settings FROM tenants WHERE id = $1`,
+        [tenantId],
+      );
+      validateQuantity(plan, sub.quantity, tenantRow.rows[0]?.settings);
+
+      const unitAmount = getPlanPrice(plan, billingCycle, sub.currency);
+      const amount = roundMoney(unitAmount * sub.quantity, sub.currency);
+      const cycleChanged = billingCycle !== sub.billing_cycle;
+
+      // ── Proration ────────────────────────────────────────────────────── //
+      let periodStart = new Date(sub.current_period_start);
+      let periodEnd = new Date(sub.current_period_end);
+      let anchorDay = sub.billing_anchor_day;
+      let credit = 0;
+      let charge = 0;
+      let couponDiscount = 0;
+      let couponId = null;
+
+      if (cycleChanged && sub.status === "active") {
+        periodStart = now;
+        anchorDay = anchorDayOf(now);
+        periodEnd = calculatePeriodEnd(now, billingCycle, anchorDay);
+      }
+
+      if (sub.status === "active") {
+        // Credit the old plan at the price actually paid (after coupons)
+        const discount = await getPeriodDiscount(
+          client,
+          sub.id,
+          sub.current_period_start,
+        );
+        credit = unusedPeriodAmount(sub.amount - discount, sub, now);
+        charge = cycleChanged ? amount : unusedPeriodAmount(amount, sub, now);
+
+        // A new period is billed like a renewal: generate-invoice records
+        // the redemption, so it counts towards the coupon's duration
+        if (cycleChanged) {
+          const applied = await applyCoupon(client, {
+            subscriptionId: sub.id,
+            amount,
+            currency: sub.currency,
+          });
+          if (applied) {
+            couponDiscount = applied.discount;
+            couponId = applied.coupon.id;
+          }
+        }
+      }
+
+      // ── Apply the change ─────────────────────────────────────────────── //
+      const updated = await client.query(
+        `UPDATE subscriptions
+         SET plan_id = $3,
+             plan_version = $8,
+             billing_cycle = $4,
+             unit_amount = $9,
+             amount = $5,
+             current_period_start = $6,
+             current_period_end = $7,
+             billing_anchor_day = $10,
+             pending_change = NULL
+         WHERE id = $1 AND tenant_id = $2
+         RETURNING *`,
+        [
+          subscriptionId,
+          tenantId,
+          planId,
+          billingCycle,
+          amount,
+          periodStart.toISOString(),
+          periodEnd.toISOString(),
+          plan.version,
+          unitAmount,
+          anchorDay,
+        ],
+      );
+
+      return {
+        before: sub,
+        after: updated.rows[0],
+        proration: {
+          credit,
+          charge,
+          discount: couponDiscount,
+          couponId,
+          net: roundMoney(charge - couponDiscount - credit, sub.currency),
+          prorationDate: now.toISOString(),
+        },
+        tenantName: tenantRow.rows[0]?.name,
+      };
+    });
+
+  const direction =
+    parseFloat(after.amount) >= parseFloat(before.amount)
+      ? "upgrade"
+      : "downgrade";
+
+  logger.info("Subscription updated", {
+    subscriptionId,
+    previousPlanId: before.plan_id,
+    planId: after.plan_id,
+    direction,
+    ...proration,
+  });
+
+  incrementCounter("subscription_change_count", 1, {
+    PlanId: after.plan_id,
+    Direction: direction,
+  });
+
+  // ── Publish event to SNS for downstream consumers ────────────────────── //
+  await publishEvent(
+    "subscription.updated",
+    {
+      tenantId,
+      tenantName,
+      tenantEmail: tenant.email,
+      userId: tenant.userId,
+      subscriptionId,
+      change: "plan",
+      previousPlanId: before.plan_id,
+      previousBillingCycle: before.billing_cycle,
+      previousAmount: parseFloat(before.amount),
+      previousPeriodEnd: before.current_period_end,
+      planId: after.plan_id,
+      planVersion: after.plan_version,
+      billingCycle: after.billing_cycle,
+      quantity: after.quantity,
+      unitAmount: parseFloat(after.unit_amount),
+      amount: parseFloat(after.amount),
+      currency: after.currency,
+      currentPeriodStart: after.current_period_start,
+      currentPeriodEnd: after.current_period_end,
+      direction,
+      proration,
+    },
+    logger,
+  );
+
+  return jsonResponse(200, {
+    message: "Subscription updated",
+    subscription: formatSubscription(after),
+    proration,
+    requestId,
+  });
+}
+
+/**
+ * `"effective": "period_end"` — store the change on the subscription for the
+ * renewal job to apply.
+ */
+async function schedulePlanChange(
+  tenant,
+  subscriptionId,
+  body,
+  { now, logger, requestId },
+) {
+  const { tenantId } = tenant;
+
+  const { after, tenantName } = await withTenantTransaction(
+    tenantId,
+    async (client) => {
+      const existing = await client.query(
+        `SELECT * FROM subscriptions
+         WHERE id = $1 AND tenant_id = $2
+         FOR UPDATE`,
+        [subscriptionId, tenantId],
+      );
+
+      if (existing.rows.length === 0) {
+        throw new AppError(404, "Subscription not found");
+      }
+
+      const tenantRow = await client.query(
+        `SELECT name, settings FROM tenants WHERE id = $1`,
+        [tenantId],
+      );
+
+      const scheduled = await schedulePendingChange(
+        client,
+        existing.rows[0],
+        { planId: body.plan_id, billingCycle: body.billing_cycle },
+        {
+          tenantSettings: tenantRow.rows[0]?.settings,
+          userId: tenant.userId,
+          now,
+        },
+      );
+
+      return { after: scheduled, tenantName: tenantRow.rows[0]?.name };
+    },
+  );
+
+  const pendingChange = formatPendingChange(after);
+
+  logger.info("Subscription change scheduled", {
+    subscriptionId,
+    planId: after.plan_id,
+    pendingPlanId: pendingChange.planId,
+    effectiveAt: pendingChange.effectiveAt,
+  });
+
+  incrementCounter("subscription_change_scheduled_count", 1, {
+    PlanId: pendingChange.planId,
+    Operation: "schedule",
+  });
+
+  await publishEvent(
+    "subscription.change_scheduled",
+    {
+      tenantId,
+      tenantName,
+      tenantEmail: tenant.email,
+      userId: tenant.userId,
+      subscriptionId,
+      change: "plan",
+      planId: after.plan_id,
+      planVersion: after.plan_version,
+      billingCycle: after.billing_cycle,
+      quantity: after.quantity,
+      amount: parseFloat(after.amount),
+      currency: after.currency,
+      currentPeriodEnd: after.current_period_end,
+      pendingChange,
+    },
+    logger,
+  );
+
+  return jsonResponse(200, {
+    message: "Subscription change scheduled",
+    subscription: formatSubscription(after),
+    pendingChange,
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(updateSubscriptionHandler, {
+  schemaName: "update-subscription",
+  requireBody: true,
+});
@@ -0,0 +1,101 @@
+/**
+ * updateTenantHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * PATCH /v1/tenants/{id}  (ADMIN only)
+ *
+ * Updates a tenant's billing contact and defaults.  Every field is
+ * optional; fields left out are unchanged:
+ *
+ *   {
+ *     "email": "billing@acme.example",
+ *     "currency": "eur",                               // settings.currency
+ *     "payment_terms": { "type": "net", "days": 15 }   // .paymentTerms
+ *   }
+ *
+ * `"payment_terms": null` goes back to the default terms (net 30).  New
+ * terms apply to invoices issued from now on, except on subscriptions with
+ * their own override (PATCH /v1/subscriptions/{id}/payment-terms); issued
+ * invoices keep the terms they were issued under.  A new currency applies
+ * to new subscriptions only.
+ *
+ * Settings are merged in one UPDATE (jsonb `||`), so keys this route does
+ * not manage — paymentMethod, taxStatus and the like — are left alone.
+ */
+
+const {
+  withMiddleware,
+  jsonResponse,
+  AppError,
+} = require("../../shared/middleware");
+const { querySystem } = require("../../shared/db");
+const { normalizeCurrency } = require("../../shared/currency");
+const { parseJsonColumn } = require("../../shared/subscriptions");
+const { normalizePaymentTerms } = require("../../shared/payment-terms");
+
+async function updateTenantHandler(
+  event,
+  context,
+  { body, pathParams, logger, requestId },
+) {
+  const tenantId = pathParams.id;
+
+  // ── Settings to set and to remove (400 if invalid) ───────────────────── //
+  const settings = {};
+  const cleared = [];
+  if (body.currency) settings.currency = normalizeCurrency(body.currency);
+  if (body.payment_terms === null) {
+    cleared.push("paymentTerms");
+  } else if (body.payment_terms !== undefined) {
+    settings.paymentTerms = normalizePaymentTerms(body.payment_terms);
+  }
+
+  const settingsChanged = Object.keys(settings).length + cleared.length > 0;
+  if (!body.email && !settingsChanged) {
+    throw new AppError(400, "Provide email, currency and/or payment_terms");
+  }
+
+  // ── Update the tenant ────────────────────────────────────────────────── //
+  const result = await querySystem(
+    `UPDATE tenants
+     SET email = COALESCE($2, email),
+         settings = (settings || $3::jsonb) - $4::text[],
+         updated_at = NOW()
+     WHERE id = $1 AND status != 'deleted'
+     RETURNING id, name, email, plan, status, settings, created_at,
+               updated_at`,
+    [tenantId, body.email || null, JSON.stringify(settings), cleared],
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError(404, "Tenant not found");
+  }
+
+  const updated = result.rows[0];
+
+  logger.info("Tenant updated", {
+    tenantId,
+    fields: Object.keys(body),
+  });
+
+  return jsonResponse(200, {
+    message: "Tenant updated successfully",
+    tenant: {
+      id: updated.id,
+      name: updated.name,
+      email: updated.email,
+      plan: updated.plan,
+      status: updated.status,
+      settings: parseJsonColumn(updated.settings),
+      createdAt: updated.created_at,
+      updatedAt: updated.updated_at,
+    },
+    requestId,
+  });
+}
+
+// Wrap with middleware — schema validation uses SSM schema "update-tenant"
+module.exports.handler = withMiddleware(updateTenantHandler, {
+  schemaName: "update-tenant",
+  requireBody: true,
+  requireAdmin: true,
+});
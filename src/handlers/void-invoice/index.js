@@ -0,0 +1,79 @@
+/**
+ * voidInvoiceHandler
+ * ────────────────────────────────────────────────────────────────────────────
+ * POST /v1/invoices/{id}/void  (ADMIN only)
+ *
+ * Cancels an invoice that should never have been issued:
+ * `draft | issued | overdue → void` (shared/invoice-lifecycle).  Paid and
+ * uncollectible invoices cannot be voided — refund or credit them instead.
+ * The invoice is kept, unchanged apart from its status, for the record; an
+ * issued invoice's journal entry is reversed (shared/journal).
+ *
+ * Body:
+ *   { "reason": "Duplicate of INV-000123" }   (optional)
+ *
+ * Publishes "invoice.voided".  An open dunning case for the invoice is
+ * closed by process-dunning on its next run (a voided invoice counts as
+ * settled).
+ */
+
+const { withMiddleware, jsonResponse } = require("../../shared/middleware");
+const { withSystemTransaction } = require("../../shared/db");
+const { incrementCounter } = require("../../shared/metrics");
+const { publishEvent } = require("../../shared/events");
+const { formatInvoice } = require("../../shared/invoices");
+const {
+  transitionInvoice,
+  invoiceEventPayload,
+} = require("../../shared/invoice-lifecycle");
+
+async function voidInvoiceHandler(
+  event,
+  context,
+  { body, pathParams, logger, requestId },
+) {
+  const invoiceId = pathParams.id;
+  const reason = body.reason || null;
+
+  logger.info("Voiding invoice", { invoiceId, reason });
+
+  // ADMIN acts on any tenant's invoice — system transaction, no RLS
+  const { before, after, eventType, tenantRow } = await withSystemTransaction(
+    async (client) => {
+      const result = await transitionInvoice(client, invoiceId, "void", {
+        reason,
+      });
+      const tenantResult = await client.query(
+        `SELECT name, email FROM tenants WHERE id = $1`,
+        [result.after.tenant_id],
+      );
+      return { ...result, tenantRow: tenantResult.rows[0] };
+    },
+  );
+
+  logger.info("Invoice voided", {
+    invoiceId,
+    tenantId: after.tenant_id,
+    previousStatus: before.status,
+  });
+
+  incrementCounter("invoice_transition_count", 1, { Action: "void" });
+
+  await publishEvent(
+    eventType,
+    invoiceEventPayload(before, after, tenantRow),
+    logger,
+  );
+
+  return jsonResponse(200, {
+    message: "Invoice voided",
+    invoice: formatInvoice(after),
+    requestId,
+  });
+}
+
+module.exports.handler = withMiddleware(voidInvoiceHandler, {
+  schemaName: "void-invoice",
+  requireBody: true,
+  requireAdmin: true,
+});
@@ -0,0 +1,51 @@
+-- ============================================================================
+-- 003_subscription_cancellation.sql
+-- ============================================================================
+-- Supports ending subscriptions (POST /v1/subscriptions/{id}/cancel):
+--   1. subscriptions.cancel_at_period_end — cancellation scheduled for the
+--      end of the current period (service continues until then)
+--   2. subscriptions.cancellation_reason  — free-text reason from the caller
+--   3. invoices.billing_reason            — why an invoice was generated
+--   4. Credit invoices — an immediate cancellation issues a prorated credit
+--      for the unused part of the period, which carries a NEGATIVE amount.
+-- ============================================================================
+-- ============================================================================
+-- SUBSCRIPTIONS
+-- ============================================================================
+ALTER TABLE
+    subscriptions
+ADD
+    COLUMN IF NOT EXISTS cancel_at_period_end BOOLEAN NOT NULL DEFAULT FALSE,
+ADD
+    COLUMN IF NOT EXISTS cancellation_reason VARCHAR(500);
+
+-- ============================================================================
+-- INVOICES
+-- ============================================================================
+-- billing_reason values:
+--   subscription_create — first invoice of a new subscription
+--   subscription_cancel — prorated credit for an immediate cancellation
+ALTER TABLE
+    invoices
+ADD
+    COLUMN IF NOT EXISTS billing_reason VARCHAR(50) NOT NULL DEFAULT 'subscription_create';
+
+ALTER TABLE
+    invoices
+ADD
+    CONSTRAINT invoices_billing_reason_check CHECK (
+        billing_reason IN ('subscription_create', 'subscription_cancel')
+    );
+
+-- Only credit invoices may carry a negative amount.  Everything else keeps
+-- the original `amount >= 0` guarantee.
+ALTER TABLE
+    invoices DROP CONSTRAINT IF EXISTS invoices_amount_positive;
+
+ALTER TABLE
+    invoices
+ADD
+    CONSTRAINT invoices_amount_sign CHECK (
+        amount >= 0
+        OR billing_reason = 'subscription_cancel'
+    );
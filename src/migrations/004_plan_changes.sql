@@ -0,0 +1,34 @@
+-- ============================================================================
+-- 004_plan_changes.sql
+-- ============================================================================
+-- Supports mid-period plan/cycle changes (PATCH /v1/subscriptions/{id}).
+--
+-- A change produces a proration invoice (billing_reason =
+-- 'subscription_update') with a credit line for the unused time on the old
+-- plan and a debit line for the remaining time on the new one.  A downgrade
+-- nets out negative, so these invoices may carry a negative amount too.
+-- ============================================================================
+ALTER TABLE
+    invoices DROP CONSTRAINT IF EXISTS invoices_billing_reason_check;
+
+ALTER TABLE
+    invoices
+ADD
+    CONSTRAINT invoices_billing_reason_check CHECK (
+        billing_reason IN (
+            'subscription_create',
+            'subscription_cancel',
+            'subscription_update'
+        )
+    );
+
+ALTER TABLE
+    invoices DROP CONSTRAINT IF EXISTS invoices_amount_sign;
+
+ALTER TABLE
+    invoices
+ADD
+    CONSTRAINT invoices_amount_sign CHECK (
+        amount >= 0
+        OR billing_reason IN ('subscription_cancel', 'subscription_update')
+    );
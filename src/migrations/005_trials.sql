@@ -0,0 +1,56 @@
+-- ============================================================================
+-- 005_trials.sql
+-- ============================================================================
+-- Supports free trials and the first scheduled job (process-trials):
+--   1. subscriptions.trial_start / trial_end — set when a subscription is
+--      created in `trialing` status.  While trialing, the current period is
+--      the trial itself (current_period_end = trial_end).
+--   2. event_outbox — events written by scheduled jobs in the same
+--      transaction as the state change they describe, then published to SNS
+--      (see shared/outbox.js).
+--
+-- Scheduled jobs sweep across tenants with `querySystem()` /
+-- `withSystemTransaction()` — same as tenant creation, they run as the
+-- table owner, which RLS does not restrict (policies are not FORCEd).
+-- ============================================================================
+-- ============================================================================
+-- SUBSCRIPTIONS
+-- ============================================================================
+ALTER TABLE
+    subscriptions
+ADD
+    COLUMN IF NOT EXISTS trial_start TIMESTAMPTZ,
+ADD
+    COLUMN IF NOT EXISTS trial_end TIMESTAMPTZ;
+
+ALTER TABLE
+    subscriptions
+ADD
+    CONSTRAINT subscriptions_trial_window CHECK (
+        trial_end IS NULL
+        OR trial_end > trial_start
+    );
+
+-- The trial job only ever looks at trialing rows, ordered by trial_end
+CREATE INDEX IF NOT EXISTS idx_subscriptions_trial_end ON subscriptions (trial_end)
+WHERE
+    status = 'trialing';
+
+-- ============================================================================
+-- EVENT OUTBOX
+-- ============================================================================
+-- Not tenant-facing: no RLS.  Only background jobs read or write it.
+CREATE TABLE IF NOT EXISTS event_outbox (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_type VARCHAR(100) NOT NULL,
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    payload JSONB NOT NULL,
+    -- Optional "at most once" key, e.g. subscription.trial_will_end:{id}:{trialEnd}
+    dedupe_key VARCHAR(255) UNIQUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    published_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_outbox_pending ON event_outbox (created_at)
+WHERE
+    published_at IS NULL;
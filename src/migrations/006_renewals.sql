@@ -0,0 +1,39 @@
+-- ============================================================================
+-- 006_renewals.sql
+-- ============================================================================
+-- Supports the renewal job (renew-subscriptions), which rolls each due
+-- subscription into its next period and publishes `subscription.renewed`:
+--   1. invoices.period_start / period_end — the service period an invoice
+--      bills for.
+--   2. billing_reason 'subscription_cycle' — a renewal invoice.
+--   3. A UNIQUE index on (subscription_id, period_start) for renewal
+--      invoices.  This is the "never bill a period twice" guarantee: even if
+--      `subscription.renewed` is published twice (outbox re-publish after a
+--      crash, SQS redelivery after the idempotency record expires), the
+--      second INSERT hits the index and generate-invoice skips it.
+-- ============================================================================
+ALTER TABLE
+    invoices
+ADD
+    COLUMN IF NOT EXISTS period_start TIMESTAMPTZ,
+ADD
+    COLUMN IF NOT EXISTS period_end TIMESTAMPTZ;
+
+ALTER TABLE
+    invoices DROP CONSTRAINT IF EXISTS invoices_billing_reason_check;
+
+ALTER TABLE
+    invoices
+ADD
+    CONSTRAINT invoices_billing_reason_check CHECK (
+        billing_reason IN (
+            'subscription_create',
+            'subscription_cycle',
+            'subscription_cancel',
+            'subscription_update'
+        )
+    );
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_cycle_period ON invoices (subscription_id, period_start)
+WHERE
+    billing_reason = 'subscription_cycle';
@@ -0,0 +1,65 @@
+-- ============================================================================
+-- 007_dunning.sql
+-- ============================================================================
+-- Supports the dunning job (process-dunning).  One dunning case tracks one
+-- unpaid invoice from the moment it goes overdue until it is either paid
+-- (recovered) or the final action is taken:
+--
+--   open ──(invoice paid)──────────────────────────────▶ recovered
+--    │
+--    ├──(retries exhausted, grace over, action=cancel)──▶ canceled
+--    └──(retries exhausted, grace over, action=suspend)─▶ suspended
+--                                                          │
+--                                        (invoice paid)────┴──▶ recovered
+--
+-- While a case is open the subscription is `past_due`; a `suspended` case
+-- also holds the tenant in `suspended`.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS dunning_cases (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    subscription_id UUID NOT NULL REFERENCES subscriptions(id) ON DELETE CASCADE,
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'open',
+    -- Collection retries made so far; next_attempt_at is NULL once the
+    -- retry schedule is exhausted
+    attempt_count INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ,
+    grace_ends_at TIMESTAMPTZ NOT NULL,
+    opened_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    closed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    -- One case per invoice, ever — re-running the job cannot open a second
+    CONSTRAINT dunning_cases_invoice_unique UNIQUE (invoice_id),
+    CONSTRAINT dunning_cases_status_check CHECK (
+        status IN ('open', 'recovered', 'canceled', 'suspended')
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_dunning_cases_tenant_id ON dunning_cases (tenant_id);
+
+CREATE INDEX IF NOT EXISTS idx_dunning_cases_subscription_id ON dunning_cases (subscription_id);
+
+-- The job's sweeps only ever look at unresolved cases
+CREATE INDEX IF NOT EXISTS idx_dunning_cases_active ON dunning_cases (status, next_attempt_at)
+WHERE
+    status IN ('open', 'suspended');
+
+-- The job's "newly overdue" sweep
+CREATE INDEX IF NOT EXISTS idx_invoices_issued_due_date ON invoices (due_date)
+WHERE
+    status = 'issued';
+
+ALTER TABLE
+    dunning_cases ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY dunning_cases_tenant_isolation ON dunning_cases USING (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+) WITH CHECK (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+);
+
+CREATE TRIGGER set_updated_at_dunning_cases BEFORE
+UPDATE
+    ON dunning_cases FOR EACH ROW EXECUTE FUNCTION trigger_set_updated_at();
@@ -0,0 +1,175 @@
+-- ============================================================================
+-- 008_plan_catalog.sql
+-- ============================================================================
+-- Moves the plan catalog into the database.  It used to be hardcoded twice
+-- (shared/plans.js for prices, pre-token-generation for features) with
+-- mismatched keys: subscriptions used 'pro', tokens looked up
+-- 'professional', so Pro subscribers got free-tier features.
+--
+--   plans          — one row per plan key; `current_version` is what new
+--                    subscriptions get.  Archived plans accept no new
+--                    subscriptions; existing ones keep working.
+--   plan_versions  — immutable snapshot of trial length, limits and feature
+--                    flags.  Changing a plan creates a new version, so
+--                    existing subscribers keep the terms they signed up for.
+--   plan_prices    — price per (version, billing cycle, currency).
+--
+-- The catalog is global, not tenant data: no RLS.  Writes go through the
+-- ADMIN-only /v1/plans routes.
+-- ============================================================================
+-- ============================================================================
+-- PLANS
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS plans (
+    id VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    current_version INTEGER NOT NULL DEFAULT 1,
+    archived_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT plans_id_format CHECK (id ~ '^[a-z0-9][a-z0-9_-]*$'),
+    CONSTRAINT plans_status_check CHECK (status IN ('active', 'archived'))
+);
+
+CREATE TABLE IF NOT EXISTS plan_versions (
+    plan_id VARCHAR(50) NOT NULL REFERENCES plans(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    trial_days INTEGER NOT NULL DEFAULT 0,
+    -- Numeric quotas, -1 = unlimited, e.g. { "maxUsers": 10, "maxEventsPerMonth": 10000 }
+    limits JSONB NOT NULL DEFAULT '{}',
+    -- Boolean feature flags, e.g. { "invoiceExport": true, "webhooks": false }
+    features JSONB NOT NULL DEFAULT '{}',
+    created_by UUID,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (plan_id, version),
+    CONSTRAINT plan_versions_trial_days_check CHECK (trial_days BETWEEN 0 AND 365)
+);
+
+CREATE TABLE IF NOT EXISTS plan_prices (
+    plan_id VARCHAR(50) NOT NULL,
+    version INTEGER NOT NULL,
+    billing_cycle VARCHAR(20) NOT NULL,
+    currency VARCHAR(3) NOT NULL DEFAULT 'usd',
+    amount NUMERIC(12, 2) NOT NULL,
+    PRIMARY KEY (plan_id, version, billing_cycle, currency),
+    FOREIGN KEY (plan_id, version) REFERENCES plan_versions(plan_id, version) ON DELETE CASCADE,
+    CONSTRAINT plan_prices_cycle_check CHECK (
+        billing_cycle IN ('monthly', 'quarterly', 'annual')
+    ),
+    CONSTRAINT plan_prices_amount_positive CHECK (amount >= 0)
+);
+
+CREATE TRIGGER set_updated_at_plans BEFORE
+UPDATE
+    ON plans FOR EACH ROW EXECUTE FUNCTION trigger_set_updated_at();
+
+-- ============================================================================
+-- SEED — the previously hardcoded catalog, as version 1
+-- ============================================================================
+-- Quarterly and annual prices keep the old cycle discounts (10% / 20%).
+INSERT INTO
+    plans (id, name)
+VALUES
+    ('free', 'Free'),
+    ('starter', 'Starter'),
+    ('professional', 'Professional'),
+    ('enterprise', 'Enterprise') ON CONFLICT (id) DO NOTHING;
+
+INSERT INTO
+    plan_versions (plan_id, version, trial_days, limits, features)
+VALUES
+    (
+        'free',
+        1,
+        0,
+        '{"maxUsers": 3, "maxEventsPerMonth": 1000}',
+        '{"invoiceExport": false, "apiAccess": false, "customBranding": false, "prioritySupport": false, "auditLog": false, "webhooks": false}'
+    ),
+    (
+        'starter',
+        1,
+        14,
+        '{"maxUsers": 10, "maxEventsPerMonth": 10000}',
+        '{"invoiceExport": true, "apiAccess": true, "customBranding": false, "prioritySupport": false, "auditLog": false, "webhooks": false}'
+    ),
+    (
+        'professional',
+        1,
+        14,
+        '{"maxUsers": 50, "maxEventsPerMonth": 100000}',
+        '{"invoiceExport": true, "apiAccess": true, "customBranding": true, "prioritySupport": true, "auditLog": true, "webhooks": true}'
+    ),
+    (
+        'enterprise',
+        1,
+        30,
+        '{"maxUsers": -1, "maxEventsPerMonth": -1}',
+        '{"invoiceExport": true, "apiAccess": true, "customBranding": true, "prioritySupport": true, "auditLog": true, "webhooks": true}'
+    ) ON CONFLICT (plan_id, version) DO NOTHING;
+
+INSERT INTO
+    plan_prices (plan_id, version, billing_cycle, amount)
+VALUES
+    ('free', 1, 'monthly', 0.00),
+    ('free', 1, 'quarterly', 0.00),
+    ('free', 1, 'annual', 0.00),
+    ('starter', 1, 'monthly', 29.00),
+    ('starter', 1, 'quarterly', 78.30),
+    ('starter', 1, 'annual', 278.40),
+    ('professional', 1, 'monthly', 99.00),
+    ('professional', 1, 'quarterly', 267.30),
+    ('professional', 1, 'annual', 950.40),
+    ('enterprise', 1, 'monthly', 499.00),
+    ('enterprise', 1, 'quarterly', 1347.30),
+    ('enterprise', 1, 'annual', 4790.40) ON CONFLICT DO NOTHING;
+
+-- ============================================================================
+-- 'pro' → 'professional'
+-- ============================================================================
+UPDATE
+    subscriptions
+SET
+    plan_id = 'professional'
+WHERE
+    plan_id = 'pro';
+
+UPDATE
+    tenants
+SET
+    plan = 'professional'
+WHERE
+    plan = 'pro';
+
+-- ============================================================================
+-- SUBSCRIPTIONS / TENANTS → catalog
+-- ============================================================================
+-- Every existing subscription was priced from what is now version 1.
+ALTER TABLE
+    subscriptions
+ADD
+    COLUMN IF NOT EXISTS plan_version INTEGER;
+
+UPDATE
+    subscriptions
+SET
+    plan_version = 1
+WHERE
+    plan_version IS NULL;
+
+ALTER TABLE
+    subscriptions
+ALTER COLUMN
+    plan_version
+SET
+    NOT NULL;
+
+ALTER TABLE
+    subscriptions
+ADD
+    CONSTRAINT subscriptions_plan_version_fk FOREIGN KEY (plan_id, plan_version) REFERENCES plan_versions(plan_id, version);
+
+ALTER TABLE
+    tenants
+ADD
+    CONSTRAINT tenants_plan_fk FOREIGN KEY (plan) REFERENCES plans(id);
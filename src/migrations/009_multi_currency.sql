@@ -0,0 +1,96 @@
+-- ============================================================================
+-- 009_multi_currency.sql
+-- ============================================================================
+-- Multi-currency pricing and invoicing (shared/currency.js):
+--   1. Currency codes are lowercase ISO 4217 everywhere money is stored.
+--   2. A subscription's currency is fixed at creation — it cannot be
+--      updated.
+--   3. An invoice for a subscription must be in the subscription's
+--      currency.  Proration after a plan change is priced from the target
+--      plan's price in that currency, so credit and debit lines never mix
+--      currencies.
+--   4. An index for `GET /v1/invoices?currency=`.
+--
+-- The tenant default currency lives in `tenants.settings.currency` (JSONB,
+-- no schema change).
+-- ============================================================================
+ALTER TABLE
+    subscriptions DROP CONSTRAINT IF EXISTS subscriptions_currency_format;
+
+ALTER TABLE
+    subscriptions
+ADD
+    CONSTRAINT subscriptions_currency_format CHECK (currency ~ '^[a-z]{3}$');
+
+ALTER TABLE
+    invoices DROP CONSTRAINT IF EXISTS invoices_currency_format;
+
+ALTER TABLE
+    invoices
+ADD
+    CONSTRAINT invoices_currency_format CHECK (currency ~ '^[a-z]{3}$');
+
+ALTER TABLE
+    plan_prices DROP CONSTRAINT IF EXISTS plan_prices_currency_format;
+
+ALTER TABLE
+    plan_prices
+ADD
+    CONSTRAINT plan_prices_currency_format CHECK (currency ~ '^[a-z]{3}$');
+
+-- ============================================================================
+-- Currency of record
+-- ============================================================================
+CREATE
+OR REPLACE FUNCTION trigger_subscription_currency_immutable() RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.currency IS DISTINCT FROM OLD.currency THEN
+        RAISE EXCEPTION 'subscription % currency cannot change (% -> %)',
+            OLD.id, OLD.currency, NEW.currency
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS subscription_currency_immutable ON subscriptions;
+
+CREATE TRIGGER subscription_currency_immutable BEFORE
+UPDATE
+    OF currency ON subscriptions FOR EACH ROW EXECUTE FUNCTION trigger_subscription_currency_immutable();
+
+CREATE
+OR REPLACE FUNCTION trigger_invoice_currency_matches_subscription() RETURNS TRIGGER AS $$
+DECLARE
+    subscription_currency VARCHAR(3);
+BEGIN
+    IF NEW.subscription_id IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT currency INTO subscription_currency
+    FROM subscriptions
+    WHERE id = NEW.subscription_id;
+
+    IF subscription_currency IS NOT NULL
+        AND NEW.currency <> subscription_currency THEN
+        RAISE EXCEPTION 'invoice currency % does not match subscription % currency %',
+            NEW.currency, NEW.subscription_id, subscription_currency
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS invoice_currency_matches_subscription ON invoices;
+
+CREATE TRIGGER invoice_currency_matches_subscription BEFORE
+INSERT
+    OR
+UPDATE
+    OF currency,
+    subscription_id ON invoices FOR EACH ROW EXECUTE FUNCTION trigger_invoice_currency_matches_subscription();
+
+CREATE INDEX IF NOT EXISTS idx_invoices_tenant_currency ON invoices (tenant_id, currency, created_at DESC);
@@ -0,0 +1,116 @@
+-- ============================================================================
+-- 010_coupons.sql
+-- ============================================================================
+-- Coupons (shared/coupons.js):
+--
+--   coupons             — global catalog, like plans.  A coupon is redeemed
+--                         by `code` in POST /v1/subscriptions and attached
+--                         to the subscription (`subscriptions.coupon_id`).
+--   coupon_redemptions  — one row per invoice a coupon discounted, written by
+--                         generate-invoice in the invoice's transaction.
+--                         The count per subscription drives `duration`.
+--
+-- Discount:  exactly one of percent_off (0–100] or amount_off (+ currency).
+-- Duration:  once       — the first invoice only
+--            repeating  — the first `duration_in_cycles` invoices
+--            forever    — every plan invoice
+-- Limits:    max_redemptions caps the number of SUBSCRIPTIONS the coupon can
+--            be attached to (times_redeemed counts them); expires_at stops
+--            new redemptions — coupons already attached keep applying.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS coupons (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    -- Stored uppercase; matched case-insensitively by normalizing input
+    code VARCHAR(64) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    percent_off NUMERIC(5, 2),
+    amount_off NUMERIC(12, 2),
+    currency VARCHAR(3),
+    duration VARCHAR(20) NOT NULL,
+    duration_in_cycles INTEGER,
+    max_redemptions INTEGER,
+    times_redeemed INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMPTZ,
+    -- NULL = every plan
+    applies_to_plans VARCHAR(50) [],
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    archived_at TIMESTAMPTZ,
+    created_by VARCHAR(255),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT coupons_code_unique UNIQUE (code),
+    CONSTRAINT coupons_code_format CHECK (code ~ '^[A-Z0-9][A-Z0-9_-]*$'),
+    CONSTRAINT coupons_status_check CHECK (status IN ('active', 'archived')),
+    CONSTRAINT coupons_discount_check CHECK (
+        (
+            percent_off IS NOT NULL
+            AND amount_off IS NULL
+            AND currency IS NULL
+            AND percent_off > 0
+            AND percent_off <= 100
+        )
+        OR (
+            amount_off IS NOT NULL
+            AND percent_off IS NULL
+            AND currency ~ '^[a-z]{3}$'
+            AND amount_off > 0
+        )
+    ),
+    CONSTRAINT coupons_duration_check CHECK (
+        (
+            duration IN ('once', 'forever')
+            AND duration_in_cycles IS NULL
+        )
+        OR (
+            duration = 'repeating'
+            AND duration_in_cycles > 0
+        )
+    ),
+    CONSTRAINT coupons_max_redemptions_check CHECK (
+        max_redemptions IS NULL
+        OR (
+            max_redemptions > 0
+            AND times_redeemed <= max_redemptions
+        )
+    )
+);
+
+CREATE TRIGGER set_updated_at_coupons BEFORE
+UPDATE
+    ON coupons FOR EACH ROW EXECUTE FUNCTION trigger_set_updated_at();
+
+ALTER TABLE
+    subscriptions
+ADD
+    COLUMN IF NOT EXISTS coupon_id UUID REFERENCES coupons(id);
+
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    coupon_id UUID NOT NULL REFERENCES coupons(id),
+    subscription_id UUID NOT NULL REFERENCES subscriptions(id) ON DELETE CASCADE,
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    amount NUMERIC(12, 2) NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    -- The service period of the discounted invoice; cancellation and plan
+    -- changes credit unused time from the DISCOUNTED price of that period
+    period_start TIMESTAMPTZ,
+    period_end TIMESTAMPTZ,
+    redeemed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    -- An invoice is discounted at most once
+    CONSTRAINT coupon_redemptions_invoice_unique UNIQUE (invoice_id),
+    CONSTRAINT coupon_redemptions_amount_positive CHECK (amount > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_subscription ON coupon_redemptions (subscription_id, period_start);
+
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon ON coupon_redemptions (coupon_id);
+
+ALTER TABLE
+    coupon_redemptions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY coupon_redemptions_tenant_isolation ON coupon_redemptions USING (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+) WITH CHECK (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+);
@@ -0,0 +1,69 @@
+-- ============================================================================
+-- 011_pause.sql
+-- ============================================================================
+-- Pausing and resuming subscriptions:
+--   1. `paused` status.  A paused subscription is skipped by renewals (the
+--      renewal job only rolls `active` rows), so no invoices are issued.
+--   2. subscriptions.paused_at — when the pause started; on resume the
+--      period end shifts forward by NOW() - paused_at, so the customer keeps
+--      the prepaid time they had left.
+--   3. subscriptions.resume_at — optional auto-resume date, picked up by the
+--      renew-subscriptions job.
+--   4. billing_events.during_pause — usage accepted while paused under
+--      PAUSED_USAGE_POLICY = "flag" (ingest-event).  Flagged usage is kept
+--      for the record but never billed.
+-- ============================================================================
+ALTER TABLE
+    subscriptions DROP CONSTRAINT IF EXISTS subscriptions_status_check;
+
+ALTER TABLE
+    subscriptions
+ADD
+    CONSTRAINT subscriptions_status_check CHECK (
+        status IN (
+            'active',
+            'trialing',
+            'past_due',
+            'paused',
+            'canceled',
+            'expired'
+        )
+    );
+
+ALTER TABLE
+    subscriptions
+ADD
+    COLUMN IF NOT EXISTS paused_at TIMESTAMPTZ,
+ADD
+    COLUMN IF NOT EXISTS resume_at TIMESTAMPTZ;
+
+ALTER TABLE
+    subscriptions DROP CONSTRAINT IF EXISTS subscriptions_pause_window;
+
+ALTER TABLE
+    subscriptions
+ADD
+    CONSTRAINT subscriptions_pause_window CHECK (
+        (
+            status = 'paused'
+            AND paused_at IS NOT NULL
+            AND (
+                resume_at IS NULL
+                OR resume_at > paused_at
+            )
+        )
+        OR (
+            status <> 'paused'
+            AND resume_at IS NULL
+        )
+    );
+
+-- The renewal job looks for paused rows that are due to auto-resume
+CREATE INDEX IF NOT EXISTS idx_subscriptions_resume_at ON subscriptions (resume_at)
+WHERE
+    status = 'paused';
+
+ALTER TABLE
+    billing_events
+ADD
+    COLUMN IF NOT EXISTS during_pause BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,76 @@
+-- ============================================================================
+-- 012_seats.sql
+-- ============================================================================
+-- Seat-based pricing (shared/seats.js):
+--   1. subscriptions.quantity — number of seats paid for.
+--   2. subscriptions.unit_amount — price per seat for the billing cycle
+--      (the plan version's price).  `amount` stays the total charged per
+--      period: unit_amount × quantity.  Existing subscriptions become one
+--      seat at their current amount, so nothing they pay changes.
+--   3. tenant_users — the users occupying a tenant's seats.  A user can be
+--      added only while a seat is free: fewer active users than the
+--      subscription's `quantity` and the plan's `maxUsers` limit.
+-- ============================================================================
+ALTER TABLE
+    subscriptions
+ADD
+    COLUMN IF NOT EXISTS quantity INTEGER NOT NULL DEFAULT 1,
+ADD
+    COLUMN IF NOT EXISTS unit_amount NUMERIC(12, 2);
+
+UPDATE
+    subscriptions
+SET
+    unit_amount = amount
+WHERE
+    unit_amount IS NULL;
+
+ALTER TABLE
+    subscriptions
+ALTER COLUMN
+    unit_amount
+SET
+    NOT NULL;
+
+ALTER TABLE
+    subscriptions DROP CONSTRAINT IF EXISTS subscriptions_quantity_positive;
+
+ALTER TABLE
+    subscriptions
+ADD
+    CONSTRAINT subscriptions_quantity_positive CHECK (quantity > 0);
+
+CREATE TABLE IF NOT EXISTS tenant_users (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    -- Stored lowercase
+    email VARCHAR(255) NOT NULL,
+    name VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    added_by VARCHAR(255),
+    removed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT tenant_users_status_check CHECK (status IN ('active', 'removed')),
+    CONSTRAINT tenant_users_removed_check CHECK (
+        (status = 'removed') = (removed_at IS NOT NULL)
+    )
+);
+
+-- One seat per person; a removed user can be added again later
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tenant_users_active_email ON tenant_users (tenant_id, email)
+WHERE
+    status = 'active';
+
+CREATE TRIGGER set_updated_at_tenant_users BEFORE
+UPDATE
+    ON tenant_users FOR EACH ROW EXECUTE FUNCTION trigger_set_updated_at();
+
+ALTER TABLE
+    tenant_users ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY tenant_users_tenant_isolation ON tenant_users USING (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+) WITH CHECK (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+);
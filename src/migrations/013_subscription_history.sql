@@ -0,0 +1,134 @@
+-- ============================================================================
+-- 013_subscription_history.sql
+-- ============================================================================
+-- subscription_history — one row per change to a subscription's plan,
+-- status, seats, price or period, served by
+-- GET /v1/subscriptions/{id}/history.
+--
+-- Rows are written by a trigger, not by handlers: subscriptions are changed
+-- by API handlers and by scheduled jobs (trials, renewals, dunning,
+-- auto-resume), and a trigger records all of them, in the same transaction
+-- as the change.  Updates that touch none of the tracked columns (e.g.
+-- metadata) record nothing.
+--
+--   state           — the tracked columns after the change
+--   changed_fields  — tracked columns that differ from before
+--   previous        — those columns' values before the change
+--
+-- Subscriptions that exist when this migration runs get a `backfilled` row
+-- with their current state; their earlier changes are not known.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS subscription_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    subscription_id UUID NOT NULL REFERENCES subscriptions(id) ON DELETE CASCADE,
+    change_type VARCHAR(20) NOT NULL,
+    changed_fields TEXT [] NOT NULL DEFAULT '{}',
+    previous JSONB NOT NULL DEFAULT '{}',
+    state JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT clock_timestamp(),
+    CONSTRAINT subscription_history_change_type_check CHECK (
+        change_type IN ('created', 'updated', 'backfilled')
+    )
+);
+
+-- Keyset pagination per subscription, newest first
+CREATE INDEX IF NOT EXISTS idx_subscription_history_subscription ON subscription_history (subscription_id, created_at DESC, id DESC);
+
+ALTER TABLE
+    subscription_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY subscription_history_tenant_isolation ON subscription_history USING (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+) WITH CHECK (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+);
+
+-- ============================================================================
+-- Tracked state
+-- ============================================================================
+CREATE
+OR REPLACE FUNCTION subscription_history_state(s subscriptions) RETURNS JSONB AS $$
+BEGIN
+    RETURN jsonb_build_object(
+        'plan_id', s.plan_id,
+        'plan_version', s.plan_version,
+        'status', s.status,
+        'billing_cycle', s.billing_cycle,
+        'quantity', s.quantity,
+        'unit_amount', s.unit_amount,
+        'amount', s.amount,
+        'current_period_start', s.current_period_start,
+        'current_period_end', s.current_period_end,
+        'trial_end', s.trial_end,
+        'cancel_at_period_end', s.cancel_at_period_end,
+        'canceled_at', s.canceled_at,
+        'paused_at', s.paused_at,
+        'resume_at', s.resume_at,
+        'coupon_id', s.coupon_id
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+CREATE
+OR REPLACE FUNCTION trigger_record_subscription_history() RETURNS TRIGGER AS $$
+DECLARE
+    new_state JSONB := subscription_history_state(NEW);
+    old_state JSONB;
+    fields TEXT[];
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        INSERT INTO subscription_history
+            (tenant_id, subscription_id, change_type, state)
+        VALUES (NEW.tenant_id, NEW.id, 'created', new_state);
+        RETURN NEW;
+    END IF;
+
+    old_state := subscription_history_state(OLD);
+
+    SELECT COALESCE(array_agg(n.key ORDER BY n.key), '{}')
+    INTO fields
+    FROM jsonb_each(new_state) n
+    WHERE n.value IS DISTINCT FROM old_state -> n.key;
+
+    IF cardinality(fields) = 0 THEN
+        RETURN NEW;
+    END IF;
+
+    INSERT INTO subscription_history
+        (tenant_id, subscription_id, change_type, changed_fields, previous, state)
+    SELECT NEW.tenant_id, NEW.id, 'updated', fields,
+           (SELECT jsonb_object_agg(f, old_state -> f) FROM unnest(fields) f),
+           new_state;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS record_subscription_history ON subscriptions;
+
+CREATE TRIGGER record_subscription_history
+AFTER
+INSERT
+    OR
+UPDATE
+    ON subscriptions FOR EACH ROW EXECUTE FUNCTION trigger_record_subscription_history();
+
+INSERT INTO
+    subscription_history (tenant_id, subscription_id, change_type, state)
+SELECT
+    s.tenant_id,
+    s.id,
+    'backfilled',
+    subscription_history_state(s)
+FROM
+    subscriptions s
+WHERE
+    NOT EXISTS (
+        SELECT
+            1
+        FROM
+            subscription_history h
+        WHERE
+            h.subscription_id = s.id
+    );
@@ -0,0 +1,72 @@
+-- ============================================================================
+-- 014_billing_anchor.sql
+-- ============================================================================
+-- subscriptions.billing_anchor_day — the day of the month (1–31) billing
+-- periods end on, clamped to the last day of shorter months
+-- (shared/billing-period.js).  Replaces period math with Date.setMonth,
+-- which rolled e.g. Jan 31 + 1 month over to Mar 2/3 and drifted further
+-- on every renewal.
+--
+-- Existing subscriptions are anchored on the UTC day of their current
+-- period end, so their next renewal date does not move.  Subscriptions
+-- that already drifted keep the drifted day from here on.
+--
+-- The anchor is added to the state tracked by subscription_history (013).
+-- ============================================================================
+ALTER TABLE
+    subscriptions
+ADD
+    COLUMN IF NOT EXISTS billing_anchor_day SMALLINT;
+
+UPDATE
+    subscriptions
+SET
+    billing_anchor_day = EXTRACT(
+        DAY
+        FROM
+            current_period_end AT TIME ZONE 'UTC'
+    )
+WHERE
+    billing_anchor_day IS NULL;
+
+ALTER TABLE
+    subscriptions
+ALTER COLUMN
+    billing_anchor_day
+SET
+    NOT NULL;
+
+ALTER TABLE
+    subscriptions DROP CONSTRAINT IF EXISTS subscriptions_billing_anchor_day_check;
+
+ALTER TABLE
+    subscriptions
+ADD
+    CONSTRAINT subscriptions_billing_anchor_day_check CHECK (
+        billing_anchor_day BETWEEN 1
+        AND 31
+    );
+
+CREATE
+OR REPLACE FUNCTION subscription_history_state(s subscriptions) RETURNS JSONB AS $$
+BEGIN
+    RETURN jsonb_build_object(
+        'plan_id', s.plan_id,
+        'plan_version', s.plan_version,
+        'status', s.status,
+        'billing_cycle', s.billing_cycle,
+        'billing_anchor_day', s.billing_anchor_day,
+        'quantity', s.quantity,
+        'unit_amount', s.unit_amount,
+        'amount', s.amount,
+        'current_period_start', s.current_period_start,
+        'current_period_end', s.current_period_end,
+        'trial_end', s.trial_end,
+        'cancel_at_period_end', s.cancel_at_period_end,
+        'canceled_at', s.canceled_at,
+        'paused_at', s.paused_at,
+        'resume_at', s.resume_at,
+        'coupon_id', s.coupon_id
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
@@ -0,0 +1,48 @@
+-- ============================================================================
+-- 015_scheduled_changes.sql
+-- ============================================================================
+-- subscriptions.pending_change — a plan, billing cycle and/or seat change
+-- scheduled for the end of the current period (shared/scheduled-changes.js).
+-- NULL when nothing is scheduled.  The renewal job applies it in the same
+-- UPDATE that rolls the period, so the new terms start exactly with the
+-- first period billed at them.
+--
+--   { "plan_id": "starter", "plan_version": 3, "billing_cycle": "monthly",
+--     "quantity": 5, "unit_amount": 29.00, "amount": 145.00,
+--     "scheduled_at": "...", "scheduled_by": "<cognito sub>" }
+--
+-- The complete target terms are stored (not a diff), priced when the change
+-- is scheduled.  Until it applies the subscription keeps its current plan,
+-- price and features.
+--
+-- pending_change is added to the state tracked by subscription_history.
+-- ============================================================================
+ALTER TABLE
+    subscriptions
+ADD
+    COLUMN IF NOT EXISTS pending_change JSONB;
+
+CREATE
+OR REPLACE FUNCTION subscription_history_state(s subscriptions) RETURNS JSONB AS $$
+BEGIN
+    RETURN jsonb_build_object(
+        'plan_id', s.plan_id,
+        'plan_version', s.plan_version,
+        'status', s.status,
+        'billing_cycle', s.billing_cycle,
+        'billing_anchor_day', s.billing_anchor_day,
+        'quantity', s.quantity,
+        'unit_amount', s.unit_amount,
+        'amount', s.amount,
+        'current_period_start', s.current_period_start,
+        'current_period_end', s.current_period_end,
+        'trial_end', s.trial_end,
+        'cancel_at_period_end', s.cancel_at_period_end,
+        'canceled_at', s.canceled_at,
+        'paused_at', s.paused_at,
+        'resume_at', s.resume_at,
+        'coupon_id', s.coupon_id,
+        'pending_change', s.pending_change
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
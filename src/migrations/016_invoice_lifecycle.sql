@@ -0,0 +1,101 @@
+-- ============================================================================
+-- 016_invoice_lifecycle.sql
+-- ============================================================================
+-- Invoice status transitions (shared/invoice-lifecycle.js):
+--
+--   from                              to              by
+--   draft                          →  issued          POST …/finalize
+--   issued                         →  overdue         process-overdue-invoices (past due)
+--   issued, overdue, uncollectible →  paid            POST …/mark-paid
+--   draft, issued, overdue         →  void            POST …/void
+--   issued, overdue                →  uncollectible   POST …/mark-uncollectible
+--
+--   `paid` and `void` are final.
+--
+--   1. `uncollectible` status — written off; a late payment can still mark
+--      it paid.
+--   2. finalized_at, voided_at, void_reason, marked_uncollectible_at,
+--      payment_reference — when and why each transition happened.
+--   3. trigger_invoice_lifecycle — the database refuses any other status
+--      change, and once an invoice has left `draft` its line items, amount,
+--      currency, number and service period can no longer change.  Corrections
+--      are made by voiding the invoice (or with a credit), never by editing it.
+-- ============================================================================
+ALTER TABLE
+    invoices DROP CONSTRAINT IF EXISTS invoices_status_check;
+
+ALTER TABLE
+    invoices
+ADD
+    CONSTRAINT invoices_status_check CHECK (
+        status IN (
+            'draft',
+            'issued',
+            'paid',
+            'overdue',
+            'void',
+            'uncollectible'
+        )
+    );
+
+ALTER TABLE
+    invoices
+ADD
+    COLUMN IF NOT EXISTS finalized_at TIMESTAMPTZ,
+ADD
+    COLUMN IF NOT EXISTS voided_at TIMESTAMPTZ,
+ADD
+    COLUMN IF NOT EXISTS void_reason VARCHAR(500),
+ADD
+    COLUMN IF NOT EXISTS marked_uncollectible_at TIMESTAMPTZ,
+ADD
+    COLUMN IF NOT EXISTS payment_reference VARCHAR(255);
+
+-- Every invoice so far was inserted as `issued`
+UPDATE
+    invoices
+SET
+    finalized_at = created_at
+WHERE
+    status <> 'draft'
+    AND finalized_at IS NULL;
+
+-- ============================================================================
+-- Transition graph + immutability
+-- ============================================================================
+CREATE
+OR REPLACE FUNCTION trigger_invoice_lifecycle() RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status IS DISTINCT FROM OLD.status AND NOT (
+        (OLD.status = 'draft' AND NEW.status IN ('issued', 'void'))
+        OR (OLD.status = 'issued' AND NEW.status IN ('paid', 'overdue', 'void', 'uncollectible'))
+        OR (OLD.status = 'overdue' AND NEW.status IN ('paid', 'void', 'uncollectible'))
+        OR (OLD.status = 'uncollectible' AND NEW.status = 'paid')
+    ) THEN
+        RAISE EXCEPTION 'invoice % cannot move from % to %',
+            OLD.id, OLD.status, NEW.status
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    IF OLD.status <> 'draft' AND (
+        NEW.line_items IS DISTINCT FROM OLD.line_items
+        OR NEW.amount IS DISTINCT FROM OLD.amount
+        OR NEW.currency IS DISTINCT FROM OLD.currency
+        OR NEW.invoice_number IS DISTINCT FROM OLD.invoice_number
+        OR NEW.period_start IS DISTINCT FROM OLD.period_start
+        OR NEW.period_end IS DISTINCT FROM OLD.period_end
+    ) THEN
+        RAISE EXCEPTION 'invoice % is % — its line items and totals are immutable',
+            OLD.id, OLD.status
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS invoice_lifecycle ON invoices;
+
+CREATE TRIGGER invoice_lifecycle BEFORE
+UPDATE
+    ON invoices FOR EACH ROW EXECUTE FUNCTION trigger_invoice_lifecycle();
@@ -0,0 +1,94 @@
+-- ============================================================================
+-- 017_metered_usage.sql
+-- ============================================================================
+-- Bills `billing_events` usage (shared/usage.js).  Usage is billed in
+-- arrears: each renewal invoice carries the plan line for the new period
+-- plus one usage line per event type for the window just ended.
+--
+--   1. plan_usage_rates — per plan version, event type and currency: the
+--      quantity included per billing period and the price of each unit
+--      over it.  Like plan_prices, part of an immutable plan version.
+--   2. subscriptions.usage_billed_through — end of the last usage window
+--      billed.  The next window starts there, so windows are contiguous
+--      across plan changes, period restarts and pauses.
+--   3. invoices.usage_window_start / usage_window_end / usage_aggregated_at
+--      — the aggregation window and the cut-off for late-ingested events.
+--      The usage line items carry the event count and total quantity per
+--      event type, so every charge can be recomputed from billing_events:
+--
+--        SELECT event_type, COUNT(*), SUM(quantity) FROM billing_events
+--        WHERE tenant_id = … AND NOT during_pause
+--          AND event_timestamp >= usage_window_start
+--          AND event_timestamp <  usage_window_end
+--          AND created_at <= usage_aggregated_at
+--        GROUP BY event_type;
+--
+--   4. billing_reason 'subscription_usage' — usage for the final window of
+--      a subscription that ended at period end.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS plan_usage_rates (
+    plan_id VARCHAR(50) NOT NULL,
+    version INTEGER NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    currency VARCHAR(3) NOT NULL DEFAULT 'usd',
+    -- Units free per billing period before overage applies
+    included_quantity NUMERIC(16, 4) NOT NULL DEFAULT 0,
+    -- Price per unit over the included quantity (sub-cent rates allowed)
+    unit_amount NUMERIC(14, 6) NOT NULL,
+    PRIMARY KEY (plan_id, version, event_type, currency),
+    FOREIGN KEY (plan_id, version) REFERENCES plan_versions(plan_id, version) ON DELETE CASCADE,
+    CONSTRAINT plan_usage_rates_event_type_check CHECK (
+        event_type IN (
+            'api_call',
+            'storage_used',
+            'compute_time',
+            'custom'
+        )
+    ),
+    CONSTRAINT plan_usage_rates_included_check CHECK (included_quantity >= 0),
+    CONSTRAINT plan_usage_rates_amount_check CHECK (unit_amount >= 0)
+);
+
+ALTER TABLE
+    subscriptions
+ADD
+    COLUMN IF NOT EXISTS usage_billed_through TIMESTAMPTZ;
+
+-- Usage before this migration was never billed; start with the current period
+UPDATE
+    subscriptions
+SET
+    usage_billed_through = current_period_start
+WHERE
+    usage_billed_through IS NULL
+    AND status <> 'canceled';
+
+ALTER TABLE
+    invoices
+ADD
+    COLUMN IF NOT EXISTS usage_window_start TIMESTAMPTZ,
+ADD
+    COLUMN IF NOT EXISTS usage_window_end TIMESTAMPTZ,
+ADD
+    COLUMN IF NOT EXISTS usage_aggregated_at TIMESTAMPTZ;
+
+ALTER TABLE
+    invoices DROP CONSTRAINT IF EXISTS invoices_billing_reason_check;
+
+ALTER TABLE
+    invoices
+ADD
+    CONSTRAINT invoices_billing_reason_check CHECK (
+        billing_reason IN (
+            'subscription_create',
+            'subscription_cycle',
+            'subscription_cancel',
+            'subscription_update',
+            'subscription_usage'
+        )
+    );
+
+-- A usage window is billed once per subscription
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_usage_window ON invoices (subscription_id, usage_window_start)
+WHERE
+    usage_window_start IS NOT NULL;
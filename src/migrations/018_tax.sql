@@ -0,0 +1,149 @@
+-- ============================================================================
+-- 018_tax.sql
+-- ============================================================================
+-- Tax on invoices (shared/tax.js):
+--
+--   1. tax_rates — the rate table of the default `rate_table` provider: one
+--      rate per country (ISO 3166-1 alpha-2) or region within it (e.g. a US
+--      state; '' = the whole country), effective from `valid_from`.  A row
+--      means the seller collects tax there; a rate change is a new row, so
+--      past invoices keep the rate they were issued with.  Global, no RLS.
+--   2. plan_versions.tax_behavior — whether the version's prices are
+--      `exclusive` (tax added on top, the default) or `inclusive`.
+--   3. invoices.subtotal / tax_amount / tax_details — the net amount, the
+--      tax and the decision behind it (treatment, jurisdiction, rate,
+--      customer tax ID).  `amount` stays the total: amount = subtotal +
+--      tax_amount.  Existing invoices are backfilled untaxed.
+--   4. trigger_invoice_lifecycle — the tax fields are immutable once issued,
+--      like the line items.
+--
+-- The seed is the EU standard VAT rates (for a seller registered for the
+-- One-Stop Shop).  Review it against the seller's registrations before
+-- going live; US sales tax is added per state as `region` rows.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS tax_rates (
+    country CHAR(2) NOT NULL,
+    region VARCHAR(10) NOT NULL DEFAULT '',
+    name VARCHAR(50) NOT NULL,
+    rate NUMERIC(6, 5) NOT NULL,
+    valid_from DATE NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (country, region, valid_from),
+    CONSTRAINT tax_rates_country_format CHECK (country ~ '^[A-Z]{2}$'),
+    CONSTRAINT tax_rates_rate_check CHECK (
+        rate >= 0
+        AND rate < 1
+    )
+);
+
+INSERT INTO
+    tax_rates (country, name, rate, valid_from)
+VALUES
+    ('AT', 'VAT', 0.20, '2025-01-01'),
+    ('BE', 'VAT', 0.21, '2025-01-01'),
+    ('BG', 'VAT', 0.20, '2025-01-01'),
+    ('CY', 'VAT', 0.19, '2025-01-01'),
+    ('CZ', 'VAT', 0.21, '2025-01-01'),
+    ('DE', 'VAT', 0.19, '2025-01-01'),
+    ('DK', 'VAT', 0.25, '2025-01-01'),
+    ('EE', 'VAT', 0.24, '2025-07-01'),
+    ('ES', 'VAT', 0.21, '2025-01-01'),
+    ('FI', 'VAT', 0.255, '2025-01-01'),
+    ('FR', 'VAT', 0.20, '2025-01-01'),
+    ('GR', 'VAT', 0.24, '2025-01-01'),
+    ('HR', 'VAT', 0.25, '2025-01-01'),
+    ('HU', 'VAT', 0.27, '2025-01-01'),
+    ('IE', 'VAT', 0.23, '2025-01-01'),
+    ('IT', 'VAT', 0.22, '2025-01-01'),
+    ('LT', 'VAT', 0.21, '2025-01-01'),
+    ('LU', 'VAT', 0.17, '2025-01-01'),
+    ('LV', 'VAT', 0.21, '2025-01-01'),
+    ('MT', 'VAT', 0.18, '2025-01-01'),
+    ('NL', 'VAT', 0.21, '2025-01-01'),
+    ('PL', 'VAT', 0.23, '2025-01-01'),
+    ('PT', 'VAT', 0.23, '2025-01-01'),
+    ('RO', 'VAT', 0.21, '2025-08-01'),
+    ('SE', 'VAT', 0.25, '2025-01-01'),
+    ('SI', 'VAT', 0.22, '2025-01-01'),
+    ('SK', 'VAT', 0.23, '2025-01-01') ON CONFLICT DO NOTHING;
+
+ALTER TABLE
+    plan_versions
+ADD
+    COLUMN IF NOT EXISTS tax_behavior VARCHAR(10) NOT NULL DEFAULT 'exclusive';
+
+ALTER TABLE
+    plan_versions DROP CONSTRAINT IF EXISTS plan_versions_tax_behavior_check;
+
+ALTER TABLE
+    plan_versions
+ADD
+    CONSTRAINT plan_versions_tax_behavior_check CHECK (tax_behavior IN ('exclusive', 'inclusive'));
+
+ALTER TABLE
+    invoices
+ADD
+    COLUMN IF NOT EXISTS subtotal NUMERIC(12, 2),
+ADD
+    COLUMN IF NOT EXISTS tax_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+ADD
+    COLUMN IF NOT EXISTS tax_details JSONB;
+
+UPDATE
+    invoices
+SET
+    subtotal = amount
+WHERE
+    subtotal IS NULL;
+
+ALTER TABLE
+    invoices
+ALTER COLUMN
+    subtotal
+SET
+    NOT NULL;
+
+ALTER TABLE
+    invoices DROP CONSTRAINT IF EXISTS invoices_total_check;
+
+ALTER TABLE
+    invoices
+ADD
+    CONSTRAINT invoices_total_check CHECK (amount = subtotal + tax_amount);
+
+-- ============================================================================
+-- Transition graph + immutability (016), now including the tax fields
+-- ============================================================================
+CREATE
+OR REPLACE FUNCTION trigger_invoice_lifecycle() RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status IS DISTINCT FROM OLD.status AND NOT (
+        (OLD.status = 'draft' AND NEW.status IN ('issued', 'void'))
+        OR (OLD.status = 'issued' AND NEW.status IN ('paid', 'overdue', 'void', 'uncollectible'))
+        OR (OLD.status = 'overdue' AND NEW.status IN ('paid', 'void', 'uncollectible'))
+        OR (OLD.status = 'uncollectible' AND NEW.status = 'paid')
+    ) THEN
+        RAISE EXCEPTION 'invoice % cannot move from % to %',
+            OLD.id, OLD.status, NEW.status
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    IF OLD.status <> 'draft' AND (
+        NEW.line_items IS DISTINCT FROM OLD.line_items
+        OR NEW.amount IS DISTINCT FROM OLD.amount
+        OR NEW.subtotal IS DISTINCT FROM OLD.subtotal
+        OR NEW.tax_amount IS DISTINCT FROM OLD.tax_amount
+        OR NEW.tax_details IS DISTINCT FROM OLD.tax_details
+        OR NEW.currency IS DISTINCT FROM OLD.currency
+        OR NEW.invoice_number IS DISTINCT FROM OLD.invoice_number
+        OR NEW.period_start IS DISTINCT FROM OLD.period_start
+        OR NEW.period_end IS DISTINCT FROM OLD.period_end
+    ) THEN
+        RAISE EXCEPTION 'invoice % is % — its line items and totals are immutable',
+            OLD.id, OLD.status
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,160 @@
+-- ============================================================================
+-- 019_credit_notes.sql
+-- ============================================================================
+-- Credit notes against issued invoices (shared/credit-notes.js):
+--
+--   1. number_sequences — gapless per-tenant number series (shared/numbering
+--      .js).  The next number is taken by incrementing the series row inside
+--      the transaction that uses it: the row lock serializes concurrent
+--      writers and a rollback returns the number, so no number is skipped.
+--   2. credit_notes — a full, partial or line-level credit of an invoice,
+--      numbered in the tenant's `credit_note` series (CN-000001, …).  Its
+--      total is split on creation:
+--        invoice_credit_amount  reduces what is still due on the invoice
+--        refund_amount          paid back to the customer outside the platform
+--        carryover_amount       left over — applied to the tenant's next
+--                               invoices in the same currency
+--      remaining_amount is the part of the carryover not yet applied.  Apart
+--      from it, a credit note is immutable.
+--   3. credit_note_applications — carryover applied to a later invoice.
+--   4. invoices.credited_amount — credit notes and carryover applied to the
+--      invoice.  The amount due is amount − credited_amount.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS number_sequences (
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    -- e.g. 'credit_note'
+    series VARCHAR(50) NOT NULL,
+    last_value BIGINT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (tenant_id, series),
+    CONSTRAINT number_sequences_value_check CHECK (last_value >= 0)
+);
+
+ALTER TABLE
+    number_sequences ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY number_sequences_tenant_isolation ON number_sequences USING (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+) WITH CHECK (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+);
+
+CREATE TABLE IF NOT EXISTS credit_notes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    invoice_id UUID NOT NULL REFERENCES invoices(id),
+    credit_note_number VARCHAR(50) NOT NULL,
+    reason VARCHAR(50) NOT NULL,
+    memo VARCHAR(500),
+    currency VARCHAR(3) NOT NULL,
+    -- Credited lines (`invoiceLineIndex` points into invoices.line_items)
+    -- plus the tax line, same shape as invoice line items
+    line_items JSONB NOT NULL DEFAULT '[]',
+    subtotal NUMERIC(12, 2) NOT NULL,
+    tax_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    amount NUMERIC(12, 2) NOT NULL,
+    invoice_credit_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    refund_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    carryover_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    remaining_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT credit_notes_number_unique UNIQUE (tenant_id, credit_note_number),
+    CONSTRAINT credit_notes_reason_check CHECK (
+        reason IN (
+            'billing_error',
+            'duplicate',
+            'order_change',
+            'product_unsatisfactory',
+            'goodwill',
+            'other'
+        )
+    ),
+    CONSTRAINT credit_notes_amount_positive CHECK (amount > 0),
+    CONSTRAINT credit_notes_total_check CHECK (amount = subtotal + tax_amount),
+    CONSTRAINT credit_notes_split_check CHECK (
+        invoice_credit_amount >= 0
+        AND refund_amount >= 0
+        AND carryover_amount >= 0
+        AND invoice_credit_amount + refund_amount + carryover_amount = amount
+    ),
+    CONSTRAINT credit_notes_remaining_check CHECK (
+        remaining_amount >= 0
+        AND remaining_amount <= carryover_amount
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_notes_invoice ON credit_notes (invoice_id);
+
+-- Carryover still to apply, oldest first (generate-invoice)
+CREATE INDEX IF NOT EXISTS idx_credit_notes_remaining ON credit_notes (tenant_id, currency, created_at)
+WHERE
+    remaining_amount > 0;
+
+ALTER TABLE
+    credit_notes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY credit_notes_tenant_isolation ON credit_notes USING (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+) WITH CHECK (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+);
+
+CREATE TABLE IF NOT EXISTS credit_note_applications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    credit_note_id UUID NOT NULL REFERENCES credit_notes(id),
+    invoice_id UUID NOT NULL REFERENCES invoices(id),
+    amount NUMERIC(12, 2) NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT credit_note_applications_unique UNIQUE (credit_note_id, invoice_id),
+    CONSTRAINT credit_note_applications_amount_positive CHECK (amount > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_note_applications_invoice ON credit_note_applications (invoice_id);
+
+ALTER TABLE
+    credit_note_applications ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY credit_note_applications_tenant_isolation ON credit_note_applications USING (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+) WITH CHECK (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+);
+
+ALTER TABLE
+    invoices
+ADD
+    COLUMN IF NOT EXISTS credited_amount NUMERIC(12, 2) NOT NULL DEFAULT 0;
+
+ALTER TABLE
+    invoices DROP CONSTRAINT IF EXISTS invoices_credited_check;
+
+ALTER TABLE
+    invoices
+ADD
+    CONSTRAINT invoices_credited_check CHECK (
+        credited_amount >= 0
+        AND credited_amount <= GREATEST(amount, 0)
+    );
+
+-- ============================================================================
+-- Credit notes are immutable except for the carryover still to apply
+-- ============================================================================
+CREATE
+OR REPLACE FUNCTION trigger_credit_note_immutable() RETURNS TRIGGER AS $$
+BEGIN
+    IF (to_jsonb(NEW) - 'remaining_amount') IS DISTINCT FROM (to_jsonb(OLD) - 'remaining_amount') THEN
+        RAISE EXCEPTION 'credit note % is immutable', OLD.id
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS credit_notes_immutable ON credit_notes;
+
+CREATE TRIGGER credit_notes_immutable BEFORE
+UPDATE
+    ON credit_notes FOR EACH ROW EXECUTE FUNCTION trigger_credit_note_immutable();
@@ -0,0 +1,28 @@
+-- ============================================================================
+-- 020_invoice_numbering.sql
+-- ============================================================================
+-- Sequential invoice numbers (shared/numbering.js).  generate-invoice used
+-- to number invoices INV-{YYYYMMDD}-{random}; new invoices take the next
+-- number of the tenant's gapless `invoice` series instead, rendered in the
+-- tenant's format (tenants.settings.invoiceNumbering, default INV-000001).
+--
+--   1. number_sequences.period — the counting period of a series: '' for a
+--      series that never restarts, the year (e.g. '2026') for one with
+--      `yearlyReset`.  Each period counts from 1.
+--
+-- Existing invoices keep their numbers.  The old random ones cannot clash
+-- with the default format; invoices_number_unique still guards a tenant
+-- format that would.
+-- ============================================================================
+ALTER TABLE
+    number_sequences
+ADD
+    COLUMN IF NOT EXISTS period VARCHAR(10) NOT NULL DEFAULT '';
+
+ALTER TABLE
+    number_sequences DROP CONSTRAINT IF EXISTS number_sequences_pkey;
+
+ALTER TABLE
+    number_sequences
+ADD
+    CONSTRAINT number_sequences_pkey PRIMARY KEY (tenant_id, series, period);
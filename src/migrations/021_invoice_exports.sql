@@ -0,0 +1,73 @@
+-- ============================================================================
+-- 021_invoice_exports.sql
+-- ============================================================================
+-- Asynchronous invoice exports (shared/invoice-export.js):
+--
+--   1. invoice_exports — an export requested with POST /v1/invoice-exports:
+--      format, the list-invoices filters it was requested with, and its
+--      progress (pending → running → completed | failed).  The
+--      process-invoice-exports job claims pending exports; a `running`
+--      export whose run died is claimed again after a while, `attempts`
+--      caps the retries.  Exports are deleted after `expires_at`.
+--   2. invoice_export_parts — the output, split into parts of at most a few
+--      MB so each part fits in one API response.  The parts concatenated in
+--      `part_number` order are the complete file (the CSV header is only in
+--      part 1).
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS invoice_exports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    format VARCHAR(10) NOT NULL,
+    -- { status, currency, from, to } as given
+    filters JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    requested_by VARCHAR(255),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    invoice_count INTEGER,
+    row_count INTEGER,
+    part_count INTEGER,
+    byte_size BIGINT,
+    error VARCHAR(500),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ NOT NULL,
+    CONSTRAINT invoice_exports_format_check CHECK (format IN ('csv', 'jsonl')),
+    CONSTRAINT invoice_exports_status_check CHECK (
+        status IN ('pending', 'running', 'completed', 'failed')
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_exports_queue ON invoice_exports (created_at)
+WHERE
+    status IN ('pending', 'running');
+
+CREATE INDEX IF NOT EXISTS idx_invoice_exports_expires ON invoice_exports (expires_at);
+
+ALTER TABLE
+    invoice_exports ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY invoice_exports_tenant_isolation ON invoice_exports USING (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+) WITH CHECK (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+);
+
+CREATE TABLE IF NOT EXISTS invoice_export_parts (
+    export_id UUID NOT NULL REFERENCES invoice_exports(id) ON DELETE CASCADE,
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    part_number INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    byte_size INTEGER NOT NULL,
+    PRIMARY KEY (export_id, part_number),
+    CONSTRAINT invoice_export_parts_number_check CHECK (part_number >= 1)
+);
+
+ALTER TABLE
+    invoice_export_parts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY invoice_export_parts_tenant_isolation ON invoice_export_parts USING (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+) WITH CHECK (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+);
@@ -0,0 +1,17 @@
+-- ============================================================================
+-- 022_invoice_reminders.sql
+-- ============================================================================
+-- Overdue sweep and payment reminders (process-overdue-invoices):
+--
+--   • The job moves `issued` invoices past their due date to `overdue`
+--     (idx_invoices_issued_due_date, migrations/007) and sends reminders
+--     around the due date for invoices still open — `issued` or `overdue`.
+--   • process-dunning now opens its cases for `overdue` invoices instead of
+--     setting the status itself.
+--
+-- Reminders are sent once through the event outbox's dedupe keys
+-- (migrations/005), so no table is needed for them.
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_invoices_open_due_date ON invoices (due_date)
+WHERE
+    status IN ('issued', 'overdue');
@@ -0,0 +1,113 @@
+-- ============================================================================
+-- 023_payment_terms.sql
+-- ============================================================================
+-- Configurable payment terms (shared/payment-terms.js).  Invoices used to
+-- be due 30 days after issue, always.  Terms are now set per tenant
+-- (tenants.settings.paymentTerms) and can be overridden per subscription:
+--
+--   1. subscriptions.payment_terms — the override, e.g.
+--      { "type": "net", "days": 60 }; NULL uses the tenant's terms.
+--   2. invoices.payment_terms — the terms the invoice was issued under, from
+--      which its due date was calculated.  NULL for credits and for
+--      invoices issued before this migration (all of them net 30).
+--   3. trigger_invoice_lifecycle — the recorded terms are immutable once
+--      issued, like the line items.
+--
+-- subscriptions.payment_terms is added to the state tracked by
+-- subscription_history (013).
+-- ============================================================================
+ALTER TABLE
+    subscriptions
+ADD
+    COLUMN IF NOT EXISTS payment_terms JSONB;
+
+ALTER TABLE
+    invoices
+ADD
+    COLUMN IF NOT EXISTS payment_terms JSONB;
+
+ALTER TABLE
+    subscriptions DROP CONSTRAINT IF EXISTS subscriptions_payment_terms_check;
+
+ALTER TABLE
+    subscriptions
+ADD
+    CONSTRAINT subscriptions_payment_terms_check CHECK (
+        payment_terms IS NULL
+        OR payment_terms ->> 'type' IN ('due_on_receipt', 'net', 'end_of_month')
+    );
+
+ALTER TABLE
+    invoices DROP CONSTRAINT IF EXISTS invoices_payment_terms_check;
+
+ALTER TABLE
+    invoices
+ADD
+    CONSTRAINT invoices_payment_terms_check CHECK (
+        payment_terms IS NULL
+        OR payment_terms ->> 'type' IN ('due_on_receipt', 'net', 'end_of_month')
+    );
+
+CREATE
+OR REPLACE FUNCTION subscription_history_state(s subscriptions) RETURNS JSONB AS $$
+BEGIN
+    RETURN jsonb_build_object(
+        'plan_id', s.plan_id,
+        'plan_version', s.plan_version,
+        'status', s.status,
+        'billing_cycle', s.billing_cycle,
+        'billing_anchor_day', s.billing_anchor_day,
+        'quantity', s.quantity,
+        'unit_amount', s.unit_amount,
+        'amount', s.amount,
+        'current_period_start', s.current_period_start,
+        'current_period_end', s.current_period_end,
+        'trial_end', s.trial_end,
+        'cancel_at_period_end', s.cancel_at_period_end,
+        'canceled_at', s.canceled_at,
+        'paused_at', s.paused_at,
+        'resume_at', s.resume_at,
+        'coupon_id', s.coupon_id,
+        'pending_change', s.pending_change,
+        'payment_terms', s.payment_terms
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- ============================================================================
+-- Transition graph + immutability (016, 018), now including payment_terms
+-- ============================================================================
+CREATE
+OR REPLACE FUNCTION trigger_invoice_lifecycle() RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status IS DISTINCT FROM OLD.status AND NOT (
+        (OLD.status = 'draft' AND NEW.status IN ('issued', 'void'))
+        OR (OLD.status = 'issued' AND NEW.status IN ('paid', 'overdue', 'void', 'uncollectible'))
+        OR (OLD.status = 'overdue' AND NEW.status IN ('paid', 'void', 'uncollectible'))
+        OR (OLD.status = 'uncollectible' AND NEW.status = 'paid')
+    ) THEN
+        RAISE EXCEPTION 'invoice % cannot move from % to %',
+            OLD.id, OLD.status, NEW.status
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    IF OLD.status <> 'draft' AND (
+        NEW.line_items IS DISTINCT FROM OLD.line_items
+        OR NEW.amount IS DISTINCT FROM OLD.amount
+        OR NEW.subtotal IS DISTINCT FROM OLD.subtotal
+        OR NEW.tax_amount IS DISTINCT FROM OLD.tax_amount
+        OR NEW.tax_details IS DISTINCT FROM OLD.tax_details
+        OR NEW.currency IS DISTINCT FROM OLD.currency
+        OR NEW.invoice_number IS DISTINCT FROM OLD.invoice_number
+        OR NEW.period_start IS DISTINCT FROM OLD.period_start
+        OR NEW.period_end IS DISTINCT FROM OLD.period_end
+        OR NEW.payment_terms IS DISTINCT FROM OLD.payment_terms
+    ) THEN
+        RAISE EXCEPTION 'invoice % is % — its line items and totals are immutable',
+            OLD.id, OLD.status
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
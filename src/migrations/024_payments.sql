@@ -0,0 +1,126 @@
+-- ============================================================================
+-- 024_payments.sql
+-- ============================================================================
+-- Payments ledger (shared/payments.js).  An invoice used to record only
+-- that it was paid (`paid_at`, `payment_reference`); every payment is now a
+-- row of its own:
+--
+--   1. payments — money received against an invoice, in the invoice's
+--      currency.  Its amount is split on receipt:
+--        applied_amount      settles what is still due on the invoice
+--        overpayment_amount  paid beyond the amount due
+--      Payments are immutable.
+--   2. invoices.amount_paid — the payments applied to the invoice.  The
+--      amount due is amount − credited_amount − amount_paid; an invoice
+--      paid down to zero is `paid`.
+--
+-- Invoices already `paid` with something left to pay get one backfilled
+-- payment of that amount, dated `paid_at`, so amount_paid adds up for
+-- them too.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS payments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    invoice_id UUID NOT NULL REFERENCES invoices(id),
+    currency VARCHAR(3) NOT NULL,
+    amount NUMERIC(12, 2) NOT NULL,
+    applied_amount NUMERIC(12, 2) NOT NULL,
+    overpayment_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    method VARCHAR(20) NOT NULL,
+    reference VARCHAR(255),
+    paid_at TIMESTAMPTZ NOT NULL,
+    -- Cognito sub of the admin who recorded it; NULL when backfilled
+    recorded_by VARCHAR(255),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT payments_method_check CHECK (
+        method IN ('bank_transfer', 'card', 'check', 'cash', 'other')
+    ),
+    CONSTRAINT payments_amount_positive CHECK (amount > 0),
+    CONSTRAINT payments_split_check CHECK (
+        applied_amount >= 0
+        AND overpayment_amount >= 0
+        AND applied_amount + overpayment_amount = amount
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_invoice ON payments (invoice_id, paid_at);
+
+ALTER TABLE
+    payments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY payments_tenant_isolation ON payments USING (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+) WITH CHECK (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+);
+
+ALTER TABLE
+    invoices
+ADD
+    COLUMN IF NOT EXISTS amount_paid NUMERIC(12, 2) NOT NULL DEFAULT 0;
+
+-- ============================================================================
+-- Backfill: invoices marked paid before payments were recorded
+-- ============================================================================
+INSERT INTO
+    payments (
+        tenant_id,
+        invoice_id,
+        currency,
+        amount,
+        applied_amount,
+        method,
+        reference,
+        paid_at
+    )
+SELECT
+    i.tenant_id,
+    i.id,
+    i.currency,
+    i.amount - i.credited_amount,
+    i.amount - i.credited_amount,
+    'other',
+    i.payment_reference,
+    COALESCE(i.paid_at, i.updated_at)
+FROM
+    invoices i
+WHERE
+    i.status = 'paid'
+    AND i.amount - i.credited_amount > 0
+    AND NOT EXISTS (
+        SELECT
+            1
+        FROM
+            payments p
+        WHERE
+            p.invoice_id = i.id
+    );
+
+UPDATE
+    invoices i
+SET
+    amount_paid = p.total
+FROM
+    (
+        SELECT
+            invoice_id,
+            SUM(applied_amount) AS total
+        FROM
+            payments
+        GROUP BY
+            invoice_id
+    ) p
+WHERE
+    p.invoice_id = i.id
+    AND i.amount_paid <> p.total;
+
+ALTER TABLE
+    invoices DROP CONSTRAINT IF EXISTS invoices_amount_paid_check;
+
+ALTER TABLE
+    invoices
+ADD
+    CONSTRAINT invoices_amount_paid_check CHECK (
+        amount_paid >= 0
+        AND credited_amount + amount_paid <= GREATEST(amount, 0)
+    );
@@ -0,0 +1,180 @@
+-- ============================================================================
+-- 025_customer_balance.sql
+-- ============================================================================
+-- Customer balance (shared/customer-balance.js) — credit a tenant holds with
+-- us, per currency, drawn down by its next invoices:
+--
+--   1. tenant_balances — the current balance per (tenant, currency).  The
+--      row is locked by every change, which serializes concurrent writers;
+--      a balance never goes below zero.
+--   2. balance_transactions — the ledger: every credit (+) and debit (−)
+--      with its reason and the balance after it.  Credits come from credit
+--      note leftovers, overpayments, unused proration credits and
+--      prepayments; debits from invoices the balance is applied to and
+--      refunds.  Entries are immutable.
+--   3. invoices.balance_applied — the balance drawn down by the invoice
+--      when it was issued.  The amount due is amount − credited_amount −
+--      balance_applied − amount_paid.
+--
+-- Credit note carryover not yet applied (credit_notes.remaining_amount)
+-- moves into the balance; credit_note_applications keeps the carryover
+-- applied before this migration but is no longer written.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS tenant_balances (
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    currency VARCHAR(3) NOT NULL,
+    balance NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (tenant_id, currency),
+    CONSTRAINT tenant_balances_balance_check CHECK (balance >= 0)
+);
+
+ALTER TABLE
+    tenant_balances ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY tenant_balances_tenant_isolation ON tenant_balances USING (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+) WITH CHECK (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+);
+
+CREATE TABLE IF NOT EXISTS balance_transactions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    currency VARCHAR(3) NOT NULL,
+    -- Credit to the customer (+) or debit (−)
+    amount NUMERIC(12, 2) NOT NULL,
+    balance_after NUMERIC(12, 2) NOT NULL,
+    reason VARCHAR(30) NOT NULL,
+    description VARCHAR(500),
+    -- What the entry came from, where there is one
+    invoice_id UUID REFERENCES invoices(id),
+    credit_note_id UUID REFERENCES credit_notes(id),
+    payment_id UUID REFERENCES payments(id),
+    -- Cognito sub of the admin; NULL for entries written by the platform
+    created_by VARCHAR(255),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT balance_transactions_reason_check CHECK (
+        reason IN (
+            'credit_note',
+            'overpayment',
+            'proration_credit',
+            'prepayment',
+            'adjustment',
+            'applied_to_invoice',
+            'refund'
+        )
+    ),
+    CONSTRAINT balance_transactions_amount_nonzero CHECK (amount <> 0),
+    CONSTRAINT balance_transactions_balance_check CHECK (balance_after >= 0)
+);
+
+-- Balance history, newest first (GET /v1/balance)
+CREATE INDEX IF NOT EXISTS idx_balance_transactions_tenant ON balance_transactions (tenant_id, created_at DESC, id DESC);
+
+ALTER TABLE
+    balance_transactions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY balance_transactions_tenant_isolation ON balance_transactions USING (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+) WITH CHECK (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+);
+
+-- ============================================================================
+-- Ledger entries are immutable
+-- ============================================================================
+CREATE
+OR REPLACE FUNCTION trigger_balance_transaction_immutable() RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'balance transaction % is immutable', OLD.id
+        USING ERRCODE = 'check_violation';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS balance_transactions_immutable ON balance_transactions;
+
+CREATE TRIGGER balance_transactions_immutable BEFORE
+UPDATE
+    ON balance_transactions FOR EACH ROW EXECUTE FUNCTION trigger_balance_transaction_immutable();
+
+-- ============================================================================
+-- Invoices: balance drawn down on issue
+-- ============================================================================
+ALTER TABLE
+    invoices
+ADD
+    COLUMN IF NOT EXISTS balance_applied NUMERIC(12, 2) NOT NULL DEFAULT 0;
+
+ALTER TABLE
+    invoices DROP CONSTRAINT IF EXISTS invoices_amount_paid_check;
+
+ALTER TABLE
+    invoices
+ADD
+    CONSTRAINT invoices_amount_paid_check CHECK (
+        amount_paid >= 0
+        AND balance_applied >= 0
+        AND credited_amount + balance_applied + amount_paid <= GREATEST(amount, 0)
+    );
+
+-- ============================================================================
+-- Backfill: unapplied credit note carryover becomes balance
+-- ============================================================================
+INSERT INTO
+    balance_transactions (
+        tenant_id,
+        currency,
+        amount,
+        balance_after,
+        reason,
+        description,
+        credit_note_id,
+        created_at
+    )
+SELECT
+    c.tenant_id,
+    c.currency,
+    c.remaining_amount,
+    SUM(c.remaining_amount) OVER (
+        PARTITION BY c.tenant_id,
+        c.currency
+        ORDER BY
+            c.created_at,
+            c.id
+    ),
+    'credit_note',
+    'Credit note ' || c.credit_note_number,
+    c.id,
+    c.created_at
+FROM
+    credit_notes c
+WHERE
+    c.remaining_amount > 0
+    AND NOT EXISTS (
+        SELECT
+            1
+        FROM
+            balance_transactions b
+        WHERE
+            b.credit_note_id = c.id
+    );
+
+INSERT INTO
+    tenant_balances (tenant_id, currency, balance)
+SELECT
+    tenant_id,
+    currency,
+    SUM(amount)
+FROM
+    balance_transactions
+GROUP BY
+    tenant_id,
+    currency ON CONFLICT (tenant_id, currency) DO NOTHING;
+
+UPDATE
+    credit_notes
+SET
+    remaining_amount = 0
+WHERE
+    remaining_amount > 0;
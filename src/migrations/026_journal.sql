@@ -0,0 +1,256 @@
+-- ============================================================================
+-- 026_journal.sql
+-- ============================================================================
+-- Double-entry journal of billing activity (shared/journal.js):
+--
+--   1. journal_entries — one per business event (invoice issued or voided,
+--      payment, credit note, manual balance entry), in the currency of the
+--      event and linked to the document it came from.
+--   2. journal_lines — the entry's debits and credits, one account each.
+--      Accounts: accounts_receivable, cash (assets); customer_credit,
+--      tax_payable (liabilities); revenue; opening_balance (equity).
+--
+-- Every entry's debits equal its credits: a constraint trigger, deferred to
+-- commit so an entry and its lines can be inserted one by one, rejects an
+-- unbalanced entry (or one with fewer than two lines) and rolls back the
+-- business change with it.  Entries and lines are immutable; a mistake is
+-- reversed with another entry.
+--
+-- Activity before this migration is not journaled line by line.  Each
+-- tenant and currency gets one opening entry instead: the receivables still
+-- open (amount due of issued, overdue and uncollectible invoices) and the
+-- customer balance held, against opening_balance.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS journal_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    currency VARCHAR(3) NOT NULL,
+    entry_type VARCHAR(30) NOT NULL,
+    description VARCHAR(500),
+    -- What the entry came from, where there is one
+    invoice_id UUID REFERENCES invoices(id),
+    credit_note_id UUID REFERENCES credit_notes(id),
+    payment_id UUID REFERENCES payments(id),
+    balance_transaction_id UUID REFERENCES balance_transactions(id),
+    -- Accounting date: when the money arrived for payments, else when posted
+    posted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT journal_entries_type_check CHECK (
+        entry_type IN (
+            'opening_balance',
+            'invoice_issued',
+            'invoice_voided',
+            'payment',
+            'credit_note',
+            'balance_adjustment'
+        )
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_entries_posted ON journal_entries (currency, posted_at);
+
+CREATE INDEX IF NOT EXISTS idx_journal_entries_tenant ON journal_entries (tenant_id, posted_at);
+
+CREATE INDEX IF NOT EXISTS idx_journal_entries_invoice ON journal_entries (invoice_id)
+WHERE
+    invoice_id IS NOT NULL;
+
+ALTER TABLE
+    journal_entries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY journal_entries_tenant_isolation ON journal_entries USING (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+) WITH CHECK (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+);
+
+CREATE TABLE IF NOT EXISTS journal_lines (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entry_id UUID NOT NULL REFERENCES journal_entries(id) ON DELETE CASCADE,
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    account VARCHAR(30) NOT NULL,
+    debit NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    credit NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    CONSTRAINT journal_lines_account_check CHECK (
+        account IN (
+            'accounts_receivable',
+            'cash',
+            'customer_credit',
+            'tax_payable',
+            'revenue',
+            'opening_balance'
+        )
+    ),
+    -- Exactly one side, positive
+    CONSTRAINT journal_lines_side_check CHECK (
+        debit >= 0
+        AND credit >= 0
+        AND (debit = 0) <> (credit = 0)
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_lines_entry ON journal_lines (entry_id);
+
+ALTER TABLE
+    journal_lines ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY journal_lines_tenant_isolation ON journal_lines USING (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+) WITH CHECK (
+    tenant_id = current_setting('app.tenant_id') :: uuid
+);
+
+-- ============================================================================
+-- Every entry balances — checked at commit
+-- ============================================================================
+CREATE
+OR REPLACE FUNCTION trigger_journal_entry_balanced() RETURNS TRIGGER AS $$
+DECLARE
+    v_entry_id UUID;
+    v_debit NUMERIC;
+    v_credit NUMERIC;
+    v_lines INTEGER;
+BEGIN
+    IF TG_TABLE_NAME = 'journal_entries' THEN
+        v_entry_id := NEW.id;
+    ELSIF TG_OP = 'DELETE' THEN
+        v_entry_id := OLD.entry_id;
+    ELSE
+        v_entry_id := NEW.entry_id;
+    END IF;
+
+    -- The whole entry was deleted (tenant removed): nothing to balance
+    IF NOT EXISTS (SELECT 1 FROM journal_entries WHERE id = v_entry_id) THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT COALESCE(SUM(debit), 0), COALESCE(SUM(credit), 0), COUNT(*)
+    INTO v_debit, v_credit, v_lines
+    FROM journal_lines
+    WHERE entry_id = v_entry_id;
+
+    IF v_lines < 2 OR v_debit <> v_credit THEN
+        RAISE EXCEPTION 'journal entry % does not balance: debits %, credits % (% lines)',
+            v_entry_id, v_debit, v_credit, v_lines
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS journal_entries_balanced ON journal_entries;
+
+CREATE CONSTRAINT TRIGGER journal_entries_balanced
+AFTER
+INSERT
+    ON journal_entries DEFERRABLE INITIALLY DEFERRED FOR EACH ROW EXECUTE FUNCTION trigger_journal_entry_balanced();
+
+DROP TRIGGER IF EXISTS journal_lines_balanced ON journal_lines;
+
+CREATE CONSTRAINT TRIGGER journal_lines_balanced
+AFTER
+INSERT
+    OR DELETE ON journal_lines DEFERRABLE INITIALLY DEFERRED FOR EACH ROW EXECUTE FUNCTION trigger_journal_entry_balanced();
+
+-- ============================================================================
+-- Entries and lines are immutable
+-- ============================================================================
+CREATE
+OR REPLACE FUNCTION trigger_journal_immutable() RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION '% % is immutable', TG_TABLE_NAME, OLD.id
+        USING ERRCODE = 'check_violation';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS journal_entries_immutable ON journal_entries;
+
+CREATE TRIGGER journal_entries_immutable BEFORE
+UPDATE
+    ON journal_entries FOR EACH ROW EXECUTE FUNCTION trigger_journal_immutable();
+
+DROP TRIGGER IF EXISTS journal_lines_immutable ON journal_lines;
+
+CREATE TRIGGER journal_lines_immutable BEFORE
+UPDATE
+    ON journal_lines FOR EACH ROW EXECUTE FUNCTION trigger_journal_immutable();
+
+-- ============================================================================
+-- Opening balances: open receivables and customer balances
+-- ============================================================================
+WITH receivables AS (
+    SELECT
+        tenant_id,
+        currency,
+        SUM(
+            amount - credited_amount - balance_applied - amount_paid
+        ) AS amount
+    FROM
+        invoices
+    WHERE
+        status IN ('issued', 'overdue', 'uncollectible')
+        AND amount - credited_amount - balance_applied - amount_paid > 0
+    GROUP BY
+        tenant_id,
+        currency
+),
+openings AS (
+    SELECT
+        COALESCE(r.tenant_id, b.tenant_id) AS tenant_id,
+        COALESCE(r.currency, b.currency) AS currency,
+        COALESCE(r.amount, 0) AS receivable,
+        COALESCE(b.balance, 0) AS credit_held
+    FROM
+        receivables r FULL
+        OUTER JOIN tenant_balances b ON b.tenant_id = r.tenant_id
+        AND b.currency = r.currency
+    WHERE
+        COALESCE(r.amount, 0) > 0
+        OR COALESCE(b.balance, 0) > 0
+),
+entries AS (
+    INSERT INTO
+        journal_entries (tenant_id, currency, entry_type, description)
+    SELECT
+        tenant_id,
+        currency,
+        'opening_balance',
+        'Opening balance'
+    FROM
+        openings
+    WHERE
+        NOT EXISTS (
+            SELECT
+                1
+            FROM
+                journal_entries
+        ) RETURNING id,
+        tenant_id,
+        currency
+)
+INSERT INTO
+    journal_lines (entry_id, tenant_id, account, debit, credit)
+SELECT
+    e.id,
+    e.tenant_id,
+    v.account,
+    v.debit,
+    v.credit
+FROM
+    entries e
+    JOIN openings o ON o.tenant_id = e.tenant_id
+    AND o.currency = e.currency
+    CROSS JOIN LATERAL (
+        VALUES
+            ('accounts_receivable', o.receivable, 0),
+            ('customer_credit', 0, o.credit_held),
+            (
+                'opening_balance',
+                GREATEST(o.credit_held - o.receivable, 0),
+                GREATEST(o.receivable - o.credit_held, 0)
+            )
+    ) AS v(account, debit, credit)
+WHERE
+    v.debit > 0
+    OR v.credit > 0;
@@ -0,0 +1,224 @@
+/**
+ * Billing periods — cycle math anchored to a day of the month
+ * ────────────────────────────────────────────────────────────────────────────
+ * Every subscription has a billing anchor day (`billing_anchor_day`, 1–31):
+ * the day of the month its periods end on.  A period ends `months` after it
+ * starts (1 monthly, 3 quarterly, 12 annual), on the anchor day — clamped to
+ * the last day of shorter months — at the start's time of day.  All math is
+ * in UTC.
+ *
+ * The anchor, not the previous period's end, decides the day, so clamping
+ * never accumulates.  Anchor 31, monthly, from Jan 31:
+ *
+ *     Jan 31 → Feb 28 → Mar 31 → Apr 30 → May 31 …   (Feb 29 in leap years)
+ *
+ * whereas `Date.setMonth` rolls Jan 31 + 1 month over to Mar 2/3 and the
+ * drift compounds on every renewal.  More examples:
+ *
+ *     anchor 30, from Jan 30:  Jan 30 → Feb 28 → Mar 30
+ *     anchor 31, quarterly:    Nov 30 → Feb 28 → May 31 → Aug 31 → Nov 30
+ *     anchor 29, annual:       Feb 29 2028 → Feb 28 2029 → … → Feb 29 2032
+ *
+ * First period (`firstBillingPeriod`):
+ *   • By default the anchor is the day the subscription starts (or its
+ *     trial ends) and the first period is a full cycle.
+ *   • With an explicit anchor that differs from the start day — e.g. 1 to
+ *     bill on the 1st of the month — the first period is a shorter "stub"
+ *     from the start to the next anchor date (00:00 UTC), priced pro rata
+ *     (`stubAmount`).  Full cycles follow from there.
+ *
+ * Proration of a period is always against its NOMINAL length — one cycle
+ * back from its end (`nominalPeriodStart`) — so unused time in a stub
+ * period is credited at the rate that was charged for it.
+ */
+
+const { AppError } = require("./middleware");
+const { getBillingCycle } = require("./plans");
+const { calculateUnusedAmount } = require("./proration");
+
+const MIN_ANCHOR_DAY = 1;
+const MAX_ANCHOR_DAY = 31;
+
+function daysInMonth(year, monthIndex) {
+  return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+}
+
+/**
+ * Validate an anchor day.
+ *
+ * @throws {AppError} 400 unless an integer from 1 to 31
+ */
+function validateAnchorDay(day) {
+  if (!Number.isInteger(day) || day < MIN_ANCHOR_DAY || day > MAX_ANCHOR_DAY) {
+    throw new AppError(
+      400,
+      `billing_anchor_day must be an integer from ${MIN_ANCHOR_DAY} to ${MAX_ANCHOR_DAY}`,
+      { billingAnchorDay: day },
+    );
+  }
+  return day;
+}
+
+/**
+ * The anchor day a period boundary falls on (its UTC day of the month).
+ */
+function anchorDayOf(date) {
+  return new Date(date).getUTCDate();
+}
+
+/**
+ * Move `date` by `months` (may be negative) onto `anchorDay`, clamped to the
+ * target month's length.  The UTC time of day is kept.
+ */
+function addMonthsOnAnchor(date, months, anchorDay) {
+  const from = new Date(date);
+  const target = new Date(
+    Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + months, 1),
+  );
+  const year = target.getUTCFullYear();
+  const month = target.getUTCMonth();
+
+  return new Date(
+    Date.UTC(
+      year,
+      month,
+      Math.min(anchorDay, daysInMonth(year, month)),
+      from.getUTCHours(),
+      from.getUTCMinutes(),
+      from.getUTCSeconds(),
+      from.getUTCMilliseconds(),
+    ),
+  );
+}
+
+/**
+ * End of the period that starts at `periodStart`.
+ *
+ * @param {string|Date} periodStart
+ * @param {string} cycle - monthly | quarterly | annual
+ * @param {number} [anchorDay] - default: the start's day of the month
+ * @returns {Date}
+ */
+function calculatePeriodEnd(periodStart, cycle, anchorDay = anchorDayOf(periodStart)) {
+  const { months } = getBillingCycle(cycle);
+  return addMonthsOnAnchor(periodStart, months, anchorDay);
+}
+
+/**
+ * Start of the full cycle that ends at `periodEnd` — the period length to
+ * prorate against.  Equals the actual start for every period except a stub.
+ */
+function nominalPeriodStart(periodEnd, cycle, anchorDay = anchorDayOf(periodEnd)) {
+  const { months } = getBillingCycle(cycle);
+  return addMonthsOnAnchor(periodEnd, -months, anchorDay);
+}
+
+/**
+ * The next date strictly after `start` that falls on `anchorDay` (clamped),
+ * at 00:00 UTC.
+ */
+function nextAnchorDate(start, anchorDay) {
+  const from = new Date(start);
+  for (let months = 0; ; months++) {
+    const candidate = addMonthsOnAnchor(
+      Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1),
+      months,
+      anchorDay,
+    );
+    if (candidate > from) return candidate;
+  }
+}
+
+/**
+ * First billing period of a subscription whose billing starts at `start`
+ * (creation, or the end of its trial).
+ *
+ * @param {string|Date} start
+ * @param {string} cycle
+ * @param {number} [anchorDay] - explicit anchor; default: the start's day
+ * @returns {{periodStart: Date, periodEnd: Date, anchorDay: number,
+ *   stub: boolean}} stub = shorter than a full cycle, priced pro rata
+ */
+function firstBillingPeriod(start, cycle, anchorDay = null) {
+  const periodStart = new Date(start);
+  getBillingCycle(cycle);
+
+  const startDay = anchorDayOf(periodStart);
+  const onAnchor =
+    anchorDay == null ||
+    startDay ===
+      Math.min(
+        anchorDay,
+        daysInMonth(periodStart.getUTCFullYear(), periodStart.getUTCMonth()),
+      );
+
+  if (onAnchor) {
+    const day = anchorDay ?? startDay;
+    return {
+      periodStart,
+      periodEnd: calculatePeriodEnd(periodStart, cycle, day),
+      anchorDay: day,
+      stub: false,
+    };
+  }
+
+  return {
+    periodStart,
+    periodEnd: nextAnchorDate(periodStart, anchorDay),
+    anchorDay,
+    stub: true,
+  };
+}
+
+/**
+ * Price of a period: the full `amount`, or for a stub its share of the
+ * nominal cycle, rounded to the currency's minor unit.
+ */
+function periodAmount(amount, period, cycle, currency) {
+  if (!period.stub) return amount;
+  return calculateUnusedAmount(
+    amount,
+    nominalPeriodStart(period.periodEnd, cycle, period.anchorDay),
+    period.periodEnd,
+    period.periodStart,
+    currency,
+  );
+}
+
+/**
+ * Value of the unused part of a subscription's current period, prorated
+ * against the nominal cycle (see nominalPeriodStart).
+ *
+ * @param {number} amount - Amount charged for a full cycle
+ * @param {Object} sub - subscriptions row (billing_cycle, billing_anchor_day,
+ *   current_period_end, currency)
+ * @param {string|Date} at - Moment of the change
+ */
+function unusedPeriodAmount(amount, sub, at) {
+  return calculateUnusedAmount(
+    amount,
+    nominalPeriodStart(
+      sub.current_period_end,
+      sub.billing_cycle,
+      sub.billing_anchor_day ?? undefined,
+    ),
+    sub.current_period_end,
+    at,
+    sub.currency,
+  );
+}
+
+module.exports = {
+  MIN_ANCHOR_DAY,
+  MAX_ANCHOR_DAY,
+  daysInMonth,
+  validateAnchorDay,
+  anchorDayOf,
+  addMonthsOnAnchor,
+  calculatePeriodEnd,
+  nominalPeriodStart,
+  nextAnchorDate,
+  firstBillingPeriod,
+  periodAmount,
+  unusedPeriodAmount,
+};
@@ -0,0 +1,375 @@
+/**
+ * shared/billing-period — anchored period math
+ */
+
+const {
+  daysInMonth,
+  validateAnchorDay,
+  anchorDayOf,
+  calculatePeriodEnd,
+  nominalPeriodStart,
+  nextAnchorDate,
+  firstBillingPeriod,
+  periodAmount,
+  unusedPeriodAmount,
+} = require("./billing-period");
+
+const utc = (iso) => new Date(`${iso}Z`);
+
+/**
+ * Period ends from `start`, each period starting at the previous end.
+ */
+function periodEnds(start, cycle, anchorDay, count) {
+  const ends = [];
+  let periodStart = utc(start);
+  for (let i = 0; i < count; i++) {
+    periodStart = calculatePeriodEnd(periodStart, cycle, anchorDay);
+    ends.push(periodStart.toISOString().slice(0, 10));
+  }
+  return ends;
+}
+
+describe("daysInMonth", () => {
+  test.each([
+    [2026, 0, 31],
+    [2026, 1, 28],
+    [2028, 1, 29],
+    [2100, 1, 28],
+    [2000, 1, 29],
+    [2026, 3, 30],
+  ])("%i-%i has %i days", (year, monthIndex, days) => {
+    expect(daysInMonth(year, monthIndex)).toBe(days);
+  });
+});
+
+describe("validateAnchorDay", () => {
+  test.each([1, 15, 31])("accepts %p", (day) => {
+    expect(validateAnchorDay(day)).toBe(day);
+  });
+
+  test.each([0, 32, -1, 1.5, "5", null])("rejects %p with a 400", (day) => {
+    expect(() => validateAnchorDay(day)).toThrow(
+      expect.objectContaining({ statusCode: 400 }),
+    );
+  });
+});
+
+describe("calculatePeriodEnd", () => {
+  describe("monthly", () => {
+    test("clamps Jan 31 to Feb 28", () => {
+      expect(calculatePeriodEnd(utc("2026-01-31T00:00:00"), "monthly")).toEqual(
+        utc("2026-02-28T00:00:00"),
+      );
+    });
+
+    test("clamps Jan 31 to Feb 29 in a leap year", () => {
+      expect(calculatePeriodEnd(utc("2028-01-31T00:00:00"), "monthly")).toEqual(
+        utc("2028-02-29T00:00:00"),
+      );
+    });
+
+    test("returns to the anchor day after a short month", () => {
+      expect(periodEnds("2026-01-31T00:00:00", "monthly", 31, 5)).toEqual([
+        "2026-02-28",
+        "2026-03-31",
+        "2026-04-30",
+        "2026-05-31",
+        "2026-06-30",
+      ]);
+    });
+
+    test("anchor 30 from Jan 30", () => {
+      expect(periodEnds("2026-01-30T00:00:00", "monthly", 30, 2)).toEqual([
+        "2026-02-28",
+        "2026-03-30",
+      ]);
+    });
+
+    test("anchor 29 only clamps outside leap years", () => {
+      expect(periodEnds("2027-01-29T00:00:00", "monthly", 29, 2)).toEqual([
+        "2027-02-28",
+        "2027-03-29",
+      ]);
+      expect(periodEnds("2028-01-29T00:00:00", "monthly", 29, 2)).toEqual([
+        "2028-02-29",
+        "2028-03-29",
+      ]);
+    });
+
+    test("never drifts over a year of renewals", () => {
+      const ends = periodEnds("2026-01-31T00:00:00", "monthly", 31, 12);
+      expect(ends[11]).toBe("2027-01-31");
+      for (const end of ends) {
+        const date = utc(`${end}T00:00:00`);
+        expect(date.getUTCDate()).toBe(
+          daysInMonth(date.getUTCFullYear(), date.getUTCMonth()),
+        );
+      }
+    });
+
+    test("crosses the year end", () => {
+      expect(calculatePeriodEnd(utc("2026-12-31T00:00:00"), "monthly")).toEqual(
+        utc("2027-01-31T00:00:00"),
+      );
+    });
+
+    test("keeps the start's time of day", () => {
+      expect(
+        calculatePeriodEnd(utc("2026-01-31T13:45:30.250"), "monthly"),
+      ).toEqual(utc("2026-02-28T13:45:30.250"));
+    });
+
+    test("defaults the anchor to the start's day", () => {
+      expect(calculatePeriodEnd(utc("2026-03-15T08:00:00"), "monthly")).toEqual(
+        utc("2026-04-15T08:00:00"),
+      );
+    });
+  });
+
+  describe("quarterly", () => {
+    test("anchor 31 clamps through February and back", () => {
+      expect(periodEnds("2025-11-30T00:00:00", "quarterly", 31, 4)).toEqual([
+        "2026-02-28",
+        "2026-05-31",
+        "2026-08-31",
+        "2026-11-30",
+      ]);
+    });
+
+    test("lands on Feb 29 in a leap year", () => {
+      expect(
+        calculatePeriodEnd(utc("2027-11-30T00:00:00"), "quarterly", 31),
+      ).toEqual(utc("2028-02-29T00:00:00"));
+    });
+
+    test("crosses the year end", () => {
+      expect(
+        calculatePeriodEnd(utc("2026-11-15T00:00:00"), "quarterly"),
+      ).toEqual(utc("2027-02-15T00:00:00"));
+    });
+  });
+
+  describe("annual", () => {
+    test("anchor 29 from Feb 29 waits for the next leap year", () => {
+      expect(periodEnds("2028-02-29T00:00:00", "annual", 29, 4)).toEqual([
+        "2029-02-28",
+        "2030-02-28",
+        "2031-02-28",
+        "2032-02-29",
+      ]);
+    });
+
+    test("a mid-month anchor stays put", () => {
+      expect(calculatePeriodEnd(utc("2026-03-15T00:00:00"), "annual")).toEqual(
+        utc("2027-03-15T00:00:00"),
+      );
+    });
+  });
+
+  test("rejects an unknown cycle with a 400", () => {
+    expect(() =>
+      calculatePeriodEnd(utc("2026-01-01T00:00:00"), "weekly"),
+    ).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe("nominalPeriodStart", () => {
+  test("is one cycle back on the anchor, clamped", () => {
+    expect(
+      nominalPeriodStart(utc("2026-03-31T00:00:00"), "monthly", 31),
+    ).toEqual(utc("2026-02-28T00:00:00"));
+    expect(
+      nominalPeriodStart(utc("2026-02-28T00:00:00"), "monthly", 31),
+    ).toEqual(utc("2026-01-31T00:00:00"));
+  });
+
+  test("undoes calculatePeriodEnd for full periods", () => {
+    const start = utc("2028-02-29T06:00:00");
+    const end = calculatePeriodEnd(start, "annual", 29);
+    expect(nominalPeriodStart(end, "annual", 29)).toEqual(start);
+  });
+
+  test("quarterly across the year end", () => {
+    expect(
+      nominalPeriodStart(utc("2026-02-28T00:00:00"), "quarterly", 31),
+    ).toEqual(utc("2025-11-30T00:00:00"));
+  });
+});
+
+describe("nextAnchorDate", () => {
+  test("is the next anchor day at 00:00 UTC", () => {
+    expect(nextAnchorDate(utc("2026-01-15T10:30:00"), 1)).toEqual(
+      utc("2026-02-01T00:00:00"),
+    );
+    expect(nextAnchorDate(utc("2026-01-15T10:30:00"), 20)).toEqual(
+      utc("2026-01-20T00:00:00"),
+    );
+  });
+
+  test("is strictly after the start", () => {
+    expect(nextAnchorDate(utc("2026-01-01T00:00:00"), 1)).toEqual(
+      utc("2026-02-01T00:00:00"),
+    );
+  });
+
+  test("clamps to the end of a short month", () => {
+    expect(nextAnchorDate(utc("2026-02-10T00:00:00"), 31)).toEqual(
+      utc("2026-02-28T00:00:00"),
+    );
+    expect(nextAnchorDate(utc("2028-02-10T00:00:00"), 30)).toEqual(
+      utc("2028-02-29T00:00:00"),
+    );
+  });
+});
+
+describe("firstBillingPeriod", () => {
+  test("without an anchor is a full cycle anchored on the start day", () => {
+    const start = utc("2026-01-31T09:00:00");
+    expect(firstBillingPeriod(start, "monthly")).toEqual({
+      periodStart: start,
+      periodEnd: utc("2026-02-28T09:00:00"),
+      anchorDay: 31,
+      stub: false,
+    });
+  });
+
+  test("with the start day as anchor is a full cycle", () => {
+    const period = firstBillingPeriod(utc("2026-03-01T12:00:00"), "annual", 1);
+    expect(period.stub).toBe(false);
+    expect(period.periodEnd).toEqual(utc("2027-03-01T12:00:00"));
+  });
+
+  test("on a clamped anchor day is a full cycle", () => {
+    // Feb 28 is where anchor 31 falls in February
+    const period = firstBillingPeriod(
+      utc("2026-02-28T00:00:00"),
+      "monthly",
+      31,
+    );
+    expect(period).toMatchObject({ anchorDay: 31, stub: false });
+    expect(period.periodEnd).toEqual(utc("2026-03-31T00:00:00"));
+  });
+
+  test("off the anchor is a stub to the next anchor date", () => {
+    const start = utc("2026-01-15T10:30:00");
+    expect(firstBillingPeriod(start, "monthly", 1)).toEqual({
+      periodStart: start,
+      periodEnd: utc("2026-02-01T00:00:00"),
+      anchorDay: 1,
+      stub: true,
+    });
+  });
+
+  test("an annual stub still ends at the next anchor date", () => {
+    const period = firstBillingPeriod(utc("2026-01-15T00:00:00"), "annual", 1);
+    expect(period.stub).toBe(true);
+    expect(period.periodEnd).toEqual(utc("2026-02-01T00:00:00"));
+  });
+
+  test("rejects an unknown cycle with a 400", () => {
+    expect(() => firstBillingPeriod(new Date(), "fortnightly")).toThrow(
+      expect.objectContaining({ statusCode: 400 }),
+    );
+  });
+});
+
+describe("periodAmount", () => {
+  test("a full period is charged the full amount", () => {
+    const period = firstBillingPeriod(utc("2026-01-31T00:00:00"), "monthly");
+    expect(periodAmount(29.99, period, "monthly", "usd")).toBe(29.99);
+  });
+
+  test("a stub is charged its share of the nominal cycle", () => {
+    // Jan 15 → Feb 1: 17 of January's 31 days
+    const period = firstBillingPeriod(
+      utc("2026-01-15T00:00:00"),
+      "monthly",
+      1,
+    );
+    expect(periodAmount(100, period, "monthly", "usd")).toBe(54.84);
+  });
+
+  test("an annual stub is a share of the year that ends on its end", () => {
+    // Jan 15 → Feb 1 2026: 17 of the 365 days since Feb 1 2025
+    const period = firstBillingPeriod(utc("2026-01-15T00:00:00"), "annual", 1);
+    expect(periodAmount(365, period, "annual", "usd")).toBe(17);
+  });
+
+  test("a stub in February is a share of February", () => {
+    // Feb 10 → Feb 28 (anchor 31): 18 of the 28 days since Jan 31
+    const period = firstBillingPeriod(
+      utc("2026-02-10T00:00:00"),
+      "monthly",
+      31,
+    );
+    expect(period.periodEnd).toEqual(utc("2026-02-28T00:00:00"));
+    expect(periodAmount(28, period, "monthly", "usd")).toBe(18);
+  });
+
+  test("rounds to the currency's minor unit", () => {
+    const period = firstBillingPeriod(
+      utc("2026-01-15T00:00:00"),
+      "monthly",
+      1,
+    );
+    expect(periodAmount(3000, period, "monthly", "jpy")).toBe(1645);
+  });
+});
+
+describe("unusedPeriodAmount", () => {
+  const sub = {
+    billing_cycle: "monthly",
+    billing_anchor_day: 1,
+    current_period_end: "2026-02-01T00:00:00.000Z",
+    currency: "usd",
+  };
+
+  test("credits the remaining share of the nominal cycle", () => {
+    // 16 of January's 31 days left
+    expect(unusedPeriodAmount(100, sub, utc("2026-01-16T00:00:00"))).toBe(
+      51.61,
+    );
+  });
+
+  test("credits a stub at the rate it was charged", () => {
+    const period = firstBillingPeriod(
+      utc("2026-01-15T00:00:00"),
+      "monthly",
+      1,
+    );
+    expect(unusedPeriodAmount(100, sub, period.periodStart)).toBe(
+      periodAmount(100, period, "monthly", "usd"),
+    );
+  });
+
+  test("is zero after the period and the full amount before it", () => {
+    expect(unusedPeriodAmount(100, sub, utc("2026-02-02T00:00:00"))).toBe(0);
+    expect(unusedPeriodAmount(100, sub, utc("2025-12-01T00:00:00"))).toBe(100);
+  });
+
+  test("prorates a clamped February against the real month", () => {
+    const february = {
+      ...sub,
+      billing_anchor_day: 31,
+      current_period_end: "2026-02-28T00:00:00.000Z",
+    };
+    // Jan 31 → Feb 28 is 28 days; 14 left
+    expect(unusedPeriodAmount(28, february, utc("2026-02-14T00:00:00"))).toBe(
+      14,
+    );
+  });
+
+  test("falls back to the period end's day without an anchor", () => {
+    const legacy = { ...sub, billing_anchor_day: null };
+    expect(unusedPeriodAmount(100, legacy, utc("2026-01-16T00:00:00"))).toBe(
+      51.61,
+    );
+  });
+});
+
+describe("anchorDayOf", () => {
+  test("is the UTC day of the month", () => {
+    expect(anchorDayOf("2026-03-31T23:30:00-05:00")).toBe(1);
+    expect(anchorDayOf(utc("2026-03-31T23:30:00"))).toBe(31);
+  });
+});
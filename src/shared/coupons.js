@@ -0,0 +1,212 @@
+/**
+ * Coupons — redemption, discount math and invoice application
+ * ────────────────────────────────────────────────────────────────────────────
+ * Lifecycle of a coupon on a subscription:
+ *
+ *   1. REDEEM (create-subscription): `redeemCoupon()` validates the code and
+ *      reserves one redemption (`times_redeemed + 1`, row-locked, so
+ *      `max_redemptions` holds under concurrency).  The coupon is attached
+ *      via `subscriptions.coupon_id` in the same transaction.
+ *   2. APPLY (generate-invoice): `applyCoupon()` discounts each plan invoice
+ *      (first invoice, renewals) while the coupon's `duration` allows, and
+ *      records a `coupon_redemptions` row in the invoice's transaction.
+ *   3. CREDIT (cancel / plan change): `getPeriodDiscount()` returns what was
+ *      knocked off the current period, so unused time is credited from the
+ *      price actually paid.
+ *
+ * Validity (expiry, archived, redemption limit) is checked only at step 1 —
+ * a coupon that has been attached keeps applying for its duration.
+ */
+
+const { AppError } = require("./middleware");
+const { roundMoney } = require("./currency");
+
+function normalizeCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+/**
+ * Map a coupons row to its API / in-code representation.
+ */
+function formatCoupon(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    name: row.name,
+    percentOff: row.percent_off != null ? parseFloat(row.percent_off) : null,
+    amountOff: row.amount_off != null ? parseFloat(row.amount_off) : null,
+    currency: row.currency || null,
+    duration: row.duration,
+    durationInCycles: row.duration_in_cycles ?? null,
+    maxRedemptions: row.max_redemptions ?? null,
+    timesRedeemed: row.times_redeemed,
+    expiresAt: row.expires_at || null,
+    appliesToPlans: row.applies_to_plans || null,
+    status: row.status,
+    archivedAt: row.archived_at || null,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Discount a coupon gives on `amount` (never more than the amount).
+ */
+function calculateDiscount(coupon, amount, currency) {
+  const base = Number(amount);
+  if (!(base > 0)) return 0;
+
+  const discount =
+    coupon.percent_off != null
+      ? base * (parseFloat(coupon.percent_off) / 100)
+      : parseFloat(coupon.amount_off);
+
+  return roundMoney(Math.min(discount, base), currency);
+}
+
+/**
+ * Human-readable coupon terms for line items and emails, e.g. "20% off",
+ * "EUR 10 off".
+ */
+function describeCoupon(coupon) {
+  const value =
+    coupon.percent_off != null
+      ? `${parseFloat(coupon.percent_off)}% off`
+      : `${coupon.currency.toUpperCase()} ${parseFloat(coupon.amount_off)} off`;
+  return `${coupon.code} (${value})`;
+}
+
+/**
+ * Validate a code for a new subscription and reserve one redemption.
+ *
+ * @param {import('pg').PoolClient} client - Client with an open transaction
+ * @returns {Promise<Object>} The coupons row (with times_redeemed updated)
+ * @throws {AppError} 400 if the code is unknown, archived, expired, used up,
+ *   or does not apply to the plan or currency
+ */
+async function redeemCoupon(client, { code, planId, currency }) {
+  const normalized = normalizeCode(code);
+
+  // Lock the coupon so concurrent redemptions respect max_redemptions
+  const result = await client.query(
+    `SELECT * FROM coupons WHERE code = $1 FOR UPDATE`,
+    [normalized],
+  );
+  const coupon = result.rows[0];
+
+  if (!coupon || coupon.status !== "active") {
+    throw new AppError(400, `Invalid coupon code: ${normalized}`);
+  }
+  if (coupon.expires_at && new Date(coupon.expires_at) <= new Date()) {
+    throw new AppError(400, `Coupon has expired: ${normalized}`, {
+      expiresAt: coupon.expires_at,
+    });
+  }
+  if (
+    coupon.max_redemptions != null &&
+    coupon.times_redeemed >= coupon.max_redemptions
+  ) {
+    throw new AppError(400, `Coupon has been fully redeemed: ${normalized}`);
+  }
+  if (coupon.applies_to_plans && !coupon.applies_to_plans.includes(planId)) {
+    throw new AppError(400, `Coupon ${normalized} does not apply to plan ${planId}`, {
+      appliesToPlans: coupon.applies_to_plans,
+    });
+  }
+  if (coupon.currency && coupon.currency !== currency) {
+    throw new AppError(
+      400,
+      `Coupon ${normalized} is only valid for ${coupon.currency.toUpperCase()} subscriptions`,
+    );
+  }
+
+  const updated = await client.query(
+    `UPDATE coupons SET times_redeemed = times_redeemed + 1
+     WHERE id = $1
+     RETURNING *`,
+    [coupon.id],
+  );
+
+  return updated.rows[0];
+}
+
+/**
+ * Work out the discount for a subscription's next plan invoice.
+ *
+ * @param {import('pg').PoolClient} client - Tenant-scoped transaction client
+ * @returns {Promise<{coupon: Object, discount: number}|null>} null when the
+ *   subscription has no coupon or the coupon's duration is used up
+ */
+async function applyCoupon(client, { subscriptionId, amount, currency }) {
+  const result = await client.query(
+    `SELECT c.*,
+            (SELECT COUNT(*)::int FROM coupon_redemptions r
+             WHERE r.subscription_id = s.id AND r.coupon_id = c.id) AS applied_count
+     FROM subscriptions s
+     JOIN coupons c ON c.id = s.coupon_id
+     WHERE s.id = $1`,
+    [subscriptionId],
+  );
+  const coupon = result.rows[0];
+  if (!coupon) return null;
+
+  const remaining =
+    coupon.duration === "forever"
+      ? Infinity
+      : (coupon.duration === "once" ? 1 : coupon.duration_in_cycles) -
+        coupon.applied_count;
+  if (remaining <= 0) return null;
+
+  const discount = calculateDiscount(coupon, amount, currency);
+  if (!(discount > 0)) return null;
+
+  return { coupon, discount };
+}
+
+/**
+ * Record that an invoice was discounted (same transaction as the invoice).
+ */
+async function recordRedemption(
+  client,
+  { tenantId, couponId, subscriptionId, invoiceId, amount, currency, periodStart, periodEnd },
+) {
+  await client.query(
+    `INSERT INTO coupon_redemptions
+       (tenant_id, coupon_id, subscription_id, invoice_id, amount, currency,
+        period_start, period_end)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      tenantId,
+      couponId,
+      subscriptionId,
+      invoiceId,
+      amount,
+      currency,
+      periodStart || null,
+      periodEnd || null,
+    ],
+  );
+}
+
+/**
+ * Discount applied to the period starting at `periodStart` (0 if none).
+ */
+async function getPeriodDiscount(client, subscriptionId, periodStart) {
+  const result = await client.query(
+    `SELECT COALESCE(SUM(amount), 0) AS discount
+     FROM coupon_redemptions
+     WHERE subscription_id = $1 AND period_start = $2`,
+    [subscriptionId, new Date(periodStart).toISOString()],
+  );
+  return parseFloat(result.rows[0].discount);
+}
+
+module.exports = {
+  normalizeCode,
+  formatCoupon,
+  calculateDiscount,
+  describeCoupon,
+  redeemCoupon,
+  applyCoupon,
+  recordRedemption,
+  getPeriodDiscount,
+};
@@ -0,0 +1,499 @@
+/**
+ * Credit notes
+ * ────────────────────────────────────────────────────────────────────────────
+ * Issued invoices are immutable (migrations/016_invoice_lifecycle.sql), so a
+ * wrong charge is corrected with a credit note against the invoice
+ * (migrations/019_credit_notes.sql).  A credit note is one of:
+ *
+ *   • full       — everything on the invoice not credited yet
+ *   • partial    — a total `amount` (tax included)
+ *   • line-level — invoice lines by index, each in full, by `quantity` or
+ *                  by `amount`; a line is never credited beyond its amount
+ *
+ * Line credits carry their share of the invoice's discounts and tax: the
+ * credit total is the lines' share of the invoice total.  The tax is split
+ * out at the invoice's effective rate, and a full credit returns exactly the
+ * tax that is left, so the credit notes of an invoice never exceed it.
+ *
+ * The total is applied on creation:
+ *   1. to the invoice's amount due (`invoices.credited_amount`) — what
+ *      payments (shared/payments) have not covered yet.  An issued or
+ *      overdue invoice credited down to zero is settled (`paid`, with the
+ *      credit note number as payment reference);
+ *   2. what is left is refunded outside the platform (`refund: true`) or
+ *      carried over — credited to the tenant's balance in the invoice's
+ *      currency (shared/customer-balance), which generate-invoice draws
+ *      down on the next invoices.
+ *
+ * Numbers are gapless per tenant: CN-000001, CN-000002, … by default, or the
+ * tenant's `creditNoteNumbering` format (shared/numbering).
+ */
+
+const { AppError } = require("./middleware");
+const { queryWithTenant } = require("./db");
+const { roundMoney } = require("./currency");
+const { parseJsonColumn } = require("./subscriptions");
+const { nextDocumentNumber } = require("./numbering");
+const { transitionInvoice } = require("./invoice-lifecycle");
+const { invoiceBalance } = require("./payments");
+const { recordBalanceTransaction } = require("./customer-balance");
+const { journalCreditNote } = require("./journal");
+
+const CREDIT_NOTE_REASONS = [
+  "billing_error",
+  "duplicate",
+  "order_change",
+  "product_unsatisfactory",
+  "goodwill",
+  "other",
+];
+
+const REASON_LABELS = {
+  billing_error: "billing error",
+  duplicate: "duplicate charge",
+  order_change: "order change",
+  product_unsatisfactory: "product unsatisfactory",
+  goodwill: "goodwill credit",
+  other: "credit",
+};
+
+// Statuses a credit note can be issued against; drafts are voided instead
+const CREDITABLE_STATUSES = ["issued", "overdue", "uncollectible", "paid"];
+// Statuses still collecting — credited down to zero, they are settled
+const OPEN_STATUSES = ["issued", "overdue"];
+
+function sumAmounts(items, currency) {
+  return roundMoney(
+    items.reduce((sum, item) => sum + item.amount, 0),
+    currency,
+  );
+}
+
+/**
+ * Amount already credited per invoice line index by earlier credit notes.
+ */
+function creditedByLine(priorNotes) {
+  const credited = new Map();
+  for (const note of priorNotes) {
+    for (const item of parseJsonColumn(note.line_items, [])) {
+      if (item.invoiceLineIndex === undefined) continue;
+      credited.set(
+        item.invoiceLineIndex,
+        (credited.get(item.invoiceLineIndex) || 0) + item.amount,
+      );
+    }
+  }
+  return credited;
+}
+
+/**
+ * Credit lines for a line-level credit note.
+ *
+ * @throws {AppError} 422 for an unknown, non-chargeable or over-credited line
+ */
+function creditLines(invoiceLines, lines, priorNotes, currency) {
+  const credited = creditedByLine(priorNotes);
+  const seen = new Set();
+
+  return lines.map(({ line, quantity, amount }) => {
+    const item = invoiceLines[line];
+    if (
+      !item ||
+      item.type === "tax" ||
+      item.type === "discount" ||
+      !(item.amount > 0)
+    ) {
+      throw new AppError(422, `Invoice line ${line} cannot be credited`);
+    }
+    if (seen.has(line)) {
+      throw new AppError(422, `Invoice line ${line} is listed more than once`);
+    }
+    seen.add(line);
+
+    const available = roundMoney(
+      item.amount - (credited.get(line) || 0),
+      currency,
+    );
+    let lineAmount = available;
+    if (amount !== undefined) {
+      lineAmount = roundMoney(amount, currency);
+    } else if (quantity !== undefined) {
+      lineAmount = roundMoney(
+        quantity * (item.unitPrice ?? item.amount),
+        currency,
+      );
+    }
+
+    if (!(lineAmount > 0) || lineAmount > available) {
+      throw new AppError(
+        422,
+        `Invoice line ${line} has ${available} left to credit`,
+        { line, requested: lineAmount, available },
+      );
+    }
+
+    // A whole line keeps its quantity and unit price
+    const whole =
+      amount === undefined &&
+      quantity === undefined &&
+      lineAmount === item.amount;
+    const byUnit = whole || quantity !== undefined;
+    return {
+      invoiceLineIndex: line,
+      description: `Credit: ${item.description || item.type}`,
+      quantity: whole ? (item.quantity ?? 1) : (quantity ?? 1),
+      unitPrice: byUnit ? (item.unitPrice ?? lineAmount) : lineAmount,
+      amount: lineAmount,
+    };
+  });
+}
+
+/**
+ * Work out a credit note's lines and totals.  Pure — the caller has locked
+ * the invoice and loaded its earlier credit notes.
+ *
+ * @param {Object} invoice - invoices row
+ * @param {Array<Object>} priorNotes - credit_notes rows of the invoice
+ * @param {Object} request
+ * @param {string} request.reason
+ * @param {number} [request.amount] - partial credit total, tax included
+ * @param {Array<{line: number, quantity?: number, amount?: number}>}
+ *   [request.lines] - line-level credit
+ * @returns {{lineItems: Array<Object>, subtotal: number, taxAmount: number,
+ *   amount: number}}
+ * @throws {AppError} 409 nothing left to credit, 422 invalid request
+ */
+function calculateCreditNote(invoice, priorNotes, { reason, amount, lines }) {
+  const { currency } = invoice;
+  const total = parseFloat(invoice.amount);
+  const invoiceTax = parseFloat(invoice.tax_amount ?? 0);
+  const invoiceLines = parseJsonColumn(invoice.line_items, []);
+  const charges = invoiceLines
+    .map((item, index) => ({ ...item, invoiceLineIndex: index }))
+    .filter((item) => item.type !== "tax");
+
+  const priorAmount = priorNotes.reduce(
+    (sum, note) => sum + parseFloat(note.amount),
+    0,
+  );
+  const priorTax = priorNotes.reduce(
+    (sum, note) => sum + parseFloat(note.tax_amount),
+    0,
+  );
+  const remaining = roundMoney(total - priorAmount, currency);
+
+  if (!(remaining > 0)) {
+    throw new AppError(409, "Invoice is already fully credited", {
+      invoiceAmount: total,
+      creditedAmount: roundMoney(priorAmount, currency),
+    });
+  }
+
+  let gross;
+  let items;
+  if (lines) {
+    items = creditLines(invoiceLines, lines, priorNotes, currency);
+    // The creditable lines before discounts and credits: a line's share of
+    // the total carries its share of them
+    const base = sumAmounts(
+      charges.filter((item) => item.type !== "discount" && item.amount > 0),
+      currency,
+    );
+    gross = Math.min(
+      roundMoney((sumAmounts(items, currency) * total) / base, currency),
+      remaining,
+    );
+  } else if (amount !== undefined) {
+    gross = roundMoney(amount, currency);
+    if (!(gross > 0) || gross > remaining) {
+      throw new AppError(
+        422,
+        `Credit amount must be between 0 and ${remaining}`,
+        { requested: gross, remaining },
+      );
+    }
+  } else {
+    gross = remaining;
+    items = priorNotes.length === 0 ? charges : null;
+  }
+
+  // A credit of everything left returns exactly the tax left
+  const taxAmount =
+    gross === remaining
+      ? roundMoney(invoiceTax - priorTax, currency)
+      : roundMoney((gross * invoiceTax) / total, currency);
+  const subtotal = roundMoney(gross - taxAmount, currency);
+
+  // Lines add up to the total (tax-inclusive prices) or the subtotal
+  const inclusive =
+    parseJsonColumn(invoice.tax_details, null)?.behavior === "inclusive";
+  const target = inclusive ? gross : subtotal;
+
+  if (!items) {
+    items = [
+      {
+        description:
+          priorNotes.length > 0
+            ? `Credit: remaining balance of ${invoice.invoice_number}`
+            : `Credit: ${REASON_LABELS[reason]}`,
+        quantity: 1,
+        unitPrice: target,
+        amount: target,
+      },
+    ];
+  }
+
+  const difference = roundMoney(target - sumAmounts(items, currency), currency);
+  if (difference !== 0) {
+    items.push({
+      type: "adjustment",
+      description: "Share of invoice discounts and rounding",
+      quantity: 1,
+      unitPrice: difference,
+      amount: difference,
+    });
+  }
+
+  const taxLine = invoiceLines.find((item) => item.type === "tax");
+  if (taxLine) {
+    items.push({
+      type: "tax",
+      description: taxLine.description,
+      treatment: taxLine.treatment,
+      rate: taxLine.rate,
+      taxableAmount: subtotal,
+      inclusive,
+      quantity: 1,
+      unitPrice: taxAmount,
+      amount: taxAmount,
+    });
+  }
+
+  return { lineItems: items, subtotal, taxAmount, amount: gross };
+}
+
+/**
+ * Issue a credit note against an invoice, apply it and journal it
+ * (shared/journal).
+ *
+ * @param {import('pg').PoolClient} client - Client with an open transaction
+ * @param {string} invoiceId
+ * @param {Object} request - calculateCreditNote request, plus:
+ * @param {string|null} [request.memo]
+ * @param {boolean} [request.refund] - refund what the invoice does not
+ *   absorb instead of crediting it to the tenant's balance
+ * @param {string} [request.createdBy] - Cognito sub of the admin
+ * @returns {Promise<{creditNote: Object, invoice: Object,
+ *   settled: Object|null}>} credit_notes row, the invoice after the credit,
+ *   and the transitionInvoice result when the credit settled the invoice
+ * @throws {AppError} 404 unknown invoice, 409 invoice cannot be credited
+ */
+async function createCreditNote(client, invoiceId, request) {
+  const existing = await client.query(
+    `SELECT * FROM invoices WHERE id = $1 FOR UPDATE`,
+    [invoiceId],
+  );
+  if (existing.rows.length === 0) {
+    throw new AppError(404, "Invoice not found");
+  }
+
+  const invoice = existing.rows[0];
+  const { currency } = invoice;
+
+  if (!CREDITABLE_STATUSES.includes(invoice.status)) {
+    throw new AppError(
+      409,
+      `Cannot credit an invoice that is ${invoice.status}`,
+      { currentStatus: invoice.status },
+    );
+  }
+  if (!(parseFloat(invoice.amount) > 0)) {
+    throw new AppError(409, "Only invoices with a charge can be credited");
+  }
+
+  const prior = await client.query(
+    `SELECT amount, tax_amount, line_items FROM credit_notes WHERE invoice_id = $1`,
+    [invoiceId],
+  );
+  const credit = calculateCreditNote(invoice, prior.rows, request);
+
+  // Split: the invoice's amount due first, then refund or balance
+  const due = invoice.status === "paid" ? 0 : invoiceBalance(invoice);
+  const invoiceCredit = Math.min(credit.amount, Math.max(due, 0));
+  const leftover = roundMoney(credit.amount - invoiceCredit, currency);
+  const refundAmount = request.refund ? leftover : 0;
+  const carryover = request.refund ? 0 : leftover;
+
+  const number = await nextDocumentNumber(
+    client,
+    invoice.tenant_id,
+    "credit_note",
+  );
+
+  const inserted = await client.query(
+    `INSERT INTO credit_notes
+       (tenant_id, invoice_id, credit_note_number, reason, memo, currency,
+        line_items, subtotal, tax_amount, amount, invoice_credit_amount,
+        refund_amount, carryover_amount)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+     RETURNING *`,
+    [
+      invoice.tenant_id,
+      invoiceId,
+      number,
+      request.reason,
+      request.memo || null,
+      currency,
+      JSON.stringify(credit.lineItems),
+      credit.subtotal,
+      credit.taxAmount,
+      credit.amount,
+      invoiceCredit,
+      refundAmount,
+      carryover,
+    ],
+  );
+
+  await journalCreditNote(client, inserted.rows[0]);
+
+  if (carryover > 0) {
+    await recordBalanceTransaction(client, {
+      tenantId: invoice.tenant_id,
+      currency,
+      amount: carryover,
+      reason: "credit_note",
+      description: `Credit note ${number} for ${invoice.invoice_number}`,
+      invoiceId,
+      creditNoteId: inserted.rows[0].id,
+      createdBy: request.createdBy,
+    });
+  }
+
+  let after = invoice;
+  let settled = null;
+  if (invoiceCredit > 0) {
+    const updated = await client.query(
+      `UPDATE invoices SET credited_amount = credited_amount + $2
+       WHERE id = $1
+       RETURNING *`,
+      [invoiceId, invoiceCredit],
+    );
+    after = updated.rows[0];
+
+    if (OPEN_STATUSES.includes(after.status) && invoiceCredit === due) {
+      settled = await transitionInvoice(client, invoiceId, "mark_paid", {
+        paymentReference: number,
+      });
+      after = settled.after;
+    }
+  }
+
+  return {
+    creditNote: { ...inserted.rows[0], invoice_number: invoice.invoice_number },
+    invoice: after,
+    settled,
+  };
+}
+
+// ── API representation ─────────────────────────────────────────────────── //
+
+/**
+ * Map a `credit_notes` row (with the invoice's `invoice_number`) to its API
+ * representation.
+ */
+function formatCreditNote(row) {
+  return {
+    id: row.id,
+    creditNoteNumber: row.credit_note_number,
+    invoiceId: row.invoice_id,
+    invoiceNumber: row.invoice_number || null,
+    reason: row.reason,
+    memo: row.memo || null,
+    currency: row.currency,
+    lineItems: parseJsonColumn(row.line_items, []),
+    subtotal: parseFloat(row.subtotal),
+    taxAmount: parseFloat(row.tax_amount),
+    total: parseFloat(row.amount),
+    // Where the total went: the invoice, a refund, or the tenant's balance
+    creditedToInvoice: parseFloat(row.invoice_credit_amount),
+    refunded: parseFloat(row.refund_amount),
+    carryover: parseFloat(row.carryover_amount),
+    createdAt: row.created_at,
+  };
+}
+
+const CREDIT_NOTE_SELECT = `
+  SELECT c.*, i.invoice_number
+  FROM credit_notes c
+  JOIN invoices i ON i.id = c.invoice_id`;
+
+/**
+ * Load one of the tenant's credit notes (RLS-scoped).
+ *
+ * @throws {AppError} 404 if it does not exist or belongs to another tenant
+ */
+async function getCreditNote(tenantId, creditNoteId) {
+  const result = await queryWithTenant(
+    tenantId,
+    `${CREDIT_NOTE_SELECT} WHERE c.id = $1 AND c.tenant_id = $2`,
+    [creditNoteId, tenantId],
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError(404, "Credit note not found");
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * The credit notes issued against one of the tenant's invoices, oldest first.
+ */
+async function listInvoiceCreditNotes(tenantId, invoiceId) {
+  const result = await queryWithTenant(
+    tenantId,
+    `${CREDIT_NOTE_SELECT} WHERE c.invoice_id = $1 AND c.tenant_id = $2
+     ORDER BY c.created_at, c.id`,
+    [invoiceId, tenantId],
+  );
+
+  return result.rows;
+}
+
+/**
+ * Event payload for "credit_note.created".
+ *
+ * @param {Object} creditNote - credit_notes row (with invoice_number)
+ * @param {Object} invoice - invoices row after the credit
+ * @param {{name: string, email: string}} tenantRow
+ */
+function creditNoteEventPayload(creditNote, invoice, tenantRow) {
+  return {
+    tenantId: creditNote.tenant_id,
+    tenantName: tenantRow.name,
+    tenantEmail: tenantRow.email,
+    subscriptionId: invoice.subscription_id,
+    creditNoteId: creditNote.id,
+    creditNoteNumber: creditNote.credit_note_number,
+    invoiceId: invoice.id,
+    invoiceNumber: invoice.invoice_number,
+    reason: creditNote.reason,
+    amount: parseFloat(creditNote.amount),
+    taxAmount: parseFloat(creditNote.tax_amount),
+    currency: creditNote.currency,
+    creditedToInvoice: parseFloat(creditNote.invoice_credit_amount),
+    refunded: parseFloat(creditNote.refund_amount),
+    carryover: parseFloat(creditNote.carryover_amount),
+    invoiceStatus: invoice.status,
+  };
+}
+
+module.exports = {
+  CREDIT_NOTE_REASONS,
+  calculateCreditNote,
+  createCreditNote,
+  formatCreditNote,
+  getCreditNote,
+  listInvoiceCreditNotes,
+  creditNoteEventPayload,
+};
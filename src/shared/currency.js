@@ -0,0 +1,102 @@
+/**
+ * Currencies — supported codes, rounding and display
+ * ────────────────────────────────────────────────────────────────────────────
+ * Money is stored as NUMERIC with the currency's ISO 4217 code (lowercase)
+ * next to it.  Everything that rounds or formats an amount goes through this
+ * module so that a currency's minor unit is respected everywhere:
+ *
+ *   • Two-decimal currencies (USD, EUR, GBP, …) round to cents.
+ *   • Zero-decimal currencies (JPY, KRW) round to whole units — a ¥1,000
+ *     plan prorated by a third is ¥333, never ¥333.33.
+ *
+ * Currency of record:
+ *   A subscription's currency is chosen once, at creation (the request, else
+ *   the tenant default `tenants.settings.currency`, else USD), and never
+ *   changes.  Its invoices always use the subscription's currency — plan
+ *   changes are priced from the target plan's price in that currency
+ *   (migrations/009_multi_currency.sql enforces both).
+ */
+
+const { AppError } = require("./middleware");
+
+const DEFAULT_CURRENCY = "usd";
+
+// ISO 4217 minor-unit exponent per supported currency
+const CURRENCIES = {
+  usd: { exponent: 2 },
+  eur: { exponent: 2 },
+  gbp: { exponent: 2 },
+  chf: { exponent: 2 },
+  cad: { exponent: 2 },
+  aud: { exponent: 2 },
+  jpy: { exponent: 0 },
+  krw: { exponent: 0 },
+};
+
+/**
+ * Lowercase and validate a currency code.
+ *
+ * @throws {AppError} 400 if the currency is not supported
+ */
+function normalizeCurrency(code) {
+  const currency = String(code || "").toLowerCase();
+  if (!CURRENCIES[currency]) {
+    throw new AppError(400, `Unsupported currency: ${code}`, {
+      supportedCurrencies: Object.keys(CURRENCIES),
+    });
+  }
+  return currency;
+}
+
+function isSupportedCurrency(code) {
+  return Boolean(CURRENCIES[String(code || "").toLowerCase()]);
+}
+
+function currencyExponent(currency = DEFAULT_CURRENCY) {
+  return (CURRENCIES[currency] || CURRENCIES[DEFAULT_CURRENCY]).exponent;
+}
+
+/**
+ * Round an amount to the currency's minor unit (half away from zero).
+ */
+function roundMoney(value, currency = DEFAULT_CURRENCY) {
+  const factor = 10 ** currencyExponent(currency);
+  return (
+    (Math.sign(value) * Math.round(Math.abs(value) * factor + Number.EPSILON)) /
+    factor
+  );
+}
+
+/**
+ * Human-readable amount for emails, e.g. "$29.00", "€78.30", "¥3,000".
+ * `maximumFractionDigits` shows finer unit prices, e.g. "$0.0005".
+ */
+function formatAmount(
+  amount,
+  currency = DEFAULT_CURRENCY,
+  { maximumFractionDigits } = {},
+) {
+  const code = (currency || DEFAULT_CURRENCY).toUpperCase();
+  const digits = currencyExponent(currency?.toLowerCase());
+
+  try {
+    return new Intl.NumberFormat("en-US", {
+      style: "currency",
+      currency: code,
+      minimumFractionDigits: digits,
+      maximumFractionDigits: Math.max(digits, maximumFractionDigits ?? digits),
+    }).format(Number(amount));
+  } catch {
+    return `${code} ${amount}`;
+  }
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  CURRENCIES,
+  normalizeCurrency,
+  isSupportedCurrency,
+  currencyExponent,
+  roundMoney,
+  formatAmount,
+};
@@ -0,0 +1,204 @@
+/**
+ * Customer balance
+ * ────────────────────────────────────────────────────────────────────────────
+ * Credit a tenant holds with us, per currency
+ * (migrations/025_customer_balance.sql).  Every change is an entry in the
+ * balance ledger — a credit (+) or debit (−) with its reason and the
+ * balance after it:
+ *
+ *   credit_note         credit note total left over after the invoice
+ *                       (shared/credit-notes), unless refunded
+ *   overpayment         a payment beyond the amount due (shared/payments)
+ *   proration_credit    a credit invoice — unused time of a downgrade or an
+ *                       immediate cancellation (generate-invoice)
+ *   prepayment          money received ahead of invoices    ┐ POST /v1/
+ *   adjustment          manual correction, either way       │ tenants/{id}/
+ *   refund              balance paid back to the customer   ┘ balance
+ *   applied_to_invoice  drawn down by a new invoice (generate-invoice)
+ *
+ * generate-invoice applies the balance to every charge it issues, in the
+ * invoice's transaction: `invoices.balance_applied` lowers the amount due,
+ * not the taxed total, and an invoice covered in full is issued `paid`.
+ *
+ * Changes lock the tenant's balance row for the currency, so concurrent
+ * writers queue up and the ledger's `balance_after` is exact.  A balance
+ * never goes below zero.
+ */
+
+const { AppError } = require("./middleware");
+const { queryWithTenant } = require("./db");
+const { roundMoney } = require("./currency");
+
+const BALANCE_REASONS = [
+  "credit_note",
+  "overpayment",
+  "proration_credit",
+  "prepayment",
+  "adjustment",
+  "applied_to_invoice",
+  "refund",
+];
+
+// Reasons an admin can record directly (POST /v1/tenants/{id}/balance)
+const MANUAL_REASONS = ["prepayment", "adjustment", "refund"];
+
+/**
+ * Lock the tenant's balance in `currency` for the rest of the transaction
+ * and return it (0 for a currency without one yet).
+ *
+ * @param {import('pg').PoolClient} client - Client with an open transaction
+ * @returns {Promise<number>}
+ */
+async function lockBalance(client, tenantId, currency) {
+  const result = await client.query(
+    `INSERT INTO tenant_balances (tenant_id, currency, balance)
+     VALUES ($1, $2, 0)
+     ON CONFLICT (tenant_id, currency)
+       DO UPDATE SET balance = tenant_balances.balance
+     RETURNING balance`,
+    [tenantId, currency],
+  );
+
+  return parseFloat(result.rows[0].balance);
+}
+
+/**
+ * Credit (+amount) or debit (−amount) the tenant's balance and record the
+ * ledger entry.
+ *
+ * @param {import('pg').PoolClient} client - Client with an open transaction
+ *   (tenant-scoped, or a system transaction)
+ * @param {Object} entry
+ * @param {string} entry.tenantId
+ * @param {string} entry.currency
+ * @param {number} entry.amount - non-zero, in the currency's minor unit
+ * @param {string} entry.reason - BALANCE_REASONS
+ * @param {string} [entry.description]
+ * @param {string} [entry.invoiceId]
+ * @param {string} [entry.creditNoteId]
+ * @param {string} [entry.paymentId]
+ * @param {string} [entry.createdBy] - Cognito sub of the admin
+ * @returns {Promise<Object>} balance_transactions row
+ * @throws {AppError} 400 invalid amount, 409 debit beyond the balance
+ */
+async function recordBalanceTransaction(client, entry) {
+  const { tenantId, currency, amount } = entry;
+
+  if (!amount || roundMoney(amount, currency) !== amount) {
+    throw new AppError(
+      400,
+      `amount must be non-zero and fit ${currency.toUpperCase()}'s decimals`,
+      { amount },
+    );
+  }
+
+  const balance = await lockBalance(client, tenantId, currency);
+  const balanceAfter = roundMoney(balance + amount, currency);
+  if (balanceAfter < 0) {
+    throw new AppError(409, "Insufficient customer balance", {
+      balance,
+      currency,
+      requested: -amount,
+    });
+  }
+
+  await client.query(
+    `UPDATE tenant_balances SET balance = $3, updated_at = NOW()
+     WHERE tenant_id = $1 AND currency = $2`,
+    [tenantId, currency, balanceAfter],
+  );
+
+  const inserted = await client.query(
+    `INSERT INTO balance_transactions
+       (tenant_id, currency, amount, balance_after, reason, description,
+        invoice_id, credit_note_id, payment_id, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      tenantId,
+      currency,
+      amount,
+      balanceAfter,
+      entry.reason,
+      entry.description || null,
+      entry.invoiceId || null,
+      entry.creditNoteId || null,
+      entry.paymentId || null,
+      entry.createdBy || null,
+    ],
+  );
+
+  return inserted.rows[0];
+}
+
+/**
+ * Lock the tenant's balance in `currency` and work out how much of it
+ * covers a charge of `amount`.  Nothing is written — debit it with
+ * recordBalanceTransaction once the invoice exists.
+ *
+ * @param {import('pg').PoolClient} client - Client with an open transaction
+ * @returns {Promise<number>} amount to apply (0 for no charge or balance)
+ */
+async function takeBalance(client, { tenantId, currency, amount }) {
+  if (!(amount > 0)) return 0;
+
+  const balance = await lockBalance(client, tenantId, currency);
+  return roundMoney(Math.min(balance, amount), currency);
+}
+
+// ── API representation ─────────────────────────────────────────────────── //
+
+/**
+ * Map a `tenant_balances` row to its API representation.
+ */
+function formatBalance(row) {
+  return {
+    currency: row.currency,
+    balance: parseFloat(row.balance),
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Map a `balance_transactions` row to its API representation.
+ */
+function formatBalanceTransaction(row) {
+  return {
+    id: row.id,
+    currency: row.currency,
+    // Credit to the customer (+) or debit (−)
+    amount: parseFloat(row.amount),
+    balanceAfter: parseFloat(row.balance_after),
+    reason: row.reason,
+    description: row.description || null,
+    invoiceId: row.invoice_id || null,
+    creditNoteId: row.credit_note_id || null,
+    paymentId: row.payment_id || null,
+    createdBy: row.created_by || null,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * The tenant's balances, one per currency it has held credit in.
+ */
+async function listBalances(tenantId) {
+  const result = await queryWithTenant(
+    tenantId,
+    `SELECT * FROM tenant_balances WHERE tenant_id = $1 ORDER BY currency`,
+    [tenantId],
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  BALANCE_REASONS,
+  MANUAL_REASONS,
+  lockBalance,
+  recordBalanceTransaction,
+  takeBalance,
+  formatBalance,
+  formatBalanceTransaction,
+  listBalances,
+};
@@ -214,6 +214,59 @@ async function transactionWithTenant(tenantId, queries) {
   }
 }
 
+/**
+ * Run a callback inside a single tenant-scoped transaction.
+ *
+ * Unlike `transactionWithTenant()`, the callback receives the raw client, so
+ * later statements can depend on the results of earlier ones (e.g. a
+ * `SELECT ... FOR UPDATE` followed by a conditional `UPDATE`).  Whatever the
+ * callback returns is returned after COMMIT; any throw rolls back.
+ */
+async function withTenantTransaction(tenantId, callback) {
+  const pool = await getPool();
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    await client.query("SELECT set_config('app.tenant_id', $1, true)", [
+      tenantId,
+    ]);
+
+    const result = await callback(client);
+
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Run a callback inside a single transaction WITHOUT tenant scoping.
+ *
+ * For scheduled jobs that sweep rows across all tenants (e.g. ending
+ * trials).  Same contract as `withTenantTransaction()`.
+ */
+async function withSystemTransaction(callback) {
+  const pool = await getPool();
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    const result = await callback(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * Graceful shutdown — drain the pool.
  * Called if we ever need to clean up (e.g., in tests).
@@ -232,5 +285,7 @@ module.exports = {
   queryWithTenant,
   querySystem,
   transactionWithTenant,
+  withTenantTransaction,
+  withSystemTransaction,
   closePool,
 };
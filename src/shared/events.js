@@ -0,0 +1,66 @@
+/**
+ * Domain Event Publisher — SNS fan-out to SQS consumers
+ * ────────────────────────────────────────────────────────────────────────────
+ * Every producer publishes to the single `subscription-events` SNS topic.
+ * This module keeps the envelope consistent across producers:
+ *
+ *   • `eventType` and `timestamp` are always present in the message body.
+ *   • `eventType` and `tenantId` are always set as MessageAttributes — SNS
+ *     filter policies match on attributes (raw_message_delivery = true), so
+ *     an event without them would never reach filtered consumers.
+ *   • If SNS_TOPIC_ARN is not configured (local runs), publishing is a no-op
+ *     with a warning instead of an error.
+ */
+
+const { SNSClient, PublishCommand } = require("@aws-sdk/client-sns");
+
+const sns = new SNSClient({});
+const SNS_TOPIC_ARN = process.env.SNS_TOPIC_ARN;
+
+/**
+ * Publish a domain event to the SNS topic.
+ *
+ * @param {string} eventType - e.g., "subscription.canceled"
+ * @param {Object} payload   - Event body; must include `tenantId`
+ * @param {import('./logger').Logger} logger
+ * @returns {Promise<Object|null>} The published message, or null if skipped
+ */
+async function publishEvent(eventType, payload, logger) {
+  if (!SNS_TOPIC_ARN) {
+    logger.warn("SNS_TOPIC_ARN not set — event not published", { eventType });
+    return null;
+  }
+
+  const message = {
+    eventType,
+    ...payload,
+    timestamp: payload.timestamp || new Date().toISOString(),
+  };
+
+  await sns.send(
+    new PublishCommand({
+      TopicArn: SNS_TOPIC_ARN,
+      Message: JSON.stringify(message),
+      MessageAttributes: {
+        eventType: {
+          DataType: "String",
+          StringValue: eventType,
+        },
+        tenantId: {
+          DataType: "String",
+          StringValue: payload.tenantId,
+        },
+      },
+    }),
+  );
+
+  logger.info("Event published to SNS", {
+    topicArn: SNS_TOPIC_ARN,
+    eventType,
+    subscriptionId: payload.subscriptionId,
+  });
+
+  return message;
+}
+
+module.exports = { publishEvent };
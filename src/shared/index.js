@@ -7,7 +7,32 @@ module.exports = {
   ...require("./db"),
   ...require("./middleware"),
   ...require("./validation"),
+  ...require("./pagination"),
   ...require("./idempotency"),
   ...require("./sqs-consumer"),
   ...require("./metrics"),
+  ...require("./events"),
+  ...require("./currency"),
+  ...require("./proration"),
+  ...require("./billing-period"),
+  ...require("./subscriptions"),
+  ...require("./plans"),
+  ...require("./coupons"),
+  ...require("./seats"),
+  ...require("./usage"),
+  ...require("./tax"),
+  ...require("./scheduled-changes"),
+  ...require("./invoices"),
+  ...require("./invoice-pdf"),
+  ...require("./invoice-lifecycle"),
+  ...require("./numbering"),
+  ...require("./payment-terms"),
+  ...require("./customer-balance"),
+  ...require("./credit-notes"),
+  ...require("./payments"),
+  ...require("./journal"),
+  ...require("./invoice-export"),
+  ...require("./outbox"),
+  ...require("./scheduled-job"),
+  ...require("./tenants"),
 };
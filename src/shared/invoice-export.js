@@ -0,0 +1,387 @@
+/**
+ * Invoice export — CSV and JSONL files of a tenant's invoices
+ * ────────────────────────────────────────────────────────────────────────────
+ * Exports the invoices GET /v1/invoices would list for the same filters
+ * (status, currency, from, to — shared/invoices), oldest first:
+ *
+ *   • csv   — one row per invoice LINE: the invoice columns repeated on
+ *             every line of the invoice, then the line columns.  An invoice
+ *             without lines is one row with empty line columns.
+ *   • jsonl — one invoice per line, as the API represents it
+ *             (formatInvoice, line items nested).
+ *
+ * Memory stays flat whatever the size of the export: invoices are read in
+ * keyset batches of EXPORT_BATCH_SIZE, serialized row by row and handed to
+ * the caller in chunks of at most `chunkBytes`.  Rows never span chunks,
+ * and the CSV header is only in the first chunk, so the chunks concatenated
+ * are the complete file.
+ *
+ * Two ways to run an export:
+ *   • GET /v1/invoices/export — synchronous, the file is the response.
+ *     Limited to SYNC_MAX_INVOICES invoices / SYNC_MAX_BYTES (Lambda
+ *     responses are capped at 6 MB); larger exports are refused with a
+ *     pointer to the async route.
+ *   • POST /v1/invoice-exports — an `invoice_exports` job, run by the
+ *     process-invoice-exports scheduled job.  The output is stored in
+ *     `invoice_export_parts` (PART_MAX_BYTES each), downloaded part by part
+ *     and deleted after EXPORT_RETENTION_DAYS.
+ */
+
+const { AppError } = require("./middleware");
+const { queryWithTenant } = require("./db");
+const { currencyExponent } = require("./currency");
+const { parseJsonColumn } = require("./subscriptions");
+const { formatInvoice, invoiceFilterConditions } = require("./invoices");
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  jsonl: { contentType: "application/x-ndjson", extension: "jsonl" },
+};
+
+const EXPORT_BATCH_SIZE = 500;
+const SYNC_MAX_INVOICES = 5000;
+// Base64 in the API response adds a third: 4 MB → ~5.3 MB of the 6 MB cap
+const SYNC_MAX_BYTES = 4 * 1024 * 1024;
+const PART_MAX_BYTES = 4 * 1024 * 1024;
+const EXPORT_RETENTION_DAYS = 7;
+
+const INVOICE_COLUMNS = `
+  id, tenant_id, subscription_id, invoice_number, status, billing_reason,
+  amount, subtotal, tax_amount, tax_details, credited_amount,
+  balance_applied, amount_paid, currency, line_items, period_start,
+  period_end, due_date, payment_terms, finalized_at, paid_at,
+  payment_reference, voided_at, void_reason,
+  marked_uncollectible_at, usage_window_start, usage_window_end,
+  usage_aggregated_at, created_at, updated_at`;
+
+/**
+ * Validate the requested format (default csv).
+ *
+ * @throws {AppError} 400 for an unknown format
+ */
+function parseExportFormat(format = "csv") {
+  if (!EXPORT_FORMATS[format]) {
+    throw new AppError(400, `Invalid export format: ${format}`, {
+      validFormats: Object.keys(EXPORT_FORMATS),
+    });
+  }
+  return format;
+}
+
+// ── CSV ─────────────────────────────────────────────────────────────────── //
+
+const NUMERIC = /^-?\d+(\.\d+)?$/;
+
+/**
+ * One CSV cell (RFC 4180).  Text starting with = + - @ is prefixed with
+ * an apostrophe so spreadsheets do not evaluate it as a formula.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !NUMERIC.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return `${values.map(csvCell).join(",")}\r\n`;
+}
+
+function isoDate(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function money(value, currency) {
+  if (value === null || value === undefined || value === "") return null;
+  return Number(value).toFixed(currencyExponent(currency));
+}
+
+// [header, (invoice) => value] — invoice as formatted by formatInvoice
+const CSV_INVOICE_COLUMNS = [
+  ["invoice_id", (inv) => inv.id],
+  ["invoice_number", (inv) => inv.invoiceNumber],
+  ["status", (inv) => inv.status],
+  ["billing_reason", (inv) => inv.billingReason],
+  ["subscription_id", (inv) => inv.subscriptionId],
+  ["currency", (inv) => inv.currency],
+  ["subtotal", (inv) => money(inv.subtotal, inv.currency)],
+  ["tax_amount", (inv) => money(inv.taxAmount, inv.currency)],
+  ["total", (inv) => money(inv.total, inv.currency)],
+  ["credited_amount", (inv) => money(inv.creditedAmount, inv.currency)],
+  ["applied_balance", (inv) => money(inv.appliedBalance, inv.currency)],
+  ["amount_paid", (inv) => money(inv.amountPaid, inv.currency)],
+  ["amount_due", (inv) => money(inv.amountDue, inv.currency)],
+  ["tax_treatment", (inv) => inv.tax?.treatment],
+  ["period_start", (inv) => isoDate(inv.periodStart)],
+  ["period_end", (inv) => isoDate(inv.periodEnd)],
+  ["due_date", (inv) => isoDate(inv.dueDate)],
+  ["payment_terms", (inv) => inv.paymentTerms?.description],
+  ["finalized_at", (inv) => isoDate(inv.finalizedAt)],
+  ["paid_at", (inv) => isoDate(inv.paidAt)],
+  ["payment_reference", (inv) => inv.paymentReference],
+  ["voided_at", (inv) => isoDate(inv.voidedAt)],
+  ["created_at", (inv) => isoDate(inv.createdAt)],
+];
+
+// [header, (line, index, invoice) => value] — one entry of line_items
+const CSV_LINE_COLUMNS = [
+  ["line_number", (line, index) => index + 1],
+  ["line_type", (line) => line.type || "charge"],
+  ["line_description", (line) => line.description],
+  ["line_quantity", (line) => line.quantity],
+  ["line_unit_price", (line, index, inv) => money(line.unitPrice, inv.currency)],
+  ["line_amount", (line, index, inv) => money(line.amount, inv.currency)],
+  ["line_period_start", (line) => isoDate(line.periodStart)],
+  ["line_period_end", (line) => isoDate(line.periodEnd)],
+];
+
+const CSV_HEADER = [...CSV_INVOICE_COLUMNS, ...CSV_LINE_COLUMNS].map(
+  ([header]) => header,
+);
+
+/**
+ * The output rows of one `invoices` row: CSV lines (one per invoice line)
+ * or a single JSON line.
+ *
+ * @returns {string[]}
+ */
+function serializeInvoice(format, row) {
+  const invoice = formatInvoice(row);
+  if (format === "jsonl") {
+    return [`${JSON.stringify(invoice)}\n`];
+  }
+
+  const invoiceValues = CSV_INVOICE_COLUMNS.map(([, value]) => value(invoice));
+  const lines = invoice.lineItems;
+  if (lines.length === 0) {
+    return [csvLine([...invoiceValues, ...CSV_LINE_COLUMNS.map(() => null)])];
+  }
+  return lines.map((line, index) =>
+    csvLine([
+      ...invoiceValues,
+      ...CSV_LINE_COLUMNS.map(([, value]) => value(line, index, invoice)),
+    ]),
+  );
+}
+
+// ── Export ──────────────────────────────────────────────────────────────── //
+
+/**
+ * Call `onBatch(rows)` for the tenant's invoices matching `filters`, oldest
+ * first, EXPORT_BATCH_SIZE rows at a time (keyset on created_at + id).
+ * The keyset carries created_at as text: a JS Date keeps only milliseconds
+ * of the microsecond timestamp, and the last row would match again.
+ */
+async function forEachInvoiceBatch(client, tenantId, filters, onBatch) {
+  const { conditions, params } = invoiceFilterConditions(tenantId, filters);
+  let after = null;
+
+  for (;;) {
+    const batchConditions = [...conditions];
+    const batchParams = [...params];
+    if (after) {
+      batchParams.push(after.keyset_created_at, after.id);
+      batchConditions.push(
+        `(created_at, id) > ($${batchParams.length - 1}::timestamptz, $${batchParams.length})`,
+      );
+    }
+    batchParams.push(EXPORT_BATCH_SIZE);
+
+    const result = await client.query(
+      `SELECT ${INVOICE_COLUMNS}, created_at::text AS keyset_created_at
+       FROM invoices
+       WHERE ${batchConditions.join(" AND ")}
+       ORDER BY created_at, id
+       LIMIT $${batchParams.length}`,
+      batchParams,
+    );
+    if (result.rows.length === 0) return;
+
+    await onBatch(result.rows);
+
+    if (result.rows.length < EXPORT_BATCH_SIZE) return;
+    after = result.rows[result.rows.length - 1];
+  }
+}
+
+/**
+ * Number of the tenant's invoices matching `filters`.
+ */
+async function countExportInvoices(client, tenantId, filters) {
+  const { conditions, params } = invoiceFilterConditions(tenantId, filters);
+  const result = await client.query(
+    `SELECT COUNT(*) AS count FROM invoices WHERE ${conditions.join(" AND ")}`,
+    params,
+  );
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Write an export, chunk by chunk.
+ *
+ * @param {import('pg').PoolClient} client - Tenant-scoped client
+ * @param {string} tenantId
+ * @param {Object} options
+ * @param {string} options.format - "csv" | "jsonl"
+ * @param {Object} options.filters - parseInvoiceFilters() result
+ * @param {number} [options.chunkBytes] - chunk size limit (default
+ *   PART_MAX_BYTES)
+ * @param {function} onChunk - async (text, chunkNumber) => void, called at
+ *   least once (an empty export is one empty chunk)
+ * @returns {Promise<{invoiceCount: number, rowCount: number,
+ *   byteSize: number, chunkCount: number}>}
+ */
+async function writeInvoiceExport(
+  client,
+  tenantId,
+  { format, filters, chunkBytes = PART_MAX_BYTES },
+  onChunk,
+) {
+  const totals = { invoiceCount: 0, rowCount: 0, byteSize: 0, chunkCount: 0 };
+  let pending = [];
+  let pendingBytes = 0;
+
+  const flush = async () => {
+    const chunk = pending.join("");
+    pending = [];
+    pendingBytes = 0;
+    totals.chunkCount += 1;
+    totals.byteSize += Buffer.byteLength(chunk);
+    await onChunk(chunk, totals.chunkCount);
+  };
+
+  const write = async (text) => {
+    const bytes = Buffer.byteLength(text);
+    if (pending.length > 0 && pendingBytes + bytes > chunkBytes) {
+      await flush();
+    }
+    pending.push(text);
+    pendingBytes += bytes;
+  };
+
+  if (format === "csv") {
+    await write(csvLine(CSV_HEADER));
+  }
+
+  await forEachInvoiceBatch(client, tenantId, filters, async (rows) => {
+    for (const row of rows) {
+      const lines = serializeInvoice(format, row);
+      totals.invoiceCount += 1;
+      totals.rowCount += lines.length;
+      for (const line of lines) await write(line);
+    }
+  });
+
+  if (pending.length > 0 || totals.chunkCount === 0) {
+    await flush();
+  }
+
+  return totals;
+}
+
+/**
+ * File name for a download, e.g. "invoices-2026-10-18.csv" or
+ * "invoices-2026-10-18-part-2.csv".
+ */
+function exportFilename(format, date = new Date(), part = null) {
+  const day = new Date(date).toISOString().slice(0, 10);
+  const suffix = part ? `-part-${part}` : "";
+  return `invoices-${day}${suffix}.${EXPORT_FORMATS[format].extension}`;
+}
+
+// ── Async exports (invoice_exports) ─────────────────────────────────────── //
+
+/**
+ * Queue an export for process-invoice-exports.
+ *
+ * @param {import('pg').PoolClient} client - Tenant-scoped client
+ * @returns {Promise<Object>} The invoice_exports row
+ */
+async function createInvoiceExport(
+  client,
+  tenantId,
+  { format, filters, requestedBy },
+) {
+  const result = await client.query(
+    `INSERT INTO invoice_exports
+       (tenant_id, format, filters, requested_by, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+     RETURNING *`,
+    [
+      tenantId,
+      format,
+      JSON.stringify(filters),
+      requestedBy || null,
+      EXPORT_RETENTION_DAYS,
+    ],
+  );
+  return result.rows[0];
+}
+
+/**
+ * Map an `invoice_exports` row to its API representation.  A completed
+ * export lists the download URL of each part.
+ */
+function formatInvoiceExport(row) {
+  const completed = row.status === "completed";
+  return {
+    id: row.id,
+    format: row.format,
+    filters: parseJsonColumn(row.filters, {}),
+    status: row.status,
+    invoiceCount: row.invoice_count ?? null,
+    rowCount: row.row_count ?? null,
+    byteSize: row.byte_size === null ? null : Number(row.byte_size),
+    parts: completed
+      ? Array.from({ length: row.part_count }, (_, index) => ({
+          part: index + 1,
+          url: `/v1/invoice-exports/${row.id}/download?part=${index + 1}`,
+        }))
+      : [],
+    error: row.error || null,
+    createdAt: row.created_at,
+    startedAt: row.started_at || null,
+    completedAt: row.completed_at || null,
+    expiresAt: row.expires_at,
+  };
+}
+
+/**
+ * Load one of the tenant's exports (RLS-scoped).
+ *
+ * @throws {AppError} 404 if it does not exist, belongs to another tenant or
+ *   has expired
+ */
+async function getInvoiceExport(tenantId, exportId) {
+  const result = await queryWithTenant(
+    tenantId,
+    `SELECT * FROM invoice_exports
+     WHERE id = $1 AND tenant_id = $2 AND expires_at > NOW()`,
+    [exportId, tenantId],
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError(404, "Invoice export not found");
+  }
+
+  return result.rows[0];
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  SYNC_MAX_INVOICES,
+  SYNC_MAX_BYTES,
+  PART_MAX_BYTES,
+  EXPORT_RETENTION_DAYS,
+  CSV_HEADER,
+  parseExportFormat,
+  serializeInvoice,
+  countExportInvoices,
+  writeInvoiceExport,
+  exportFilename,
+  createInvoiceExport,
+  formatInvoiceExport,
+  getInvoiceExport,
+};
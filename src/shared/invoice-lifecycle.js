@@ -0,0 +1,232 @@
+/**
+ * Invoice lifecycle — status transitions
+ * ────────────────────────────────────────────────────────────────────────────
+ * An invoice moves through a fixed graph (mirrored by the
+ * trigger_invoice_lifecycle trigger, migrations/016_invoice_lifecycle.sql):
+ *
+ *   draft          → issued, void
+ *   issued         → paid, overdue, void, uncollectible
+ *   overdue        → paid, void, uncollectible
+ *   uncollectible  → paid        (a late payment after the write-off)
+ *   paid, void     → —           (final)
+ *
+ * `overdue` is set by process-overdue-invoices only ("invoice.overdue").
+ * The other transitions are ACTIONS, each with its own route and event:
+ *
+ *   finalize            draft → issued        "invoice.finalized"
+ *   void                → void                "invoice.voided"
+ *   mark_paid           → paid                "invoice.paid"
+ *   mark_uncollectible  → uncollectible       "invoice.marked_uncollectible"
+ *
+ * Once an invoice has left `draft` its line items and totals are immutable
+ * (enforced by the same trigger); a wrong invoice is voided, not edited, or
+ * corrected with a credit note (shared/credit-notes).  An invoice with
+ * credit applied, customer balance drawn down (shared/customer-balance) or
+ * payments received (shared/payments) cannot be voided.
+ *
+ * Transitions lock the invoice row and compare-and-set on the status that
+ * was read, so two concurrent actions cannot both apply.  Finalizing and
+ * voiding an issued invoice are journaled in the same transaction
+ * (shared/journal).
+ */
+
+const { AppError } = require("./middleware");
+const { resolvePaymentTerms } = require("./payment-terms");
+const { journalInvoiceIssued, journalInvoiceVoided } = require("./journal");
+
+const INVOICE_STATUSES = [
+  "draft",
+  "issued",
+  "paid",
+  "overdue",
+  "void",
+  "uncollectible",
+];
+
+const TRANSITIONS = {
+  draft: ["issued", "void"],
+  issued: ["paid", "overdue", "void", "uncollectible"],
+  overdue: ["paid", "void", "uncollectible"],
+  uncollectible: ["paid"],
+  paid: [],
+  void: [],
+};
+
+const ACTIONS = {
+  finalize: { to: "issued", eventType: "invoice.finalized", verb: "finalize" },
+  void: { to: "void", eventType: "invoice.voided", verb: "void" },
+  mark_paid: { to: "paid", eventType: "invoice.paid", verb: "mark as paid" },
+  mark_uncollectible: {
+    to: "uncollectible",
+    eventType: "invoice.marked_uncollectible",
+    verb: "mark as uncollectible",
+  },
+};
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Column updates an action makes besides `status`.
+ */
+function actionChanges(
+  action,
+  invoice,
+  { reason, paymentReference, paidAt, now, terms },
+) {
+  switch (action) {
+    case "finalize":
+      return terms
+        ? {
+            finalized_at: now,
+            due_date: terms.dueDate,
+            payment_terms: JSON.stringify(terms.paymentTerms),
+          }
+        : { finalized_at: now };
+    case "void":
+      return { voided_at: now, void_reason: reason || null };
+    case "mark_paid":
+      return {
+        paid_at: paidAt || now,
+        payment_reference: paymentReference || null,
+      };
+    case "mark_uncollectible":
+      return { marked_uncollectible_at: now };
+    default:
+      throw new Error(`Unknown invoice action: ${action}`);
+  }
+}
+
+/**
+ * Apply an action to an invoice.
+ *
+ * @param {import('pg').PoolClient} client - Client with an open transaction
+ * @param {string} invoiceId
+ * @param {string} action - finalize | void | mark_paid | mark_uncollectible
+ * @param {Object} [options]
+ * @param {string} [options.reason] - void reason
+ * @param {string} [options.paymentReference] - mark_paid: e.g. bank reference
+ * @param {Date} [options.paidAt] - mark_paid: when the money arrived
+ * @param {Date} [options.now]
+ * @returns {Promise<{before: Object, after: Object, eventType: string}>}
+ * @throws {AppError} 404 unknown invoice, 409 transition not allowed
+ */
+async function transitionInvoice(client, invoiceId, action, options = {}) {
+  const { to, eventType, verb } = ACTIONS[action];
+  const now = options.now || new Date();
+
+  const existing = await client.query(
+    `SELECT * FROM invoices WHERE id = $1 FOR UPDATE`,
+    [invoiceId],
+  );
+
+  if (existing.rows.length === 0) {
+    throw new AppError(404, "Invoice not found");
+  }
+
+  const invoice = existing.rows[0];
+
+  if (!canTransition(invoice.status, to)) {
+    throw new AppError(409, `Cannot ${verb} an invoice that is ${invoice.status}`, {
+      currentStatus: invoice.status,
+      allowedTransitions: TRANSITIONS[invoice.status],
+    });
+  }
+
+  // Credit notes refer to it — credit the rest instead
+  if (action === "void" && parseFloat(invoice.credited_amount || 0) > 0) {
+    throw new AppError(409, "Cannot void an invoice that has been credited", {
+      creditedAmount: parseFloat(invoice.credited_amount),
+    });
+  }
+
+  // The customer balance was drawn down for it — a credit note returns it
+  if (action === "void" && parseFloat(invoice.balance_applied || 0) > 0) {
+    throw new AppError(409, "Cannot void an invoice paid from the balance", {
+      appliedBalance: parseFloat(invoice.balance_applied),
+    });
+  }
+
+  // Money was received against it — credit it instead
+  if (action === "void" && parseFloat(invoice.amount_paid || 0) > 0) {
+    throw new AppError(409, "Cannot void an invoice with payments", {
+      amountPaid: parseFloat(invoice.amount_paid),
+    });
+  }
+
+  // A charge finalized without a due date is due under the payment terms in
+  // force now (shared/payment-terms); credits have nothing to collect
+  const terms =
+    action === "finalize" &&
+    !invoice.due_date &&
+    parseFloat(invoice.amount) > 0
+      ? await resolvePaymentTerms(
+          client,
+          invoice.tenant_id,
+          invoice.subscription_id,
+          now,
+        )
+      : null;
+
+  const changes = actionChanges(action, invoice, { ...options, now, terms });
+  const columns = Object.keys(changes);
+  const assignments = columns.map((column, i) => `${column} = $${i + 4}`);
+  const values = Object.values(changes).map((value) =>
+    value instanceof Date ? value.toISOString() : value,
+  );
+
+  const updated = await client.query(
+    `UPDATE invoices
+     SET status = $3, ${assignments.join(", ")}
+     WHERE id = $1 AND status = $2
+     RETURNING *`,
+    [invoiceId, invoice.status, to, ...values],
+  );
+  const after = updated.rows[0];
+
+  // The journal follows receivables: an invoice enters them when issued and
+  // leaves them when voided (shared/journal); a draft never entered them
+  if (action === "finalize") {
+    await journalInvoiceIssued(client, after);
+  } else if (action === "void" && invoice.status !== "draft") {
+    await journalInvoiceVoided(client, invoice);
+  }
+
+  return { before: invoice, after, eventType };
+}
+
+/**
+ * Event payload for an invoice transition.
+ *
+ * @param {Object} before - invoices row before the transition
+ * @param {Object} after - invoices row after it
+ * @param {{name: string, email: string}} tenantRow
+ */
+function invoiceEventPayload(before, after, tenantRow) {
+  return {
+    tenantId: after.tenant_id,
+    tenantName: tenantRow.name,
+    tenantEmail: tenantRow.email,
+    subscriptionId: after.subscription_id,
+    invoiceId: after.id,
+    invoiceNumber: after.invoice_number,
+    previousStatus: before.status,
+    status: after.status,
+    amount: parseFloat(after.amount),
+    currency: after.currency,
+    dueDate: after.due_date,
+    paidAt: after.paid_at,
+    paymentReference: after.payment_reference || null,
+    voidReason: after.void_reason || null,
+  };
+}
+
+module.exports = {
+  INVOICE_STATUSES,
+  INVOICE_TRANSITIONS: TRANSITIONS,
+  INVOICE_ACTIONS: ACTIONS,
+  canTransition,
+  transitionInvoice,
+  invoiceEventPayload,
+};
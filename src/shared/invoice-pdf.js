@@ -0,0 +1,513 @@
+/**
+ * Invoice PDF rendering
+ * ────────────────────────────────────────────────────────────────────────────
+ * Renders an invoice (shared/invoices → formatInvoice) into a PDF document
+ * for GET /v1/invoices/{id}/pdf, and a credit note (shared/credit-notes →
+ * formatCreditNote) for GET /v1/credit-notes/{id}/pdf, in the same layout.
+ *
+ * Design decisions:
+ *
+ *   • NO DEPENDENCIES: the document is written directly as PDF 1.4 using the
+ *     standard Helvetica fonts, which every PDF reader has built in — nothing
+ *     to embed, no native modules in the Lambda bundle.  Text is encoded as
+ *     WinAnsi (Latin-1 plus €, –, —, …); characters outside it print as "?".
+ *   • LAYOUT: A4 portrait.  Header bar, invoice facts and bill-to block, one
+ *     table row per line item, totals, footer.  Long invoices continue on
+ *     further pages with the table header repeated.
+ *   • BRANDING: with a `branding` object (tenants.settings.branding, only
+ *     passed when the plan has `customBranding`) the header shows the
+ *     tenant's display name and colour and the footer its own text.
+ *     Otherwise the platform's defaults are used.
+ *   • DETERMINISTIC: no timestamps are written, so the same invoice always
+ *     renders to the same bytes.
+ */
+
+const { formatAmount, currencyExponent } = require("./currency");
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const ROW_HEIGHT = 18;
+const TABLE_BOTTOM = 120;
+
+const DEFAULT_BRAND = {
+  displayName: "Billing Platform",
+  primaryColor: "#333f48",
+  invoiceFooter: "Thank you for your business.",
+};
+
+// Table columns: right edge for numbers, left edge for the description
+const COLUMNS = {
+  description: MARGIN,
+  quantity: 370,
+  unitPrice: 455,
+  amount: PAGE_WIDTH - MARGIN,
+};
+
+// Advance widths (1/1000 em) of the printable ASCII range 32–126
+// prettier-ignore
+const WIDTHS = {
+  F1: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  F2: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+
+// WinAnsi code points for the non-Latin-1 characters invoices commonly use
+const WIN_ANSI_EXTRAS = {
+  "€": 0x80,
+  "…": 0x85,
+  "•": 0x95,
+  "–": 0x96,
+  "—": 0x97,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+};
+
+// ── Text encoding and measurement ──────────────────────────────────────── //
+
+function encodeChar(ch) {
+  if (WIN_ANSI_EXTRAS[ch] !== undefined) return WIN_ANSI_EXTRAS[ch];
+  const code = ch.codePointAt(0);
+  if ((code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff)) {
+    return code;
+  }
+  return null;
+}
+
+function isEncodable(text) {
+  return [...text].every((ch) => encodeChar(ch) !== null);
+}
+
+/**
+ * Encode text as a PDF literal string in WinAnsi, escaping delimiters.
+ */
+function pdfString(text) {
+  let out = "(";
+  for (const ch of String(text)) {
+    const code = encodeChar(ch) ?? 0x3f;
+    if (code === 0x28 || code === 0x29 || code === 0x5c) {
+      out += `\\${String.fromCharCode(code)}`;
+    } else {
+      out += String.fromCharCode(code);
+    }
+  }
+  return `${out})`;
+}
+
+function textWidth(text, font, size) {
+  let units = 0;
+  for (const ch of String(text)) {
+    const code = ch.codePointAt(0);
+    units += code >= 32 && code <= 126 ? WIDTHS[font][code - 32] : 556;
+  }
+  return (units * size) / 1000;
+}
+
+/**
+ * Shorten `text` with an ellipsis until it fits `maxWidth`.
+ */
+function fitText(text, font, size, maxWidth) {
+  let fitted = String(text);
+  if (textWidth(fitted, font, size) <= maxWidth) return fitted;
+  while (fitted.length > 0 && textWidth(`${fitted}…`, font, size) > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}…`;
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(
+    (c) => (c / 255).toFixed(3),
+  );
+}
+
+/**
+ * Amounts in the invoice currency, e.g. "€78.30".  Symbols WinAnsi cannot
+ * print (e.g. "₹") fall back to the ISO code: "INR 1,200.00".
+ */
+function pdfAmount(amount, currency, { maximumFractionDigits } = {}) {
+  const formatted = formatAmount(amount, currency, { maximumFractionDigits });
+  if (isEncodable(formatted)) return formatted;
+  const digits = currencyExponent(currency);
+  const number = new Intl.NumberFormat("en-US", {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: Math.max(digits, maximumFractionDigits ?? digits),
+  }).format(Math.abs(amount));
+  return `${amount < 0 ? "-" : ""}${currency.toUpperCase()} ${number}`;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : "—";
+}
+
+// ── Page drawing ───────────────────────────────────────────────────────── //
+
+function createPage() {
+  const ops = [];
+
+  return {
+    ops,
+    text(x, y, value, { font = "F1", size = 10, color = "0 0 0", align = "left" } = {}) {
+      const left = align === "right" ? x - textWidth(value, font, size) : x;
+      ops.push(
+        `BT /${font} ${size} Tf ${color} rg ${left.toFixed(2)} ${y.toFixed(2)} Td ${pdfString(value)} Tj ET`,
+      );
+    },
+    rect(x, y, width, height, color) {
+      ops.push(`${color} rg ${x} ${y} ${width} ${height} re f`);
+    },
+    line(x1, y1, x2, y2, color = "0.8 0.8 0.8") {
+      ops.push(`${color} RG 0.75 w ${x1} ${y1} m ${x2} ${y2} l S`);
+    },
+  };
+}
+
+function drawHeader(page, brand, accent, title) {
+  page.rect(0, PAGE_HEIGHT - 80, PAGE_WIDTH, 80, accent);
+  page.text(MARGIN, PAGE_HEIGHT - 48, fitText(brand.displayName, "F2", 20, 330), {
+    font: "F2",
+    size: 20,
+    color: "1 1 1",
+  });
+  page.text(PAGE_WIDTH - MARGIN, PAGE_HEIGHT - 48, title, {
+    font: "F2",
+    size: 20,
+    color: "1 1 1",
+    align: "right",
+  });
+}
+
+function drawTableHeader(page, y) {
+  const head = { font: "F2", size: 9, color: "0.35 0.35 0.35" };
+  page.text(COLUMNS.description, y, "DESCRIPTION", head);
+  page.text(COLUMNS.quantity, y, "QTY", { ...head, align: "right" });
+  page.text(COLUMNS.unitPrice, y, "UNIT PRICE", { ...head, align: "right" });
+  page.text(COLUMNS.amount, y, "AMOUNT", { ...head, align: "right" });
+  page.line(MARGIN, y - 6, PAGE_WIDTH - MARGIN, y - 6);
+  return y - ROW_HEIGHT - 4;
+}
+
+function drawFooter(page, footerText, pageNumber, pageCount) {
+  const muted = { size: 8, color: "0.45 0.45 0.45" };
+  page.line(MARGIN, 70, PAGE_WIDTH - MARGIN, 70);
+  page.text(MARGIN, 55, fitText(footerText, "F1", 8, 400), muted);
+  page.text(PAGE_WIDTH - MARGIN, 55, `Page ${pageNumber} of ${pageCount}`, {
+    ...muted,
+    align: "right",
+  });
+}
+
+// ── PDF serialization ──────────────────────────────────────────────────── //
+
+/**
+ * Assemble pages into a PDF file: catalog, page tree, two fonts, then one
+ * page object and content stream per page, followed by the xref table.
+ */
+function serializePdf(pages, title) {
+  const objects = [];
+  const pageIds = pages.map((_, i) => 6 + i * 2);
+
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`;
+  objects[3] =
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>";
+  objects[4] =
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>";
+  objects[5] = `<< /Title ${pdfString(title)} /Producer (Billing Platform) >>`;
+
+  pages.forEach((page, i) => {
+    const content = page.ops.join("\n");
+    objects[pageIds[i]] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+    objects[pageIds[i] + 1] =
+      `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`;
+  });
+
+  let pdf = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf, "latin1");
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(pdf, "latin1");
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\n`;
+  pdf += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, "latin1");
+}
+
+// ── Document layout ────────────────────────────────────────────────────── //
+
+/**
+ * Lay out a billing document: facts and bill-to block, the line table, the
+ * totals block and an optional note, continuing over as many pages as the
+ * lines need.
+ *
+ * @param {Object} doc
+ * @param {string} doc.title - header text, e.g. "INVOICE"
+ * @param {string} doc.documentTitle - PDF metadata title
+ * @param {string} doc.currency
+ * @param {Array<[string, string]>} doc.facts - label/value pairs
+ * @param {Array<Object>} doc.lines - table rows (line items)
+ * @param {Array<[string, number, boolean?]>} doc.totals - label, amount,
+ *   bold
+ * @param {string|null} [doc.note]
+ */
+function renderDocument(doc, { billingDetails, branding = null }) {
+  const brand = {
+    displayName: branding?.displayName || DEFAULT_BRAND.displayName,
+    primaryColor: branding?.primaryColor || DEFAULT_BRAND.primaryColor,
+    invoiceFooter: branding?.invoiceFooter || DEFAULT_BRAND.invoiceFooter,
+  };
+  const accent = hexToRgb(brand.primaryColor).join(" ");
+  const { currency, facts, totals, note } = doc;
+
+  const pages = [];
+  let page = createPage();
+  pages.push(page);
+  drawHeader(page, brand, accent, doc.title);
+
+  // ── Document facts (left) and bill-to block (right) ──────────────────── //
+  let y = PAGE_HEIGHT - 120;
+
+  facts.forEach(([label, value], i) => {
+    page.text(MARGIN, y - i * 15, label, { size: 9, color: "0.45 0.45 0.45" });
+    page.text(MARGIN + 95, y - i * 15, value, { font: "F2", size: 9 });
+  });
+
+  const billTo = [
+    billingDetails.legalName,
+    ...billingDetails.addressLines,
+    billingDetails.email,
+    ...(billingDetails.taxId ? [`Tax ID: ${billingDetails.taxId}`] : []),
+  ];
+  page.text(330, y, "BILL TO", { font: "F2", size: 9, color: "0.35 0.35 0.35" });
+  billTo.forEach((value, i) => {
+    page.text(330, y - (i + 1) * 14, fitText(value, "F1", 10, PAGE_WIDTH - MARGIN - 330));
+  });
+
+  y -= Math.max(facts.length, billTo.length + 1) * 15 + 30;
+
+  // ── Line items ───────────────────────────────────────────────────────── //
+  y = drawTableHeader(page, y);
+
+  for (const item of doc.lines) {
+    if (y < TABLE_BOTTOM) {
+      page = createPage();
+      pages.push(page);
+      drawHeader(page, brand, accent, doc.title);
+      y = drawTableHeader(page, PAGE_HEIGHT - 120);
+    }
+
+    page.text(
+      COLUMNS.description,
+      y,
+      fitText(item.description || item.type || "", "F1", 10, COLUMNS.quantity - MARGIN - 40),
+    );
+    page.text(COLUMNS.quantity, y, String(item.quantity ?? 1), { align: "right" });
+    // Usage rates can be finer than the currency's minor unit
+    page.text(
+      COLUMNS.unitPrice,
+      y,
+      pdfAmount(item.unitPrice ?? item.amount, currency, { maximumFractionDigits: 6 }),
+      { align: "right" },
+    );
+    page.text(COLUMNS.amount, y, pdfAmount(item.amount, currency), { align: "right" });
+    y -= ROW_HEIGHT;
+  }
+
+  // ── Totals ───────────────────────────────────────────────────────────── //
+  if (y - totals.length * ROW_HEIGHT - (note ? ROW_HEIGHT : 0) < TABLE_BOTTOM) {
+    page = createPage();
+    pages.push(page);
+    drawHeader(page, brand, accent, doc.title);
+    y = PAGE_HEIGHT - 120;
+  }
+  page.line(COLUMNS.quantity - 40, y + 8, PAGE_WIDTH - MARGIN, y + 8);
+  for (const [label, amount, bold] of totals) {
+    const style = bold ? { font: "F2", size: 11 } : { size: 10 };
+    page.text(COLUMNS.unitPrice, y - 8, fitText(label, style.font || "F1", style.size, 200), {
+      ...style,
+      align: "right",
+    });
+    page.text(COLUMNS.amount, y - 8, pdfAmount(amount, currency), {
+      ...style,
+      align: "right",
+    });
+    y -= ROW_HEIGHT;
+  }
+  if (note) {
+    page.text(MARGIN, y - 16, fitText(note, "F1", 9, PAGE_WIDTH - 2 * MARGIN), {
+      size: 9,
+      color: "0.35 0.35 0.35",
+    });
+  }
+
+  pages.forEach((p, i) => drawFooter(p, brand.invoiceFooter, i + 1, pages.length));
+
+  return serializePdf(pages, doc.documentTitle);
+}
+
+/**
+ * Totals rows for a taxed document: subtotal, tax and total for
+ * tax-exclusive prices; total, then the tax it includes, for inclusive ones.
+ */
+function taxTotals(lineItems, { subtotal, total, totalLabel, inclusive }) {
+  const taxLines = lineItems.filter((item) => item.type === "tax");
+  const totals = [];
+  if (taxLines.length > 0 && !inclusive) {
+    totals.push(["Subtotal", subtotal]);
+    taxLines.forEach((item) => totals.push([item.description, item.amount]));
+  }
+  totals.push([totalLabel, total, true]);
+  if (inclusive) {
+    taxLines.forEach((item) => totals.push([item.description, item.amount]));
+  }
+  return totals;
+}
+
+// ── Invoice document ───────────────────────────────────────────────────── //
+
+/**
+ * Render an invoice as a PDF.
+ *
+ * @param {Object} invoice - formatInvoice() output
+ * @param {Object} options
+ * @param {Object} options.billingDetails - shared/tenants → getBillingDetails
+ * @param {Object|null} [options.branding] - shared/tenants → getBranding;
+ *   pass only when the tenant's plan has `customBranding`
+ * @returns {Buffer}
+ */
+function renderInvoicePdf(invoice, options) {
+  const facts = [
+    ["Invoice number", invoice.invoiceNumber],
+    ["Status", invoice.status.toUpperCase()],
+    ["Issued", formatDate(invoice.createdAt)],
+    ["Due", formatDate(invoice.dueDate)],
+  ];
+  if (invoice.paymentTerms) {
+    facts.push(["Payment terms", invoice.paymentTerms.description]);
+  }
+  if (invoice.periodStart) {
+    facts.push([
+      "Service period",
+      `${formatDate(invoice.periodStart)} – ${formatDate(invoice.periodEnd)}`,
+    ]);
+  }
+  if (invoice.usageWindow) {
+    facts.push([
+      "Usage period",
+      `${formatDate(invoice.usageWindow.start)} – ${formatDate(invoice.usageWindow.end)}`,
+    ]);
+  }
+  if (invoice.paidAt) facts.push(["Paid", formatDate(invoice.paidAt)]);
+
+  // Tax lines are shown with the totals, not as charges
+  const totals = taxTotals(invoice.lineItems, {
+    subtotal: invoice.subtotal,
+    total: invoice.amount,
+    totalLabel: invoice.amount < 0 ? "Total credit" : "Total",
+    inclusive: invoice.tax?.behavior === "inclusive",
+  });
+  if (invoice.creditedAmount > 0) {
+    totals.push(["Credits applied", -invoice.creditedAmount]);
+  }
+  if (invoice.appliedBalance > 0) {
+    totals.push(["Applied balance", -invoice.appliedBalance]);
+  }
+  if (invoice.amountPaid > 0) {
+    totals.push(["Payments received", -invoice.amountPaid]);
+  }
+  if (
+    invoice.creditedAmount > 0 ||
+    invoice.appliedBalance > 0 ||
+    invoice.amountPaid > 0
+  ) {
+    totals.push(["Amount due", invoice.amountDue, true]);
+  }
+
+  return renderDocument(
+    {
+      title: "INVOICE",
+      documentTitle: `Invoice ${invoice.invoiceNumber}`,
+      currency: invoice.currency,
+      facts,
+      lines: invoice.lineItems.filter((item) => item.type !== "tax"),
+      totals,
+      note: invoice.tax?.note,
+    },
+    options,
+  );
+}
+
+// ── Credit note document ───────────────────────────────────────────────── //
+
+/**
+ * Render a credit note as a PDF — same layout as the invoice, with where
+ * the credit went below the total.
+ *
+ * @param {Object} creditNote - shared/credit-notes formatCreditNote() output
+ * @param {Object} options - as renderInvoicePdf
+ * @returns {Buffer}
+ */
+function renderCreditNotePdf(creditNote, options) {
+  const facts = [
+    ["Credit note", creditNote.creditNoteNumber],
+    ["Invoice", creditNote.invoiceNumber || "—"],
+    ["Issued", formatDate(creditNote.createdAt)],
+    ["Reason", creditNote.reason.replace(/_/g, " ")],
+  ];
+
+  const totals = taxTotals(creditNote.lineItems, {
+    subtotal: creditNote.subtotal,
+    total: creditNote.total,
+    totalLabel: "Total credit",
+    inclusive: creditNote.lineItems.some(
+      (item) => item.type === "tax" && item.inclusive,
+    ),
+  });
+  if (creditNote.creditedToInvoice > 0) {
+    totals.push(["Credited to invoice", creditNote.creditedToInvoice]);
+  }
+  if (creditNote.refunded > 0) totals.push(["Refunded", creditNote.refunded]);
+  if (creditNote.carryover > 0) {
+    totals.push(["Credit for future invoices", creditNote.carryover]);
+  }
+
+  return renderDocument(
+    {
+      title: "CREDIT NOTE",
+      documentTitle: `Credit note ${creditNote.creditNoteNumber}`,
+      currency: creditNote.currency,
+      facts,
+      lines: creditNote.lineItems.filter((item) => item.type !== "tax"),
+      totals,
+      note: creditNote.memo,
+    },
+    options,
+  );
+}
+
+module.exports = { renderInvoicePdf, renderCreditNotePdf };
@@ -0,0 +1,195 @@
+/**
+ * Invoice helpers shared by the invoice API handlers
+ * ────────────────────────────────────────────────────────────────────────────
+ * Keeps the `invoices` row → API response mapping in one place so the list,
+ * detail and document endpoints describe an invoice the same way, and the
+ * list filters in one place so GET /v1/invoices and the invoice export
+ * select the same invoices.
+ */
+
+const { AppError } = require("./middleware");
+const { queryWithTenant } = require("./db");
+const { normalizeCurrency } = require("./currency");
+const { parseJsonColumn } = require("./subscriptions");
+const { parseDateRange } = require("./pagination");
+const { INVOICE_STATUSES } = require("./invoice-lifecycle");
+const {
+  parsePaymentTerms,
+  describePaymentTerms,
+} = require("./payment-terms");
+const { invoiceBalance } = require("./payments");
+
+const VALID_STATUSES = new Set(INVOICE_STATUSES);
+
+/**
+ * The tax decision stored with an invoice, or null for untaxed invoices
+ * issued before tax was calculated.
+ */
+function formatTaxDetails(value) {
+  const details = parseJsonColumn(value, null);
+  if (!details) return null;
+  return {
+    treatment: details.treatment,
+    behavior: details.behavior,
+    country: details.country,
+    region: details.region,
+    name: details.name,
+    rate: details.rate,
+    customerTaxId: details.customerTaxId,
+    note: details.note,
+  };
+}
+
+/**
+ * The payment terms an invoice was issued under, or null for credits and
+ * invoices issued before terms were recorded (all of them net 30).
+ */
+function formatPaymentTerms(value) {
+  const terms = parsePaymentTerms(value);
+  if (!terms) return null;
+  return { ...terms, description: describePaymentTerms(terms) };
+}
+
+/**
+ * What is still to be paid: the total less credits, the customer balance
+ * applied and payments (shared/payments), nothing once the invoice is paid or void (or for a
+ * credit invoice).
+ */
+function amountDue(row) {
+  if (row.status === "paid" || row.status === "void") return 0;
+  return invoiceBalance(row);
+}
+
+/**
+ * Map an `invoices` row to its API representation.
+ */
+function formatInvoice(row) {
+  return {
+    id: row.id,
+    subscriptionId: row.subscription_id,
+    invoiceNumber: row.invoice_number,
+    status: row.status,
+    billingReason: row.billing_reason || null,
+    amount: parseFloat(row.amount),
+    // Tax breakdown (shared/tax): subtotal + taxAmount = total = amount
+    subtotal: parseFloat(row.subtotal ?? row.amount),
+    taxAmount: parseFloat(row.tax_amount ?? 0),
+    total: parseFloat(row.amount),
+    tax: formatTaxDetails(row.tax_details),
+    // Credit notes applied (shared/credit-notes)
+    creditedAmount: parseFloat(row.credited_amount ?? 0),
+    // Customer balance drawn down on issue (shared/customer-balance)
+    appliedBalance: parseFloat(row.balance_applied ?? 0),
+    // Payments received (shared/payments)
+    amountPaid: parseFloat(row.amount_paid ?? 0),
+    amountDue: amountDue(row),
+    currency: row.currency,
+    lineItems: parseJsonColumn(row.line_items, []),
+    periodStart: row.period_start || null,
+    periodEnd: row.period_end || null,
+    dueDate: row.due_date,
+    paymentTerms: formatPaymentTerms(row.payment_terms),
+    finalizedAt: row.finalized_at || null,
+    paidAt: row.paid_at,
+    paymentReference: row.payment_reference || null,
+    voidedAt: row.voided_at || null,
+    voidReason: row.void_reason || null,
+    markedUncollectibleAt: row.marked_uncollectible_at || null,
+    // Metered usage billed on this invoice (shared/usage)
+    usageWindow: row.usage_window_start
+      ? {
+          start: row.usage_window_start,
+          end: row.usage_window_end,
+          aggregatedAt: row.usage_aggregated_at,
+        }
+      : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Validate the invoice list filters (query parameters of GET /v1/invoices,
+ * or the body of an export request).
+ *
+ * @returns {{status?: string, currency?: string, from?: string,
+ *   to?: string}} only the filters given
+ * @throws {AppError} 400 for an unknown status or currency, or a bad date
+ */
+function parseInvoiceFilters(params) {
+  const { status } = params;
+  if (status && !VALID_STATUSES.has(status)) {
+    throw new AppError(400, `Invalid status filter: ${status}`, {
+      validStatuses: [...VALID_STATUSES],
+    });
+  }
+  const currency = params.currency && normalizeCurrency(params.currency);
+  const { from, to } = parseDateRange(params);
+
+  return {
+    ...(status && { status }),
+    ...(currency && { currency }),
+    ...(from && { from }),
+    ...(to && { to }),
+  };
+}
+
+/**
+ * WHERE conditions for the tenant's invoices matching `filters`, with
+ * their parameters ($1 is the tenant ID).
+ *
+ * @returns {{conditions: string[], params: any[]}}
+ */
+function invoiceFilterConditions(tenantId, { status, currency, from, to }) {
+  const conditions = ["tenant_id = $1"];
+  const params = [tenantId];
+
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+
+  if (currency) {
+    params.push(currency);
+    conditions.push(`currency = $${params.length}`);
+  }
+
+  if (from) {
+    params.push(new Date(from).toISOString());
+    conditions.push(`created_at >= $${params.length}`);
+  }
+
+  if (to) {
+    params.push(new Date(to).toISOString());
+    conditions.push(`created_at <= $${params.length}`);
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * Load one of the tenant's invoices (RLS-scoped).
+ *
+ * @returns {Promise<Object>} The invoices row
+ * @throws {AppError} 404 if it does not exist or belongs to another tenant
+ */
+async function getInvoice(tenantId, invoiceId) {
+  const result = await queryWithTenant(
+    tenantId,
+    `SELECT * FROM invoices WHERE id = $1 AND tenant_id = $2`,
+    [invoiceId, tenantId],
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError(404, "Invoice not found");
+  }
+
+  return result.rows[0];
+}
+
+module.exports = {
+  formatInvoice,
+  getInvoice,
+  parseInvoiceFilters,
+  invoiceFilterConditions,
+};
@@ -0,0 +1,344 @@
+/**
+ * Double-entry journal
+ * ────────────────────────────────────────────────────────────────────────────
+ * Billing activity as balanced journal entries (migrations/026_journal.sql),
+ * written in the transaction of the change they record:
+ *
+ *   invoice issued       Dr receivables         Cr revenue, tax payable
+ *                        balance applied: Dr customer credit, Cr receivables
+ *                        a credit invoice: the other way round, against
+ *                        customer credit (generate-invoice) or receivables
+ *   invoice voided       the issue entry reversed
+ *   payment              Dr cash                Cr receivables (applied),
+ *                                               customer credit (excess)
+ *   credit note          Dr revenue, tax payable
+ *                        Cr receivables (credited to the invoice), cash
+ *                        (refunded), customer credit (carried over)
+ *   balance adjustment   prepayment  Dr cash             Cr customer credit
+ *                        refund      Dr customer credit  Cr cash
+ *                        adjustment  Dr revenue          Cr customer credit
+ *
+ * Marking an invoice paid posts nothing itself — the payment, credit note
+ * or balance that settled it already did.  Write-offs (`uncollectible`)
+ * leave the receivable open.
+ *
+ * Lines are built as signed amounts (+ debit, − credit) and split on
+ * insert; the database rejects an entry whose debits and credits differ at
+ * commit.  Entries are in the currency of the document and never mix
+ * currencies, so the trial balance is reported per currency.
+ */
+
+const { querySystem } = require("./db");
+const { roundMoney } = require("./currency");
+
+// Normal side: a debit-normal account's balance is debits − credits
+const ACCOUNTS = {
+  accounts_receivable: { type: "asset", normal: "debit" },
+  cash: { type: "asset", normal: "debit" },
+  customer_credit: { type: "liability", normal: "credit" },
+  tax_payable: { type: "liability", normal: "credit" },
+  revenue: { type: "revenue", normal: "credit" },
+  opening_balance: { type: "equity", normal: "credit" },
+};
+
+const ENTRY_TYPES = [
+  "opening_balance",
+  "invoice_issued",
+  "invoice_voided",
+  "payment",
+  "credit_note",
+  "balance_adjustment",
+];
+
+/**
+ * Post a journal entry.  Zero lines are dropped; an entry with nothing left
+ * is not posted.
+ *
+ * @param {import('pg').PoolClient} client - Client with an open transaction
+ *   (tenant-scoped, or a system transaction)
+ * @param {Object} entry
+ * @param {string} entry.tenantId
+ * @param {string} entry.currency
+ * @param {string} entry.entryType - ENTRY_TYPES
+ * @param {string} [entry.description]
+ * @param {string} [entry.invoiceId]
+ * @param {string} [entry.creditNoteId]
+ * @param {string} [entry.paymentId]
+ * @param {string} [entry.balanceTransactionId]
+ * @param {Date|string} [entry.postedAt] - accounting date, default now
+ * @param {Array<[string, number]>} entry.lines - [account, signed amount]
+ * @returns {Promise<Object|null>} journal_entries row, or null
+ * @throws {Error} if the lines do not balance — a bug in the caller
+ */
+async function postJournalEntry(client, entry) {
+  const { currency } = entry;
+  const lines = entry.lines
+    .map(([account, amount]) => [account, roundMoney(amount || 0, currency)])
+    .filter(([, amount]) => amount !== 0);
+  if (lines.length === 0) return null;
+
+  const net = roundMoney(
+    lines.reduce((sum, [, amount]) => sum + amount, 0),
+    currency,
+  );
+  if (net !== 0) {
+    throw new Error(
+      `Unbalanced ${entry.entryType} journal entry (off by ${net})`,
+    );
+  }
+
+  const inserted = await client.query(
+    `INSERT INTO journal_entries
+       (tenant_id, currency, entry_type, description, invoice_id,
+        credit_note_id, payment_id, balance_transaction_id, posted_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, NOW()))
+     RETURNING *`,
+    [
+      entry.tenantId,
+      currency,
+      entry.entryType,
+      entry.description || null,
+      entry.invoiceId || null,
+      entry.creditNoteId || null,
+      entry.paymentId || null,
+      entry.balanceTransactionId || null,
+      entry.postedAt ? new Date(entry.postedAt).toISOString() : null,
+    ],
+  );
+  const row = inserted.rows[0];
+
+  for (const [account, amount] of lines) {
+    await client.query(
+      `INSERT INTO journal_lines (entry_id, tenant_id, account, debit, credit)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        row.id,
+        entry.tenantId,
+        account,
+        Math.max(amount, 0),
+        Math.max(-amount, 0),
+      ],
+    );
+  }
+
+  return row;
+}
+
+/**
+ * An invoice's revenue, tax and total as signed journal lines of its issue.
+ * Invoices from before the tax breakdown have no subtotal: all revenue.
+ */
+function issueLines(invoice, target) {
+  const amount = parseFloat(invoice.amount);
+  const tax = parseFloat(invoice.tax_amount ?? 0);
+  const subtotal =
+    invoice.subtotal === null || invoice.subtotal === undefined
+      ? amount - tax
+      : parseFloat(invoice.subtotal);
+
+  return [
+    [target, amount],
+    ["revenue", -subtotal],
+    ["tax_payable", -tax],
+  ];
+}
+
+/**
+ * Journal an invoice leaving `draft` (generate-invoice, finalize).
+ *
+ * @param {Object} invoice - invoices row (tenant_id, currency, amount,
+ *   subtotal, tax_amount, balance_applied, invoice_number)
+ * @param {Object} [options]
+ * @param {boolean} [options.creditToBalance] - a credit invoice's total
+ *   went to the customer balance (generate-invoice), not receivables
+ */
+async function journalInvoiceIssued(client, invoice, options = {}) {
+  const credit = parseFloat(invoice.amount) < 0;
+  const applied = parseFloat(invoice.balance_applied ?? 0);
+  const target =
+    credit && options.creditToBalance
+      ? "customer_credit"
+      : "accounts_receivable";
+
+  return postJournalEntry(client, {
+    tenantId: invoice.tenant_id,
+    currency: invoice.currency,
+    entryType: "invoice_issued",
+    description: `Invoice ${invoice.invoice_number}`,
+    invoiceId: invoice.id,
+    lines: [
+      ...issueLines(invoice, target),
+      ["customer_credit", applied],
+      ["accounts_receivable", -applied],
+    ],
+  });
+}
+
+/**
+ * Journal an issued invoice being voided — its issue entry reversed.  An
+ * invoice with credits, balance or payments cannot be voided
+ * (shared/invoice-lifecycle), so only receivables are left to reverse.
+ */
+async function journalInvoiceVoided(client, invoice) {
+  return postJournalEntry(client, {
+    tenantId: invoice.tenant_id,
+    currency: invoice.currency,
+    entryType: "invoice_voided",
+    description: `Invoice ${invoice.invoice_number} voided`,
+    invoiceId: invoice.id,
+    lines: issueLines(invoice, "accounts_receivable").map(
+      ([account, amount]) => [account, -amount],
+    ),
+  });
+}
+
+/**
+ * Journal a payment received (shared/payments), dated when it arrived.
+ */
+async function journalPayment(client, payment) {
+  return postJournalEntry(client, {
+    tenantId: payment.tenant_id,
+    currency: payment.currency,
+    entryType: "payment",
+    description: `Payment for ${payment.invoice_number}`,
+    invoiceId: payment.invoice_id,
+    paymentId: payment.id,
+    postedAt: payment.paid_at,
+    lines: [
+      ["cash", parseFloat(payment.amount)],
+      ["accounts_receivable", -parseFloat(payment.applied_amount)],
+      ["customer_credit", -parseFloat(payment.overpayment_amount)],
+    ],
+  });
+}
+
+/**
+ * Journal a credit note (shared/credit-notes) and where its total went.
+ */
+async function journalCreditNote(client, creditNote) {
+  return postJournalEntry(client, {
+    tenantId: creditNote.tenant_id,
+    currency: creditNote.currency,
+    entryType: "credit_note",
+    description: `Credit note ${creditNote.credit_note_number}`,
+    invoiceId: creditNote.invoice_id,
+    creditNoteId: creditNote.id,
+    lines: [
+      ["revenue", parseFloat(creditNote.subtotal)],
+      ["tax_payable", parseFloat(creditNote.tax_amount)],
+      ["accounts_receivable", -parseFloat(creditNote.invoice_credit_amount)],
+      ["cash", -parseFloat(creditNote.refund_amount)],
+      ["customer_credit", -parseFloat(creditNote.carryover_amount)],
+    ],
+  });
+}
+
+/**
+ * Journal a manual customer balance entry (shared/customer-balance
+ * MANUAL_REASONS): prepayments and refunds move cash, adjustments revenue.
+ *
+ * @param {Object} transaction - balance_transactions row
+ */
+async function journalBalanceAdjustment(client, transaction) {
+  const amount = parseFloat(transaction.amount);
+  const counterpart = transaction.reason === "adjustment" ? "revenue" : "cash";
+
+  return postJournalEntry(client, {
+    tenantId: transaction.tenant_id,
+    currency: transaction.currency,
+    entryType: "balance_adjustment",
+    description: transaction.description || `Balance ${transaction.reason}`,
+    balanceTransactionId: transaction.id,
+    lines: [
+      [counterpart, amount],
+      ["customer_credit", -amount],
+    ],
+  });
+}
+
+// ── Trial balance ──────────────────────────────────────────────────────── //
+
+/**
+ * Debit and credit totals per currency and account, across tenants or for
+ * one, of the entries posted up to `asOf`.
+ *
+ * @param {Object} [filters]
+ * @param {Date} [filters.asOf] - default now
+ * @param {string} [filters.tenantId]
+ * @param {string} [filters.currency]
+ * @returns {Promise<Array<Object>>} one report per currency:
+ *   { currency, accounts: [{ account, type, debit, credit, balance }],
+ *     totalDebit, totalCredit, balanced }
+ */
+async function trialBalance({ asOf = new Date(), tenantId, currency } = {}) {
+  const conditions = ["e.posted_at <= $1"];
+  const params = [asOf.toISOString()];
+
+  if (tenantId) {
+    params.push(tenantId);
+    conditions.push(`e.tenant_id = $${params.length}`);
+  }
+  if (currency) {
+    params.push(currency);
+    conditions.push(`e.currency = $${params.length}`);
+  }
+
+  // ADMIN report across tenants — system query, no RLS
+  const result = await querySystem(
+    `SELECT e.currency, l.account,
+            SUM(l.debit) AS debit, SUM(l.credit) AS credit
+     FROM journal_lines l
+     JOIN journal_entries e ON e.id = l.entry_id
+     WHERE ${conditions.join(" AND ")}
+     GROUP BY e.currency, l.account
+     ORDER BY e.currency, l.account`,
+    params,
+  );
+
+  const reports = new Map();
+  for (const row of result.rows) {
+    if (!reports.has(row.currency)) {
+      reports.set(row.currency, {
+        currency: row.currency,
+        accounts: [],
+        totalDebit: 0,
+        totalCredit: 0,
+      });
+    }
+    const report = reports.get(row.currency);
+    const debit = parseFloat(row.debit);
+    const credit = parseFloat(row.credit);
+    const { type, normal } = ACCOUNTS[row.account];
+
+    report.accounts.push({
+      account: row.account,
+      type,
+      debit,
+      credit,
+      // On the account's normal side — negative if it is on the other
+      balance: roundMoney(
+        normal === "debit" ? debit - credit : credit - debit,
+        row.currency,
+      ),
+    });
+    report.totalDebit = roundMoney(report.totalDebit + debit, row.currency);
+    report.totalCredit = roundMoney(report.totalCredit + credit, row.currency);
+  }
+
+  return [...reports.values()].map((report) => ({
+    ...report,
+    balanced: report.totalDebit === report.totalCredit,
+  }));
+}
+
+module.exports = {
+  JOURNAL_ACCOUNTS: ACCOUNTS,
+  JOURNAL_ENTRY_TYPES: ENTRY_TYPES,
+  postJournalEntry,
+  journalInvoiceIssued,
+  journalInvoiceVoided,
+  journalPayment,
+  journalCreditNote,
+  journalBalanceAdjustment,
+  trialBalance,
+};
@@ -15,6 +15,18 @@
  *     is rejected with 403 — this should never happen in normal flow because
  *     Cognito always includes it, but defense-in-depth matters.
  *
+ *   • SUSPENDED TENANTS: The `custom:tenant_status` claim (set by the
+ *     pre-token-generation trigger) is checked on every request.  A
+ *     `suspended` tenant (e.g. by dunning) can still read, but any write
+ *     method is rejected with 403.  Status changes reach the token on the
+ *     next refresh (≤ 60 min).
+ *
+ *   • FEATURE GATES: The `custom:features` claim (plan features + tenant
+ *     overrides, set by pre-token-generation) is parsed into
+ *     `tenant.features`.  `requireFeature` rejects requests from tenants
+ *     whose plan lacks the feature with 403.  A malformed claim grants
+ *     nothing.
+ *
  *   • SCHEMA VALIDATION: Uses `ajv` with JSON Schema draft-07.  Schemas are
  *     loaded from SSM parameters on cold start and cached.  Invalid bodies
  *     return 400 with field-level error details.
@@ -41,6 +53,21 @@ class AppError extends Error {
   }
 }
 
+/**
+ * Parse the JSON-encoded `custom:features` claim.  Missing or malformed
+ * claims yield no features.
+ */
+function parseFeaturesClaim(value) {
+  if (!value) return {};
+  if (typeof value === "object") return value;
+  try {
+    const features = JSON.parse(value);
+    return features && typeof features === "object" ? features : {};
+  } catch {
+    return {};
+  }
+}
+
 /**
  * Extract tenant context from API Gateway JWT authorizer claims.
  */
@@ -75,9 +102,13 @@ function extractTenantContext(event) {
     email: claims.email,
     groups,
     isAdmin: groups.includes("ADMIN"),
+    tenantStatus: claims["custom:tenant_status"] || "active",
+    features: parseFeaturesClaim(claims["custom:features"]),
   };
 }
 
+const READ_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
 /**
  * Parse and validate request body against a JSON Schema.
  * Returns the parsed body or throws AppError(400).
@@ -125,6 +156,28 @@ function jsonResponse(statusCode, body) {
   };
 }
 
+/**
+ * Build a binary response (e.g. a PDF document).  API Gateway decodes the
+ * base64 body before returning it to the client.
+ */
+function binaryResponse(statusCode, buffer, { contentType, filename } = {}) {
+  const headers = {
+    "Content-Type": contentType || "application/octet-stream",
+    "X-Content-Type-Options": "nosniff",
+    "Cache-Control": "no-store",
+  };
+  if (filename) {
+    headers["Content-Disposition"] = `attachment; filename="${filename}"`;
+  }
+
+  return {
+    statusCode,
+    headers,
+    body: buffer.toString("base64"),
+    isBase64Encoded: true,
+  };
+}
+
 /**
  * Middleware wrapper for Lambda handlers.
  *
@@ -136,6 +189,8 @@ function jsonResponse(statusCode, body) {
  *
  * Options:
  *   - requireAdmin: boolean — reject non-ADMIN users with 403
+ *   - requireFeature: string — reject tenants whose plan lacks this feature
+ *     flag (e.g. "invoiceExport") with 403
  *   - schemaName: string — SSM schema key for body validation
  *   - requireBody: boolean — reject if body is missing (default: true for POST/PUT)
  */
@@ -162,9 +217,30 @@ function withMiddleware(handler, options = {}) {
         throw new AppError(403, "This operation requires ADMIN role");
       }
 
+      // ── Plan feature gate ───────────────────────────────────────────── //
+      if (options.requireFeature && !tenant.features[options.requireFeature]) {
+        throw new AppError(
+          403,
+          `Your plan does not include ${options.requireFeature}`,
+          {
+            feature: options.requireFeature,
+            hint: "Upgrade your plan — features reach your token on the next sign-in or refresh",
+          },
+        );
+      }
+
+      // ── Suspended tenants are read-only ─────────────────────────────── //
+      const method = event.requestContext?.http?.method;
+      if (tenant.tenantStatus === "suspended" && !READ_METHODS.has(method)) {
+        throw new AppError(
+          403,
+          "Tenant is suspended — settle outstanding invoices to restore access",
+          { tenantStatus: tenant.tenantStatus },
+        );
+      }
+
       // ── Body parsing + validation ───────────────────────────────────── //
       let body = null;
-      const method = event.requestContext?.http?.method;
       const needsBody =
         options.requireBody ?? ["POST", "PUT", "PATCH"].includes(method);
 
@@ -175,11 +251,15 @@ function withMiddleware(handler, options = {}) {
       // ── Query parameters ────────────────────────────────────────────── //
       const queryParams = event.queryStringParameters || {};
 
+      // ── Path parameters (e.g. {id} in /v1/subscriptions/{id}/cancel) ── //
+      const pathParams = event.pathParameters || {};
+
       // ── Execute handler ─────────────────────────────────────────────── //
       const result = await handler(event, context, {
         tenant,
         body,
         queryParams,
+        pathParams,
         logger,
         requestId,
       });
@@ -220,6 +300,7 @@ module.exports = {
   AppError,
   withMiddleware,
   jsonResponse,
+  binaryResponse,
   extractTenantContext,
   parseAndValidateBody,
 };
@@ -0,0 +1,241 @@
+/**
+ * Document numbering — gapless per-tenant series
+ * ────────────────────────────────────────────────────────────────────────────
+ * Invoices and credit notes are numbered in their own series per tenant
+ * (`number_sequences`, migrations/019 and 020).  nextNumber increments the
+ * series row in the caller's transaction:
+ *
+ *   • the row stays locked until that transaction ends, so concurrent
+ *     writers of the same series take numbers one after the other;
+ *   • a rollback undoes the increment, so a number is only used up by a
+ *     document that was actually written — the series has no gaps.
+ *
+ * Postgres sequences are NOT used: nextval() is never rolled back.
+ *
+ * Formats (tenants.settings.invoiceNumbering / creditNoteNumbering):
+ *
+ *   { "prefix": "ACME", "format": "{prefix}-{year}-{seq:6}",
+ *     "yearlyReset": true }
+ *
+ *   {prefix}   the prefix (default INV / CN)
+ *   {year}     issue year, UTC (2026); {yy} two digits (26)
+ *   {month}    issue month, two digits (01–12)
+ *   {seq}      the sequence number; {seq:N} zero-padded to N digits
+ *
+ * With `yearlyReset` the sequence restarts at 1 every calendar year (UTC),
+ * so the format must contain {year} or {yy} to keep numbers unique.
+ * Without it a format change continues the existing count.
+ *
+ * A changed configuration can render numbers that were already issued —
+ * toggling `yearlyReset` switches to another period's count, a new prefix
+ * or format can overlap the old one.  nextDocumentNumber skips a number the
+ * tenant already has, so the document takes the next free one instead of
+ * failing on the unique constraint (and being retried into the DLQ).  The
+ * skipped values are numbers that exist, so the series still has no gaps.
+ */
+
+const { AppError } = require("./middleware");
+const { parseJsonColumn } = require("./subscriptions");
+
+const SERIES = {
+  invoice: {
+    settingsKey: "invoiceNumbering",
+    prefix: "INV",
+    table: "invoices",
+    column: "invoice_number",
+  },
+  credit_note: {
+    settingsKey: "creditNoteNumbering",
+    prefix: "CN",
+    table: "credit_notes",
+    column: "credit_note_number",
+  },
+};
+
+const DEFAULT_FORMAT = "{prefix}-{seq:6}";
+// invoices.invoice_number / credit_notes.credit_note_number are VARCHAR(50)
+const MAX_NUMBER_LENGTH = 50;
+
+const TOKEN = /\{(prefix|year|yy|month|seq(?::(\d{1,2}))?)\}/g;
+const PREFIX = /^[A-Za-z0-9][A-Za-z0-9_./-]{0,19}$/;
+const LITERAL = /^[A-Za-z0-9 _./#-]*$/;
+
+/**
+ * Take the next number of a tenant's series (1 for the first).
+ *
+ * @param {import('pg').PoolClient} client - Client with an open transaction
+ *   (tenant-scoped, or a system transaction)
+ * @param {string} tenantId
+ * @param {string} series - e.g. "invoice"
+ * @param {string} [period] - counting period, e.g. "2026" for a yearly
+ *   reset; "" counts forever
+ * @returns {Promise<number>}
+ */
+async function nextNumber(client, tenantId, series, period = "") {
+  const result = await client.query(
+    `INSERT INTO number_sequences (tenant_id, series, period, last_value)
+     VALUES ($1, $2, $3, 1)
+     ON CONFLICT (tenant_id, series, period)
+       DO UPDATE SET last_value = number_sequences.last_value + 1,
+                     updated_at = NOW()
+     RETURNING last_value`,
+    [tenantId, series, period],
+  );
+
+  return parseInt(result.rows[0].last_value, 10);
+}
+
+/**
+ * Render a number format.
+ *
+ * @param {string} format - e.g. "{prefix}-{year}-{seq:6}"
+ * @param {{prefix: string, seq: number, date: Date}} values
+ */
+function renderNumber(format, { prefix, seq, date }) {
+  const year = String(date.getUTCFullYear());
+  return format.replace(TOKEN, (token, name, digits) => {
+    if (name === "prefix") return prefix;
+    if (name === "year") return year;
+    if (name === "yy") return year.slice(-2);
+    if (name === "month") {
+      return String(date.getUTCMonth() + 1).padStart(2, "0");
+    }
+    return String(seq).padStart(digits ? parseInt(digits, 10) : 0, "0");
+  });
+}
+
+/**
+ * Problems with a numbering configuration, empty when it is valid.
+ *
+ * @param {Object} config - { prefix, format, yearlyReset }
+ * @returns {string[]}
+ */
+function numberingConfigErrors(config) {
+  const errors = [];
+  if (typeof config !== "object" || config === null || Array.isArray(config)) {
+    return ["must be an object"];
+  }
+
+  const { prefix, format = DEFAULT_FORMAT, yearlyReset = false } = config;
+
+  if (prefix !== undefined && !PREFIX.test(String(prefix))) {
+    errors.push("prefix must be 1–20 letters, digits, '_', '.', '/' or '-'");
+  }
+  if (typeof yearlyReset !== "boolean") {
+    errors.push("yearlyReset must be a boolean");
+  }
+  if (typeof format !== "string") {
+    errors.push("format must be a string");
+    return errors;
+  }
+
+  const tokens = [...format.matchAll(TOKEN)].map((match) => match[1]);
+  const seqTokens = tokens.filter((token) => token.startsWith("seq"));
+  if (seqTokens.length !== 1) {
+    errors.push("format must contain {seq} (or {seq:N}) exactly once");
+  }
+  if (!LITERAL.test(format.replace(TOKEN, ""))) {
+    errors.push(
+      "format may only contain tokens, letters, digits, spaces and _ . / # -",
+    );
+  }
+  const hasYear = tokens.includes("year") || tokens.includes("yy");
+  if (yearlyReset === true && !hasYear) {
+    errors.push("format must contain {year} or {yy} when yearlyReset is set");
+  }
+
+  const longest = renderNumber(format, {
+    prefix: prefix || "X".repeat(20),
+    seq: 999999999,
+    date: new Date(),
+  });
+  if (longest.length > MAX_NUMBER_LENGTH) {
+    errors.push(
+      `format renders numbers longer than ${MAX_NUMBER_LENGTH} characters`,
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a numbering configuration from an API request.
+ *
+ * @throws {AppError} 400 listing the problems
+ */
+function validateNumberingConfig(config, field = "invoice_numbering") {
+  const errors = numberingConfigErrors(config);
+  if (errors.length > 0) {
+    throw new AppError(400, `Invalid ${field}`, { errors });
+  }
+}
+
+/**
+ * A tenant's configuration for a series, with defaults.  A configuration
+ * that is no longer valid falls back to the default format — numbering
+ * never blocks an invoice.
+ */
+function getNumberingConfig(tenantSettings, series) {
+  const { settingsKey, prefix } = SERIES[series];
+  const config = parseJsonColumn(tenantSettings)[settingsKey];
+  if (!config || numberingConfigErrors(config).length > 0) {
+    return { prefix, format: DEFAULT_FORMAT, yearlyReset: false };
+  }
+  return {
+    prefix: config.prefix || prefix,
+    format: config.format || DEFAULT_FORMAT,
+    yearlyReset: config.yearlyReset === true,
+  };
+}
+
+/**
+ * Number a new document: take the next value of the tenant's series and
+ * render it in the tenant's format, skipping numbers the tenant already has
+ * (after a configuration change).
+ *
+ * @param {import('pg').PoolClient} client - Client with an open transaction;
+ *   the document must be written in it
+ * @param {string} tenantId
+ * @param {string} series - "invoice" | "credit_note"
+ * @param {Object} [options]
+ * @param {Date} [options.date] - issue date ({year}, {month}, yearly reset)
+ * @returns {Promise<string>} e.g. "INV-2026-000042"
+ */
+async function nextDocumentNumber(
+  client,
+  tenantId,
+  series,
+  { date = new Date() } = {},
+) {
+  const tenantResult = await client.query(
+    `SELECT settings FROM tenants WHERE id = $1`,
+    [tenantId],
+  );
+  const config = getNumberingConfig(tenantResult.rows[0]?.settings, series);
+  const period = config.yearlyReset ? String(date.getUTCFullYear()) : "";
+  const { table, column } = SERIES[series];
+
+  for (;;) {
+    const seq = await nextNumber(client, tenantId, series, period);
+    const number = renderNumber(config.format, {
+      prefix: config.prefix,
+      seq,
+      date,
+    });
+
+    const taken = await client.query(
+      `SELECT 1 FROM ${table} WHERE tenant_id = $1 AND ${column} = $2`,
+      [tenantId, number],
+    );
+    if (taken.rows.length === 0) return number;
+  }
+}
+
+module.exports = {
+  NUMBERING_SERIES: Object.keys(SERIES),
+  nextNumber,
+  renderNumber,
+  validateNumberingConfig,
+  getNumberingConfig,
+  nextDocumentNumber,
+};
@@ -0,0 +1,136 @@
+/**
+ * Transactional Outbox — reliable event publishing from background jobs
+ * ────────────────────────────────────────────────────────────────────────────
+ * Design decisions:
+ *
+ *   • WHY AN OUTBOX:
+ *     A job that updates a row and THEN publishes to SNS can crash between
+ *     the two steps — the state change is committed but the event is lost
+ *     (e.g. a trial converts to active but no first invoice is generated).
+ *     Instead, the event is INSERTed into `event_outbox` in the SAME
+ *     transaction as the state change.  Either both commit or neither does.
+ *
+ *   • PUBLISHING:
+ *     `flushOutbox()` publishes unpublished rows to SNS and stamps
+ *     `published_at`.  Rows left behind by a crashed run are picked up by
+ *     the next flush (any job's).  Rows are claimed with
+ *     FOR UPDATE SKIP LOCKED so concurrent flushes never publish the same
+ *     row at the same time.
+ *
+ *   • AT-LEAST-ONCE:
+ *     A crash after SNS accepts a message but before `published_at` is
+ *     committed republishes it.  Consumers must stay idempotent on business
+ *     keys, not just on SQS messageId.
+ *
+ *   • DEDUPE KEYS:
+ *     An optional `dedupeKey` is UNIQUE.  Enqueueing the same key twice is
+ *     a no-op, which gives "send once" semantics for notifications such as
+ *     "your trial ends in 3 days" even when the job runs every hour.
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const { withSystemTransaction } = require("./db");
+const { publishEvent } = require("./events");
+
+const DEFAULT_FLUSH_BATCH = 50;
+
+/**
+ * Enqueue an event inside the caller's transaction.
+ *
+ * @param {import('pg').PoolClient} client - Client with an open transaction
+ * @param {string} eventType - e.g., "subscription.trial_converted"
+ * @param {Object} payload   - Event body; must include `tenantId`
+ * @param {Object} [options]
+ * @param {string} [options.dedupeKey] - Enqueue at most once per key
+ * @returns {Promise<boolean>} true if enqueued, false if the key existed
+ */
+async function enqueueEvent(client, eventType, payload, options = {}) {
+  const result = await client.query(
+    `INSERT INTO event_outbox (id, event_type, tenant_id, payload, dedupe_key)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (dedupe_key) DO NOTHING
+     RETURNING id`,
+    [
+      uuidv4(),
+      eventType,
+      payload.tenantId,
+      JSON.stringify(payload),
+      options.dedupeKey || null,
+    ],
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Publish pending outbox rows to SNS, oldest first.
+ *
+ * A row that fails to publish is logged and left pending for the next
+ * flush; it does not block the rest of the batch.
+ *
+ * @returns {Promise<{ published: number, failed: number }>}
+ */
+async function flushOutbox(logger, { batchSize = DEFAULT_FLUSH_BATCH } = {}) {
+  let published = 0;
+  let failed = 0;
+
+  for (;;) {
+    const batch = await withSystemTransaction(async (client) => {
+      const pending = await client.query(
+        `SELECT id, event_type, payload FROM event_outbox
+         WHERE published_at IS NULL
+         ORDER BY created_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED`,
+        [batchSize],
+      );
+
+      let batchFailed = 0;
+
+      for (const row of pending.rows) {
+        const payload =
+          typeof row.payload === "string" ? JSON.parse(row.payload) : row.payload;
+
+        try {
+          const message = await publishEvent(
+            row.event_type,
+            { ...payload, eventId: row.id },
+            logger,
+          );
+          if (!message) {
+            batchFailed++;
+            continue;
+          }
+
+          await client.query(
+            `UPDATE event_outbox SET published_at = NOW() WHERE id = $1`,
+            [row.id],
+          );
+          published++;
+        } catch (err) {
+          batchFailed++;
+          logger.error("Failed to publish outbox event", {
+            outboxId: row.id,
+            eventType: row.event_type,
+            error: err,
+          });
+        }
+      }
+
+      failed += batchFailed;
+      return { size: pending.rows.length, failed: batchFailed };
+    });
+
+    // Stop on a short batch, or when nothing in the batch could be
+    // published (retrying now would just fail again)
+    if (batch.size < batchSize || batch.failed === batch.size) break;
+  }
+
+  if (published > 0 || failed > 0) {
+    logger.info("Outbox flushed", { published, failed });
+  }
+
+  return { published, failed };
+}
+
+module.exports = { enqueueEvent, flushOutbox };
@@ -0,0 +1,124 @@
+/**
+ * Keyset pagination for list endpoints
+ * ────────────────────────────────────────────────────────────────────────────
+ * Lists are ordered newest first by `(created_at, id)` and paged with an
+ * opaque cursor — the position of the last row returned — instead of
+ * OFFSET, so deep pages stay fast and rows inserted meanwhile do not shift
+ * pages.
+ *
+ *   1. `parseListParams()` validates `limit`, `cursor`, `from` and `to`.
+ *   2. The handler adds `cursorCondition()` to its WHERE clause, orders by
+ *      `created_at DESC, id DESC` and fetches `limit + 1` rows.
+ *   3. `paginate()` trims the extra row and builds the `pagination` block
+ *      (`nextCursor` for `?cursor=`).
+ */
+
+const { AppError } = require("./middleware");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Decode an opaque Base64 cursor into { createdAt, id }.
+ */
+function decodeCursor(cursor) {
+  try {
+    const decoded = Buffer.from(cursor, "base64url").toString("utf-8");
+    const parsed = JSON.parse(decoded);
+    if (!parsed.createdAt || !parsed.id) throw new Error("Invalid cursor");
+    return parsed;
+  } catch {
+    throw new AppError(400, "Invalid pagination cursor");
+  }
+}
+
+/**
+ * Encode { createdAt, id } into an opaque Base64 cursor.
+ */
+function encodeCursor(row) {
+  return Buffer.from(
+    JSON.stringify({
+      createdAt: row.created_at,
+      id: row.id,
+    }),
+  ).toString("base64url");
+}
+
+/**
+ * Validate the `from` / `to` date filters.
+ *
+ * @returns {{from: string|undefined, to: string|undefined}} dates as given
+ * @throws {AppError} 400 for a bad date
+ */
+function parseDateRange({ from, to }) {
+  if (from && isNaN(Date.parse(from))) {
+    throw new AppError(400, 'Invalid "from" date — use ISO 8601 format');
+  }
+  if (to && isNaN(Date.parse(to))) {
+    throw new AppError(400, 'Invalid "to" date — use ISO 8601 format');
+  }
+
+  return { from, to };
+}
+
+/**
+ * Validate the common list query parameters.
+ *
+ * @returns {{limit: number, cursor: Object|null, from: string|undefined,
+ *   to: string|undefined}} cursor decoded, dates as given
+ * @throws {AppError} 400 for a bad cursor or date
+ */
+function parseListParams(queryParams) {
+  let limit = parseInt(queryParams.limit, 10) || DEFAULT_LIMIT;
+  limit = Math.min(Math.max(limit, 1), MAX_LIMIT);
+
+  const { from, to } = parseDateRange(queryParams);
+
+  return {
+    limit,
+    cursor: queryParams.cursor ? decodeCursor(queryParams.cursor) : null,
+    from,
+    to,
+  };
+}
+
+/**
+ * WHERE fragment for rows after the cursor, using placeholders starting at
+ * `paramIndex` (two parameters: pushed onto `params`).
+ */
+function cursorCondition(cursor, params, paramIndex) {
+  params.push(cursor.createdAt, cursor.id);
+  return `(created_at, id) < ($${paramIndex}, $${paramIndex + 1})`;
+}
+
+/**
+ * Trim the look-ahead row fetched with `LIMIT limit + 1`.
+ *
+ * @returns {{rows: Object[], pagination: Object}}
+ */
+function paginate(rows, limit) {
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  const nextCursor = hasMore ? encodeCursor(page[page.length - 1]) : null;
+
+  return {
+    rows: page,
+    pagination: {
+      limit,
+      count: page.length,
+      hasMore,
+      ...(nextCursor && { nextCursor }),
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  decodeCursor,
+  encodeCursor,
+  parseDateRange,
+  parseListParams,
+  cursorCondition,
+  paginate,
+};
@@ -0,0 +1,201 @@
+/**
+ * Payment terms — when an invoice is due
+ * ────────────────────────────────────────────────────────────────────────────
+ * Terms are counted from the day an invoice is issued:
+ *
+ *   { "type": "due_on_receipt" }              due when issued
+ *   { "type": "net", "days": 30 }             15, 30 or 60 days later
+ *   { "type": "end_of_month", "days": 10 }    N days (0–90) after the last
+ *                                             day of the month of issue
+ *
+ * The terms an invoice is issued under are, in order:
+ *
+ *   1. the subscription's override (`subscriptions.payment_terms`);
+ *   2. the tenant's `settings.paymentTerms` (see shared/tenants);
+ *   3. DEFAULT_PAYMENT_TERMS — net 30.
+ *
+ * The invoice records them (`invoices.payment_terms`, migrations/023), so
+ * changing the terms later never moves the due date of an issued invoice.
+ * Only charges get terms: a credit has nothing to collect.
+ *
+ * End of month counts in UTC, like the billing periods: an invoice issued
+ * on 14 March under "end of month + 10" is due on 10 April.
+ */
+
+const { AppError } = require("./middleware");
+const { parseJsonColumn } = require("./subscriptions");
+
+const PAYMENT_TERM_TYPES = ["due_on_receipt", "net", "end_of_month"];
+const NET_DAYS = [15, 30, 60];
+const MAX_END_OF_MONTH_DAYS = 90;
+const DEFAULT_PAYMENT_TERMS = Object.freeze({ type: "net", days: 30 });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validation errors of a terms object — empty when valid.
+ */
+function paymentTermsErrors(terms) {
+  if (!terms || typeof terms !== "object" || Array.isArray(terms)) {
+    return ["must be an object"];
+  }
+  if (!PAYMENT_TERM_TYPES.includes(terms.type)) {
+    return [`type must be one of ${PAYMENT_TERM_TYPES.join(", ")}`];
+  }
+
+  const { type, days } = terms;
+  if (type === "due_on_receipt" && days !== undefined && days !== 0) {
+    return ["days is not allowed for due_on_receipt"];
+  }
+  if (type === "net" && !NET_DAYS.includes(days)) {
+    return [`days must be one of ${NET_DAYS.join(", ")} for net terms`];
+  }
+  if (
+    type === "end_of_month" &&
+    days !== undefined &&
+    !(Number.isInteger(days) && days >= 0 && days <= MAX_END_OF_MONTH_DAYS)
+  ) {
+    return [
+      `days must be from 0 to ${MAX_END_OF_MONTH_DAYS} for end_of_month terms`,
+    ];
+  }
+  return [];
+}
+
+/**
+ * Validate terms and return them in their stored shape, `{ type, days }`.
+ *
+ * @param {Object} terms - e.g. { type: "net", days: 15 }
+ * @param {string} field - request field, for the error message
+ * @returns {{type: string, days: number}}
+ * @throws {AppError} 400 with the list of problems
+ */
+function normalizePaymentTerms(terms, field = "payment_terms") {
+  const errors = paymentTermsErrors(terms);
+  if (errors.length > 0) {
+    throw new AppError(400, `Invalid ${field}`, { errors });
+  }
+  return {
+    type: terms.type,
+    days: terms.type === "due_on_receipt" ? 0 : terms.days || 0,
+  };
+}
+
+/**
+ * Stored terms (JSONB column or settings value) → `{ type, days }`, or
+ * null when unset.  Terms that are no longer valid count as unset — payment
+ * terms never block an invoice.
+ */
+function parsePaymentTerms(value) {
+  if (value === null || value === undefined) return null;
+  const terms = parseJsonColumn(value, null);
+  return paymentTermsErrors(terms).length === 0
+    ? normalizePaymentTerms(terms)
+    : null;
+}
+
+/**
+ * The terms in force: the subscription's override, else the tenant's,
+ * else the default.
+ *
+ * @param {Object|string} tenantSettings - tenants.settings
+ * @param {Object|string} [subscriptionTerms] - subscriptions.payment_terms
+ * @returns {{type: string, days: number}}
+ */
+function getPaymentTerms(tenantSettings, subscriptionTerms = null) {
+  return (
+    parsePaymentTerms(subscriptionTerms) ||
+    parsePaymentTerms(parseJsonColumn(tenantSettings).paymentTerms) || {
+      ...DEFAULT_PAYMENT_TERMS,
+    }
+  );
+}
+
+/**
+ * Due date of an invoice issued at `issuedAt` under `terms`.  The time of
+ * day of the issue is kept.
+ *
+ * @returns {Date}
+ */
+function calculateDueDate(terms, issuedAt = new Date()) {
+  switch (terms.type) {
+    case "due_on_receipt":
+      return new Date(issuedAt.getTime());
+    case "net":
+      return new Date(issuedAt.getTime() + terms.days * DAY_MS);
+    case "end_of_month": {
+      // Day 0 of the next month is the last day of this one
+      const endOfMonth = Date.UTC(
+        issuedAt.getUTCFullYear(),
+        issuedAt.getUTCMonth() + 1,
+        0,
+        issuedAt.getUTCHours(),
+        issuedAt.getUTCMinutes(),
+        issuedAt.getUTCSeconds(),
+        issuedAt.getUTCMilliseconds(),
+      );
+      return new Date(endOfMonth + terms.days * DAY_MS);
+    }
+    default:
+      throw new Error(`Unknown payment terms: ${terms.type}`);
+  }
+}
+
+/**
+ * Human-readable terms for invoice documents, e.g. "Net 30".
+ */
+function describePaymentTerms(terms) {
+  switch (terms.type) {
+    case "due_on_receipt":
+      return "Due on receipt";
+    case "net":
+      return `Net ${terms.days}`;
+    case "end_of_month":
+      return terms.days > 0
+        ? `End of month + ${terms.days} days`
+        : "End of month";
+    default:
+      return terms.type;
+  }
+}
+
+/**
+ * Terms and due date for a new charge of a subscription.
+ *
+ * @param {import('pg').PoolClient} client - Client with an open transaction
+ *   (tenant-scoped, or a system transaction)
+ * @param {string} tenantId
+ * @param {string|null} subscriptionId
+ * @param {Date} [issuedAt]
+ * @returns {Promise<{paymentTerms: {type: string, days: number},
+ *   dueDate: Date}>}
+ */
+async function resolvePaymentTerms(
+  client,
+  tenantId,
+  subscriptionId,
+  issuedAt = new Date(),
+) {
+  const result = await client.query(
+    `SELECT t.settings, s.payment_terms
+     FROM tenants t
+     LEFT JOIN subscriptions s ON s.id = $2 AND s.tenant_id = t.id
+     WHERE t.id = $1`,
+    [tenantId, subscriptionId],
+  );
+  const row = result.rows[0] || {};
+  const paymentTerms = getPaymentTerms(row.settings, row.payment_terms);
+
+  return { paymentTerms, dueDate: calculateDueDate(paymentTerms, issuedAt) };
+}
+
+module.exports = {
+  PAYMENT_TERM_TYPES,
+  DEFAULT_PAYMENT_TERMS,
+  normalizePaymentTerms,
+  parsePaymentTerms,
+  getPaymentTerms,
+  calculateDueDate,
+  describePaymentTerms,
+  resolvePaymentTerms,
+};
@@ -0,0 +1,222 @@
+/**
+ * Payments
+ * ────────────────────────────────────────────────────────────────────────────
+ * Money received against an invoice (migrations/024_payments.sql).  A
+ * payment is recorded in the invoice's currency and split on receipt:
+ *
+ *   • applied     — settles what is still due on the invoice
+ *                   (`invoices.amount_paid`);
+ *   • overpayment — anything beyond the amount due, credited to the
+ *                   tenant's balance (shared/customer-balance).
+ *
+ * The amount due is the total less credit notes (`credited_amount`), the
+ * customer balance applied on issue (`balance_applied`) and payments
+ * (`amount_paid`).  Partial payments leave
+ * the invoice open (`issued`, `overdue` or `uncollectible`); the payment
+ * that brings the amount due to zero settles it — `paid`, with that
+ * payment's date and reference (shared/invoice-lifecycle, "invoice.paid").
+ *
+ * Payments are immutable.  They are recorded by POST
+ * /v1/invoices/{id}/payments and POST /v1/invoices/{id}/mark-paid (the
+ * whole amount due).
+ */
+
+const { AppError } = require("./middleware");
+const { queryWithTenant } = require("./db");
+const { roundMoney, normalizeCurrency } = require("./currency");
+const { transitionInvoice } = require("./invoice-lifecycle");
+const { recordBalanceTransaction } = require("./customer-balance");
+const { journalPayment } = require("./journal");
+
+const PAYMENT_METHODS = ["bank_transfer", "card", "check", "cash", "other"];
+
+// Statuses that can move to `paid` (shared/invoice-lifecycle)
+const PAYABLE_STATUSES = ["issued", "overdue", "uncollectible"];
+
+/**
+ * What is still to be paid on an open invoice: total − credits − balance
+ * applied − payments.
+ */
+function invoiceBalance(invoice) {
+  return Math.max(
+    0,
+    roundMoney(
+      parseFloat(invoice.amount) -
+        parseFloat(invoice.credited_amount ?? 0) -
+        parseFloat(invoice.balance_applied ?? 0) -
+        parseFloat(invoice.amount_paid ?? 0),
+      invoice.currency,
+    ),
+  );
+}
+
+/**
+ * Record a payment against an invoice and settle the invoice when nothing
+ * is left to pay.  An overpayment is credited to the tenant's balance.
+ * The payment is journaled (shared/journal).
+ *
+ * @param {import('pg').PoolClient} client - Client with an open transaction
+ *   (system transaction — ADMIN acts on any tenant's invoice)
+ * @param {string} invoiceId
+ * @param {Object} request
+ * @param {number} [request.amount] - default: the whole amount due
+ * @param {string} [request.currency] - must be the invoice's currency
+ * @param {string} [request.method] - PAYMENT_METHODS, default "other"
+ * @param {string} [request.reference] - e.g. bank transaction ID
+ * @param {Date} [request.paidAt] - when the money arrived; default now
+ * @param {string} [request.recordedBy] - Cognito sub of the admin
+ * @returns {Promise<{payment: Object|null, invoice: Object,
+ *   settled: Object|null}>} payments row (null when nothing was due and no
+ *   amount given), the invoice after the payment, and the transitionInvoice
+ *   result when the payment settled the invoice
+ * @throws {AppError} 404 unknown invoice, 400 invalid amount or currency,
+ *   409 invoice cannot be paid
+ */
+async function recordPayment(client, invoiceId, request) {
+  const existing = await client.query(
+    `SELECT * FROM invoices WHERE id = $1 FOR UPDATE`,
+    [invoiceId],
+  );
+  if (existing.rows.length === 0) {
+    throw new AppError(404, "Invoice not found");
+  }
+
+  const invoice = existing.rows[0];
+  const { currency } = invoice;
+
+  if (!PAYABLE_STATUSES.includes(invoice.status)) {
+    throw new AppError(
+      409,
+      `Cannot record a payment for an invoice that is ${invoice.status}`,
+      { currentStatus: invoice.status },
+    );
+  }
+  if (request.currency && normalizeCurrency(request.currency) !== currency) {
+    throw new AppError(400, "Payment currency must be the invoice's currency", {
+      invoiceCurrency: currency,
+    });
+  }
+
+  const due = invoiceBalance(invoice);
+  const amount = request.amount === undefined ? due : request.amount;
+  if (request.amount !== undefined && roundMoney(amount, currency) !== amount) {
+    throw new AppError(
+      400,
+      `amount has more decimals than ${currency.toUpperCase()} allows`,
+      { amount },
+    );
+  }
+
+  const applied = Math.min(amount, due);
+  const overpayment = roundMoney(amount - applied, currency);
+  const paidAt = request.paidAt || new Date();
+
+  let payment = null;
+  let after = invoice;
+  if (amount > 0) {
+    const inserted = await client.query(
+      `INSERT INTO payments
+         (tenant_id, invoice_id, currency, amount, applied_amount,
+          overpayment_amount, method, reference, paid_at, recorded_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        invoice.tenant_id,
+        invoiceId,
+        currency,
+        amount,
+        applied,
+        overpayment,
+        request.method || "other",
+        request.reference || null,
+        paidAt.toISOString(),
+        request.recordedBy || null,
+      ],
+    );
+    payment = { ...inserted.rows[0], invoice_number: invoice.invoice_number };
+    await journalPayment(client, payment);
+
+    if (overpayment > 0) {
+      await recordBalanceTransaction(client, {
+        tenantId: invoice.tenant_id,
+        currency,
+        amount: overpayment,
+        reason: "overpayment",
+        description: `Overpayment of ${invoice.invoice_number}`,
+        invoiceId,
+        paymentId: payment.id,
+        createdBy: request.recordedBy,
+      });
+    }
+
+    if (applied > 0) {
+      const updated = await client.query(
+        `UPDATE invoices SET amount_paid = amount_paid + $2
+         WHERE id = $1
+         RETURNING *`,
+        [invoiceId, applied],
+      );
+      after = updated.rows[0];
+    }
+  }
+
+  let settled = null;
+  if (applied === due) {
+    settled = await transitionInvoice(client, invoiceId, "mark_paid", {
+      paidAt,
+      paymentReference: request.reference,
+    });
+    after = settled.after;
+  }
+
+  return { payment, invoice: after, settled };
+}
+
+// ── API representation ─────────────────────────────────────────────────── //
+
+/**
+ * Map a `payments` row (with the invoice's `invoice_number`) to its API
+ * representation.
+ */
+function formatPayment(row) {
+  return {
+    id: row.id,
+    invoiceId: row.invoice_id,
+    invoiceNumber: row.invoice_number || null,
+    currency: row.currency,
+    amount: parseFloat(row.amount),
+    // Where the amount went: the invoice, or the tenant's balance
+    appliedAmount: parseFloat(row.applied_amount),
+    overpaymentAmount: parseFloat(row.overpayment_amount),
+    method: row.method,
+    reference: row.reference || null,
+    paidAt: row.paid_at,
+    recordedBy: row.recorded_by || null,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * The payments received for one of the tenant's invoices, oldest first.
+ */
+async function listInvoicePayments(tenantId, invoiceId) {
+  const result = await queryWithTenant(
+    tenantId,
+    `SELECT p.*, i.invoice_number
+     FROM payments p
+     JOIN invoices i ON i.id = p.invoice_id
+     WHERE p.invoice_id = $1 AND p.tenant_id = $2
+     ORDER BY p.paid_at, p.id`,
+    [invoiceId, tenantId],
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  invoiceBalance,
+  recordPayment,
+  formatPayment,
+  listInvoicePayments,
+};
@@ -0,0 +1,365 @@
+/**
+ * Plan Catalog & Billing Cycles
+ * ────────────────────────────────────────────────────────────────────────────
+ * Single source for plans, prices and the billing cycles they are priced
+ * for, shared by every handler that creates or changes a subscription and
+ * by the pre-token-generation trigger (features in the JWT).  Period dates
+ * for a cycle are computed by shared/billing-period.
+ *
+ * Catalog (migrations/008_plan_catalog.sql):
+ *   • `plans` holds the plan key, name, status and `current_version`.
+ *   • `plan_versions` holds trial length, limits, feature flags and whether
+ *     prices include tax (`tax_behavior`, shared/tax) — never edited in
+ *     place.  A subscription records the version it was priced
+ *     from (`subscriptions.plan_version`) and keeps it until it changes plan.
+ *   • `plan_prices` holds one explicit price per billing cycle and currency.
+ *     Cycle discounts and exchange rates are baked into those prices, not
+ *     computed here — a plan is only offered in the currencies it lists.
+ *   • `plan_usage_rates` holds the metered usage pricing per event type and
+ *     currency — included quantity and overage rate (shared/usage).
+ *
+ * Caching:
+ *   Plans are read on every subscription write and every token issue, but
+ *   change rarely.  Lookups are cached per container for PLAN_CACHE_TTL_MS,
+ *   so an admin change reaches every Lambda within a minute.  A lookup made
+ *   inside a transaction passes its client, so a cache miss is read there
+ *   rather than on a second pool connection.
+ */
+
+const { AppError } = require("./middleware");
+const { querySystem } = require("./db");
+const {
+  DEFAULT_CURRENCY,
+  normalizeCurrency,
+  roundMoney,
+} = require("./currency");
+
+const { USAGE_EVENT_TYPES } = require("./usage");
+const { DEFAULT_TAX_BEHAVIOR } = require("./tax");
+
+const PLAN_CACHE_TTL_MS = 60 * 1000;
+
+// ── Billing cycles ─────────────────────────────────────────────────────── //
+
+const BILLING_CYCLES = {
+  monthly: { months: 1 },
+  quarterly: { months: 3 },
+  annual: { months: 12 },
+};
+
+function getBillingCycle(cycle) {
+  const config = BILLING_CYCLES[cycle];
+  if (!config) {
+    throw new AppError(400, `Invalid billing cycle: ${cycle}`, {
+      validCycles: Object.keys(BILLING_CYCLES),
+    });
+  }
+  return config;
+}
+
+// ── Plan catalog ───────────────────────────────────────────────────────── //
+
+const _planCache = new Map();
+
+/**
+ * Query plans joined with one version each (`version`, or the plan's
+ * current version when null) and that version's prices — on `client` when
+ * given, else as a system query.
+ */
+async function queryPlans(whereSql, params, version = null, client = null) {
+  const query = client
+    ? (text, values) => client.query(text, values)
+    : querySystem;
+  const result = await query(
+    `SELECT p.id, p.name, p.status, p.current_version, p.archived_at,
+            p.created_at, v.version, v.trial_days, v.limits, v.features,
+            v.tax_behavior, v.created_at AS version_created_at,
+            COALESCE(
+              json_agg(
+                json_build_object(
+                  'billingCycle', pp.billing_cycle,
+                  'currency', pp.currency,
+                  'amount', pp.amount
+                ) ORDER BY pp.billing_cycle, pp.currency
+              ) FILTER (WHERE pp.billing_cycle IS NOT NULL),
+              '[]'
+            ) AS prices,
+            (SELECT COALESCE(
+                      json_agg(
+                        json_build_object(
+                          'eventType', r.event_type,
+                          'currency', r.currency,
+                          'includedQuantity', r.included_quantity,
+                          'unitAmount', r.unit_amount
+                        ) ORDER BY r.event_type, r.currency
+                      ),
+                      '[]'
+                    )
+             FROM plan_usage_rates r
+             WHERE r.plan_id = v.plan_id AND r.version = v.version
+            ) AS usage_rates
+     FROM plans p
+     JOIN plan_versions v
+       ON v.plan_id = p.id AND v.version = COALESCE($1, p.current_version)
+     LEFT JOIN plan_prices pp
+       ON pp.plan_id = v.plan_id AND pp.version = v.version
+     ${whereSql}
+     GROUP BY p.id, v.plan_id, v.version
+     ORDER BY p.id`,
+    [version, ...params],
+  );
+
+  return result.rows.map(formatPlan);
+}
+
+/**
+ * Map a joined plan row to its API / in-code representation.
+ */
+function formatPlan(row) {
+  const parse = (value) =>
+    typeof value === "string" ? JSON.parse(value) : value || {};
+
+  return {
+    id: row.id,
+    name: row.name,
+    status: row.status,
+    version: row.version,
+    currentVersion: row.current_version,
+    trialDays: row.trial_days,
+    limits: parse(row.limits),
+    features: parse(row.features),
+    taxBehavior: row.tax_behavior || DEFAULT_TAX_BEHAVIOR,
+    prices: parse(row.prices).map((p) => ({
+      ...p,
+      amount: parseFloat(p.amount),
+    })),
+    usageRates: parse(row.usage_rates || []).map((r) => ({
+      ...r,
+      includedQuantity: parseFloat(r.includedQuantity),
+      unitAmount: parseFloat(r.unitAmount),
+    })),
+    archivedAt: row.archived_at || null,
+    createdAt: row.created_at,
+    versionCreatedAt: row.version_created_at,
+  };
+}
+
+/**
+ * Look up a plan (cached).
+ *
+ * @param {string} planId
+ * @param {Object} [options]
+ * @param {number} [options.version] - Specific version (default: current)
+ * @param {boolean} [options.includeArchived] - Allow archived plans, e.g.
+ *   for existing subscribers (default: false — new subscriptions only)
+ * @param {import('pg').PoolClient} [options.client] - Client with an open
+ *   transaction to read through on a cache miss
+ * @throws {AppError} 400 if the plan/version does not exist or is archived
+ */
+async function getPlan(
+  planId,
+  { version = null, includeArchived = false, client = null } = {},
+) {
+  const cacheKey = `${planId}@${version ?? "current"}`;
+  const cached = _planCache.get(cacheKey);
+
+  let plan;
+  if (cached && cached.expiresAt > Date.now()) {
+    plan = cached.plan;
+  } else {
+    [plan] = await queryPlans("WHERE p.id = $2", [planId], version, client);
+    if (plan) {
+      _planCache.set(cacheKey, { plan, expiresAt: Date.now() + PLAN_CACHE_TTL_MS });
+    }
+  }
+
+  if (!plan) {
+    throw new AppError(400, `Unknown plan: ${planId}`, {
+      ...(version ? { version } : {}),
+      hint: "GET /v1/plans lists available plans",
+    });
+  }
+
+  if (plan.status === "archived" && !includeArchived) {
+    throw new AppError(400, `Plan is archived: ${planId}`, {
+      archivedAt: plan.archivedAt,
+    });
+  }
+
+  return plan;
+}
+
+/**
+ * Drop this container's cached entries for a plan.  Admin handlers call it
+ * after a catalog write so their own response is fresh; other containers
+ * catch up when their entries expire.
+ */
+function invalidatePlan(planId) {
+  for (const key of _planCache.keys()) {
+    if (key.startsWith(`${planId}@`)) _planCache.delete(key);
+  }
+}
+
+/**
+ * List plans at their current version.
+ */
+async function listPlans({ includeArchived = false } = {}) {
+  return includeArchived
+    ? queryPlans("", [])
+    : queryPlans("WHERE p.status = 'active'", []);
+}
+
+/**
+ * Amount billed per period for a plan on a given cycle.
+ *
+ * @throws {AppError} 400 if the plan has no price for that cycle/currency
+ */
+function getPlanPrice(plan, cycle, currency = DEFAULT_CURRENCY) {
+  getBillingCycle(cycle);
+
+  const price = plan.prices.find(
+    (p) => p.billingCycle === cycle && p.currency === currency,
+  );
+  if (!price) {
+    throw new AppError(
+      400,
+      `Plan ${plan.id} is not offered ${cycle} in ${currency.toUpperCase()}`,
+      {
+        availablePrices: plan.prices.map(({ billingCycle, currency: c }) => ({
+          billingCycle,
+          currency: c,
+        })),
+      },
+    );
+  }
+  return price.amount;
+}
+
+/**
+ * Insert one plan version and its prices (admin catalog writes).
+ *
+ * @param {import('pg').PoolClient} client - Client with an open transaction
+ * @param {Object} version
+ * @param {Array<{billing_cycle: string, currency?: string, amount: number}>} version.prices
+ * @param {Array<{event_type: string, currency?: string,
+ *   included_quantity?: number, unit_amount: number}>} [version.usageRates]
+ * @throws {AppError} 400 on an invalid cycle, an unsupported currency, an
+ *   amount finer than the currency's minor unit, a duplicate cycle/currency,
+ *   an unknown usage event type or a duplicate event type/currency
+ */
+async function insertPlanVersion(
+  client,
+  {
+    planId,
+    version,
+    trialDays,
+    limits,
+    features,
+    prices,
+    usageRates = [],
+    taxBehavior = DEFAULT_TAX_BEHAVIOR,
+    createdBy,
+  },
+) {
+  const seen = new Set();
+  const rows = prices.map((price) => {
+    getBillingCycle(price.billing_cycle);
+    const currency = normalizeCurrency(price.currency || DEFAULT_CURRENCY);
+    const key = `${price.billing_cycle}/${currency}`;
+    if (seen.has(key)) {
+      throw new AppError(400, `Duplicate price for ${key}`);
+    }
+    seen.add(key);
+
+    const amount = Number(price.amount);
+    if (roundMoney(amount, currency) !== amount) {
+      throw new AppError(
+        400,
+        `Price ${amount} has more decimals than ${currency.toUpperCase()} allows`,
+        { billingCycle: price.billing_cycle, currency },
+      );
+    }
+    return { billingCycle: price.billing_cycle, currency, amount };
+  });
+
+  const seenRates = new Set();
+  const rateRows = usageRates.map((rate) => {
+    if (!USAGE_EVENT_TYPES.includes(rate.event_type)) {
+      throw new AppError(400, `Invalid usage event type: ${rate.event_type}`, {
+        validEventTypes: USAGE_EVENT_TYPES,
+      });
+    }
+    const currency = normalizeCurrency(rate.currency || DEFAULT_CURRENCY);
+    const key = `${rate.event_type}/${currency}`;
+    if (seenRates.has(key)) {
+      throw new AppError(400, `Duplicate usage rate for ${key}`);
+    }
+    seenRates.add(key);
+
+    return {
+      eventType: rate.event_type,
+      currency,
+      includedQuantity: Number(rate.included_quantity ?? 0),
+      unitAmount: Number(rate.unit_amount),
+    };
+  });
+
+  await client.query(
+    `INSERT INTO plan_versions
+       (plan_id, version, trial_days, limits, features, tax_behavior,
+        created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      planId,
+      version,
+      trialDays,
+      JSON.stringify(limits),
+      JSON.stringify(features),
+      taxBehavior,
+      createdBy || null,
+    ],
+  );
+
+  for (const price of rows) {
+    await client.query(
+      `INSERT INTO plan_prices (plan_id, version, billing_cycle, currency, amount)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [planId, version, price.billingCycle, price.currency, price.amount],
+    );
+  }
+
+  for (const rate of rateRows) {
+    await client.query(
+      `INSERT INTO plan_usage_rates
+         (plan_id, version, event_type, currency, included_quantity, unit_amount)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        planId,
+        version,
+        rate.eventType,
+        rate.currency,
+        rate.includedQuantity,
+        rate.unitAmount,
+      ],
+    );
+  }
+}
+
+/**
+ * Feature flags and limits as injected into the JWT `features` claim.
+ */
+function getPlanFeatures(plan) {
+  return { ...plan.limits, ...plan.features };
+}
+
+module.exports = {
+  BILLING_CYCLES,
+  getBillingCycle,
+  formatPlan,
+  getPlan,
+  invalidatePlan,
+  listPlans,
+  getPlanPrice,
+  getPlanFeatures,
+  insertPlanVersion,
+};
@@ -0,0 +1,61 @@
+/**
+ * Proration — time-based credit/charge calculation
+ * ────────────────────────────────────────────────────────────────────────────
+ * A subscription is paid in advance for [current_period_start,
+ * current_period_end).  When it changes mid-period, the unused share of the
+ * period is worth `amount × remaining / total`.
+ *
+ * Design decisions:
+ *   • Millisecond precision: the ratio is computed from timestamps, not
+ *     whole days, so a change at 23:59 isn't treated like one at 00:00.
+ *   • Rounded once, at the end, to the currency's minor unit
+ *     (shared/currency) — intermediate values are never rounded, which
+ *     would compound error across multiple line items.
+ *   • Clamped: a change before the period starts yields the full amount,
+ *     one after it ends yields zero.
+ */
+
+const { roundMoney } = require("./currency");
+
+/**
+ * Fraction of [periodStart, periodEnd) that remains after `at` (0..1).
+ */
+function remainingFraction(periodStart, periodEnd, at = new Date()) {
+  const start = new Date(periodStart).getTime();
+  const end = new Date(periodEnd).getTime();
+  const now = new Date(at).getTime();
+
+  if (end <= start) return 0;
+  if (now <= start) return 1;
+  if (now >= end) return 0;
+
+  return (end - now) / (end - start);
+}
+
+/**
+ * Value of the unused part of a period paid in advance.
+ *
+ * @param {number} amount - Amount charged for the full period
+ * @param {string|Date} periodStart
+ * @param {string|Date} periodEnd
+ * @param {string|Date} [at] - Moment of the change (default: now)
+ * @param {string} [currency] - Currency of `amount` (default: usd)
+ * @returns {number} Unused amount, rounded to the currency's minor unit
+ */
+function calculateUnusedAmount(
+  amount,
+  periodStart,
+  periodEnd,
+  at = new Date(),
+  currency = undefined,
+) {
+  return roundMoney(
+    Number(amount) * remainingFraction(periodStart, periodEnd, at),
+    currency,
+  );
+}
+
+module.exports = {
+  remainingFraction,
+  calculateUnusedAmount,
+};
@@ -0,0 +1,166 @@
+/**
+ * Scheduled changes — plan, cycle and seat changes at period end
+ * ────────────────────────────────────────────────────────────────────────────
+ * PATCH /v1/subscriptions/{id} and PATCH /v1/subscriptions/{id}/seats take
+ * `"effective": "period_end"` to schedule the change instead of applying it
+ * now.  The target terms are stored on the subscription
+ * (`subscriptions.pending_change`, migrations/015) and the renewal job
+ * (renew-subscriptions) applies them in the UPDATE that rolls the period:
+ *
+ *     now ──────────── current_period_end ──────────── next period end
+ *       current plan, price, seats, features │ pending terms, billed at renewal
+ *
+ * Nothing is prorated — the current period was paid at the current terms and
+ * the next one is invoiced at the new terms.  Until the switch the
+ * subscription keeps its plan version, so the JWT `features` claim
+ * (pre-token-generation) keeps granting the current plan's features.
+ *
+ * A subscription holds at most one pending change.  Scheduling again merges
+ * into it — e.g. a plan downgrade, then a seat reduction, both apply at
+ * renewal.  An immediate change or cancellation discards it, and
+ * DELETE /v1/subscriptions/{id}/pending-change withdraws it.
+ *
+ * Seats: a scheduled seat reduction already caps new users (shared/seats),
+ * so the tenant cannot add users the next period has no seats for.
+ */
+
+const { AppError } = require("./middleware");
+const { roundMoney } = require("./currency");
+const { getPlan, getPlanPrice, getBillingCycle } = require("./plans");
+const { parseJsonColumn } = require("./subscriptions");
+const { validateQuantity, countActiveUsers } = require("./seats");
+
+const EFFECTIVE_IMMEDIATELY = "immediately";
+const EFFECTIVE_PERIOD_END = "period_end";
+
+/**
+ * Schedule a change for the end of the current period, merged into any
+ * change already pending.  Validated and priced now, against the target
+ * plan's current version (the subscriber's version when the plan stays).
+ *
+ * @param {import('pg').PoolClient} client - Client with an open transaction
+ * @param {Object} sub - The subscriptions row, locked FOR UPDATE
+ * @param {{planId?: string, billingCycle?: string, quantity?: number}} change
+ * @param {{tenantSettings: Object, userId: string, now?: Date}} context
+ * @returns {Promise<Object>} The updated subscriptions row
+ * @throws {AppError} 409 unless the subscription is active and renewing,
+ *   400 if the change is invalid or would not change anything
+ */
+async function schedulePendingChange(
+  client,
+  sub,
+  change,
+  { tenantSettings, userId, now = new Date() },
+) {
+  if (sub.status !== "active") {
+    throw new AppError(
+      409,
+      `Only active subscriptions can schedule changes — this one is ${sub.status}`,
+      {
+        currentStatus: sub.status,
+        hint: `Use "effective": "${EFFECTIVE_IMMEDIATELY}"`,
+      },
+    );
+  }
+  if (sub.cancel_at_period_end) {
+    throw new AppError(
+      409,
+      "Subscription is canceled at period end — there is no renewal to change",
+      { currentPeriodEnd: sub.current_period_end },
+    );
+  }
+
+  const pending = parseJsonColumn(sub.pending_change, null) || {};
+  const planId = change.planId ?? pending.plan_id ?? sub.plan_id;
+  const billingCycle =
+    change.billingCycle ?? pending.billing_cycle ?? sub.billing_cycle;
+  const quantity = change.quantity ?? pending.quantity ?? sub.quantity;
+
+  getBillingCycle(billingCycle);
+
+  if (
+    planId === sub.plan_id &&
+    billingCycle === sub.billing_cycle &&
+    quantity === sub.quantity
+  ) {
+    throw new AppError(400, "The scheduled change would not change anything", {
+      planId,
+      billingCycle,
+      quantity,
+      hint: "Withdraw a pending change with DELETE /v1/subscriptions/{id}/pending-change",
+    });
+  }
+
+  const plan = await getPlan(
+    planId,
+    planId === sub.plan_id
+      ? { version: sub.plan_version, includeArchived: true, client }
+      : { client },
+  );
+  validateQuantity(plan, quantity, tenantSettings);
+
+  const used = await countActiveUsers(client, sub.tenant_id);
+  if (quantity < used) {
+    throw new AppError(
+      409,
+      `${used} users occupy seats — remove users before reducing to ${quantity}`,
+      { quantity, usersInSeats: used },
+    );
+  }
+
+  const unitAmount = getPlanPrice(plan, billingCycle, sub.currency);
+
+  const updated = await client.query(
+    `UPDATE subscriptions
+     SET pending_change = $3
+     WHERE id = $1 AND tenant_id = $2
+     RETURNING *`,
+    [
+      sub.id,
+      sub.tenant_id,
+      JSON.stringify({
+        plan_id: planId,
+        plan_version: plan.version,
+        billing_cycle: billingCycle,
+        quantity,
+        unit_amount: unitAmount,
+        amount: roundMoney(unitAmount * quantity, sub.currency),
+        scheduled_at: now.toISOString(),
+        scheduled_by: userId,
+      }),
+    ],
+  );
+
+  return updated.rows[0];
+}
+
+/**
+ * Terms the next period of a renewing subscription is billed at: its pending
+ * change if one is scheduled, otherwise its current terms.
+ *
+ * @param {Object} sub - subscriptions row
+ * @returns {{planId: string, planVersion: number, billingCycle: string,
+ *   quantity: number, unitAmount: number, amount: number,
+ *   changed: boolean}}
+ */
+function renewalTerms(sub) {
+  const pending = parseJsonColumn(sub.pending_change, null);
+  const terms = pending || sub;
+
+  return {
+    planId: terms.plan_id,
+    planVersion: terms.plan_version,
+    billingCycle: terms.billing_cycle,
+    quantity: terms.quantity,
+    unitAmount: parseFloat(terms.unit_amount),
+    amount: parseFloat(terms.amount),
+    changed: pending !== null,
+  };
+}
+
+module.exports = {
+  EFFECTIVE_IMMEDIATELY,
+  EFFECTIVE_PERIOD_END,
+  schedulePendingChange,
+  renewalTerms,
+};
@@ -0,0 +1,62 @@
+/**
+ * Scheduled Job Wrapper — EventBridge-triggered Lambdas
+ * ────────────────────────────────────────────────────────────────────────────
+ * The scheduled-job counterpart to `withMiddleware` (API) and
+ * `withSqsConsumer` (SQS).  Standardizes:
+ *
+ *   • A logger with the job name and Lambda request ID.
+ *   • Start/finish log lines with the job's summary and duration.
+ *   • A `{job}_run` latency metric and `{job}_failure` counter.
+ *   • A deadline helper — jobs process work in batches and should stop
+ *     starting new batches well before the Lambda timeout.  Leftover work
+ *     is picked up by the next scheduled run.
+ *
+ * Errors are logged and rethrown so the invocation is marked failed
+ * (Lambda async retry + the standard Errors metric/alarm).
+ */
+
+const { createLogger } = require("./logger");
+const { startTimer, incrementCounter } = require("./metrics");
+
+// Stop starting new batches this long before the Lambda timeout
+const DEADLINE_SAFETY_MS = 15000;
+
+/**
+ * @param {string} jobName - e.g., "process-trials"
+ * @param {function} runJob - async (event, { logger, hasTimeLeft }) => summary
+ * @returns {function} Lambda handler
+ */
+function withScheduledJob(jobName, runJob) {
+  return async (event, context) => {
+    const logger = createLogger(context).child({ job: jobName });
+    const metricName = jobName.replace(/-/g, "_");
+    const stopTimer = startTimer(`${metricName}_run`);
+
+    const hasTimeLeft = () =>
+      typeof context?.getRemainingTimeInMillis !== "function" ||
+      context.getRemainingTimeInMillis() > DEADLINE_SAFETY_MS;
+
+    logger.info("Scheduled job started", {
+      scheduledTime: event?.time,
+    });
+
+    try {
+      const summary = await runJob(event, { logger, hasTimeLeft });
+      const durationMs = stopTimer();
+
+      logger.info("Scheduled job finished", {
+        ...summary,
+        durationMs: Math.round(durationMs),
+      });
+
+      return summary;
+    } catch (err) {
+      stopTimer();
+      incrementCounter(`${metricName}_failure`);
+      logger.error("Scheduled job failed", { error: err });
+      throw err;
+    }
+  };
+}
+
+module.exports = { withScheduledJob };
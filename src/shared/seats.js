@@ -0,0 +1,173 @@
+/**
+ * Seats — per-seat pricing and the user limit
+ * ────────────────────────────────────────────────────────────────────────────
+ * A subscription pays for `quantity` seats at `unit_amount` each
+ * (`amount` = unit_amount × quantity).  The plan version's `maxUsers` limit
+ * (-1 = unlimited; `tenants.settings.featureOverrides.maxUsers` wins, as in
+ * the JWT `features` claim) caps how many seats can be bought.
+ *
+ * Users occupy seats (`tenant_users`).  A tenant can add a user while
+ *
+ *     active users < min(subscription quantity, maxUsers)
+ *
+ * where the quantity is the smaller of the current seats and a seat count
+ * scheduled for the next period (shared/scheduled-changes).  Without a
+ * current subscription only the tenant plan's `maxUsers` applies.
+ * Seat checks lock the tenant row, so adding users and reducing seats are
+ * serialized per tenant — two requests cannot both take the last seat.
+ */
+
+const { AppError } = require("./middleware");
+const { getPlan } = require("./plans");
+const { parseJsonColumn } = require("./subscriptions");
+
+// Subscription statuses that hold seats — a paused subscription keeps them
+const SEAT_HOLDING_STATUSES = ["active", "trialing", "past_due", "paused"];
+
+/**
+ * Map a `tenant_users` row to its API representation.
+ */
+function formatTenantUser(row) {
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    email: row.email,
+    name: row.name || null,
+    status: row.status,
+    addedBy: row.added_by || null,
+    removedAt: row.removed_at || null,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * The plan's user limit for a tenant, or null when unlimited.
+ */
+function getMaxUsers(plan, tenantSettings) {
+  const overrides = parseJsonColumn(tenantSettings).featureOverrides || {};
+  const maxUsers = overrides.maxUsers ?? plan.limits.maxUsers;
+  return maxUsers == null || maxUsers < 0 ? null : maxUsers;
+}
+
+/**
+ * Check a seat count against the plan's user limit.
+ *
+ * @throws {AppError} 400 if the plan does not allow that many users
+ */
+function validateQuantity(plan, quantity, tenantSettings) {
+  const maxUsers = getMaxUsers(plan, tenantSettings);
+  if (maxUsers != null && quantity > maxUsers) {
+    throw new AppError(
+      400,
+      `The ${plan.id} plan allows at most ${maxUsers} seats`,
+      { planId: plan.id, maxUsers, quantity },
+    );
+  }
+}
+
+/**
+ * Lock the tenant row for a seat change (same transaction as the change).
+ *
+ * @returns {Promise<Object>} The tenants row
+ */
+async function lockSeats(client, tenantId) {
+  const result = await client.query(
+    `SELECT id, name, plan, settings FROM tenants WHERE id = $1 FOR UPDATE`,
+    [tenantId],
+  );
+  if (result.rows.length === 0) {
+    throw new AppError(404, "Tenant not found");
+  }
+  return result.rows[0];
+}
+
+async function countActiveUsers(client, tenantId) {
+  const result = await client.query(
+    `SELECT COUNT(*)::int AS used
+     FROM tenant_users
+     WHERE tenant_id = $1 AND status = 'active'`,
+    [tenantId],
+  );
+  return result.rows[0].used;
+}
+
+/**
+ * Seats bought, the plan limit, and how many are in use.  Locks the tenant
+ * row (see lockSeats).
+ *
+ * @returns {Promise<{seats: number|null, maxUsers: number|null,
+ *   limit: number|null, used: number, available: number|null}>} null means
+ *   unlimited (`seats` is null without a current subscription)
+ */
+async function getSeatUsage(client, tenantId) {
+  const tenant = await lockSeats(client, tenantId);
+
+  const subResult = await client.query(
+    `SELECT plan_id, plan_version, quantity, pending_change FROM subscriptions
+     WHERE tenant_id = $1 AND status = ANY($2)
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [tenantId, SEAT_HOLDING_STATUSES],
+  );
+  const sub = subResult.rows[0];
+
+  const plan = sub
+    ? await getPlan(sub.plan_id, {
+        version: sub.plan_version,
+        includeArchived: true,
+        client,
+      })
+    : await getPlan(tenant.plan, { includeArchived: true, client });
+
+  // A scheduled seat reduction counts now — the users must fit next period
+  const pendingQuantity = sub
+    ? parseJsonColumn(sub.pending_change, null)?.quantity
+    : undefined;
+  const seats = sub
+    ? Math.min(sub.quantity, pendingQuantity ?? sub.quantity)
+    : null;
+  const maxUsers = getMaxUsers(plan, tenant.settings);
+  const bounds = [seats, maxUsers].filter((n) => n != null);
+  const limit = bounds.length > 0 ? Math.min(...bounds) : null;
+  const used = await countActiveUsers(client, tenantId);
+
+  return {
+    seats,
+    maxUsers,
+    limit,
+    used,
+    available: limit == null ? null : Math.max(0, limit - used),
+  };
+}
+
+/**
+ * Make sure the tenant has a free seat for one more user.
+ *
+ * @throws {AppError} 409 if every seat is taken
+ */
+async function assertSeatAvailable(client, tenantId) {
+  const usage = await getSeatUsage(client, tenantId);
+
+  if (usage.limit != null && usage.used >= usage.limit) {
+    throw new AppError(409, "All seats are in use", {
+      ...usage,
+      hint:
+        usage.maxUsers === usage.limit
+          ? "Upgrade to a plan with a higher user limit"
+          : "Add seats with PATCH /v1/subscriptions/{id}/seats",
+    });
+  }
+
+  return usage;
+}
+
+module.exports = {
+  SEAT_HOLDING_STATUSES,
+  formatTenantUser,
+  getMaxUsers,
+  validateQuantity,
+  lockSeats,
+  countActiveUsers,
+  getSeatUsage,
+  assertSeatAvailable,
+};
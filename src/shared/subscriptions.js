@@ -0,0 +1,130 @@
+/**
+ * Subscription helpers shared by the subscription API handlers
+ * ────────────────────────────────────────────────────────────────────────────
+ * Keeps the row → API response mapping in one place so every endpoint that
+ * returns a subscription (its pending change, or its history) uses the same
+ * camelCase shape, and holds state transitions made both by a handler and
+ * by a scheduled job (resume).
+ */
+
+/**
+ * Parse a JSONB column that may arrive as a string (pg without type parser).
+ */
+function parseJsonColumn(value, fallback = {}) {
+  if (value === null || value === undefined) return fallback;
+  return typeof value === "string" ? JSON.parse(value) : value;
+}
+
+/**
+ * Map a `subscriptions` row to its API representation.
+ */
+function formatSubscription(row) {
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    planId: row.plan_id,
+    planVersion: row.plan_version,
+    status: row.status,
+    billingCycle: row.billing_cycle,
+    billingAnchorDay: row.billing_anchor_day ?? null,
+    quantity: row.quantity ?? 1,
+    unitAmount: parseFloat(row.unit_amount ?? row.amount),
+    amount: parseFloat(row.amount),
+    currency: row.currency,
+    currentPeriodStart: row.current_period_start,
+    currentPeriodEnd: row.current_period_end,
+    trialStart: row.trial_start || null,
+    trialEnd: row.trial_end || null,
+    cancelAtPeriodEnd: Boolean(row.cancel_at_period_end),
+    canceledAt: row.canceled_at || null,
+    cancellationReason: row.cancellation_reason || null,
+    couponId: row.coupon_id || null,
+    pausedAt: row.status === "paused" ? row.paused_at : null,
+    resumeAt: row.resume_at || null,
+    pendingChange: formatPendingChange(row),
+    // Override of the tenant's payment terms (shared/payment-terms); null
+    // when the tenant's apply
+    paymentTerms: parseJsonColumn(row.payment_terms, null),
+    metadata: parseJsonColumn(row.metadata),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * The change scheduled for the end of the current period
+ * (shared/scheduled-changes.js), or null when nothing is scheduled.
+ */
+function formatPendingChange(row) {
+  const change = parseJsonColumn(row.pending_change, null);
+  if (!change) return null;
+  return {
+    planId: change.plan_id,
+    planVersion: change.plan_version,
+    billingCycle: change.billing_cycle,
+    quantity: change.quantity,
+    unitAmount: parseFloat(change.unit_amount),
+    amount: parseFloat(change.amount),
+    currency: row.currency,
+    effectiveAt: row.current_period_end,
+    scheduledAt: change.scheduled_at,
+    scheduledBy: change.scheduled_by || null,
+  };
+}
+
+/**
+ * Map a `subscription_history` row (migrations/013) to its API
+ * representation.  `state` and `previous` keep the column names of the
+ * tracked `subscriptions` columns.
+ */
+function formatSubscriptionHistory(row) {
+  return {
+    id: row.id,
+    subscriptionId: row.subscription_id,
+    changeType: row.change_type,
+    changedFields: row.changed_fields || [],
+    previous: parseJsonColumn(row.previous),
+    state: parseJsonColumn(row.state),
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Resume a paused subscription: back to `active`, with the period end
+ * shifted forward by the time spent paused so no prepaid time is lost.
+ * The billing anchor moves with it — later periods end on the new day.
+ *
+ * Compare-and-set on `status = 'paused'` — when the API and the auto-resume
+ * job race, exactly one of them resumes the subscription.
+ *
+ * @param {import('pg').PoolClient} client - Client with an open transaction
+ * @param {Object} sub - The paused subscriptions row
+ * @param {Date} [now]
+ * @returns {Promise<{row: Object, pausedMs: number}|null>} null if the
+ *   subscription was no longer paused
+ */
+async function resumeSubscription(client, sub, now = new Date()) {
+  const pausedMs = Math.max(0, now.getTime() - new Date(sub.paused_at).getTime());
+  const periodEnd = new Date(new Date(sub.current_period_end).getTime() + pausedMs);
+
+  const result = await client.query(
+    `UPDATE subscriptions
+     SET status = 'active',
+         resume_at = NULL,
+         current_period_end = $2,
+         billing_anchor_day = $3
+     WHERE id = $1 AND status = 'paused'
+     RETURNING *`,
+    [sub.id, periodEnd.toISOString(), periodEnd.getUTCDate()],
+  );
+
+  return result.rows[0] ? { row: result.rows[0], pausedMs } : null;
+}
+
+module.exports = {
+  parseJsonColumn,
+  formatSubscription,
+  formatPendingChange,
+  formatSubscriptionHistory,
+  resumeSubscription,
+};
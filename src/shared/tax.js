@@ -0,0 +1,271 @@
+/**
+ * Tax calculation
+ * ────────────────────────────────────────────────────────────────────────────
+ * Every invoice generate-invoice writes is taxed here, once per invoice and
+ * in one jurisdiction — the customer's billing country (and region, e.g. a
+ * US state) from `tenants.settings` (shared/tenants getTaxProfile).
+ *
+ * Treatment, first match wins:
+ *
+ *   exempt          the tenant is tax exempt AND its tax ID is validated
+ *   reverse_charge  an EU customer with a validated VAT ID, in a different
+ *                   country than the seller (TAX_ORIGIN_COUNTRY): 0%, the
+ *                   customer accounts for the VAT
+ *   standard        the provider has a rate for the jurisdiction
+ *   not_taxable     no rate — the seller does not collect there
+ *
+ * Providers (TAX_PROVIDER):
+ *   • rate_table (default) — `tax_rates` (migrations/018_tax.sql): one rate
+ *     per country, optionally per region, effective from `valid_from`.  A
+ *     row means "we collect here"; rate changes are new rows.
+ *   • none — collects nothing anywhere.
+ *   Another provider (e.g. an external tax service) only has to implement
+ *   `lookupRate(client, { country, region, at })` → `{ name, rate }` or
+ *   null.  `client` is the invoice's transaction client — a provider that
+ *   reads the database reads it there, in the invoice's snapshot and
+ *   without taking a second pool connection.
+ *
+ * Pricing (plan_versions.tax_behavior):
+ *   • exclusive — line amounts are net; tax is added on top.
+ *   • inclusive — line amounts already contain the tax; it is extracted,
+ *     so the total equals the sum of the lines.
+ *
+ * Amounts: tax is computed on the invoice's net sum (discounts and credits
+ * included) and rounded once to the currency's minor unit.  The invoice
+ * stores `subtotal` (net), `tax_amount` and `amount` (the total) —
+ * amount = subtotal + tax_amount — plus the decision in `tax_details`.
+ */
+
+const { roundMoney } = require("./currency");
+const { getTaxProfile } = require("./tenants");
+
+const TAX_BEHAVIORS = ["exclusive", "inclusive"];
+const DEFAULT_TAX_BEHAVIOR = "exclusive";
+
+const EU_COUNTRIES = new Set([
+  "AT", "BE", "BG", "CY", "CZ", "DE", "DK", "EE", "ES", "FI", "FR", "GR",
+  "HR", "HU", "IE", "IT", "LT", "LU", "LV", "MT", "NL", "PL", "PT", "RO",
+  "SE", "SI", "SK",
+]);
+
+// ── Providers ──────────────────────────────────────────────────────────── //
+
+const TAX_PROVIDERS = {
+  rate_table: {
+    async lookupRate(client, { country, region, at }) {
+      const result = await client.query(
+        `SELECT name, rate FROM tax_rates
+         WHERE country = $1 AND region IN ($2, '') AND valid_from <= $3
+         ORDER BY (region <> '') DESC, valid_from DESC
+         LIMIT 1`,
+        [country, region || "", at.toISOString().slice(0, 10)],
+      );
+      const row = result.rows[0];
+      return row ? { name: row.name, rate: parseFloat(row.rate) } : null;
+    },
+  },
+  none: {
+    async lookupRate() {
+      return null;
+    },
+  },
+};
+
+function getTaxProvider(name = process.env.TAX_PROVIDER || "rate_table") {
+  const provider = TAX_PROVIDERS[name];
+  if (!provider) {
+    throw new Error(
+      `Invalid TAX_PROVIDER "${name}" — expected ${Object.keys(TAX_PROVIDERS).join(" or ")}`,
+    );
+  }
+  return provider;
+}
+
+// ── Decision ───────────────────────────────────────────────────────────── //
+
+/**
+ * Decide how an invoice for this customer is taxed.
+ *
+ * @param {{country: string|null, region: string|null, taxId: string|null,
+ *   taxIdValidated: boolean, exempt: boolean}} profile - getTaxProfile
+ * @param {Object} [options]
+ * @param {import('pg').PoolClient} [options.client] - the invoice's
+ *   transaction client, passed to the provider
+ * @param {Date} [options.at] - invoice date (selects the rate in force)
+ * @param {string} [options.originCountry] - the seller's country
+ * @param {Object} [options.provider]
+ * @returns {Promise<{treatment: string, country: string|null,
+ *   region: string|null, name: string|null, rate: number,
+ *   customerTaxId: string|null, note: string|null}>}
+ */
+async function resolveTax(
+  profile,
+  {
+    client,
+    at = new Date(),
+    originCountry = (process.env.TAX_ORIGIN_COUNTRY || "").toUpperCase(),
+    provider = getTaxProvider(),
+  } = {},
+) {
+  const base = {
+    country: profile.country,
+    region: profile.region,
+    name: null,
+    rate: 0,
+    customerTaxId: profile.taxIdValidated ? profile.taxId : null,
+    note: null,
+  };
+
+  if (profile.exempt && profile.taxIdValidated) {
+    return {
+      ...base,
+      treatment: "exempt",
+      note: `Tax exempt customer (tax ID ${profile.taxId})`,
+    };
+  }
+
+  if (
+    profile.taxIdValidated &&
+    EU_COUNTRIES.has(profile.country) &&
+    profile.country !== originCountry
+  ) {
+    return {
+      ...base,
+      treatment: "reverse_charge",
+      name: "VAT",
+      note: `Reverse charge — VAT to be accounted for by the recipient (VAT ID ${profile.taxId})`,
+    };
+  }
+
+  const found = profile.country
+    ? await provider.lookupRate(client, {
+        country: profile.country,
+        region: profile.region,
+        at,
+      })
+    : null;
+
+  if (!found) {
+    return { ...base, treatment: "not_taxable" };
+  }
+  return { ...base, treatment: "standard", name: found.name, rate: found.rate };
+}
+
+// ── Arithmetic ─────────────────────────────────────────────────────────── //
+
+/**
+ * Tax line description, e.g. "VAT 19% (DE)", "Sales tax 6.25% (US-MA)".
+ */
+function taxLabel(decision, inclusive) {
+  if (decision.treatment === "exempt") return "Tax exempt";
+  if (decision.treatment === "reverse_charge") return "VAT reverse charge (0%)";
+
+  const percent = +(decision.rate * 100).toFixed(3);
+  const where = decision.region
+    ? `${decision.country}-${decision.region}`
+    : decision.country;
+  return `${decision.name} ${percent}%${inclusive ? " included" : ""} (${where})`;
+}
+
+/**
+ * Apply a tax decision to an invoice's line items.
+ *
+ * @param {Array<Object>} lineItems - invoice lines (amounts net or gross,
+ *   per `behavior`)
+ * @param {Object} decision - resolveTax result
+ * @param {{behavior: string, currency: string}} options
+ * @returns {{lineItems: Array<Object>, subtotal: number, taxAmount: number,
+ *   total: number, details: Object}} lineItems with the tax line appended
+ *   (none for `not_taxable`)
+ */
+function calculateTax(lineItems, decision, { behavior, currency }) {
+  const inclusive = behavior === "inclusive";
+  const lines = roundMoney(
+    lineItems.reduce((sum, item) => sum + item.amount, 0),
+    currency,
+  );
+
+  const taxAmount =
+    decision.rate > 0
+      ? roundMoney(
+          inclusive ? lines - lines / (1 + decision.rate) : lines * decision.rate,
+          currency,
+        )
+      : 0;
+  const subtotal = inclusive ? roundMoney(lines - taxAmount, currency) : lines;
+  const total = roundMoney(subtotal + taxAmount, currency);
+
+  const details = { ...decision, behavior };
+  if (decision.treatment === "not_taxable") {
+    return { lineItems, subtotal, taxAmount, total, details };
+  }
+
+  return {
+    lineItems: [
+      ...lineItems,
+      {
+        type: "tax",
+        description: taxLabel(decision, inclusive),
+        treatment: decision.treatment,
+        rate: decision.rate,
+        taxableAmount: subtotal,
+        // true: contained in the other lines, not added to them
+        inclusive,
+        quantity: 1,
+        unitPrice: taxAmount,
+        amount: taxAmount,
+      },
+    ],
+    subtotal,
+    taxAmount,
+    total,
+    details,
+  };
+}
+
+/**
+ * Tax an invoice about to be written: the tenant's tax profile, the pricing
+ * of the subscription's plan version, and the rate in force today.
+ *
+ * @param {import('pg').PoolClient} client - Tenant-scoped client
+ * @param {Object} params
+ * @param {string} params.tenantId
+ * @param {string} params.subscriptionId
+ * @param {Array<Object>} params.lineItems
+ * @param {string} params.currency
+ * @returns {Promise<Object>} calculateTax result
+ */
+async function taxInvoice(
+  client,
+  { tenantId, subscriptionId, lineItems, currency, at = new Date() },
+) {
+  const result = await client.query(
+    `SELECT t.settings, v.tax_behavior
+     FROM tenants t
+     LEFT JOIN subscriptions s ON s.id = $2 AND s.tenant_id = t.id
+     LEFT JOIN plan_versions v
+       ON v.plan_id = s.plan_id AND v.version = s.plan_version
+     WHERE t.id = $1`,
+    [tenantId, subscriptionId],
+  );
+  const row = result.rows[0] || {};
+
+  const decision = await resolveTax(getTaxProfile(row.settings), {
+    client,
+    at,
+  });
+  return calculateTax(lineItems, decision, {
+    behavior: row.tax_behavior || DEFAULT_TAX_BEHAVIOR,
+    currency,
+  });
+}
+
+module.exports = {
+  TAX_BEHAVIORS,
+  DEFAULT_TAX_BEHAVIOR,
+  EU_COUNTRIES,
+  getTaxProvider,
+  resolveTax,
+  calculateTax,
+  taxInvoice,
+};
@@ -0,0 +1,119 @@
+/**
+ * Tenant helpers shared by the billing jobs
+ * ────────────────────────────────────────────────────────────────────────────
+ * `tenants.settings` is free-form JSONB.  Billing reads a few well-known
+ * keys from it; those reads live here so every job agrees on the key names.
+ *
+ *   • paymentMethod — opaque reference to the tenant's payment method on
+ *     file (set by the payment provider integration).  Trials only convert,
+ *     and dunning only retries collection, when one is present.
+ *   • currency — default currency for the tenant's new subscriptions
+ *     (shared/currency).  Existing subscriptions keep their own.
+ *   • billingDetails — who invoices are addressed to:
+ *       { "legalName": "...", "addressLines": ["..."], "taxId": "...",
+ *         "country": "DE", "region": null }
+ *     Falls back to the tenant's name and email.  `country` (ISO 3166-1
+ *     alpha-2) and `region` (e.g. a US state code) are the tax jurisdiction.
+ *   • taxStatus — set by tax ID validation (e.g. VIES) or the billing team,
+ *     never by the tenant:
+ *       { "validatedTaxId": "DE123456789", "validatedAt": "...",
+ *         "exempt": false }
+ *     The tax ID counts as validated only while it equals billingDetails'
+ *     `taxId`; `exempt` applies only to a validated tax ID (shared/tax).
+ *   • invoiceNumbering / creditNoteNumbering — document number formats
+ *       { "prefix": "ACME", "format": "{prefix}-{year}-{seq:6}",
+ *         "yearlyReset": true }
+ *     read by shared/numbering (defaults INV-000001 / CN-000001).
+ *   • paymentTerms — when the tenant's invoices are due:
+ *       { "type": "net", "days": 15 }
+ *     read by shared/payment-terms (default net 30).  A subscription can
+ *     override it (`subscriptions.payment_terms`).
+ *   • branding — invoice document branding, applied only when the tenant's
+ *     plan has the `customBranding` feature:
+ *       { "displayName": "...", "primaryColor": "#1a73e8",
+ *         "invoiceFooter": "..." }
+ */
+
+const { parseJsonColumn } = require("./subscriptions");
+const { DEFAULT_CURRENCY, isSupportedCurrency } = require("./currency");
+
+function hasPaymentMethod(tenantSettings) {
+  return Boolean(parseJsonColumn(tenantSettings).paymentMethod);
+}
+
+/**
+ * The tenant's default currency, or USD when unset or no longer supported.
+ */
+function getTenantCurrency(tenantSettings) {
+  const { currency } = parseJsonColumn(tenantSettings);
+  return isSupportedCurrency(currency) ? currency.toLowerCase() : DEFAULT_CURRENCY;
+}
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Billing address block for invoice documents.
+ *
+ * @param {Object} tenantRow - tenants row (name, email, settings)
+ * @returns {{legalName: string, addressLines: string[], email: string,
+ *   taxId: string|null, country: string|null, region: string|null}}
+ */
+function getBillingDetails(tenantRow) {
+  const details = parseJsonColumn(tenantRow.settings).billingDetails || {};
+  return {
+    legalName: details.legalName || tenantRow.name,
+    addressLines: Array.isArray(details.addressLines)
+      ? details.addressLines.map(String)
+      : [],
+    email: details.email || tenantRow.email,
+    taxId: details.taxId || null,
+    country: details.country ? String(details.country).toUpperCase() : null,
+    region: details.region ? String(details.region).toUpperCase() : null,
+  };
+}
+
+/**
+ * The tenant's tax jurisdiction and tax ID status (shared/tax).
+ *
+ * @returns {{country: string|null, region: string|null,
+ *   taxId: string|null, taxIdValidated: boolean, exempt: boolean}}
+ */
+function getTaxProfile(tenantSettings) {
+  const settings = parseJsonColumn(tenantSettings);
+  const details = settings.billingDetails || {};
+  const status = settings.taxStatus || {};
+  const taxId = details.taxId || null;
+  const taxIdValidated = Boolean(taxId) && status.validatedTaxId === taxId;
+
+  return {
+    country: details.country ? String(details.country).toUpperCase() : null,
+    region: details.region ? String(details.region).toUpperCase() : null,
+    taxId,
+    taxIdValidated,
+    exempt: taxIdValidated && status.exempt === true,
+  };
+}
+
+/**
+ * The tenant's invoice branding, or null when unset.  Invalid colors are
+ * dropped rather than rejected — branding never blocks an invoice.
+ */
+function getBranding(tenantSettings) {
+  const branding = parseJsonColumn(tenantSettings).branding;
+  if (!branding) return null;
+  return {
+    displayName: branding.displayName || null,
+    primaryColor: HEX_COLOR.test(branding.primaryColor || "")
+      ? branding.primaryColor
+      : null,
+    invoiceFooter: branding.invoiceFooter || null,
+  };
+}
+
+module.exports = {
+  hasPaymentMethod,
+  getTenantCurrency,
+  getBillingDetails,
+  getTaxProfile,
+  getBranding,
+};
@@ -0,0 +1,181 @@
+/**
+ * Metered usage — aggregation and rating
+ * ────────────────────────────────────────────────────────────────────────────
+ * Usage ingested through POST /v1/events (`billing_events`) is billed in
+ * arrears by generate-invoice: the invoice that closes a window gets one
+ * "usage" line per event type the plan rates (migrations/017):
+ *
+ *     billable = max(0, total quantity − included quantity)
+ *     amount   = billable × unit amount, rounded to the currency
+ *
+ * Windows:
+ *   A window runs from the subscription's `usage_billed_through` (its trial
+ *   end or creation for the first one) to the event that closes it — a
+ *   renewal (the old period start), an immediate cancellation, or the end
+ *   of the final period.  Windows are contiguous, so usage is never billed
+ *   twice or skipped when a plan change restarts the period.  The rates are
+ *   those of the plan version in force at the end of the window.
+ *
+ * What is counted:
+ *   Every event whose `event_timestamp` falls in the window, except usage
+ *   flagged `during_pause` (never billed).  Quantities are summed per event
+ *   type.  Events ingested after the window was aggregated are not billed —
+ *   ingest-event rejects timestamps before `usage_billed_through`.
+ *
+ * Traceability:
+ *   The invoice stores the window and the aggregation time; each line stores
+ *   its event count and total quantity.  The same query with
+ *   `created_at <= usage_aggregated_at` reproduces them.
+ */
+
+const { roundMoney } = require("./currency");
+
+const USAGE_EVENT_TYPES = ["api_call", "storage_used", "compute_time", "custom"];
+
+const USAGE_LABELS = {
+  api_call: "API calls",
+  storage_used: "Storage (bytes)",
+  compute_time: "Compute time (ms)",
+  custom: "Custom usage",
+};
+
+/**
+ * Event count and total quantity per event type in [start, end).
+ *
+ * @param {import('pg').PoolClient} client - Tenant-scoped client
+ * @param {string} tenantId
+ * @param {{start: Date, end: Date, asOf: Date}} window - `asOf` excludes
+ *   events ingested after the aggregation
+ * @returns {Promise<Map<string, {eventCount: number, quantity: number}>>}
+ */
+async function aggregateUsage(client, tenantId, { start, end, asOf }) {
+  const result = await client.query(
+    `SELECT event_type, COUNT(*) AS event_count, SUM(quantity) AS quantity
+     FROM billing_events
+     WHERE tenant_id = $1
+       AND NOT during_pause
+       AND event_timestamp >= $2 AND event_timestamp < $3
+       AND created_at <= $4
+     GROUP BY event_type`,
+    [tenantId, start.toISOString(), end.toISOString(), asOf.toISOString()],
+  );
+
+  return new Map(
+    result.rows.map((row) => [
+      row.event_type,
+      {
+        eventCount: parseInt(row.event_count, 10),
+        quantity: parseFloat(row.quantity),
+      },
+    ]),
+  );
+}
+
+/**
+ * Invoice line items for aggregated usage — one per event type the plan
+ * rates in `currency`, including usage within the allowance (amount 0).
+ * Unrated event types are not billed.
+ *
+ * @param {Map<string, {eventCount: number, quantity: number}>} usage
+ * @param {Array<{eventType: string, currency: string,
+ *   includedQuantity: number, unitAmount: number}>} rates - plan.usageRates
+ */
+function usageLineItems(usage, rates, currency, { start, end }) {
+  return rates
+    .filter((rate) => rate.currency === currency && usage.has(rate.eventType))
+    .map((rate) => {
+      const { eventCount, quantity } = usage.get(rate.eventType);
+      const billable = Math.max(0, quantity - rate.includedQuantity);
+
+      return {
+        type: "usage",
+        description:
+          `${USAGE_LABELS[rate.eventType]} — ${quantity.toLocaleString("en-US")} used` +
+          (rate.includedQuantity > 0
+            ? `, ${rate.includedQuantity.toLocaleString("en-US")} included`
+            : ""),
+        eventType: rate.eventType,
+        eventCount,
+        totalQuantity: quantity,
+        includedQuantity: rate.includedQuantity,
+        quantity: billable,
+        unitPrice: rate.unitAmount,
+        amount: roundMoney(billable * rate.unitAmount, currency),
+        periodStart: start.toISOString(),
+        periodEnd: end.toISOString(),
+      };
+    });
+}
+
+/**
+ * Rate the subscription's unbilled usage up to `windowEnd`.  Locks the
+ * subscription so two invoices cannot claim the same window; call
+ * markUsageBilled in the same transaction once the invoice is written.
+ *
+ * @param {import('pg').PoolClient} client - Tenant-scoped client with an
+ *   open transaction
+ * @param {Object} params
+ * @param {string} params.tenantId
+ * @param {string} params.subscriptionId
+ * @param {Date} params.windowEnd
+ * @param {(sub: Object, client: import('pg').PoolClient) => Promise<Object>}
+ *   params.resolvePlan - The plan whose rates apply, given the locked
+ *   subscriptions row and this transaction's client
+ * @param {string} params.currency
+ * @returns {Promise<{window: {start: Date, end: Date, aggregatedAt: Date},
+ *   lineItems: Array<Object>, amount: number}|null>} null when there is no
+ *   window to bill (already billed up to `windowEnd`)
+ */
+async function rateUsage(
+  client,
+  { tenantId, subscriptionId, windowEnd, resolvePlan, currency },
+) {
+  const result = await client.query(
+    `SELECT * FROM subscriptions WHERE id = $1 AND tenant_id = $2 FOR UPDATE`,
+    [subscriptionId, tenantId],
+  );
+  const sub = result.rows[0];
+  if (!sub) return null;
+
+  const start = new Date(
+    sub.usage_billed_through || sub.trial_end || sub.created_at,
+  );
+  const end = new Date(windowEnd);
+  if (end <= start) return null;
+
+  const window = { start, end, aggregatedAt: new Date() };
+  const plan = await resolvePlan(sub, client);
+  const usage = await aggregateUsage(client, tenantId, {
+    start,
+    end,
+    asOf: window.aggregatedAt,
+  });
+  const lineItems = usageLineItems(usage, plan.usageRates, currency, window);
+  const amount = roundMoney(
+    lineItems.reduce((sum, item) => sum + item.amount, 0),
+    currency,
+  );
+
+  return { window, lineItems, amount };
+}
+
+/**
+ * Advance the subscription's usage window after an invoice billed it.
+ */
+async function markUsageBilled(client, subscriptionId, end) {
+  await client.query(
+    `UPDATE subscriptions
+     SET usage_billed_through = $2
+     WHERE id = $1
+       AND (usage_billed_through IS NULL OR usage_billed_through < $2)`,
+    [subscriptionId, end.toISOString()],
+  );
+}
+
+module.exports = {
+  USAGE_EVENT_TYPES,
+  aggregateUsage,
+  usageLineItems,
+  rateUsage,
+  markUsageBilled,
+};
@@ -117,6 +117,42 @@ module "api" {
       throttle_rate_limit   = 10
     }
 
+    update-tenant = {
+      description           = "Update a tenant's billing email, default currency and payment terms (admin)"
+      route_key             = "PATCH /v1/tenants/{id}"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — admin-only, rare operation
+      throttle_rate_limit   = 10
+    }
+
+    adjust-balance = {
+      description           = "Record a prepayment, refund or adjustment in a tenant's customer balance (admin)"
+      route_key             = "POST /v1/tenants/{id}/balance"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — admin-only, rare operation
+      throttle_rate_limit   = 10
+    }
+
+    get-balance = {
+      description           = "Get the customer balance and its ledger history"
+      route_key             = "GET /v1/balance"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 200  # High — frequent read operation
+      throttle_rate_limit   = 100
+    }
+
     create-subscription = {
       description           = "Create a subscription for a tenant"
       route_key             = "POST /v1/subscriptions"
@@ -129,69 +165,1021 @@ module "api" {
       throttle_rate_limit   = 25
     }
 
-    list-invoices = {
-      description           = "List invoices for the authenticated tenant"
-      route_key             = "GET /v1/invoices"
-      handler               = "index.handler"
-      runtime               = "nodejs20.x"
-      timeout               = 10
-      memory_size           = 256
-      environment_variables = {}
-      throttle_burst_limit  = 200  # High — frequent read operation
-      throttle_rate_limit   = 100
-    }
+    list-subscriptions = {
+      description           = "List subscriptions for a tenant (cursor-based)"
+      route_key             = "GET /v1/subscriptions"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 200  # High — frequent read operation
+      throttle_rate_limit   = 100
+    }
+
+    get-subscription = {
+      description           = "Get one subscription of a tenant"
+      route_key             = "GET /v1/subscriptions/{id}"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 200  # High — frequent read operation
+      throttle_rate_limit   = 100
+    }
+
+    list-subscription-history = {
+      description           = "List plan, status and period changes of a subscription"
+      route_key             = "GET /v1/subscriptions/{id}/history"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 200  # High — frequent read operation
+      throttle_rate_limit   = 100
+    }
+
+    update-subscription = {
+      description           = "Change plan and/or billing cycle with proration, or schedule it for period end"
+      route_key             = "PATCH /v1/subscriptions/{id}"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — rare, deliberate operation
+      throttle_rate_limit   = 10
+    }
+
+    cancel-subscription = {
+      description           = "Cancel a subscription immediately or at period end"
+      route_key             = "POST /v1/subscriptions/{id}/cancel"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — rare, deliberate operation
+      throttle_rate_limit   = 10
+    }
+
+    pause-subscription = {
+      description           = "Pause billing for a subscription"
+      route_key             = "POST /v1/subscriptions/{id}/pause"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — rare, deliberate operation
+      throttle_rate_limit   = 10
+    }
+
+    resume-subscription = {
+      description           = "Resume a paused subscription"
+      route_key             = "POST /v1/subscriptions/{id}/resume"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — rare, deliberate operation
+      throttle_rate_limit   = 10
+    }
+
+    update-seats = {
+      description           = "Change the seat quantity of a subscription with proration, or schedule it for period end"
+      route_key             = "PATCH /v1/subscriptions/{id}/seats"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — rare, deliberate operation
+      throttle_rate_limit   = 10
+    }
+
+    update-payment-terms = {
+      description           = "Override or clear the payment terms of a subscription (admin)"
+      route_key             = "PATCH /v1/subscriptions/{id}/payment-terms"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — admin-only, rare operation
+      throttle_rate_limit   = 10
+    }
+
+    get-pending-change = {
+      description           = "Get the change scheduled for the end of a subscription's period"
+      route_key             = "GET /v1/subscriptions/{id}/pending-change"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 200  # High — frequent read operation
+      throttle_rate_limit   = 100
+    }
+
+    cancel-pending-change = {
+      description           = "Withdraw the change scheduled for the end of a subscription's period"
+      route_key             = "DELETE /v1/subscriptions/{id}/pending-change"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — rare, deliberate operation
+      throttle_rate_limit   = 10
+    }
+
+    add-tenant-user = {
+      description           = "Give a user one of the tenant's seats"
+      route_key             = "POST /v1/users"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — rare, deliberate operation
+      throttle_rate_limit   = 10
+    }
+
+    remove-tenant-user = {
+      description           = "Free the seat held by a tenant user"
+      route_key             = "DELETE /v1/users/{id}"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — rare, deliberate operation
+      throttle_rate_limit   = 10
+    }
+
+    list-plans = {
+      description           = "List the plan catalog"
+      route_key             = "GET /v1/plans"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 200  # High — pricing page / plan picker
+      throttle_rate_limit   = 100
+    }
+
+    create-plan = {
+      description           = "Add a plan to the catalog"
+      route_key             = "POST /v1/plans"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — admin-only, rare operation
+      throttle_rate_limit   = 10
+    }
+
+    create-plan-version = {
+      description           = "Publish a new version of a plan"
+      route_key             = "POST /v1/plans/{id}/versions"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — admin-only, rare operation
+      throttle_rate_limit   = 10
+    }
+
+    archive-plan = {
+      description           = "Archive a plan (no new subscriptions)"
+      route_key             = "POST /v1/plans/{id}/archive"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — admin-only, rare operation
+      throttle_rate_limit   = 10
+    }
+
+    create-coupon = {
+      description           = "Create a coupon"
+      route_key             = "POST /v1/coupons"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — admin-only, rare operation
+      throttle_rate_limit   = 10
+    }
+
+    list-coupons = {
+      description           = "List coupons"
+      route_key             = "GET /v1/coupons"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — admin-only, rare operation
+      throttle_rate_limit   = 10
+    }
+
+    archive-coupon = {
+      description           = "Archive a coupon (no new redemptions)"
+      route_key             = "POST /v1/coupons/{id}/archive"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — admin-only, rare operation
+      throttle_rate_limit   = 10
+    }
+
+    list-invoices = {
+      description           = "List invoices for the authenticated tenant"
+      route_key             = "GET /v1/invoices"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 200  # High — frequent read operation
+      throttle_rate_limit   = 100
+    }
+
+    export-invoices = {
+      description           = "Export invoices as CSV or JSONL (invoiceExport feature)"
+      route_key             = "GET /v1/invoices/export"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 30
+      memory_size           = 512  # Holds the file (up to 4 MB) for the response
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — monthly finance export
+      throttle_rate_limit   = 10
+    }
+
+    create-invoice-export = {
+      description           = "Queue a large invoice export (invoiceExport feature)"
+      route_key             = "POST /v1/invoice-exports"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — monthly finance export
+      throttle_rate_limit   = 10
+    }
+
+    get-invoice-export = {
+      description           = "Poll a queued invoice export"
+      route_key             = "GET /v1/invoice-exports/{id}"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 50
+      throttle_rate_limit   = 25
+    }
+
+    download-invoice-export = {
+      description           = "Download a part of a completed invoice export"
+      route_key             = "GET /v1/invoice-exports/{id}/download"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 15
+      memory_size           = 512  # Holds one part (up to 4 MB) for the response
+      environment_variables = {}
+      throttle_burst_limit  = 50
+      throttle_rate_limit   = 25
+    }
+
+    get-invoice = {
+      description           = "Get one invoice with its line items"
+      route_key             = "GET /v1/invoices/{id}"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 200  # High — frequent read operation
+      throttle_rate_limit   = 100
+    }
+
+    get-invoice-pdf = {
+      description           = "Download an invoice as PDF (invoiceExport feature)"
+      route_key             = "GET /v1/invoices/{id}/pdf"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 15
+      memory_size           = 512  # Renders the document in memory
+      environment_variables = {}
+      throttle_burst_limit  = 50
+      throttle_rate_limit   = 25
+    }
+
+    finalize-invoice = {
+      description           = "Finalize a draft invoice (draft → issued)"
+      route_key             = "POST /v1/invoices/{id}/finalize"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — admin-only, rare operation
+      throttle_rate_limit   = 10
+    }
+
+    void-invoice = {
+      description           = "Void an unpaid invoice"
+      route_key             = "POST /v1/invoices/{id}/void"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — admin-only, rare operation
+      throttle_rate_limit   = 10
+    }
+
+    mark-invoice-paid = {
+      description           = "Mark an invoice paid in full (records a payment of the amount due)"
+      route_key             = "POST /v1/invoices/{id}/mark-paid"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — admin-only, rare operation
+      throttle_rate_limit   = 10
+    }
+
+    mark-invoice-uncollectible = {
+      description           = "Write off an unpaid invoice"
+      route_key             = "POST /v1/invoices/{id}/mark-uncollectible"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — admin-only, rare operation
+      throttle_rate_limit   = 10
+    }
+
+    create-payment = {
+      description           = "Record a full, partial or over-payment against an invoice"
+      route_key             = "POST /v1/invoices/{id}/payments"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — admin-only, rare operation
+      throttle_rate_limit   = 10
+    }
+
+    create-credit-note = {
+      description           = "Credit an issued invoice (full, partial or line-level)"
+      route_key             = "POST /v1/invoices/{id}/credit-notes"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — admin-only, rare operation
+      throttle_rate_limit   = 10
+    }
+
+    get-credit-note = {
+      description           = "Get one credit note with its lines"
+      route_key             = "GET /v1/credit-notes/{id}"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 10
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 200  # High — frequent read operation
+      throttle_rate_limit   = 100
+    }
+
+    get-credit-note-pdf = {
+      description           = "Download a credit note as PDF (invoiceExport feature)"
+      route_key             = "GET /v1/credit-notes/{id}/pdf"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 15
+      memory_size           = 512  # Renders the document in memory
+      environment_variables = {}
+      throttle_burst_limit  = 50
+      throttle_rate_limit   = 25
+    }
+
+    get-trial-balance = {
+      description           = "Trial balance of the double-entry journal per currency (admin)"
+      route_key             = "GET /v1/reports/trial-balance"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 15
+      memory_size           = 256
+      environment_variables = {}
+      throttle_burst_limit  = 20   # Low — admin-only, rare operation
+      throttle_rate_limit   = 10
+    }
+
+    ingest-event = {
+      description           = "Ingest a billing event"
+      route_key             = "POST /v1/events"
+      handler               = "index.handler"
+      runtime               = "nodejs20.x"
+      timeout               = 5
+      memory_size           = 128
+      environment_variables = {
+        PAUSED_USAGE_POLICY = "reject" # reject | flag — usage sent while paused
+      }
+      throttle_burst_limit  = 500  # Highest — event ingestion is bursty
+      throttle_rate_limit   = 200
+    }
+  }
+
+  # Request validation schemas
+  request_schemas = {
+    create-tenant = jsonencode({
+      "$schema" = "http://json-schema.org/draft-07/schema#"
+      type       = "object"
+      required   = ["name", "email"]
+      properties = {
+        name = {
+          type      = "string"
+          minLength = 1
+          maxLength = 128
+        }
+        email = {
+          type   = "string"
+          format = "email"
+        }
+        plan = {
+          type      = "string"
+          minLength = 1
+        }
+        currency = {
+          type    = "string"
+          pattern = "^[A-Za-z]{3}$"
+        }
+        # Number formats, e.g. { prefix = "ACME", format = "{prefix}-{year}-{seq:6}", yearly_reset = true }
+        invoice_numbering     = local.numbering_schema
+        credit_note_numbering = local.numbering_schema
+        # e.g. { type = "net", days = 15 } — default net 30
+        payment_terms = local.payment_terms_schema
+      }
+      additionalProperties = false
+    })
+
+    update-tenant = jsonencode({
+      "$schema" = "http://json-schema.org/draft-07/schema#"
+      type          = "object"
+      minProperties = 1
+      properties = {
+        email = {
+          type   = "string"
+          format = "email"
+        }
+        currency = {
+          type    = "string"
+          pattern = "^[A-Za-z]{3}$"
+        }
+        # null goes back to the default terms
+        payment_terms = merge(local.payment_terms_schema, {
+          type = ["object", "null"]
+        })
+      }
+      additionalProperties = false
+    })
+
+    adjust-balance = jsonencode({
+      "$schema" = "http://json-schema.org/draft-07/schema#"
+      type       = "object"
+      required   = ["amount", "reason"]
+      properties = {
+        # Change to the balance: prepayment > 0, refund < 0
+        amount = {
+          type = "number"
+          not  = { const = 0 }
+        }
+        currency = {
+          type    = "string"
+          pattern = "^[A-Za-z]{3}$"
+        }
+        reason = {
+          type = "string"
+          enum = ["prepayment", "adjustment", "refund"]
+        }
+        description = {
+          type      = "string"
+          maxLength = 500
+        }
+      }
+      additionalProperties = false
+    })
+
+    create-subscription = jsonencode({
+      "$schema" = "http://json-schema.org/draft-07/schema#"
+      type       = "object"
+      required   = ["plan_id", "billing_cycle"]
+      properties = {
+        plan_id = {
+          type      = "string"
+          minLength = 1
+        }
+        billing_cycle = {
+          type = "string"
+          enum = ["monthly", "annual"]
+        }
+        starts_at = {
+          type   = "string"
+          format = "date-time"
+        }
+        trial_days = {
+          type    = "integer"
+          minimum = 0
+          maximum = 365
+        }
+        currency = {
+          type    = "string"
+          pattern = "^[A-Za-z]{3}$"
+        }
+        coupon_code = {
+          type      = "string"
+          minLength = 1
+          maxLength = 64
+        }
+        quantity = {
+          type    = "integer"
+          minimum = 1
+        }
+        billing_anchor_day = {
+          type    = "integer"
+          minimum = 1
+          maximum = 31
+        }
+      }
+      additionalProperties = false
+    })
+
+    update-subscription = jsonencode({
+      "$schema" = "http://json-schema.org/draft-07/schema#"
+      type          = "object"
+      minProperties = 1
+      properties = {
+        plan_id = {
+          type      = "string"
+          minLength = 1
+        }
+        billing_cycle = {
+          type = "string"
+          enum = ["monthly", "quarterly", "annual"]
+        }
+        effective = {
+          type = "string"
+          enum = ["immediately", "period_end"]
+        }
+      }
+      additionalProperties = false
+    })
+
+    cancel-subscription = jsonencode({
+      "$schema" = "http://json-schema.org/draft-07/schema#"
+      type       = "object"
+      properties = {
+        mode = {
+          type = "string"
+          enum = ["immediate", "at_period_end"]
+        }
+        reason = {
+          type      = "string"
+          maxLength = 500
+        }
+      }
+      additionalProperties = false
+    })
 
-    ingest-event = {
-      description           = "Ingest a billing event"
-      route_key             = "POST /v1/events"
-      handler               = "index.handler"
-      runtime               = "nodejs20.x"
-      timeout               = 5
-      memory_size           = 128
-      environment_variables = {}
-      throttle_burst_limit  = 500  # Highest — event ingestion is bursty
-      throttle_rate_limit   = 200
-    }
-  }
+    pause-subscription = jsonencode({
+      "$schema" = "http://json-schema.org/draft-07/schema#"
+      type       = "object"
+      properties = {
+        resume_at = {
+          type   = "string"
+          format = "date-time"
+        }
+        reason = {
+          type      = "string"
+          maxLength = 500
+        }
+      }
+      additionalProperties = false
+    })
 
-  # Request validation schemas
-  request_schemas = {
-    create-tenant = jsonencode({
+    update-seats = jsonencode({
       "$schema" = "http://json-schema.org/draft-07/schema#"
       type       = "object"
-      required   = ["name", "email"]
+      required   = ["quantity"]
+      properties = {
+        quantity = {
+          type    = "integer"
+          minimum = 1
+        }
+        effective = {
+          type = "string"
+          enum = ["immediately", "period_end"]
+        }
+      }
+      additionalProperties = false
+    })
+
+    update-payment-terms = jsonencode({
+      "$schema" = "http://json-schema.org/draft-07/schema#"
+      type       = "object"
+      required   = ["payment_terms"]
+      properties = {
+        # null goes back to the tenant's terms
+        payment_terms = merge(local.payment_terms_schema, {
+          type = ["object", "null"]
+        })
+      }
+      additionalProperties = false
+    })
+
+    add-tenant-user = jsonencode({
+      "$schema" = "http://json-schema.org/draft-07/schema#"
+      type       = "object"
+      required   = ["email"]
+      properties = {
+        email = {
+          type      = "string"
+          format    = "email"
+          maxLength = 255
+        }
+        name = {
+          type      = "string"
+          maxLength = 255
+        }
+      }
+      additionalProperties = false
+    })
+
+    create-plan = jsonencode({
+      "$schema" = "http://json-schema.org/draft-07/schema#"
+      type       = "object"
+      required   = ["id", "name", "prices"]
       properties = {
+        id = {
+          type      = "string"
+          pattern   = "^[a-z0-9][a-z0-9_-]*$"
+          maxLength = 50
+        }
         name = {
           type      = "string"
           minLength = 1
-          maxLength = 128
+          maxLength = 255
         }
-        email = {
-          type   = "string"
-          format = "email"
+        trial_days = {
+          type    = "integer"
+          minimum = 0
+          maximum = 365
         }
-        plan = {
+        limits = {
+          type = "object"
+        }
+        features = {
+          type = "object"
+        }
+        prices = {
+          type     = "array"
+          minItems = 1
+          items = {
+            type     = "object"
+            required = ["billing_cycle", "amount"]
+            properties = {
+              billing_cycle = {
+                type = "string"
+                enum = ["monthly", "quarterly", "annual"]
+              }
+              currency = {
+                type    = "string"
+                pattern = "^[A-Za-z]{3}$"
+              }
+              amount = {
+                type    = "number"
+                minimum = 0
+              }
+            }
+            additionalProperties = false
+          }
+        }
+        tax_behavior = {
           type = "string"
-          enum = ["free", "starter", "professional", "enterprise"]
+          enum = ["exclusive", "inclusive"]
+        }
+        usage_rates = {
+          type = "array"
+          items = {
+            type     = "object"
+            required = ["event_type", "unit_amount"]
+            properties = {
+              event_type = {
+                type = "string"
+                enum = ["api_call", "storage_used", "compute_time", "custom"]
+              }
+              currency = {
+                type    = "string"
+                pattern = "^[A-Za-z]{3}$"
+              }
+              included_quantity = {
+                type    = "number"
+                minimum = 0
+              }
+              unit_amount = {
+                type    = "number"
+                minimum = 0
+              }
+            }
+            additionalProperties = false
+          }
         }
       }
       additionalProperties = false
     })
 
-    create-subscription = jsonencode({
+    create-plan-version = jsonencode({
+      "$schema" = "http://json-schema.org/draft-07/schema#"
+      type          = "object"
+      minProperties = 1
+      properties = {
+        trial_days = {
+          type    = "integer"
+          minimum = 0
+          maximum = 365
+        }
+        limits = {
+          type = "object"
+        }
+        features = {
+          type = "object"
+        }
+        prices = {
+          type     = "array"
+          minItems = 1
+          items = {
+            type     = "object"
+            required = ["billing_cycle", "amount"]
+            properties = {
+              billing_cycle = {
+                type = "string"
+                enum = ["monthly", "quarterly", "annual"]
+              }
+              currency = {
+                type    = "string"
+                pattern = "^[A-Za-z]{3}$"
+              }
+              amount = {
+                type    = "number"
+                minimum = 0
+              }
+            }
+            additionalProperties = false
+          }
+        }
+        tax_behavior = {
+          type = "string"
+          enum = ["exclusive", "inclusive"]
+        }
+        usage_rates = {
+          type = "array"
+          items = {
+            type     = "object"
+            required = ["event_type", "unit_amount"]
+            properties = {
+              event_type = {
+                type = "string"
+                enum = ["api_call", "storage_used", "compute_time", "custom"]
+              }
+              currency = {
+                type    = "string"
+                pattern = "^[A-Za-z]{3}$"
+              }
+              included_quantity = {
+                type    = "number"
+                minimum = 0
+              }
+              unit_amount = {
+                type    = "number"
+                minimum = 0
+              }
+            }
+            additionalProperties = false
+          }
+        }
+      }
+      additionalProperties = false
+    })
+
+    create-coupon = jsonencode({
       "$schema" = "http://json-schema.org/draft-07/schema#"
       type       = "object"
-      required   = ["plan_id", "billing_cycle"]
+      required   = ["code", "name", "duration"]
       properties = {
-        plan_id = {
+        code = {
+          type      = "string"
+          pattern   = "^[A-Za-z0-9][A-Za-z0-9_-]*$"
+          maxLength = 64
+        }
+        name = {
           type      = "string"
           minLength = 1
+          maxLength = 255
         }
-        billing_cycle = {
+        percent_off = {
+          type             = "number"
+          exclusiveMinimum = 0
+          maximum          = 100
+        }
+        amount_off = {
+          type             = "number"
+          exclusiveMinimum = 0
+        }
+        currency = {
+          type    = "string"
+          pattern = "^[A-Za-z]{3}$"
+        }
+        duration = {
           type = "string"
-          enum = ["monthly", "annual"]
+          enum = ["once", "repeating", "forever"]
         }
-        starts_at = {
+        duration_in_cycles = {
+          type    = "integer"
+          minimum = 1
+        }
+        max_redemptions = {
+          type    = "integer"
+          minimum = 1
+        }
+        expires_at = {
+          type   = "string"
+          format = "date-time"
+        }
+        applies_to_plans = {
+          type     = "array"
+          minItems = 1
+          items = {
+            type      = "string"
+            minLength = 1
+          }
+        }
+      }
+      additionalProperties = false
+    })
+
+    void-invoice = jsonencode({
+      "$schema" = "http://json-schema.org/draft-07/schema#"
+      type       = "object"
+      properties = {
+        reason = {
+          type      = "string"
+          maxLength = 500
+        }
+      }
+      additionalProperties = false
+    })
+
+    mark-invoice-paid = jsonencode({
+      "$schema" = "http://json-schema.org/draft-07/schema#"
+      type       = "object"
+      properties = {
+        paid_at = {
+          type   = "string"
+          format = "date-time"
+        }
+        payment_reference = {
+          type      = "string"
+          minLength = 1
+          maxLength = 255
+        }
+        method = local.payment_method_schema
+      }
+      additionalProperties = false
+    })
+
+    create-payment = jsonencode({
+      "$schema" = "http://json-schema.org/draft-07/schema#"
+      type       = "object"
+      required   = ["amount"]
+      properties = {
+        amount = {
+          type             = "number"
+          exclusiveMinimum = 0
+        }
+        currency = {
+          type    = "string"
+          pattern = "^[A-Za-z]{3}$"
+        }
+        method = local.payment_method_schema
+        reference = {
+          type      = "string"
+          minLength = 1
+          maxLength = 255
+        }
+        paid_at = {
+          type   = "string"
+          format = "date-time"
+        }
+      }
+      additionalProperties = false
+    })
+
+    create-credit-note = jsonencode({
+      "$schema" = "http://json-schema.org/draft-07/schema#"
+      type       = "object"
+      required   = ["reason"]
+      properties = {
+        reason = {
+          type = "string"
+          enum = [
+            "billing_error", "duplicate", "order_change",
+            "product_unsatisfactory", "goodwill", "other",
+          ]
+        }
+        memo = {
+          type      = "string"
+          maxLength = 500
+        }
+        # Partial credit, tax included — or `lines`; neither = full credit
+        amount = {
+          type             = "number"
+          exclusiveMinimum = 0
+        }
+        lines = {
+          type     = "array"
+          minItems = 1
+          maxItems = 100
+          items = {
+            type     = "object"
+            required = ["line"]
+            properties = {
+              line = {
+                type    = "integer"
+                minimum = 0
+              }
+              quantity = {
+                type             = "number"
+                exclusiveMinimum = 0
+              }
+              amount = {
+                type             = "number"
+                exclusiveMinimum = 0
+              }
+            }
+            additionalProperties = false
+          }
+        }
+        refund = {
+          type = "boolean"
+        }
+      }
+      additionalProperties = false
+    })
+
+    create-invoice-export = jsonencode({
+      "$schema" = "http://json-schema.org/draft-07/schema#"
+      type       = "object"
+      properties = {
+        format = {
+          type = "string"
+          enum = ["csv", "jsonl"]
+        }
+        # Filters as GET /v1/invoices
+        status = {
+          type = "string"
+          enum = ["draft", "issued", "paid", "overdue", "void", "uncollectible"]
+        }
+        currency = {
+          type    = "string"
+          pattern = "^[A-Za-z]{3}$"
+        }
+        from = {
+          type   = "string"
+          format = "date-time"
+        }
+        to = {
           type   = "string"
           format = "date-time"
         }
@@ -206,7 +1194,7 @@ module "api" {
       properties = {
         event_type = {
           type = "string"
-          enum = ["usage", "charge", "credit", "refund"]
+          enum = ["api_call", "storage_used", "compute_time", "custom"]
         }
         idempotency_key = {
           type      = "string"
@@ -216,7 +1204,7 @@ module "api" {
         payload = {
           type = "object"
         }
-        occurred_at = {
+        timestamp = {
           type   = "string"
           format = "date-time"
         }
@@ -255,6 +1243,14 @@ module "events" {
   # RDS Proxy — consumer Lambdas connect through proxy for connection pooling
   rds_proxy_endpoint = module.rds_proxy.proxy_endpoint
 
+  # Tax on generated invoices (shared/tax.js)
+  consumer_environment_variables = {
+    generate-invoice = {
+      TAX_PROVIDER       = "rate_table" # rate_table | none
+      TAX_ORIGIN_COUNTRY = ""           # Seller's country (ISO 3166-1 alpha-2); empty = outside the EU
+    }
+  }
+
   # Logging
   log_retention_days = var.log_retention_days
 
@@ -264,6 +1260,82 @@ module "events" {
   tags = local.common_tags
 }
 
+# ---------- Scheduled Jobs (EventBridge → Lambda) ------------------------- #
+module "scheduled_jobs" {
+  source = "../../modules/scheduled-jobs"
+
+  project     = var.project
+  environment = var.environment
+
+  # From VPC module
+  private_subnet_ids       = module.vpc.private_subnet_ids
+  lambda_security_group_id = module.vpc.lambda_security_group_id
+
+  # From IAM module
+  lambda_execution_role_arn = module.iam.lambda_execution_role_arn
+
+  # Database
+  db_secret_arn      = module.rds.master_user_secret_arn
+  rds_proxy_endpoint = module.rds_proxy.proxy_endpoint
+
+  # Jobs publish domain events to the same topic as the API
+  sns_topic_arn = module.events.sns_topic_arn
+
+  jobs = {
+    process-trials = {
+      description         = "Convert or expire ended trials, warn before trials end"
+      schedule_expression = "rate(1 hour)"
+      timeout             = 120
+      memory_size         = 256
+      environment_variables = {
+        TRIAL_WILL_END_DAYS = "3"  # Days before trial_end to send the warning
+      }
+    }
+    renew-subscriptions = {
+      description           = "Auto-resume paused subscriptions, roll due ones into their next period"
+      schedule_expression   = "rate(15 minutes)"
+      timeout               = 300
+      memory_size           = 256
+      environment_variables = {}
+    }
+    process-dunning = {
+      description         = "Chase overdue invoices: past_due, retries, cancel/suspend"
+      schedule_expression = "rate(1 hour)"
+      timeout             = 300
+      memory_size         = 256
+      environment_variables = {
+        DUNNING_RETRY_DAYS   = "1,3,5"   # Collection retries, days after the case opens
+        DUNNING_GRACE_DAYS   = "7"       # Final action after this many days
+        DUNNING_FINAL_ACTION = "suspend" # cancel | suspend
+      }
+    }
+    process-overdue-invoices = {
+      description         = "Mark invoices past due overdue, send payment reminders"
+      schedule_expression = "rate(1 hour)"
+      timeout             = 300
+      memory_size         = 256
+      environment_variables = {
+        INVOICE_REMINDER_DAYS = "-3,0,7" # Reminder days relative to the due date
+      }
+    }
+    process-invoice-exports = {
+      description           = "Write queued invoice exports, delete expired ones"
+      schedule_expression   = "rate(1 minute)"
+      timeout               = 900
+      memory_size           = 512
+      environment_variables = {}
+    }
+  }
+
+  # Logging
+  log_retention_days = var.log_retention_days
+
+  # X-Ray distributed tracing
+  enable_xray_tracing = var.enable_xray_tracing
+
+  tags = local.common_tags
+}
+
 # ---------- RDS (Aurora Serverless v2) ------------------------------------- #
 module "rds" {
   source = "../../modules/rds"
@@ -473,10 +1545,12 @@ module "observability" {
   environment = var.environment
   aws_region  = var.aws_region
 
-  # All Lambda function names (API + event consumers + pre-token + dlq-reprocessor)
+  # All Lambda function names (API + event consumers + scheduled jobs +
+  # pre-token + dlq-reprocessor)
   lambda_function_names = concat(
     values(module.api.lambda_function_names),
     values(module.events.consumer_function_names),
+    values(module.scheduled_jobs.function_names),
     [module.pre_token.function_name],
     [module.dlq_reprocessor.function_name],
   )
@@ -487,6 +1561,7 @@ module "observability" {
       for fn_name in concat(
         values(module.api.lambda_function_names),
         values(module.events.consumer_function_names),
+        values(module.scheduled_jobs.function_names),
       ) : "/aws/lambda/${fn_name}"
     ],
     [module.pre_token.log_group_name],
@@ -522,4 +1597,49 @@ locals {
     Environment = var.environment
     ManagedBy   = "terraform"
   }
+
+  # Document number format (shared/numbering) — create-tenant request schema
+  numbering_schema = {
+    type = "object"
+    properties = {
+      prefix = {
+        type    = "string"
+        pattern = "^[A-Za-z0-9][A-Za-z0-9_./-]{0,19}$"
+      }
+      format = {
+        type      = "string"
+        minLength = 5
+        maxLength = 50
+      }
+      yearly_reset = {
+        type = "boolean"
+      }
+    }
+    additionalProperties = false
+  }
+
+  # How a payment was received (shared/payments) — payment schemas
+  payment_method_schema = {
+    type = "string"
+    enum = ["bank_transfer", "card", "check", "cash", "other"]
+  }
+
+  # Payment terms (shared/payment-terms) — tenant and subscription schemas.
+  # The handlers check `days` against the type (net: 15, 30 or 60).
+  payment_terms_schema = {
+    type     = "object"
+    required = ["type"]
+    properties = {
+      type = {
+        type = "string"
+        enum = ["due_on_receipt", "net", "end_of_month"]
+      }
+      days = {
+        type    = "integer"
+        minimum = 0
+        maximum = 90
+      }
+    }
+    additionalProperties = false
+  }
 }
@@ -7,11 +7,50 @@
 #     adds routes, integrations, models, and throttling — clean separation of
 #     concerns between identity (auth) and API surface (this module).
 #
-#   • Four business endpoints mapped to individual Lambda functions:
-#       POST /tenants        → create-tenant
-#       POST /subscriptions  → create-subscription
-#       GET  /invoices       → list-invoices
-#       POST /events         → ingest-event
+#   • Business endpoints mapped to individual Lambda functions, e.g.:
+#       POST /tenants                    → create-tenant
+#       PATCH /tenants/{id}              → update-tenant
+#       POST /tenants/{id}/balance       → adjust-balance
+#       GET  /balance                    → get-balance
+#       POST /subscriptions              → create-subscription
+#       GET  /subscriptions              → list-subscriptions
+#       GET  /subscriptions/{id}         → get-subscription
+#       GET  /subscriptions/{id}/history → list-subscription-history
+#       PATCH /subscriptions/{id}        → update-subscription
+#       POST /subscriptions/{id}/cancel  → cancel-subscription
+#       POST /subscriptions/{id}/pause   → pause-subscription
+#       POST /subscriptions/{id}/resume  → resume-subscription
+#       PATCH /subscriptions/{id}/seats  → update-seats
+#       PATCH /subscriptions/{id}/payment-terms → update-payment-terms
+#       GET  /subscriptions/{id}/pending-change → get-pending-change
+#       DELETE /subscriptions/{id}/pending-change → cancel-pending-change
+#       POST /users                      → add-tenant-user
+#       DELETE /users/{id}               → remove-tenant-user
+#       GET  /plans                      → list-plans
+#       POST /plans                      → create-plan
+#       POST /plans/{id}/versions        → create-plan-version
+#       POST /plans/{id}/archive         → archive-plan
+#       POST /coupons                    → create-coupon
+#       GET  /coupons                    → list-coupons
+#       POST /coupons/{id}/archive       → archive-coupon
+#       GET  /invoices                   → list-invoices
+#       GET  /invoices/export            → export-invoices
+#       POST /invoice-exports            → create-invoice-export
+#       GET  /invoice-exports/{id}       → get-invoice-export
+#       GET  /invoice-exports/{id}/download → download-invoice-export
+#       GET  /invoices/{id}              → get-invoice
+#       GET  /invoices/{id}/pdf          → get-invoice-pdf
+#       POST /invoices/{id}/finalize     → finalize-invoice
+#       POST /invoices/{id}/void         → void-invoice
+#       POST /invoices/{id}/mark-paid    → mark-invoice-paid
+#       POST /invoices/{id}/mark-uncollectible → mark-invoice-uncollectible
+#       POST /invoices/{id}/payments     → create-payment
+#       POST /invoices/{id}/credit-notes → create-credit-note
+#       GET  /credit-notes/{id}          → get-credit-note
+#       GET  /credit-notes/{id}/pdf      → get-credit-note-pdf
+#       GET  /reports/trial-balance      → get-trial-balance
+#       POST /events                     → ingest-event
+#     The full route table lives in the environment's `lambda_functions`.
 #     Each function has its own log group, timeout, and memory configuration.
 #
 #   • All routes require Cognito JWT authorization — the authorizer_id is
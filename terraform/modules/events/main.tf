@@ -44,8 +44,11 @@
 #     SNS filter policies route events to the right consumer based on the
 #     `eventType` MessageAttribute.  Each consumer declares which event
 #     patterns it cares about:
-#       – generate-invoice: subscription.created (heavy processing)
-#       – send-notification: all subscription.* events (user-facing)
+#       – generate-invoice: subscription.created / .canceled / .updated /
+#         .trial_converted / .renewed
+#         (events that produce an invoice — heavy processing)
+#       – send-notification: all subscription.* / invoice.* / tenant.*
+#         events (user-facing)
 #       – audit-log: all events (compliance record of everything)
 #     When `raw_message_delivery = true`, filter policies match on
 #     MessageAttributes (not the message body).  Publishers must include
@@ -125,27 +128,39 @@ data "aws_caller_identity" "current" {}
 locals {
   consumers = {
     generate-invoice = {
-      description    = "Generate invoice when subscription is created"
+      description    = "Generate invoices for subscription lifecycle events"
       timeout        = 30
       memory_size    = 256
       batch_size     = 1   # Process one subscription at a time (invoice is heavy)
       max_receive    = 5
       needs_vpc      = true
-      # Only process subscription creation events (heavy operation)
+      # Only events that produce an invoice (heavy operation)
       filter_policy  = {
-        eventType = ["subscription.created"]
+        eventType = [
+          "subscription.created",
+          "subscription.canceled",
+          "subscription.updated",
+          "subscription.trial_converted",
+          "subscription.renewed",
+          "subscription.ended",
+        ]
       }
     }
     send-notification = {
-      description    = "Send email notification on subscription events"
+      description    = "Send email notification on subscription, invoice, credit note and tenant events"
       timeout        = 15
       memory_size    = 128
       batch_size     = 5   # Batch notifications for efficiency
       max_receive    = 3
       needs_vpc      = false  # Calls SES, not RDS
-      # Notify on all subscription lifecycle events
+      # Notify on subscription, invoice (dunning), credit note and tenant lifecycle events
       filter_policy  = {
-        eventType = [{ "prefix" = "subscription." }]
+        eventType = [
+          { "prefix" = "subscription." },
+          { "prefix" = "invoice." },
+          { "prefix" = "credit_note." },
+          { "prefix" = "tenant." },
+        ]
       }
     }
     audit-log = {
@@ -338,14 +353,17 @@ resource "aws_lambda_function" "consumer" {
   }
 
   environment {
-    variables = {
-      ENVIRONMENT        = var.environment
-      PROJECT            = var.project
-      LOG_LEVEL          = var.environment == "prod" ? "WARN" : "DEBUG"
-      DB_SECRET_ARN      = var.db_secret_arn
-      SNS_TOPIC_ARN      = aws_sns_topic.subscription_events.arn
-      RDS_PROXY_ENDPOINT = var.rds_proxy_endpoint
-    }
+    variables = merge(
+      {
+        ENVIRONMENT        = var.environment
+        PROJECT            = var.project
+        LOG_LEVEL          = var.environment == "prod" ? "WARN" : "DEBUG"
+        DB_SECRET_ARN      = var.db_secret_arn
+        SNS_TOPIC_ARN      = aws_sns_topic.subscription_events.arn
+        RDS_PROXY_ENDPOINT = var.rds_proxy_endpoint
+      },
+      lookup(var.consumer_environment_variables, each.key, {}),
+    )
   }
 
   depends_on = [aws_cloudwatch_log_group.consumer]
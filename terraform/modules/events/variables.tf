@@ -57,6 +57,12 @@ variable "rds_proxy_endpoint" {
   default     = ""
 }
 
+variable "consumer_environment_variables" {
+  description = "Extra environment variables per consumer, keyed by consumer name (e.g. generate-invoice tax settings)"
+  type        = map(map(string))
+  default     = {}
+}
+
 # ──────────────────────────────────────────────────────────────────────────── #
 # Logging
 # ──────────────────────────────────────────────────────────────────────────── #
@@ -0,0 +1,152 @@
+###############################################################################
+# Scheduled Jobs Module — EventBridge-triggered billing Lambdas
+# ──────────────────────────────────────────────────────────────────────────────
+# Design decisions:
+#
+#   • DEDICATED MODULE: Scheduled jobs (trial conversion, renewals, ...) have
+#     a different lifecycle from API handlers and SQS consumers — they are
+#     triggered by an EventBridge schedule, not a route or a queue.
+#
+#   • ONE MAP, MANY JOBS: Each job is an entry in `var.jobs` with its own
+#     schedule expression, timeout and environment.  Adding a job is one map
+#     entry in the environment root module.
+#
+#   • VPC: Every job reads and writes Aurora, so every job runs in the
+#     private subnets with the Lambda security group.
+#
+#   • CONCURRENCY: Jobs are written to be safe when two invocations overlap
+#     (row locks with SKIP LOCKED), but `reserved_concurrent_executions = 1`
+#     keeps a slow run and the next tick from competing for the same rows
+#     in the common case.
+#
+#   • EVENTS: Jobs write domain events to the `event_outbox` table in the
+#     same transaction as the state change, then publish them to the SNS
+#     topic.  SNS_TOPIC_ARN is therefore passed to every job.
+#
+#   • RETRIES: EventBridge → Lambda is an async invocation.  Lambda retries
+#     a failed run twice; the next scheduled tick is the real recovery path.
+###############################################################################
+
+# ──────────────────────────────────────────────────────────────────────────── #
+# CloudWatch Log Groups — one per job
+# ──────────────────────────────────────────────────────────────────────────── #
+
+resource "aws_cloudwatch_log_group" "job" {
+  for_each = var.jobs
+
+  name              = "/aws/lambda/${var.project}-${var.environment}-${each.key}"
+  retention_in_days = var.log_retention_days
+
+  tags = merge(var.tags, {
+    Name     = "${var.project}-${var.environment}-${each.key}-logs"
+    Function = each.key
+  })
+}
+
+# ──────────────────────────────────────────────────────────────────────────── #
+# Placeholder Deployment Package
+# ──────────────────────────────────────────────────────────────────────────── #
+
+data "archive_file" "placeholder" {
+  type        = "zip"
+  output_path = "${path.module}/placeholder.zip"
+
+  source {
+    content  = <<-EOF
+      exports.handler = async (event) => {
+        console.log(JSON.stringify({ message: "Scheduled job placeholder — deploy via CI/CD" }));
+        return { status: "placeholder" };
+      };
+    EOF
+    filename = "index.js"
+  }
+}
+
+# ──────────────────────────────────────────────────────────────────────────── #
+# Lambda Functions
+# ──────────────────────────────────────────────────────────────────────────── #
+
+resource "aws_lambda_function" "job" {
+  for_each = var.jobs
+
+  function_name = "${var.project}-${var.environment}-${each.key}"
+  description   = each.value.description
+  role          = var.lambda_execution_role_arn
+  handler       = "index.handler"
+  runtime       = "nodejs20.x"
+  timeout       = each.value.timeout
+  memory_size   = each.value.memory_size
+
+  reserved_concurrent_executions = 1
+
+  # Placeholder — real code deployed via CI/CD
+  filename         = data.archive_file.placeholder.output_path
+  source_code_hash = data.archive_file.placeholder.output_base64sha256
+
+  # X-Ray distributed tracing
+  tracing_config {
+    mode = var.enable_xray_tracing ? "Active" : "PassThrough"
+  }
+
+  # VPC configuration — every job needs DB access
+  vpc_config {
+    subnet_ids         = var.private_subnet_ids
+    security_group_ids = [var.lambda_security_group_id]
+  }
+
+  environment {
+    variables = merge(
+      {
+        ENVIRONMENT        = var.environment
+        PROJECT            = var.project
+        LOG_LEVEL          = var.environment == "prod" ? "WARN" : "DEBUG"
+        DB_SECRET_ARN      = var.db_secret_arn
+        SNS_TOPIC_ARN      = var.sns_topic_arn
+        RDS_PROXY_ENDPOINT = var.rds_proxy_endpoint
+      },
+      each.value.environment_variables
+    )
+  }
+
+  depends_on = [aws_cloudwatch_log_group.job]
+
+  tags = merge(var.tags, {
+    Name     = "${var.project}-${var.environment}-${each.key}"
+    Function = each.key
+  })
+}
+
+# ──────────────────────────────────────────────────────────────────────────── #
+# EventBridge Schedules
+# ──────────────────────────────────────────────────────────────────────────── #
+
+resource "aws_cloudwatch_event_rule" "schedule" {
+  for_each = var.jobs
+
+  name                = "${var.project}-${var.environment}-${each.key}"
+  description         = "Schedule for ${each.key}"
+  schedule_expression = each.value.schedule_expression
+
+  tags = merge(var.tags, {
+    Name     = "${var.project}-${var.environment}-${each.key}-schedule"
+    Function = each.key
+  })
+}
+
+resource "aws_cloudwatch_event_target" "job" {
+  for_each = var.jobs
+
+  rule      = aws_cloudwatch_event_rule.schedule[each.key].name
+  target_id = each.key
+  arn       = aws_lambda_function.job[each.key].arn
+}
+
+resource "aws_lambda_permission" "eventbridge" {
+  for_each = var.jobs
+
+  statement_id  = "AllowEventBridgeInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.job[each.key].function_name
+  principal     = "events.amazonaws.com"
+  source_arn    = aws_cloudwatch_event_rule.schedule[each.key].arn
+}
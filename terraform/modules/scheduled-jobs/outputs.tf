@@ -0,0 +1,23 @@
+###############################################################################
+# Scheduled Jobs Module — Outputs
+###############################################################################
+
+output "function_names" {
+  description = "Map of job name → Lambda function name"
+  value       = { for k, v in aws_lambda_function.job : k => v.function_name }
+}
+
+output "function_arns" {
+  description = "Map of job name → Lambda function ARN"
+  value       = { for k, v in aws_lambda_function.job : k => v.arn }
+}
+
+output "log_group_names" {
+  description = "Map of job name → CloudWatch log group name"
+  value       = { for k, v in aws_cloudwatch_log_group.job : k => v.name }
+}
+
+output "schedule_rule_arns" {
+  description = "Map of job name → EventBridge rule ARN"
+  value       = { for k, v in aws_cloudwatch_event_rule.schedule : k => v.arn }
+}
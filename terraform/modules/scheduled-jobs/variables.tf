@@ -0,0 +1,102 @@
+###############################################################################
+# Scheduled Jobs Module — Variables
+###############################################################################
+
+# ──────────────────────────────────────────────────────────────────────────── #
+# Required
+# ──────────────────────────────────────────────────────────────────────────── #
+
+variable "project" {
+  description = "Project name used for resource naming"
+  type        = string
+}
+
+variable "environment" {
+  description = "Deployment environment (dev, staging, prod)"
+  type        = string
+}
+
+variable "tags" {
+  description = "Common tags applied to all resources"
+  type        = map(string)
+  default     = {}
+}
+
+# ──────────────────────────────────────────────────────────────────────────── #
+# Job Definitions
+# ──────────────────────────────────────────────────────────────────────────── #
+
+variable "jobs" {
+  description = "Map of job name → schedule and Lambda configuration"
+  type = map(object({
+    description           = string
+    schedule_expression   = string # e.g. "rate(1 hour)" or "cron(0 2 * * ? *)"
+    timeout               = number
+    memory_size           = number
+    environment_variables = map(string)
+  }))
+}
+
+# ──────────────────────────────────────────────────────────────────────────── #
+# VPC References (from VPC module)
+# ──────────────────────────────────────────────────────────────────────────── #
+
+variable "private_subnet_ids" {
+  description = "Private subnet IDs for Lambda VPC placement"
+  type        = list(string)
+}
+
+variable "lambda_security_group_id" {
+  description = "Security group ID for Lambda functions"
+  type        = string
+}
+
+# ──────────────────────────────────────────────────────────────────────────── #
+# IAM References (from IAM module)
+# ──────────────────────────────────────────────────────────────────────────── #
+
+variable "lambda_execution_role_arn" {
+  description = "IAM role ARN for Lambda execution"
+  type        = string
+}
+
+# ──────────────────────────────────────────────────────────────────────────── #
+# Database & Events
+# ──────────────────────────────────────────────────────────────────────────── #
+
+variable "db_secret_arn" {
+  description = "ARN of the Secrets Manager secret containing DB credentials"
+  type        = string
+  default     = ""
+}
+
+variable "rds_proxy_endpoint" {
+  description = "RDS Proxy endpoint — Lambda connects here instead of directly to Aurora (empty = connect directly)"
+  type        = string
+  default     = ""
+}
+
+variable "sns_topic_arn" {
+  description = "SNS topic ARN that jobs publish domain events to"
+  type        = string
+}
+
+# ──────────────────────────────────────────────────────────────────────────── #
+# Logging
+# ──────────────────────────────────────────────────────────────────────────── #
+
+variable "log_retention_days" {
+  description = "CloudWatch log retention in days"
+  type        = number
+  default     = 30
+}
+
+# ──────────────────────────────────────────────────────────────────────────── #
+# X-Ray Distributed Tracing
+# ──────────────────────────────────────────────────────────────────────────── #
+
+variable "enable_xray_tracing" {
+  description = "Enable X-Ray active tracing on Lambda functions"
+  type        = bool
+  default     = true
+}